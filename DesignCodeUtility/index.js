@@ -0,0 +1,4 @@
+/**
+ * Library entry point. See src/api.js for what you can do.
+ */
+module.exports = require("./src/api")
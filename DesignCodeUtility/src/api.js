@@ -0,0 +1,193 @@
+/**
+ * Lets Node scripts do what dcu and plsu do without shelling out. Each connection talks to one server and keeps its
+ * own login, base directory, logging and network settings so a script can work with more than one server.
+ *
+ *   const dcu = require("commerce-cloud-connect")
+ *
+ *   const source = dcu.connect({node: "https://source.example.com", applicationKey: sourceKey, base: "src"})
+ *   const target = dcu.connect({node: "https://target.example.com", applicationKey: targetKey, base: "src"})
+ *
+ *   source.grab({clean: true})
+ *     .then(() => target.transfer("src/widget/Cart"))
+ *     .then(result => result.success || console.log(result.errors))
+ *
+ * Every operation resolves to a result with a success flag and the messages that were logged along the way.
+ *
+ * Connections do not run side by side. Every operation on every connection goes into one queue and runs once the
+ * one before it has finished, because much of what sits underneath is shared by the whole process:
+ *
+ *   - the put switches: merge on conflict, pruning, resume, continue on error, dependencies, update instances and yes.
+ *   - incremental grabbing and the grab filters.
+ *   - concurrency and request pacing from CC_GRAB_CONCURRENCY, CC_PUT_CONCURRENCY, CC_REQUESTS_PER_SECOND and
+ *     CC_REQUESTS_PER_HOST.
+ *   - the retry policy, hooks, plugins and secrets from dcu.config.json, which are read once.
+ *   - CC_PROXY_USERNAME, CC_PROXY_PASSWORD and CC_CLIENT_KEY_PASSPHRASE.
+ *
+ * Setting any of these for one connection sets it for all of them.
+ */
+"use strict"
+
+const Promise = require("bluebird")
+
+const applyNetworkOptions = require("./optionsUtils").applyNetworkOptions
+const checkMetadata = require("./optionsUtils").checkMetadata
+const clearPutFailures = require("./putterUtils").clearPutFailures
+const endPointTransceiver = require("./endPointTransceiver")
+const getPageLayouts = require("./pageLayoutGetter").getPageLayouts
+const getPutFailures = require("./putterUtils").getPutFailures
+const grabber = require("./grabber")
+const logger = require("./logger")
+const putter = require("./putter")
+const registerAssetType = require("./assetTypeRegistry").registerAssetType
+const sendPageLayouts = require("./pageLayoutSender").sendPageLayouts
+const state = require("./state")
+const useBasePath = require("./utils").useBasePath
+
+// The modules underneath are shared by every connection so only one operation can run at a time.
+// Anything that is not scoped to the connection is shared - see the comment at the top.
+let queue = Promise.resolve()
+
+/**
+ * Make the connection's scopes current, log in if we have not done so already and then run the operation.
+ * @param connection
+ * @param transferMode - true if the operation sends content grabbed from another server.
+ * @param operation - function returning a promise.
+ * @param describe - optional function that turns what the operation resolved to into extra result fields.
+ * @returns A Bluebird promise of the result.
+ */
+function run(connection, transferMode, operation, describe = () => ({})) {
+
+  const result = queue.then(() => {
+
+    const messages = []
+
+    // Start each operation with a clean slate.
+    connection.logScope.hadSeriousError = false
+    connection.logScope.listener = message => messages.push(message)
+    connection.stateScope.transferMode = transferMode
+
+    endPointTransceiver.useScope(connection.transceiverScope)
+    logger.useScope(connection.logScope)
+    state.useScope(connection.stateScope)
+    useBasePath(connection.options.base)
+    clearPutFailures()
+
+    const options = connection.options
+
+    // Network settings are shared as well so put ours back, checking their files are there, before logging in.
+    const ready = applyNetworkOptions(options) && (connection.connected || endPointTransceiver.init(options.node,
+      options.username, options.password, options.applicationKey, options.locale, options.allLocales)
+      .then(() => connection.connected = true))
+
+    return Promise.resolve(ready)
+      .then(ready => ready && operation())
+      .catch(error => logger.logError(error.stack || error))
+      .then(value => Object.assign({
+        success: !connection.logScope.hadSeriousError,
+        messages,
+        errors: messages.filter(message => message.level === "error").map(message => message.text),
+        warnings: messages.filter(message => message.level === "warn").map(message => message.text)
+      }, describe(value)))
+  })
+
+  // Whatever happens, let the next operation go once this one is done.
+  queue = result.catch(() => null)
+
+  return result
+}
+
+/**
+ * Run an operation on a path that must have been grabbed with the current version.
+ * @param path
+ * @param operation
+ * @returns A Bluebird promise.
+ */
+function withMetadata(path, operation) {
+  return Promise.resolve(checkMetadata(path) && operation())
+}
+
+/**
+ * Tell the caller about anything that could not be sent.
+ * @returns the extra result fields.
+ */
+function describeFailures() {
+  return {failures: getPutFailures()}
+}
+
+/**
+ * Create a connection to a server. Nothing is sent until the first operation.
+ * @param options - node, applicationKey, username, password, base, locale, allLocales, verbose and quiet. Log
+ *                  messages go to the console as usual unless quiet is set. proxy, noProxy, caFile, certFile and
+ *                  keyFile work like the command line options of the same name and only apply to this connection.
+ *                  Operations on this connection wait for those on every other connection and share the
+ *                  process wide settings listed at the top of this file.
+ * @returns an object whose functions each return a Bluebird promise of the result.
+ */
+function connect(options) {
+
+  const connection = {
+    options: Object.assign({}, options),
+    transceiverScope: endPointTransceiver.createScope(),
+    logScope: logger.createScope(null, options.quiet),
+    stateScope: state.createScope(),
+    connected: false
+  }
+
+  connection.logScope.verbose = !!options.verbose
+
+  const node = options.node
+
+  return {
+
+    /**
+     * Grab everything from the server into the base directory.
+     * @param grabOptions - optional, set clean to true to remove what was grabbed before.
+     */
+    grab: grabOptions => run(connection, false, () => grabber.grab(node, !!(grabOptions && grabOptions.clean))),
+
+    /**
+     * Grab the contents of a directory again.
+     * @param path
+     */
+    refresh: path => run(connection, false, () => withMetadata(path, () => grabber.refresh(path))),
+
+    /**
+     * Send a file or directory to the server.
+     * @param path
+     */
+    put: path => run(connection, false,
+      () => withMetadata(path, () => putter.put(path, node, false)), describeFailures),
+
+    /**
+     * Send everything under a directory to the server.
+     * @param path
+     */
+    putAll: path => run(connection, false,
+      () => withMetadata(path, () => putter.put(path, node, true)), describeFailures),
+
+    /**
+     * Send a file or directory grabbed from another server to this one.
+     * @param path
+     * @param transferOptions - optional, set all to true to send everything under the directory.
+     */
+    transfer: (path, transferOptions) => run(connection, true,
+      () => withMetadata(path, () => putter.put(path, node, !!(transferOptions && transferOptions.all))),
+      describeFailures),
+
+    /**
+     * Get the page layouts from the server, along with their structure.
+     * @param names - optional list of layout names. Gets all of them if not supplied.
+     */
+    getPageLayouts: names => run(connection, false, () => getPageLayouts(names || []),
+      layouts => ({layouts: layouts || []})),
+
+    /**
+     * Create or update page layouts on the server, typically ones that came from getPageLayouts on another connection.
+     * @param layouts
+     */
+    sendPageLayouts: layouts => run(connection, false, () => sendPageLayouts(layouts))
+  }
+}
+
+exports.connect = connect
+exports.registerAssetType = registerAssetType
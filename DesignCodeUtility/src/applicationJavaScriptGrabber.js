@@ -3,12 +3,18 @@ const Promise = require("bluebird")
 const constants = require("./constants").constants
 const endPointTransceiver = require("./endPointTransceiver")
 const getGrabbingConcurrency = require("./concurrencySettings").getGrabbingConcurrency
+const grabRequest = require("./grabberUtils").grabRequest
 const info = require("./logger").info
 const makeTrackedDirectory = require("./utils").makeTrackedDirectory
+const skipIfUnchanged = require("./grabberUtils").skipIfUnchanged
 const writeFileAndETag = require("./grabberUtils").writeFileAndETag
 const warn = require("./logger").warn
 
-exports.grabAllApplicationJavaScript = function () {
+/**
+ * Grab all the application level JavaScript, optionally restricted to the file names that nameFilter returns true for.
+ * @param nameFilter
+ */
+exports.grabAllApplicationJavaScript = function (nameFilter) {
 
   // The endpoints we need to manipulate Application Level JS were added fairly recently so let's not assume they are there.
   if (endPointTransceiver.serverSupports("listAllApplicationJavaScript", "getApplicationJavaScript")) {
@@ -18,11 +24,20 @@ exports.grabAllApplicationJavaScript = function () {
 
     return endPointTransceiver.listAllApplicationJavaScript().then(results => {
 
-      return Promise.map(Object.keys(results.data.items), jsFile => {
+      const jsFiles = Object.keys(results.data.items).filter(jsFile => !nameFilter || nameFilter(jsFile))
+
+      return Promise.map(jsFiles, jsFile => {
 
         info("grabbingApplicationJavaScript", {name : jsFile})
-        return endPointTransceiver.getApplicationJavaScript([jsFile]).tap(results =>
-          writeFileAndETag(`${constants.globalDir}/${jsFile}`, results.data.source, results.response.headers.etag))
+
+        const path = `${constants.globalDir}/${jsFile}`
+
+        return endPointTransceiver.getApplicationJavaScript([jsFile], grabRequest(path)).tap(results => {
+
+          if (!skipIfUnchanged([path], results)) {
+            writeFileAndETag(path, results.data.source, results.response.headers.etag)
+          }
+        })
       }, getGrabbingConcurrency())
     })
   } else {
@@ -0,0 +1,294 @@
+"use strict"
+
+const Promise = require("bluebird")
+const upath = require("upath")
+
+const canAsk = require("./wizardUtils").canAsk
+const confirm = require("./wizardUtils").confirm
+const constants = require("./constants").constants
+const endPointTransceiver = require("./endPointTransceiver")
+const error = require("./logger").error
+const exists = require("./utils").exists
+const findTrackedPaths = require("./statusReporter").findTrackedPaths
+const getCachedStackInstanceFromMetadata = require("./metadata").getCachedStackInstanceFromMetadata
+const getCachedWidgetInstanceFromMetadata = require("./metadata").getCachedWidgetInstanceFromMetadata
+const getElementByTag = require("./metadata").getElementByTag
+const info = require("./logger").info
+const initializeMetadata = require("./metadata").initializeMetadata
+const normalize = require("./utils").normalize
+const processPutResult = require("./putterUtils").processPutResult
+const readJsonFile = require("./utils").readJsonFile
+const readMetadataFromDisk = require("./metadata").readMetadataFromDisk
+const removeTrackedTree = require("./utils").removeTrackedTree
+const removeTrackingFiles = require("./etags").removeTrackingFiles
+const resolvePath = require("./utils").resolvePath
+const shouldAssumeYes = require("./putterUtils").shouldAssumeYes
+const t = require("./i18n").t
+const warn = require("./logger").warn
+
+// Assets with this source value were supplied by Oracle and must never be deleted.
+const ORACLE_SOURCE = 100
+
+/**
+ * Read the metadata we saved off at grab time. We can't use readMetadataFromDisk() as the asset may be gone.
+ * @param assetPath
+ * @param type
+ * @returns the metadata or null.
+ */
+function readTrackedMetadata(assetPath, type) {
+
+  const metadataPath = `${constants.trackingDir}/${assetPath}/${type}`
+
+  return exists(metadataPath) ? readJsonFile(metadataPath) : null
+}
+
+/**
+ * The kinds of asset we know how to delete. Each one is a directory or file at a fixed depth below the base directory.
+ * findOnServer returns an object with the repositoryId and source of the matching server asset, or null.
+ */
+const deletableAssetTypes = [
+  {
+    depth: 4,
+    endpoint: "deleteWidgetInstance",
+    matches: segments => segments[0] === constants.widgetsDir && segments[2] === constants.instanceDir,
+    findOnServer: assetPath => {
+
+      const widgetInstance = getCachedWidgetInstanceFromMetadata(
+        readTrackedMetadata(assetPath, constants.widgetInstanceMetadataJson))
+
+      return widgetInstance && {repositoryId: widgetInstance.repositoryId, source: widgetInstance.descriptor.source}
+    }
+  },
+  {
+    depth: 4,
+    endpoint: "deleteStackInstance",
+    matches: segments => segments[0] === constants.stacksDir && segments[2] === constants.instanceDir,
+    findOnServer: assetPath => {
+
+      const metadata = readTrackedMetadata(assetPath, constants.stackInstanceMetadataJson)
+      const stackInstance = metadata && getCachedStackInstanceFromMetadata(metadata)
+
+      return stackInstance && {repositoryId: stackInstance.repositoryId, source: stackInstance.descriptor.source}
+    }
+  },
+  {
+    depth: 2,
+    endpoint: "deleteGlobalElement",
+    matches: segments => segments[0] === constants.elementsDir,
+    findOnServer: assetPath => {
+
+      const metadata = readTrackedMetadata(assetPath, constants.elementMetadataJson)
+      const element = metadata && getElementByTag(metadata.tag)
+
+      return element && {repositoryId: element.tag, source: element.source}
+    }
+  },
+  {
+    depth: 2,
+    endpoint: "deleteApplicationJavaScript",
+    matches: segments => segments[0] === constants.globalDir && segments.length === 2 && segments[1].endsWith(".js"),
+    findOnServer: assetPath => ({repositoryId: upath.basename(assetPath)})
+  }
+]
+
+/**
+ * Turn a path into one relative to the base directory so it can be compared with tracked paths.
+ * @param path
+ * @returns {string}
+ */
+function relativeToBaseDir(path) {
+  return upath.relative(resolvePath("."), resolvePath(path))
+}
+
+/**
+ * Work out which deletable asset the supplied path belongs to.
+ * @param path - relative to the base directory.
+ * @returns {{path, assetType}} or null if the path does not belong to anything we can delete.
+ */
+function getDeletableAsset(path) {
+
+  const segments = path.split("/")
+
+  const assetType = deletableAssetTypes.find(
+    assetType => segments.length >= assetType.depth && assetType.matches(segments))
+
+  return assetType ? {path: segments.slice(0, assetType.depth).join("/"), assetType} : null
+}
+
+/**
+ * See if the supplied asset, as returned by getDeletableAsset(), is on the server. Assumes the metadata has already
+ * been initialized.
+ * @param asset
+ * @returns {boolean}
+ */
+function existsOnServer(asset) {
+  return !!asset.assetType.findOnServer(asset.path)
+}
+
+/**
+ * Send the delete to the server then get rid of the local copy and all the tracking information.
+ * @param asset
+ * @param node
+ * @param keepLocal - if true, only delete the server copy.
+ * @returns A BlueBird promise.
+ */
+function deleteFromServer(asset, node, keepLocal) {
+
+  info("deletingAsset", {path: asset.path, node})
+
+  return endPointTransceiver[asset.assetType.endpoint]([asset.serverAsset.repositoryId]).then(results => {
+
+    if (processPutResult(asset.path, results)) {
+
+      // Directories take their tracking directory with them but files have tracking files of their own.
+      if (!keepLocal) {
+        removeTrackedTree(asset.path)
+        removeTrackingFiles(asset.path)
+      }
+    } else {
+      error("assetDeleteFailed", {path: asset.path, node})
+    }
+  })
+}
+
+/**
+ * Show the user what is about to be deleted from the server, then delete it if they are happy.
+ * @param assets
+ * @param node
+ * @param keepLocal - if true, leave the local copies alone.
+ * @returns A BlueBird promise.
+ */
+function deleteAssets(assets, node, keepLocal) {
+
+  // Match things up with the server, weeding out anything we can't or mustn't delete.
+  const deletableAssets = assets.filter(asset => {
+
+    if (!endPointTransceiver.serverSupports(asset.assetType.endpoint)) {
+      warn("deleteNotSupported", {path: asset.path})
+      return false
+    }
+
+    asset.serverAsset = asset.assetType.findOnServer(asset.path)
+
+    if (!asset.serverAsset) {
+      warn("assetNotFoundOnServer", {path: asset.path, node})
+      return false
+    }
+
+    if (asset.serverAsset.source === ORACLE_SOURCE) {
+      error("cannotDeleteOracleAsset", {path: asset.path})
+      return false
+    }
+
+    return true
+  })
+
+  if (!deletableAssets.length) {
+    return Promise.resolve()
+  }
+
+  info("assetsToBeDeleted", {node})
+  deletableAssets.forEach(asset => info("assetToBeDeleted", {path: asset.path}))
+
+  // Waiting for an answer that will never come would hang scripts and builds.
+  if (!shouldAssumeYes() && !canAsk()) {
+    error("deleteNeedsConfirmation")
+    return Promise.resolve()
+  }
+
+  const confirmation = shouldAssumeYes()
+    ? Promise.resolve(true) : confirm(t("confirmDeletePrompt", {count: deletableAssets.length, node}))
+
+  return confirmation.then(confirmed => {
+
+    if (confirmed) {
+      return Promise.each(deletableAssets, asset => deleteFromServer(asset, node, keepLocal))
+    } else {
+      info("deleteCancelled")
+    }
+  })
+}
+
+/**
+ * Find assets below the supplied directory that we grabbed from the server but are no longer on disk and delete
+ * them from the server too. Assumes the metadata has already been initialized.
+ * @param directory
+ * @param node
+ * @returns A BlueBird promise.
+ */
+const pruneDeletedAssets = Promise.method((directory, node) => {
+
+  const relativeDirectory = relativeToBaseDir(directory)
+
+  const inDirectory = path =>
+    !relativeDirectory || path === relativeDirectory || path.startsWith(`${relativeDirectory}/`)
+
+  // Several tracked files will usually belong to the same asset so key on the asset path.
+  const deletedAssets = new Map()
+
+  findTrackedPaths().forEach(path => {
+
+    const asset = inDirectory(path) && getDeletableAsset(path)
+
+    asset && !exists(asset.path) && deletedAssets.set(asset.path, asset)
+  })
+
+  if (!deletedAssets.size) {
+    info("noDeletedAssetsFound", {path: directory})
+    return
+  }
+
+  return deleteAssets(Array.from(deletedAssets.values()), node)
+})
+
+/**
+ * Entry point. Delete the widget instance, stack instance, global element or application JavaScript file given by
+ * path from the server and from the local disk.
+ * @param rawPath
+ * @param node
+ * @returns A BlueBird promise.
+ */
+const deleteAsset = Promise.method((rawPath, node) => {
+
+  const path = relativeToBaseDir(normalize(rawPath))
+
+  // Path must be the top level of something we know how to delete.
+  const asset = getDeletableAsset(path)
+
+  if (!asset || asset.path !== path) {
+    error("pathCannotBeDeleted", {path: rawPath})
+    return
+  }
+
+  // Make sure we are deleting from the same system we grabbed from.
+  const configMetadata = readMetadataFromDisk(path, constants.configMetadataJson, true)
+
+  if (configMetadata.node !== node) {
+    error("cannotSendToDifferentNode", {path: rawPath, node, configMetadataNode: configMetadata.node})
+    return
+  }
+
+  return initializeMetadata().then(() => deleteAssets([asset], node))
+})
+
+/**
+ * Delete assets that a putAll created from the server, leaving the local copies in place so they can be sent again
+ * later. Assumes the metadata has already been initialized.
+ * @param paths - the asset paths, relative to the base directory.
+ * @param node
+ * @returns A BlueBird promise.
+ */
+const deleteCreatedAssets = Promise.method((paths, node) => {
+
+  if (!paths.length) {
+    return
+  }
+
+  return deleteAssets(paths.map(getDeletableAsset), node, true)
+})
+
+exports.deleteAsset = deleteAsset
+exports.deleteCreatedAssets = deleteCreatedAssets
+exports.existsOnServer = existsOnServer
+exports.getDeletableAsset = getDeletableAsset
+exports.pruneDeletedAssets = pruneDeletedAssets
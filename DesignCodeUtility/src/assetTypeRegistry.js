@@ -0,0 +1,179 @@
+"use strict"
+
+const basename = require("path").basename
+const upath = require("upath")
+
+const constants = require("./constants").constants
+const endPointTransceiver = require("./endPointTransceiver")
+const error = require("./logger").error
+const exists = require("./utils").exists
+const isDirectory = require("./utils").isDirectory
+const logger = require("./logger")
+const readJsonFile = require("./utils").readJsonFile
+const resolvePath = require("./utils").resolvePath
+const splitFromBaseDir = require("./utils").splitFromBaseDir
+const t = require("./i18n").t
+const utils = require("./utils")
+
+// Points in a putAll that an asset type can be sent after. Everything means after all the built in types.
+const putAfterSteps = ["themes", "stacks", "elements", "widgets", "everything"]
+
+// Asset types we have been told about, in the order they were registered.
+const assetTypes = []
+
+// Plugins in the project config file are only loaded the first time someone asks about asset types.
+let pluginsLoaded = false
+
+// Handed to plugin functions so they can talk to the server and get at files in the same way we do.
+const tools = {endPointTransceiver, logger, utils}
+
+/**
+ * Make sure a plugin has given us everything we need and fill in the defaults.
+ * @param assetType
+ * @returns the complete asset type.
+ */
+function checkAssetType(assetType) {
+
+  const missing = ["name", "directory", "grab", "put"].filter(key => !assetType[key])
+
+  if (missing.length) {
+    throw new Error(t("assetTypeIncomplete",
+      {name: assetType.name || t("unnamedAssetType"), missing: missing.join(", ")}))
+  }
+
+  if (assetType.putAfter && !putAfterSteps.includes(assetType.putAfter)) {
+    throw new Error(t("assetTypeHasBadPutAfter",
+      {name: assetType.name, putAfter: assetType.putAfter, steps: putAfterSteps.join(", ")}))
+  }
+
+  if (assetTypes.some(existing => existing.name === assetType.name || existing.directory === assetType.directory)) {
+    throw new Error(t("assetTypeClashes", {name: assetType.name}))
+  }
+
+  // By default, an asset type owns every file under its directory.
+  return Object.assign({
+    classify: path => path.startsWith(`${assetType.directory}/`),
+    putAfter: "everything"
+  }, assetType)
+}
+
+/**
+ * Add a new asset type. Each one owns a top level directory under the base directory and supplies:
+ *
+ *   name - used with --only and in messages.
+ *   directory - the top level directory e.g. "siteSettings".
+ *   classify(path, tools) - optional, true if the file, given relative to the base directory, belongs to us.
+ *   grab(tools) - grab everything of this type from the server, returning a promise.
+ *   put(path, tools) - send a single file to the server, returning a promise.
+ *   putAfter - optional, one of themes, stacks, elements, widgets or everything (the default).
+ *   concurrency - optional, how many files putAll can send at a time.
+ *
+ * tools has the endPointTransceiver, logger and utils modules.
+ * @param assetType
+ */
+function registerAssetType(assetType) {
+  assetTypes.push(checkAssetType(assetType))
+}
+
+/**
+ * Load the plugin modules listed in the project config file. Each module exports an asset type or an array of them.
+ * Module paths are relative to the directory holding the file.
+ */
+function loadPlugins() {
+
+  pluginsLoaded = true
+
+  const file = upath.resolve(constants.projectConfigJson)
+  const plugins = exists(file) && readJsonFile(file).plugins
+
+  plugins && plugins.forEach(plugin => {
+
+    try {
+      [].concat(require(upath.resolve(upath.dirname(file), plugin))).forEach(registerAssetType)
+    } catch (err) {
+      error("pluginCouldNotBeLoaded", {plugin, message: err.message})
+    }
+  })
+}
+
+/**
+ * Get the asset types added by plugins.
+ * @returns {Array}
+ */
+function getAssetTypes() {
+
+  !pluginsLoaded && loadPlugins()
+
+  return assetTypes
+}
+
+/**
+ * Work out where the path is relative to the base directory.
+ * @param path
+ * @returns {string}
+ */
+function relativeToBaseDir(path) {
+
+  const subDir = splitFromBaseDir(path)[1]
+
+  return isDirectory(resolvePath(path)) ? subDir : upath.join(subDir, basename(path))
+}
+
+/**
+ * Find the plugin asset type that the supplied file belongs to.
+ * @param path
+ * @returns the asset type or undefined if none of them want it.
+ */
+function findAssetType(path) {
+
+  const assetTypes = getAssetTypes()
+
+  if (assetTypes.length) {
+
+    const relativePath = relativeToBaseDir(path)
+
+    return assetTypes.find(assetType => assetType.classify(relativePath, tools))
+  }
+}
+
+/**
+ * Find the plugin asset type whose top level directory is the supplied one.
+ * @param directory
+ * @returns the asset type or undefined if it is not a plugin directory.
+ */
+function findAssetTypeForDirectory(directory) {
+
+  const assetTypes = getAssetTypes()
+
+  if (assetTypes.length) {
+
+    const relativePath = relativeToBaseDir(directory)
+
+    return assetTypes.find(assetType => assetType.directory === relativePath)
+  }
+}
+
+/**
+ * Grab everything belonging to the asset type.
+ * @param assetType
+ * @returns A Bluebird promise or whatever the plugin returned.
+ */
+function grabAssetType(assetType) {
+  return assetType.grab(tools)
+}
+
+/**
+ * Send a single file belonging to a plugin asset type.
+ * @param path
+ * @returns whatever the plugin returned.
+ */
+function putAssetTypePath(path) {
+  return findAssetType(path).put(path, tools)
+}
+
+exports.findAssetType = findAssetType
+exports.findAssetTypeForDirectory = findAssetTypeForDirectory
+exports.getAssetTypes = getAssetTypes
+exports.grabAssetType = grabAssetType
+exports.putAssetTypePath = putAssetTypePath
+exports.registerAssetType = registerAssetType
@@ -5,6 +5,9 @@ const program = require("commander")
 
 const constants = require("./constants").constants
 const addCommonOptions = require("./optionsUtils").addCommonOptions
+const applyEnvironment = require("./optionsUtils").applyEnvironment
+const applyLogOptions = require("./optionsUtils").applyLogOptions
+const applyNetworkOptions = require("./optionsUtils").applyNetworkOptions
 const classify = require("./classifier").classify
 const elementCreator = require("./elementCreator")
 const elementMarkupGenerator = require("./elementMarkupGenerator")
@@ -85,6 +88,11 @@ exports.main = function (argv) {
     .option("-g, --generateMarkup [elementDirectory]", t("generateElementMarkupOptionText"))
     .parse(argv)
 
+  // Fill in any gaps from the project config file.
+  if (!applyLogOptions(program) || !applyEnvironment(program) || !applyNetworkOptions(program)) {
+    exitDueToInvalidCall(program)
+  }
+
   // Pass on the base path if it was set.
   program.base && useBasePath(program.base)
 
@@ -1,6 +1,7 @@
 "use strict"
 
 const constants = require("./constants").constants
+const findAssetType = require("./assetTypeRegistry").findAssetType
 const isDirectory = require("./utils").isDirectory
 const PuttingFileType = require("./puttingFileType").PuttingFileType
 const resolvePath = require("./utils").resolvePath
@@ -91,7 +92,10 @@ const classifiers = [
     && PuttingFileType.WIDGET_INSTANCE,
 
   path => /.*stack\/[^/]+\/instances\/[^/]+$/.test(path) && isDirectory(resolvePath(path))
-    && PuttingFileType.STACK_INSTANCE
+    && PuttingFileType.STACK_INSTANCE,
+
+  // Anything the built in types do not recognize could belong to a plugin.
+  path => findAssetType(path) && PuttingFileType.PLUGIN_ASSET
 ]
 
 exports.classify = function (path) {
@@ -0,0 +1,116 @@
+"use strict"
+
+const upath = require("upath")
+
+const endPointTransceiver = require("./endPointTransceiver")
+const error = require("./logger").error
+const PuttingFileType = require("./puttingFileType").PuttingFileType
+const resolvePath = require("./utils").resolvePath
+
+// Widgets, stacks and global elements are created on the target by uploading an extension.
+const extensionEndpoints = ["startFileUpload", "doFileSegmentUpload", "createExtension"]
+
+// The endpoints each type of asset needs on the target server before it can be sent there.
+const endpointsNeeded = new Map([
+  [PuttingFileType.APPLICATION_LEVEL_JAVASCRIPT, ["updateApplicationJavaScript"]],
+  [PuttingFileType.GLOBAL_SNIPPETS, ["updateCustomTranslations"]],
+  [PuttingFileType.THEME, ["getThemes", "cloneTheme", "updateThemeSource"]],
+  [PuttingFileType.THEME_STYLES, ["updateThemeSource"]],
+  [PuttingFileType.THEME_ADDITIONAL_STYLES, ["updateThemeSource"]],
+  [PuttingFileType.THEME_VARIABLES, ["updateThemeSource"]],
+  [PuttingFileType.GLOBAL_ELEMENT, ["getElements"].concat(extensionEndpoints)],
+  [PuttingFileType.GLOBAL_ELEMENT_TEMPLATE, ["updateGlobalElementTemplate"]],
+  [PuttingFileType.GLOBAL_ELEMENT_JAVASCRIPT, ["updateGlobalElementJavaScript"]],
+  [PuttingFileType.GLOBAL_ELEMENT_METADATA, ["updateGlobalElementMetadata"]],
+  [PuttingFileType.WIDGET, ["getElements"].concat(extensionEndpoints)],
+  [PuttingFileType.WIDGET_BASE_TEMPLATE, ["updateWidgetDescriptorBaseTemplate"]],
+  [PuttingFileType.WIDGET_BASE_LESS, ["updateWidgetDescriptorBaseLess"]],
+  [PuttingFileType.WIDGET_BASE_SNIPPETS, ["updateWidgetDescriptorBaseLocaleContent"]],
+  [PuttingFileType.WIDGET_JAVASCRIPT, ["updateWidgetDescriptorJavascript"]],
+  [PuttingFileType.WIDGET_MODULE_JAVASCRIPT,
+    ["updateWidgetDescriptorJavascriptExtension", "createWidgetDescriptorJavascriptExtension"]],
+  [PuttingFileType.WIDGET_METADATA_JSON, ["updateWidgetDescriptorMetadata"]],
+  [PuttingFileType.WIDGET_CONFIG_JSON, ["updateConfigMetadataForWidgetDescriptor"]],
+  [PuttingFileType.WIDGET_CONFIG_SNIPPETS, ["updateConfigLocaleContentForWidgetDescriptor"]],
+  [PuttingFileType.WIDGET_INSTANCE, ["createWidgetInstance"]],
+  [PuttingFileType.WIDGET_INSTANCE_METADATA_JSON, ["updateWidgetMetadata"]],
+  [PuttingFileType.WIDGET_INSTANCE_TEMPLATE, ["updateWidgetSourceCode"]],
+  [PuttingFileType.WEB_CONTENT_TEMPLATE, ["updateWidgetWebContent"]],
+  [PuttingFileType.WIDGET_INSTANCE_LESS, ["updateWidgetLess"]],
+  [PuttingFileType.WIDGET_INSTANCE_SNIPPETS, ["updateWidgetCustomTranslations"]],
+  [PuttingFileType.ELEMENT_TEMPLATE, ["updateFragmentTemplate"]],
+  [PuttingFileType.ELEMENT_JAVASCRIPT, ["updateFragmentJavaScript"]],
+  [PuttingFileType.ELEMENT_METADATA, ["updateFragmentMetadata"]],
+  [PuttingFileType.ELEMENT_INSTANCE_METADATA, ["updateWidget"]],
+  [PuttingFileType.STACK, extensionEndpoints],
+  [PuttingFileType.STACK_METADATA_JSON, ["updateStackDescriptorMetadata"]],
+  [PuttingFileType.STACK_BASE_TEMPLATE, ["updateStackDescriptorBaseTemplate"]],
+  [PuttingFileType.STACK_BASE_LESS, ["updateStackDescriptorBaseLess"]],
+  [PuttingFileType.STACK_BASE_VARIABLES_LESS, ["updateStackDescriptorBaseLessVars"]],
+  [PuttingFileType.STACK_INSTANCE_METADATA_JSON, ["updateStackMetadata"]],
+  [PuttingFileType.STACK_INSTANCE_TEMPLATE, ["updateStackSourceCode"]],
+  [PuttingFileType.STACK_INSTANCE_LESS, ["updateStackLess"]],
+  [PuttingFileType.STACK_INSTANCE_VARIABLES_LESS, ["updateStackLessVars"]]
+])
+
+// What plsu needs on the destination server to send page layouts there.
+const pageLayoutEndpoints = ["listLayouts", "getLayoutStructure", "saveLayoutStructure", "updateLayout", "cloneLayout",
+  "getAllWidgetInstances", "getAllStackDescriptors", "listAudiences", "getSites"]
+
+/**
+ * Work out which of the supplied endpoints the server we are connected to does not have.
+ * @param endpoints
+ * @returns {Array} the missing endpoint names.
+ */
+function findMissingEndpoints(endpoints) {
+  return endpoints.filter(endpoint => !endPointTransceiver.serverSupports(endpoint))
+}
+
+/**
+ * Make sure the server we are connected to has everything the supplied paths need, telling the user exactly
+ * which assets can't be sent if it does not.
+ * @param typedPaths - a Map of path to PuttingFileType.
+ * @param node
+ * @returns {boolean} true if everything can be sent.
+ */
+function checkCompatibility(typedPaths, node) {
+
+  const incompatiblePaths = []
+
+  typedPaths.forEach((puttingFileType, path) => {
+
+    const missingEndpoints = findMissingEndpoints(endpointsNeeded.get(puttingFileType) || [])
+
+    missingEndpoints.length && incompatiblePaths.push({
+      path: upath.relative(resolvePath("."), resolvePath(path)),
+      endpoints: missingEndpoints.join(", ")
+    })
+  })
+
+  if (incompatiblePaths.length) {
+
+    error("assetsCannotBeTransferred", {count: incompatiblePaths.length, node})
+    incompatiblePaths.forEach(incompatiblePath => error("assetCannotBeTransferred", incompatiblePath))
+  }
+
+  return !incompatiblePaths.length
+}
+
+/**
+ * Make sure the destination server we are connected to has everything needed to send page layouts to it.
+ * @param sourceNode
+ * @param destinationNode
+ * @returns {boolean} true if page layouts can be sent.
+ */
+function checkPageLayoutCompatibility(sourceNode, destinationNode) {
+
+  const missingEndpoints = findMissingEndpoints(pageLayoutEndpoints)
+
+  missingEndpoints.length && error("cannotSendPageLayoutsBetweenVersions",
+    {sourceNode, destinationNode, endpoints: missingEndpoints.join(", ")})
+
+  return !missingEndpoints.length
+}
+
+exports.checkCompatibility = checkCompatibility
+exports.checkPageLayoutCompatibility = checkPageLayoutCompatibility
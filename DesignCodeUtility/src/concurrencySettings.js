@@ -1,3 +1,14 @@
+// Set from the project config file, if there is one.
+let environmentConcurrency = null
+
+/**
+ * Let the project config file override the default level of concurrency. Environment variables still win.
+ * @param concurrency
+ */
+exports.useEnvironmentConcurrency = concurrency => {
+  environmentConcurrency = concurrency
+}
+
 /**
  * Used to centrally control the default level of concurrency on grabs.
  */
@@ -8,7 +19,7 @@ exports.getGrabbingConcurrency = concurrency => {
     concurrency = parseInt(process.env.CC_GRAB_CONCURRENCY, 10)
 
   } else {
-    !concurrency && (concurrency = 7)
+    !concurrency && (concurrency = environmentConcurrency || 7)
   }
 
   return {concurrency}
@@ -24,12 +35,24 @@ exports.getPuttingConcurrency = concurrency => {
     concurrency = parseInt(process.env.CC_PUT_CONCURRENCY, 10)
 
   } else {
-    !concurrency && (concurrency = 20)
+    !concurrency && (concurrency = environmentConcurrency || 20)
   }
 
   return {concurrency}
 }
 
+/**
+ * Used to centrally control how hard we are allowed to push each server. There are no limits unless the user sets
+ * them. Either way, the HTTP layer slows down when the server struggles and never goes faster than the limits.
+ */
+exports.getRequestLimits = () => {
+
+  return {
+    requestsPerSecond: parseFloat(process.env.CC_REQUESTS_PER_SECOND) || Infinity,
+    requestsPerHost: parseInt(process.env.CC_REQUESTS_PER_HOST, 10) || Infinity
+  }
+}
+
 /**
  * This setting ensures that element templates are sent to the server one by one.
  * This is because older versions of CC had concurrency issues with element template updates.
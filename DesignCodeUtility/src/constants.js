@@ -12,13 +12,21 @@ exports.constants = {
 
   // Tracking Files and directories.
   etagSuffix : ".etag",
+  contentHashSuffix : ".hash",
+  baseContentSuffix : ".base",
   trackingDir : ".ccc",
   globalDir : "global",
   instanceDir: "instances",
   versionDir : "versions",
   configMetadataJson : "config.json",
+  projectConfigJson : "dcu.config.json",
+  snapshotsDir : "snapshots",
+  snapshotMetadataJson : "snapshot.json",
+  putAllJournal : "putAll.journal",
 
   // Content Files and directories.
+  overridesDir : "overrides",
+
   themesDir : "theme",
   themeVariables : "variables.less",
   themeAdditionalStyles : "additionalStyles.less",
@@ -2,18 +2,38 @@ const program = require("commander")
 
 const addCommonOptions = require("./optionsUtils").addCommonOptions
 const addExitHandler = require("./exitHandler").addExitHandler
+const applyEnvironment = require("./optionsUtils").applyEnvironment
+const applyLogOptions = require("./optionsUtils").applyLogOptions
+const applyNetworkOptions = require("./optionsUtils").applyNetworkOptions
+const canAsk = require("./wizardUtils").canAsk
 const checkMetadata = require("./optionsUtils").checkMetadata
+const deleteAsset = require("./assetDeleter").deleteAsset
+const diff = require("./differ").diff
+const enableAssumeYes = require('./putterUtils').enableAssumeYes
+const enableBaseCopies = require("./etags").enableBaseCopies
+const enableContinueOnError = require('./putterUtils').enableContinueOnError
+const enableDependencies = require('./putterUtils').enableDependencies
+const enableIncrementalGrab = require("./grabberUtils").enableIncrementalGrab
+const enableMergeOnConflict = require('./putterUtils').enableMergeOnConflict
+const enablePruning = require('./putterUtils').enablePruning
+const enableResume = require('./putterUtils').enableResume
 const enableUpdateInstances = require('./putterUtils').enableUpdateInstances
+const error = require("./logger").error
 const endPointTransceiver = require("./endPointTransceiver")
 const exitDueToInvalidCall = require("./exitHandler").exitDueToInvalidCall
 const getApplicationKey = require("./optionsUtils").getApplicationKey
 const getLastNode = require("./metadata").getLastNode
 const getPassword = require("./optionsUtils").getPassword
+const getPutFailures = require("./putterUtils").getPutFailures
 const grabber = require("./grabber")
 const info = require("./logger").info
 const inTransferMode = require("./state").inTransferMode
 const lessCompiler = require("./CCLessCompiler")
 const putter = require("./putter")
+const reportGraph = require("./dependencyGrapher").reportGraph
+const reportPlan = require("./planReporter").reportPlan
+const reportPutFailures = require("./failureReporter").reportPutFailures
+const reportStatus = require("./statusReporter").reportStatus
 const t = require("./i18n").t
 const useBasePath = require("./utils").useBasePath
 const setVerboseLogging  = require("./logger").setVerboseLogging
@@ -53,30 +73,63 @@ exports.main = function (argv) {
     .option("-i, --updateInstances", t("updateInstancesOptionText"), false)
     .option("-o, --noInstanceConfigUpdate", t("noInstanceConfigUpdateText"), false)
     .option("-N, --noThemeCompile", t("noThemeCompileText"), false)
+    .option("-S, --status", t("statusOptionText"), false)
+    .option("-D, --dryRun", t("dryRunOptionText"), false)
+    .option("-J, --planFile <file>", t("planFileOptionText"))
+    .option("-d, --diff <path>", t("diffOptionText"))
+    .option("-M, --merge", t("mergeOptionText"), false)
+    .option("--keepBase", t("keepBaseOptionText"), false)
+    .option("-w, --watch <directory>", t("watchOptionText"))
+    .option("-I, --incremental", t("incrementalOptionText"), false)
+    .option("-O, --only <types>", t("onlyOptionText"))
+    .option("-G, --match <glob>", t("matchOptionText"))
+    .option("--prune", t("pruneOptionText"), false)
+    .option("--delete <path>", t("deleteOptionText"))
+    .option("--rollback <snapshotId>", t("rollbackOptionText"))
+    .option("--yes", t("yesOptionText"), false)
+    .option("--resume", t("resumeOptionText"), false)
+    .option("--continueOnError", t("continueOnErrorOptionText"), false)
+    .option("--failureReport <file>", t("failureReportOptionText"))
+    .option("--graph [file]", t("graphOptionText"))
+    .option("--includeLayouts", t("includeLayoutsOptionText"), false)
+    .option("--withDependencies", t("withDependenciesOptionText"), false)
     .parse(argv)
 
-  // Switch on verbose flag first.
+  // Switch on verbose flag and the other log options first.
   setVerboseLogging(program.verbose)
 
+  // Fill in any gaps from the project config file. When putting, we can work out the environment from the path.
+  if (!applyLogOptions(program) || !applyEnvironment(program,
+    program.put || program.putAll || program.watch || program.diff || program.refresh || program.delete) ||
+    !applyNetworkOptions(program)) {
+    exitDueToInvalidCall(program)
+  }
+
   // Pass on the base path if it was set.
   program.base && useBasePath(program.base)
 
   // Must have exactly one operation - no more and no less.
-  const operationsCount = ["grab", "put", "putAll", "transfer", "transferAll", "compileLess", "refresh"]
+  const operationsCount = ["grab", "put", "putAll", "transfer", "transferAll", "compileLess", "refresh", "status", "diff",
+    "watch", "delete", "rollback", "graph"]
     .reduce((total, currentValue) => total + (program[currentValue] ? 1 : 0), 0)
 
-  // Some operations are only OK with a grab.
-  const needsAGrab = (program.clean || program.allLocales) && !program.grab
+  // Some operations are only OK with a grab. An incremental grab works from what is already there so can't be clean.
+  const needsAGrab = (program.clean || program.allLocales || program.incremental || program.only || program.match) &&
+    !program.grab
 
   const needsASite = (program.compileLess) && !program.site
 
+  // The dependency graph is built from what we grabbed so only needs a server if the user wants page layouts too.
+  const needsANode = !program.graph || program.includeLayouts
+
   // Make sure we know which server we are working with. If the user did not supply a node, try to use the last one.
-  if (!program.node) {
-    program.node = getLastNode(program.put || program.putAll || program.transferAll || program.refresh || program.transfer)
+  if (!program.node && needsANode) {
+    program.node = getLastNode(program.put || program.putAll || program.transferAll || program.refresh || program.transfer || program.diff ||
+      program.watch || program.delete)
   }
 
   // Something is not quite right - tell the user.
-  if (operationsCount !== 1 || needsAGrab || !program.node) {
+  if (operationsCount !== 1 || needsAGrab || (program.incremental && program.clean) || (needsANode && !program.node)) {
     exitDueToInvalidCall(program)
   }
 
@@ -89,6 +142,62 @@ exports.main = function (argv) {
     exitDueToInvalidCall(program)
   }
 
+  // Dry run only makes sense when sending things and the plan file only makes sense with a dry run.
+  const sendingPath = program.put || program.putAll || program.transfer || program.transferAll
+
+  if ((program.dryRun && !sendingPath) || (program.planFile && !program.dryRun)) {
+    exitDueToInvalidCall(program)
+  }
+
+  // Merging only makes sense when putting a single file as there is no etag to conflict with in transfer mode.
+  if (program.merge && !program.put) {
+    exitDueToInvalidCall(program)
+  }
+
+  // Copies to merge against come from the server.
+  if (program.keepBase && !program.grab && !program.refresh) {
+    exitDueToInvalidCall(program)
+  }
+
+  // Pruning works from what we grabbed from this server so only makes sense when really putting everything.
+  if (program.prune && (!program.putAll || program.dryRun)) {
+    exitDueToInvalidCall(program)
+  }
+
+  // Only some operations delete things from the server. If there is no one to ask, the user must say yes up front.
+  const deleting = program.prune || program.delete || program.rollback
+
+  if (program.yes && !deleting) {
+    exitDueToInvalidCall(program)
+  }
+
+  if (deleting && !program.yes && !canAsk()) {
+    error("deleteNeedsConfirmation")
+    exitDueToInvalidCall(program)
+  }
+
+  // Resuming picks up from the journal of an earlier putAll or transferAll so needs one of those to carry on.
+  if (program.resume && (!(program.putAll || program.transferAll) || program.dryRun)) {
+    exitDueToInvalidCall(program)
+  }
+
+  // Failure reporting is only done at the end of a putAll or transferAll.
+  const sendingAll = program.putAll || program.transferAll
+
+  if ((program.continueOnError || program.failureReport) && (!sendingAll || program.dryRun)) {
+    exitDueToInvalidCall(program)
+  }
+
+  // Layouts only live on the server so are an optional extra for the dependency graph.
+  if (program.includeLayouts && !program.graph) {
+    exitDueToInvalidCall(program)
+  }
+
+  // Dependencies are worked out for a widget directory being transferred.
+  if (program.withDependencies && !program.transfer) {
+    exitDueToInvalidCall(program)
+  }
+
   // Pass on the update instances flag if set.
   program.updateInstances && enableUpdateInstances()
 
@@ -98,6 +207,47 @@ exports.main = function (argv) {
   // Same for theme compilation.
   program.noThemeCompile && suppressThemeCompile()
 
+  // Let the putter know it should try to merge if someone else has changed the file on the server.
+  program.merge && enableMergeOnConflict()
+
+  // Merging needs a copy of each file as it was on the server, so keep one for anything we grab or send.
+  const keepBaseCopies = program.keepBase || program.merge
+  keepBaseCopies && enableBaseCopies()
+
+  // Tell the putter to delete things from the server that have been deleted locally.
+  program.prune && enablePruning()
+
+  // Don't ask before deleting things from the server.
+  program.yes && enableAssumeYes()
+
+  // Let the putter skip anything the last putAll already sent.
+  program.resume && enableResume()
+
+  // Don't let one bad path stop everything else being sent.
+  program.continueOnError && enableContinueOnError()
+
+  // Bring along the global elements and stacks the widget needs.
+  program.withDependencies && enableDependencies()
+
+  // Let the grabbers know they can leave unchanged files alone.
+  program.incremental && enableIncrementalGrab()
+
+  // User may only want some of what is on the server.
+  if ((program.only || program.match) && !grabber.setGrabFilter(program.only, program.match)) {
+    exitDueToInvalidCall(program)
+  }
+
+  // Status only looks at the local disk so there is no need to talk to the server.
+  if (program.status) {
+    return addExitHandler(reportStatus(program.node))
+  }
+
+  const graphFile = program.graph === true ? null : program.graph
+
+  if (!needsANode) {
+    return addExitHandler(reportGraph(graphFile, false))
+  }
+
   // Sort out our endpoints first.
   return addExitHandler(endPointTransceiver.init(
     program.node,
@@ -110,16 +260,39 @@ exports.main = function (argv) {
       return withTimeTaken(grabber.grab(program.node, program.clean))
     } else if (program.refresh && checkMetadata(program.refresh)) {
       return withTimeTaken(grabber.refresh(program.refresh))
+    } else if (program.diff && checkMetadata(program.diff)) {
+      return diff(program.diff, program.node)
+    } else if (program.dryRun) {
+
+      // Work out what would be sent but leave the server alone.
+      if (checkMetadata(sendingPath)) {
+        (program.transfer || program.transferAll) && inTransferMode(true)
+        return putter.plan(sendingPath, program.node,
+          !!(program.putAll || program.transferAll || program.withDependencies))
+          .then(plan => reportPlan(plan, program.planFile))
+      }
     } else if (program.transfer && checkMetadata(program.transfer)) {
       inTransferMode(true)
-      return withTimeTaken(putter.put(program.transfer, program.node, false))
+
+      // Sending dependencies means sending the whole widget directory the same way transferAll does.
+      return withTimeTaken(putter.put(program.transfer, program.node, !!program.withDependencies))
     } else if (program.put && checkMetadata(program.put)) {
       return withTimeTaken(putter.put(program.put, program.node, false))
+    } else if (program.rollback && checkMetadata(".")) {
+      return withTimeTaken(putter.rollback(program.rollback, program.node))
+    } else if (program.delete && checkMetadata(program.delete)) {
+      return deleteAsset(program.delete, program.node)
+    } else if (program.watch && checkMetadata(program.watch)) {
+      return putter.watch(program.watch, program.node)
     } else if (program.putAll && checkMetadata(program.putAll)) {
       return withTimeTaken(putter.put(program.putAll, program.node, true))
+        .then(() => reportPutFailures(getPutFailures(), program.node, program.failureReport))
     } else if (program.transferAll && checkMetadata(program.transferAll)) {
       inTransferMode(true)
       return withTimeTaken(putter.put(program.transferAll, program.node, true))
+        .then(() => reportPutFailures(getPutFailures(), program.node, program.failureReport))
+    } else if (program.graph) {
+      return reportGraph(graphFile, true)
     } else if (program.compileLess) {
         lessCompiler.compileOnce(program.site)
     }
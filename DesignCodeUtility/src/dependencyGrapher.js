@@ -0,0 +1,436 @@
+"use strict"
+
+const Promise = require("bluebird")
+const upath = require("upath")
+
+const constants = require("./constants").constants
+const endPointTransceiver = require("./endPointTransceiver")
+const error = require("./logger").error
+const exists = require("./utils").exists
+const getBaseElementTag = require("./elementUtils").getBaseElementTag
+const glob = require("./utils").glob
+const info = require("./logger").info
+const readFile = require("./utils").readFile
+const readJsonFile = require("./utils").readJsonFile
+const resolvePath = require("./utils").resolvePath
+const t = require("./i18n").t
+const writeFile = require("./utils").writeFile
+
+// The ways one thing can depend on another, along with how to describe them.
+const edgeKinds = {
+  usesElement: {from: "widget", to: "globalElement", label: "uses", key: "graphWidgetUsesElement"},
+  containsElement: {from: "globalElement", to: "globalElement", label: "contains", key: "graphElementContainsElement"},
+  hasInstance: {from: "widget", to: "widgetInstance", label: "instance", key: "graphWidgetHasInstance"},
+  containsInstance: {from: "stackInstance", to: "widgetInstance", label: "contains", key: "graphStackContainsInstance"},
+  usesInstance: {from: "layout", to: "widgetInstance", label: "uses", key: "graphLayoutUsesInstance"},
+  usesStack: {from: "layout", to: "stackInstance", label: "uses", key: "graphLayoutUsesStack"}
+}
+
+// How each type of node is drawn by Graphviz.
+const dotShapes = {
+  widget: "box",
+  widgetInstance: "ellipse",
+  globalElement: "component",
+  stackInstance: "box3d",
+  layout: "note"
+}
+
+// Element tags turn up in templates in any of these forms.
+const elementTagPatterns = [
+  /element:\s*'([^']+)'/g,
+  /<!--\s*oc section:\s*(\S+)\s*-->/g,
+  /data-oc-id="([^"]+)"/g
+]
+
+/**
+ * Holds everything we know about who depends on what.
+ */
+class Graph {
+
+  constructor() {
+    this.nodes = new Map()
+    this.edges = new Map()
+    // The widget or stack type of each instance node, keyed on node id.
+    this.instanceTypes = new Map()
+  }
+
+  /**
+   * Add a node if we have not seen it before. Names need not be unique so nodes are keyed on something that is.
+   * @param type
+   * @param key - unique among nodes of the same type e.g. the asset directory.
+   * @param name - what the user sees.
+   * @param path - optional path to the asset on disk.
+   * @returns {string} the node id.
+   */
+  addNode(type, key, name, path) {
+
+    const id = `${type}:${key}`
+
+    !this.nodes.has(id) && this.nodes.set(id, {id, type, name})
+    path && (this.nodes.get(id).path = path)
+
+    return id
+  }
+
+  /**
+   * Add a widget or stack instance we grabbed, noting its type so references from the server can be matched up.
+   * @param type - widgetInstance or stackInstance.
+   * @param instanceType - the widget or stack type.
+   * @param name
+   * @param path
+   * @returns {string} the node id.
+   */
+  addInstance(type, instanceType, name, path) {
+
+    const id = this.addNode(type, path, name, path)
+
+    instanceType && this.instanceTypes.set(id, instanceType)
+
+    return id
+  }
+
+  /**
+   * Find a widget or stack instance referred to by name. The same name can turn up under different widgets or
+   * stacks so the type is used too where we know it on both sides.
+   * @param type - widgetInstance or stackInstance.
+   * @param instanceType - optional widget or stack type.
+   * @param name
+   * @returns {string} the node id, which is a new node if we cannot tell which instance is meant.
+   */
+  findInstance(type, instanceType, name) {
+
+    const matches = Array.from(this.nodes.values()).filter(node => node.type === type && node.name === name &&
+      (!instanceType || !this.instanceTypes.has(node.id) || this.instanceTypes.get(node.id) === instanceType))
+
+    return matches.length === 1
+      ? matches[0].id
+      : this.addNode(type, instanceType ? `${instanceType}/${name}` : name, name)
+  }
+
+  /**
+   * Note that one thing depends on another.
+   * @param kind - one of the keys in edgeKinds.
+   * @param from - node id.
+   * @param to - node id.
+   */
+  addEdge(kind, from, to) {
+    this.edges.set(`${from}->${to}`, {from, to, kind})
+  }
+
+  /**
+   * Find the dependencies of the supplied kind, optionally only those starting or ending at a particular node.
+   * @param kind
+   * @param from - optional node id.
+   * @param to - optional node id.
+   * @returns {Array} the matching edges.
+   */
+  findEdges(kind, from, to) {
+    return Array.from(this.edges.values()).filter(edge =>
+      edge.kind === kind && (!from || edge.from === from) && (!to || edge.to === to))
+  }
+
+  /**
+   * @returns {{nodes: Array, edges: Array}} a plain copy of the graph in a stable order.
+   */
+  toJSON() {
+
+    const byId = (a, b) => a.id.localeCompare(b.id)
+    const byEnds = (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to)
+
+    return {
+      nodes: Array.from(this.nodes.values()).sort(byId),
+      edges: Array.from(this.edges.values()).sort(byEnds)
+    }
+  }
+}
+
+/**
+ * Turn a path from glob into one relative to the base directory.
+ * @param path
+ * @returns {string}
+ */
+function relativeToBaseDir(path) {
+  return upath.relative(resolvePath("."), resolvePath(path))
+}
+
+/**
+ * Find the tracking files of the supplied name under the supplied asset directories.
+ * @param pattern - e.g. widget/*
+ * @param metadataFile - e.g. widget.json
+ * @returns {Array} {dir, metadata} objects where dir is the asset directory relative to the base directory.
+ */
+function findTrackedAssets(pattern, metadataFile) {
+
+  return glob(`${constants.trackingDir}/${pattern}/${metadataFile}`).sort().map(path => ({
+    dir: upath.dirname(relativeToBaseDir(path)).replace(`${constants.trackingDir}/`, ""),
+    metadata: readJsonFile(path)
+  }))
+}
+
+/**
+ * Get the children of an element from its user modifiable metadata.
+ * @param elementDir
+ * @returns {Array} the child tags.
+ */
+function findChildTags(elementDir) {
+
+  const path = `${elementDir}/${constants.userElementMetadata}`
+
+  return exists(path) ? readJsonFile(path).children || [] : []
+}
+
+/**
+ * Find every element tag mentioned in the supplied markup.
+ * @param markup
+ * @returns {Set}
+ */
+function findTagsInMarkup(markup) {
+
+  const tags = new Set()
+
+  elementTagPatterns.forEach(pattern => {
+
+    let match
+
+    pattern.lastIndex = 0
+
+    while ((match = pattern.exec(markup))) {
+      tags.add(match[1])
+    }
+  })
+
+  return tags
+}
+
+/**
+ * Find every element tag a widget refers to in its templates, element instances and widget level elements.
+ * @param widgetDir
+ * @returns {Set}
+ */
+function findTagsForWidget(widgetDir) {
+
+  const tags = new Set()
+
+  glob(`${widgetDir}/**/*.template`).forEach(path => findTagsInMarkup(readFile(path)).forEach(tag => tags.add(tag)))
+
+  glob(`${widgetDir}/${constants.instanceDir}/*/${constants.userElementInstancesMetadataJson}`).forEach(path => {
+
+    const elementInstances = readJsonFile(path).elementInstances || []
+
+    elementInstances.forEach(elementInstance =>
+      elementInstance.tag && tags.add(getBaseElementTag(elementInstance.tag)))
+  })
+
+  findTrackedAssets(`${widgetDir}/${constants.elementsDir}/*`, constants.elementMetadataJson).forEach(element =>
+    findChildTags(element.dir).forEach(tag => tags.add(tag)))
+
+  return tags
+}
+
+/**
+ * Work out the dependencies from what we grabbed.
+ * @returns {Graph}
+ */
+function buildLocalGraph() {
+
+  const graph = new Graph()
+
+  // Global elements first so we know which tags are worth following.
+  const globalElements = findTrackedAssets(`${constants.elementsDir}/*`, constants.elementMetadataJson)
+  const globalTags = new Set(globalElements.map(element => element.metadata.tag))
+
+  // Element tags are unique so will do as keys.
+  const elementNode = tag => graph.addNode("globalElement", tag, tag)
+
+  globalElements.forEach(element => {
+
+    const from = graph.addNode("globalElement", element.metadata.tag, element.metadata.tag, element.dir)
+
+    findChildTags(element.dir).filter(tag => globalTags.has(tag))
+      .forEach(tag => graph.addEdge("containsElement", from, elementNode(tag)))
+  })
+
+  findTrackedAssets(`${constants.widgetsDir}/*`, constants.widgetMetadataJson).forEach(widget => {
+
+    const from = graph.addNode("widget", widget.dir, widget.metadata.displayName, widget.dir)
+
+    findTagsForWidget(widget.dir).forEach(tag =>
+      globalTags.has(tag) && graph.addEdge("usesElement", from, elementNode(tag)))
+
+    findTrackedAssets(`${widget.dir}/${constants.instanceDir}/*`, constants.widgetInstanceMetadataJson)
+      .forEach(widgetInstance => graph.addEdge("hasInstance", from, graph.addInstance("widgetInstance",
+        widget.metadata.widgetType, widgetInstance.metadata.displayName, widgetInstance.dir)))
+  })
+
+  findTrackedAssets(`${constants.stacksDir}/*/${constants.instanceDir}/*`, constants.stackInstanceMetadataJson)
+    .forEach(stackInstance => {
+
+      // Stack instances live under their stack, which knows the stack type.
+      const stackDir = upath.dirname(upath.dirname(stackInstance.dir))
+      const stackMetadataPath = `${constants.trackingDir}/${stackDir}/${constants.stackMetadataJson}`
+      const stackType = exists(stackMetadataPath) ? readJsonFile(stackMetadataPath).stackType : null
+
+      const from = graph.addInstance("stackInstance", stackType, stackInstance.metadata.displayName, stackInstance.dir)
+
+      // Regions were only recorded by later versions of the grabber.
+      const regions = stackInstance.metadata.regions || []
+
+      regions.forEach(region => region.widgets.forEach(widgetInstance => graph.addEdge("containsInstance", from,
+        graph.findInstance("widgetInstance", widgetInstance.widgetType, widgetInstance.displayName))))
+    })
+
+  return graph
+}
+
+/**
+ * Walk the regions of a page layout noting which widget instances and stacks it uses.
+ * @param graph
+ * @param layout - node id of the layout.
+ * @param regions
+ * @param stack - node id of the stack instance when the regions belong to one.
+ */
+function addRegionDependencies(graph, layout, regions, stack) {
+
+  regions && regions.forEach(region => {
+
+    // Stacks are regions in their own right and hold the widget instances inside them.
+    const stackType = region.descriptor && region.descriptor.stackType
+    const container = stackType ? graph.findInstance("stackInstance", stackType, region.displayName) : stack
+
+    stackType && graph.addEdge("usesStack", layout, container)
+
+    const widgetInstances = region.widgets || []
+
+    widgetInstances.forEach(widgetInstance => {
+
+      const to = graph.findInstance("widgetInstance",
+        widgetInstance.descriptor && widgetInstance.descriptor.widgetType, widgetInstance.displayName)
+
+      container && graph.addEdge("containsInstance", container, to)
+      graph.addEdge("usesInstance", layout, to)
+    })
+
+    addRegionDependencies(graph, layout, region.regions, container)
+  })
+}
+
+/**
+ * Ask the server which widget instances and stacks each page layout uses.
+ * @param graph
+ * @returns a BlueBird promise.
+ */
+function addLayoutDependencies(graph) {
+
+  return endPointTransceiver.listLayouts().then(results => {
+
+    return Promise.each(results.data.items, pageLayoutGroup => {
+
+      return Promise.each(pageLayoutGroup.pageLayouts, pageLayout => {
+
+        return endPointTransceiver.getLayoutStructure([pageLayout.layout.repositoryId]).then(results => {
+
+          const layout = graph.addNode("layout", pageLayout.layout.repositoryId, pageLayout.layout.displayName)
+          addRegionDependencies(graph, layout, results.data.layout.regions)
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Work out who depends on what.
+ * @param includeLayouts - true if we should ask the server about page layouts too.
+ * @returns a BlueBird promise that resolves to the Graph.
+ */
+const buildGraph = Promise.method(includeLayouts => {
+
+  const graph = buildLocalGraph()
+
+  return (includeLayouts ? addLayoutDependencies(graph) : Promise.resolve()).then(() => graph)
+})
+
+/**
+ * Describe each dependency in words.
+ * @param graph
+ * @returns {Array} of {key, substitutions} objects, one per dependency.
+ */
+function describeEdges(graph) {
+
+  return graph.toJSON().edges.map(edge => ({
+    key: edgeKinds[edge.kind].key,
+    substitutions: {from: graph.nodes.get(edge.from).name, to: graph.nodes.get(edge.to).name}
+  }))
+}
+
+/**
+ * Make a string safe to use as a quoted DOT id.
+ * @param text
+ * @returns {string}
+ */
+function quoteForDot(text) {
+  return `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`
+}
+
+/**
+ * Turn the graph into something Graphviz can draw.
+ * @param graph
+ * @returns {string}
+ */
+function toDot(graph) {
+
+  const json = graph.toJSON()
+
+  return ["digraph dependencies {", "  rankdir=LR;"]
+    .concat(json.nodes.map(node =>
+      `  ${quoteForDot(node.id)} [label=${quoteForDot(node.name)}, shape=${dotShapes[node.type]}];`))
+    .concat(json.edges.map(edge =>
+      `  ${quoteForDot(edge.from)} -> ${quoteForDot(edge.to)} [label=${quoteForDot(edgeKinds[edge.kind].label)}];`))
+    .concat(["}", ""]).join("\n")
+}
+
+/**
+ * Entry point. Tell the user what depends on what.
+ * @param graphFile - optional file to write the graph to. Files ending in .json get JSON, .dot or .gv get Graphviz
+ * DOT and anything else gets text.
+ * @param includeLayouts - true if we should ask the server about page layouts too.
+ * @returns a BlueBird promise.
+ */
+const reportGraph = Promise.method((graphFile, includeLayouts) => {
+
+  // Need something to work from.
+  if (!exists(constants.trackingDir)) {
+    error("noGrabbedContentFound")
+    return
+  }
+
+  return buildGraph(includeLayouts).then(graph => {
+
+    const descriptions = describeEdges(graph)
+
+    descriptions.length
+      ? descriptions.forEach(description => info(description.key, description.substitutions))
+      : info("noDependenciesFound")
+
+    // Write out a copy in the format the user wants. The file is relative to where we were run from, not the base
+    // directory.
+    if (graphFile) {
+
+      const extension = upath.extname(graphFile).toLowerCase()
+
+      writeFile(upath.resolve(graphFile), extension === ".json"
+        ? JSON.stringify(graph, null, 2)
+        : [".dot", ".gv"].includes(extension)
+          ? toDot(graph)
+          : descriptions.map(description => t(description.key, description.substitutions)).concat("").join("\n"))
+
+      info("graphWrittenToFile", {graphFile})
+    }
+
+    return graph
+  })
+})
+
+exports.buildGraph = buildGraph
+exports.buildLocalGraph = buildLocalGraph
+exports.findTagsForWidget = findTagsForWidget
+exports.reportGraph = reportGraph
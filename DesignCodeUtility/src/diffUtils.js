@@ -0,0 +1,336 @@
+"use strict"
+
+// Past this many edits, finding the shortest path costs more than it is worth so we just say everything changed.
+const maxEdits = 1000
+
+/**
+ * Break the supplied text up into lines, ignoring any trailing new line.
+ * @param text
+ * @returns {Array}
+ */
+function splitLines(text) {
+
+  // Treat missing content as empty.
+  if (!text) {
+    return []
+  }
+
+  const lines = text.split(/\r?\n/)
+
+  // A trailing new line would otherwise give us a spurious empty line at the end.
+  lines[lines.length - 1] === "" && lines.pop()
+
+  return lines
+}
+
+/**
+ * Treat every old line as deleted and every new line as inserted.
+ * @param oldLines
+ * @param newLines
+ * @returns {Array} edits in the same form as diffLines().
+ */
+function replaceAll(oldLines, newLines) {
+
+  return oldLines.map((line, index) => ({type: "delete", oldIndex: index, newIndex: 0, line}))
+    .concat(newLines.map((line, index) => ({type: "insert", oldIndex: oldLines.length, newIndex: index, line})))
+}
+
+/**
+ * Figure out the shortest set of edits needed to turn oldLines into newLines using Myers' algorithm.
+ * If the files are too different to be worth it, the whole file is reported as replaced.
+ * @param oldLines
+ * @param newLines
+ * @param limit - the most edits we will look for.
+ * @returns {Array} an array of {type, oldIndex, newIndex, line} objects where type is "equal", "delete" or "insert".
+ */
+function diffLines(oldLines, newLines, limit = maxEdits) {
+
+  const n = oldLines.length, m = newLines.length, lastPass = Math.min(n + m, limit), offset = lastPass + 1
+
+  // v holds the furthest x reached on each diagonal.
+  const v = new Array(2 * offset + 1).fill(0)
+  const trace = []
+
+  for (let d = 0; d <= lastPass; d++) {
+
+    // Keep the diagonals we could have come from on each pass so we can find our way back.
+    trace.push(v.slice(offset - d, offset + d + 1))
+
+    for (let k = -d; k <= d; k += 2) {
+
+      // Decide whether to come down (insert) or across (delete) onto this diagonal.
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1
+      let y = x - k
+
+      // Follow any matching lines for free.
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++
+        y++
+      }
+
+      v[offset + k] = x
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, oldLines, newLines)
+      }
+    }
+  }
+
+  return replaceAll(oldLines, newLines)
+}
+
+/**
+ * Walk back through the trace from diffLines to build up the list of edits.
+ * @param trace - the diagonals from -d to d on each pass d.
+ * @param oldLines
+ * @param newLines
+ * @returns {Array}
+ */
+function backtrack(trace, oldLines, newLines) {
+
+  const edits = []
+  let x = oldLines.length, y = newLines.length
+
+  const addEqual = () => {
+    x--
+    y--
+    edits.push({type: "equal", oldIndex: x, newIndex: y, line: oldLines[x]})
+  }
+
+  for (let d = trace.length - 1; d > 0; d--) {
+
+    const v = trace[d], k = x - y
+
+    // Work out which diagonal we came from.
+    const prevK = (k === -d || (k !== d && v[d + k - 1] < v[d + k + 1])) ? k + 1 : k - 1
+    const prevX = v[d + prevK], prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      addEqual()
+    }
+
+    if (prevK === k + 1) {
+      y--
+      edits.push({type: "insert", oldIndex: x, newIndex: y, line: newLines[y]})
+    } else {
+      x--
+      edits.push({type: "delete", oldIndex: x, newIndex: y, line: oldLines[x]})
+    }
+  }
+
+  // Anything left over at the start must be the same in both.
+  while (x > 0 && y > 0) {
+    addEqual()
+  }
+
+  return edits.reverse()
+}
+
+/**
+ * Format a hunk range the way diff does - empty ranges refer to the line before and single lines have no count.
+ * @param start - zero based index of the first line.
+ * @param count
+ * @returns {string}
+ */
+function formatRange(start, count) {
+
+  switch (count) {
+    case 0:
+      return `${start},0`
+    case 1:
+      return `${start + 1}`
+    default:
+      return `${start + 1},${count}`
+  }
+}
+
+/**
+ * Generate a unified diff between the supplied pieces of text.
+ * @param oldText
+ * @param newText
+ * @param oldLabel - used in the --- line.
+ * @param newLabel - used in the +++ line.
+ * @param context - number of unchanged lines to show around each change.
+ * @returns {string} the diff or an empty string if the text is the same.
+ */
+function unifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+
+  const edits = diffLines(splitLines(oldText), splitLines(newText))
+
+  // Nothing to say if nothing changed.
+  if (edits.every(edit => edit.type === "equal")) {
+    return ""
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`]
+  let index = 0
+
+  while (index < edits.length) {
+
+    // Skip to the next change.
+    while (index < edits.length && edits[index].type === "equal") {
+      index++
+    }
+
+    if (index === edits.length) {
+      break
+    }
+
+    // Keep adding changes to the hunk until we find a long enough run of unchanged lines to split on.
+    let lastChange = index, scan = index
+
+    while (scan < edits.length) {
+
+      if (edits[scan].type !== "equal") {
+        lastChange = scan++
+      } else {
+
+        let runEnd = scan
+        while (runEnd < edits.length && edits[runEnd].type === "equal") {
+          runEnd++
+        }
+
+        if (runEnd === edits.length || runEnd - scan > 2 * context) {
+          break
+        }
+
+        scan = runEnd
+      }
+    }
+
+    const hunk = edits.slice(Math.max(0, index - context), Math.min(edits.length, lastChange + context + 1))
+
+    const oldCount = hunk.filter(edit => edit.type !== "insert").length
+    const newCount = hunk.filter(edit => edit.type !== "delete").length
+
+    // The first edit tells us where we are in both files.
+    output.push(`@@ -${formatRange(hunk[0].oldIndex, oldCount)} +${formatRange(hunk[0].newIndex, newCount)} @@`)
+
+    hunk.forEach(edit => output.push(`${edit.type === "equal" ? " " : edit.type === "delete" ? "-" : "+"}${edit.line}`))
+
+    index = lastChange + 1
+  }
+
+  return output.join("\n")
+}
+
+/**
+ * Turn a list of edits into a list of changes to the original lines.
+ * @param edits - as returned by diffLines().
+ * @returns {Array} an array of {start, end, lines} objects where lines replace the original lines from start to end.
+ */
+function getChanges(edits) {
+
+  const changes = []
+  let change = null
+
+  edits.forEach(edit => {
+
+    // Unchanged lines end the current change.
+    if (edit.type === "equal") {
+      change = null
+      return
+    }
+
+    if (!change) {
+      change = {start: edit.oldIndex, end: edit.oldIndex, lines: []}
+      changes.push(change)
+    }
+
+    edit.type === "delete" ? change.end = edit.oldIndex + 1 : change.lines.push(edit.line)
+  })
+
+  return changes
+}
+
+/**
+ * Apply the supplied changes to the original lines between start and end.
+ * @param lines
+ * @param start
+ * @param end
+ * @param changes - must be in order and fall between start and end.
+ * @returns {Array}
+ */
+function applyChanges(lines, start, end, changes) {
+
+  const result = []
+  let position = start
+
+  changes.forEach(change => {
+    result.push(...lines.slice(position, change.start), ...change.lines)
+    position = change.end
+  })
+
+  result.push(...lines.slice(position, end))
+
+  return result
+}
+
+/**
+ * Do a three way merge of two sets of changes to the same original text.
+ * Where both sides change the same lines differently, the result will contain conflict markers.
+ * @param baseText - the text both sides started from.
+ * @param localText
+ * @param remoteText
+ * @param localLabel - used to label the local side of any conflicts.
+ * @param remoteLabel - used to label the remote side of any conflicts.
+ * @returns {{text: string, conflicts: number}}
+ */
+function mergeText(baseText, localText, remoteText, localLabel, remoteLabel) {
+
+  const baseLines = splitLines(baseText)
+
+  // Tag each change with the side it came from and put them all in order.
+  const tagChanges = (text, side) =>
+    getChanges(diffLines(baseLines, splitLines(text))).map(change => Object.assign(change, {side}))
+
+  const changes = tagChanges(localText, "local").concat(tagChanges(remoteText, "remote"))
+    .sort((a, b) => a.start - b.start || a.end - b.end)
+
+  const output = []
+  let conflicts = 0, position = 0, index = 0
+
+  while (index < changes.length) {
+
+    // Gather up any changes that overlap or touch into one region.
+    const region = [changes[index++]]
+    const start = region[0].start
+    let end = region[0].end
+
+    while (index < changes.length && changes[index].start <= end) {
+      end = Math.max(end, changes[index].end)
+      region.push(changes[index++])
+    }
+
+    // Anything before the region is the same on both sides.
+    output.push(...baseLines.slice(position, start))
+
+    const localLines = applyChanges(baseLines, start, end, region.filter(change => change.side === "local"))
+    const remoteLines = applyChanges(baseLines, start, end, region.filter(change => change.side === "remote"))
+
+    if (region.every(change => change.side === "local")) {
+      output.push(...localLines)
+    } else if (region.every(change => change.side === "remote") || localLines.join("\n") === remoteLines.join("\n")) {
+      output.push(...remoteLines)
+    } else {
+
+      // Both sides changed the same lines in different ways - let the user sort it out.
+      conflicts++
+      output.push(`<<<<<<< ${localLabel}`, ...localLines, "=======", ...remoteLines, `>>>>>>> ${remoteLabel}`)
+    }
+
+    position = end
+  }
+
+  output.push(...baseLines.slice(position))
+
+  // Keep the trailing new line if the local file had one.
+  const text = output.join("\n") + (output.length && /\n$/.test(localText) ? "\n" : "")
+
+  return {text, conflicts}
+}
+
+exports.diffLines = diffLines
+exports.mergeText = mergeText
+exports.splitLines = splitLines
+exports.unifiedDiff = unifiedDiff
@@ -0,0 +1,275 @@
+"use strict"
+
+const basename = require("path").basename
+const Promise = require("bluebird")
+const upath = require("upath")
+
+const classify = require("./classifier").classify
+const constants = require("./constants").constants
+const endPointTransceiver = require("./endPointTransceiver")
+const error = require("./logger").error
+const exists = require("./utils").exists
+const findBaseDirFromPath = require("./utils").findBaseDirFromPath
+const getGrabbingConcurrency = require("./concurrencySettings").getGrabbingConcurrency
+const getTextSnippetEndpointParams = require("./textSnippetGrabber").getTextSnippetEndpointParams
+const info = require("./logger").info
+const initializeMetadata = require("./metadata").initializeMetadata
+const isDirectory = require("./utils").isDirectory
+const logInfo = require("./logger").logInfo
+const mergeCustomTextSnippets = require("./textSnippetGrabber").mergeCustomTextSnippets
+const normalize = require("./utils").normalize
+const PuttingFileType = require("./puttingFileType").PuttingFileType
+const readFile = require("./utils").readFile
+const readMetadata = require("./metadata").readMetadata
+const request = require("./requestBuilder").request
+const resolvePath = require("./utils").resolvePath
+const unifiedDiff = require("./diffUtils").unifiedDiff
+const walkDirectory = require("./utils").walkDirectory
+const warn = require("./logger").warn
+
+/**
+ * Call the supplied endpoint and pull out the bit of the response we want. This mirrors what the grabbers write to disk.
+ * @param endpoint
+ * @param urlParams
+ * @param extract - function that takes the response data and returns the file contents.
+ * @param requestBuilder - optional request to send.
+ * @returns A BlueBird promise that resolves to {contents, etag} or null if the server cannot help.
+ */
+function getFieldContents(endpoint, urlParams, extract, requestBuilder) {
+
+  // Not all servers have all endpoints.
+  if (!endPointTransceiver.serverSupports(endpoint)) {
+    return Promise.resolve(null)
+  }
+
+  return endPointTransceiver[endpoint](urlParams, requestBuilder).then(results => {
+
+    const contents = extract(results.data)
+
+    return {
+      contents: contents === undefined || contents === null ? "" : contents,
+      etag: results.response.headers.etag
+    }
+  })
+}
+
+/**
+ * Find the metadata for the path and use it to get the server copy of the file.
+ * @param path
+ * @param type - the type of metadata to look for.
+ * @param getContents - function that takes the metadata and returns a promise for the contents.
+ * @returns A BlueBird promise that resolves to {contents, etag} or null if there is no matching asset on the server.
+ */
+function withMetadata(path, type, getContents) {
+  return readMetadata(path, type).then(metadata => metadata ? getContents(metadata) : null)
+}
+
+/**
+ * Theme files all come back in one response.
+ * @param path
+ * @param field
+ */
+function getThemeFile(path, field) {
+  return withMetadata(path, constants.themeMetadataJson, metadata =>
+    getFieldContents("getThemeSource", [metadata.repositoryId], data => data[field]))
+}
+
+/**
+ * Get the server copy of a widget instance file.
+ * @param path
+ * @param endpoint
+ * @param field
+ * @param transform - if true, swap the instance IDs for the placeholder the same way the grabber does.
+ */
+function getWidgetInstanceFile(path, endpoint, field, transform) {
+  return withMetadata(path, constants.widgetInstanceMetadataJson, metadata =>
+    getFieldContents(endpoint, [metadata.repositoryId], data => transform && data[field]
+      ? data[field].replace(constants.lessFileSubstitutionReqExp, constants.widgetInstanceSubstitutionValue)
+      : data[field]))
+}
+
+/**
+ * Get the server copy of a stack instance file.
+ * @param path
+ * @param endpoint
+ */
+function getStackInstanceFile(path, endpoint) {
+  return withMetadata(path, constants.stackInstanceMetadataJson, metadata =>
+    getFieldContents(endpoint, [metadata.repositoryId], data => data.source))
+}
+
+/**
+ * Get the server copy of an element file. Widget elements need the widget ID as well.
+ * @param path
+ * @param endpoint
+ * @param field
+ */
+function getElementFile(path, endpoint, field) {
+  return withMetadata(path, constants.elementMetadataJson, metadata =>
+    getFieldContents(endpoint, metadata.widgetId ? [metadata.widgetId, metadata.tag] : [metadata.tag],
+      data => data.code && data.code[field], request().ignoring(404)))
+}
+
+/**
+ * Get the server copy of the global text snippets for the locale given by the path.
+ * @param path
+ */
+function getGlobalSnippets(path) {
+
+  // Path will look like snippets/en/snippets.json.
+  const tokens = path.split("/")
+  const localeName = tokens[tokens.length - 2]
+
+  // Use the best endpoint available.
+  const endpoint = endPointTransceiver.serverSupports("getResourceStringsForLocale") ? "getResourceStringsForLocale" : "getResourceStrings"
+
+  return getFieldContents(endpoint, getTextSnippetEndpointParams(localeName),
+    data => data.resources && JSON.stringify(mergeCustomTextSnippets(data), null, 2), request().withLocale(localeName))
+}
+
+// Mapping between file type and the function that gets the server copy.
+const remoteContentMap = new Map([
+  [PuttingFileType.APPLICATION_LEVEL_JAVASCRIPT, path =>
+    getFieldContents("getApplicationJavaScript", [basename(path)], data => data.source)],
+  [PuttingFileType.GLOBAL_SNIPPETS, getGlobalSnippets],
+  [PuttingFileType.THEME_STYLES, path => getThemeFile(path, "styles")],
+  [PuttingFileType.THEME_ADDITIONAL_STYLES, path => getThemeFile(path, "additionalStyles")],
+  [PuttingFileType.THEME_VARIABLES, path => getThemeFile(path, "variables")],
+  [PuttingFileType.WIDGET_INSTANCE_TEMPLATE, path => getWidgetInstanceFile(path, "getWidgetSourceCode", "source")],
+  [PuttingFileType.WEB_CONTENT_TEMPLATE, path => getWidgetInstanceFile(path, "getWidgetWebContent", "content")],
+  [PuttingFileType.WIDGET_INSTANCE_LESS, path => getWidgetInstanceFile(path, "getWidgetLess", "source", true)],
+  [PuttingFileType.STACK_INSTANCE_TEMPLATE, path => getStackInstanceFile(path, "getStackSourceCode")],
+  [PuttingFileType.STACK_INSTANCE_LESS, path => getStackInstanceFile(path, "getStackLess")],
+  [PuttingFileType.STACK_INSTANCE_VARIABLES_LESS, path => getStackInstanceFile(path, "getStackLessVars")],
+  [PuttingFileType.ELEMENT_TEMPLATE, path => getElementFile(path, "getFragmentTemplate", "template")],
+  [PuttingFileType.ELEMENT_JAVASCRIPT, path => getElementFile(path, "getFragmentJavaScript", "javascript")],
+  [PuttingFileType.GLOBAL_ELEMENT_TEMPLATE, path => getElementFile(path, "getGlobalElementTemplate", "template")],
+  [PuttingFileType.GLOBAL_ELEMENT_JAVASCRIPT, path => getElementFile(path, "getGlobalElementJavaScript", "javascript")]
+])
+
+/**
+ * Return true if we know how to get the server copy of the supplied file.
+ * @param path
+ * @returns {boolean}
+ */
+function canDiff(path) {
+  return remoteContentMap.has(classify(path))
+}
+
+/**
+ * Get the file given by path as it currently is on the server, along with its etag.
+ * @param path
+ * @returns A BlueBird promise that resolves to {contents, etag} or null if the server does not have a copy.
+ */
+const getRemoteFile = Promise.method(path => {
+
+  const getter = remoteContentMap.get(classify(path))
+  return getter ? getter(path) : null
+})
+
+/**
+ * Get the contents of the file given by path as it currently is on the server.
+ * @param path
+ * @returns A BlueBird promise that resolves to the contents or null if the server does not have a copy.
+ */
+function getRemoteContent(path) {
+  return getRemoteFile(path).then(remoteFile => remoteFile && remoteFile.contents)
+}
+
+/**
+ * Find all the files beneath the supplied path that we could compare with the server.
+ * @param path
+ * @returns {Array}
+ */
+function findDiffablePaths(path) {
+
+  // Simple case first.
+  if (!isDirectory(path)) {
+    return [path]
+  }
+
+  const paths = []
+
+  walkDirectory(path, {
+    listeners: {
+      file: (root, fileStat, next) => {
+
+        const filePath = upath.join(root, fileStat.name)
+
+        // Keep out of the tracking directory.
+        !filePath.split("/").includes(constants.trackingDir) && canDiff(filePath) && paths.push(filePath)
+        next()
+      }
+    }
+  })
+
+  return paths.sort()
+}
+
+/**
+ * Compare the local copy of the supplied file with the server copy.
+ * @param path
+ * @returns A BlueBird promise that resolves to the diff text, which is empty if there are no differences.
+ */
+function diffPath(path) {
+
+  return getRemoteContent(path).then(remoteContent => {
+
+    // Most likely the asset has never been sent to this server.
+    if (remoteContent === null) {
+      warn("noServerCopyToDiff", {path})
+      return ""
+    }
+
+    // Label the files with their path relative to the base directory, with the server copy as the original.
+    const relativePath = upath.relative(resolvePath(findBaseDirFromPath(path)), resolvePath(path))
+
+    return unifiedDiff(remoteContent, readFile(path), `a/${relativePath}`, `b/${relativePath}`)
+  })
+}
+
+/**
+ * Entry point. Show the differences between the file or files given by path and what is on the server.
+ * @param rawPath
+ * @param node
+ * @returns A BlueBird promise that resolves to an array of {path, differences} objects.
+ */
+const diff = Promise.method((rawPath, node) => {
+
+  // Normalize the path in case its in windows format.
+  const path = normalize(rawPath)
+
+  // Make sure file actually exists.
+  if (!exists(path)) {
+    error("pathDoesNotExist", {path})
+    return
+  }
+
+  // Let the user know if we can't help with a specific file.
+  if (!isDirectory(path) && !canDiff(path)) {
+    warn("cannotDiffPath", {path})
+    return
+  }
+
+  info("diffingPath", {path, node})
+
+  // Need the metadata to find things on the server.
+  return initializeMetadata().then(() => Promise.map(findDiffablePaths(path),
+    diffablePath => diffPath(diffablePath).then(differences => ({path: diffablePath, differences})),
+    getGrabbingConcurrency())).then(results => {
+
+    // Output everything in one go so diffs for different files don't get mixed up.
+    const changed = results.filter(result => result.differences)
+    changed.forEach(result => logInfo(result.differences))
+
+    changed.length ? info("differencesFound", {count: changed.length}) : info("noDifferencesFound", {path})
+
+    return results
+  })
+})
+
+exports.canDiff = canDiff
+exports.diff = diff
+exports.findDiffablePaths = findDiffablePaths
+exports.getRemoteContent = getRemoteContent
+exports.getRemoteFile = getRemoteFile
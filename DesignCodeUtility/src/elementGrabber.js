@@ -12,9 +12,11 @@ const warn = require("./logger").warn
  * editable here unless one of their parent widgets has editable JS.
  *
  * Note that we are assuming here that widgets have already been grabbed in previous step.
+ * @param includeWidgetElements
+ * @param nameFilter - optional function that returns true for the element and widget names we want.
  * @returns A BlueBird promise
  */
-function grabAllElements(includeWidgetElements = true) {
+function grabAllElements(includeWidgetElements = true, nameFilter) {
 
   // Create a directory for global elements.
   makeTrackedDirectory(constants.elementsDir)
@@ -23,11 +25,11 @@ function grabAllElements(includeWidgetElements = true) {
   if (endPointTransceiver.serverSupports("getFragmentTemplate", "getFragmentJavaScript")) {
 
     // Try to get any global elements first.
-    return grabGlobalElements().then(results => {
+    return grabGlobalElements(nameFilter).then(results => {
 
       // In some cases, the user may only want global elements.
       if (includeWidgetElements) {
-        return grabWidgetElements()
+        return grabWidgetElements(null, nameFilter)
       }
     })
   } else {
@@ -5,17 +5,51 @@
 
 const Promise = require("bluebird")
 
+const debug = require("./logger").debug
 const i18n = require("./i18n")
 const makePromisingClient = require("./promisingClient").makePromisingClient
 const osLanguage = require('./utils').shortLocale
 const osLocale = require('./utils').osLocale
 const request = require("./requestBuilder").request
+const setLogNode = require("./logger").setLogNode
 const setNodeName = require("./etags").setNodeName
 const setProfileType = require("./requestBuilder").setProfileType
 const stripProtocol = require("./utils").stripProtocol
 const warn = require("./logger").warn
 
-const self = this
+// How long an access token lasts if the login response does not tell us.
+const DEFAULT_TOKEN_LIFETIME = 180000
+
+// Get a new access token this long before the current one expires so requests never go out with a stale one.
+const TOKEN_REFRESH_MARGIN = 30000
+
+/**
+ * Create somewhere to keep everything we know about a server connection. Library users get one of these per
+ * connection so they can talk to more than one server in the same process.
+ * @returns the scope.
+ */
+function createScope() {
+  return {urlBase: "/ccadminui/v1/", endpoints: {}, loginData: null, pendingLogin: null, refreshAt: 0}
+}
+
+// The connection we are currently using. The command line tools only need one at a time.
+let scope = createScope()
+
+/**
+ * Switch over to the supplied connection. Only do this when nothing is in flight on the current one.
+ * @param newScope
+ */
+function useScope(newScope) {
+
+  scope = newScope
+
+  // Other modules were told about the server when we connected so tell them again.
+  if (scope.instance) {
+    setNodeName(stripProtocol(scope.instance).split(":").join(""))
+    setProfileType(scope.applicationKey ? "applicationAccess" : "adminUI")
+    scope.locale && i18n.init(scope.locale)
+  }
+}
 
 /**
  * Set up the module.
@@ -31,17 +65,22 @@ const self = this
 function init(instance, userName, password, applicationKey, overrideLocale, allLocales) {
 
   // Save off the parameters.
-  exports.instance = self.instance = instance
-  self.userName = userName
-  self.password = password
-  self.applicationKey = applicationKey
-  self.loginData = null
+  scope.instance = instance
+  scope.userName = userName
+  scope.password = password
+  scope.applicationKey = applicationKey
+  scope.loginData = null
+  scope.pendingLogin = null
+  scope.refreshAt = 0
 
   // Tell the etags module about the node name. Remove any colons.
   setNodeName(stripProtocol(instance).split(":").join(""))
 
+  // Log lines can then say which server they are about.
+  setLogNode(instance)
+
   // Set up an augmented version of node-rest-client.
-  self.client = makePromisingClient()
+  scope.client = makePromisingClient(instance)
 
   // Do the necessary server related set up.
   return setUpFromMetaData(overrideLocale, allLocales)
@@ -54,11 +93,9 @@ function init(instance, userName, password, applicationKey, overrideLocale, allL
  */
 function get(url) {
 
-  return self.client.getAndPromise(url, request().build(self.loginData.data.access_token))
+  return login().then(loginData => scope.client.getAndPromise(url, request().build(loginData.data.access_token)))
 }
 
-// Make this available to caller in case they need to fashion their own URLs.
-exports.urlBase = "/ccadminui/v1/"
 
 /**
  * Used to determine if the server supports all the supplied operations.
@@ -68,7 +105,7 @@ exports.urlBase = "/ccadminui/v1/"
  */
 function serverSupports(...operations) {
 
-  return operations.every(operation => exports[operation])
+  return operations.every(operation => scope.endpoints[operation])
 }
 
 /**
@@ -91,7 +128,7 @@ function processLocaleInformation(localeData, overrideLocale, allLocales) {
 
   if (allLocales) {
     // Keep all available locales if we are trying for them all.
-    exports.locales = localeData.items
+    scope.locales = localeData.items
 
   } else if (overrideLocale) {
     // See if we want a specific locale - find it in the response data.
@@ -100,7 +137,7 @@ function processLocaleInformation(localeData, overrideLocale, allLocales) {
     const match = localeData.items.find(locale => locale.name === overrideLocale)
 
     if (match) {
-      exports.locales = [match]
+      scope.locales = [match]
     } else {
       const localeIsNotRecognized = i18n.t("localeIsNotRecognized", {name: overrideLocale})
       throw new Error(localeIsNotRecognized)
@@ -111,7 +148,7 @@ function processLocaleInformation(localeData, overrideLocale, allLocales) {
     // This is the default case. Use the server locale unless its en_US (which is supported but has no snippets).
     if (localeData.defaultLocale.name !== "en_US") {
 
-      exports.locales = [localeData.defaultLocale]
+      scope.locales = [localeData.defaultLocale]
     } else {
 
       // Fall back to the 2 letter code (en).
@@ -121,15 +158,15 @@ function processLocaleInformation(localeData, overrideLocale, allLocales) {
       const shortMatch = localeData.items.find(locale => locale.name === shortLocale)
 
       // Save off the matching locale.
-      exports.locales = [shortMatch]
+      scope.locales = [shortMatch]
     }
   }
 
   // Save off the server default locale for later use unless we have a default locale selected somehow.
-  exports.locale = exports.locales.length === 1 ? exports.locales[0].name : localeData.defaultLocale.name
+  scope.locale = scope.locales.length === 1 ? scope.locales[0].name : localeData.defaultLocale.name
 
   // Now we are decided on locale, tell the i18n module.
-  i18n.init(exports.locale)
+  i18n.init(scope.locale)
 }
 
 /**
@@ -138,13 +175,13 @@ function processLocaleInformation(localeData, overrideLocale, allLocales) {
  */
 function getLocales() {
 
-  if (exports.listLocales) {
+  if (scope.endpoints.listLocales) {
 
     // Next find out what locales we have.
-    return exports.listLocales("?withAliases=true")
+    return scope.endpoints.listLocales("?withAliases=true")
   } else {
 
-    throw i18n.t("notAdministrationInterface", {name: self.instance})
+    throw i18n.t("notAdministrationInterface", {name: scope.instance})
   }
 }
 
@@ -154,9 +191,20 @@ function getLocales() {
  */
 function createEndPointFunctions(results) {
 
+  // We may have been connected to a different server before, so forget about what it could do.
+  scope.endpoints = {}
+
   for (let endpointName in results.data.endpointMap) {
-    exports[endpointName] =
+
+    scope.endpoints[endpointName] =
       (parameter1, parameter2, parameter3) => callEndPoint(results.data.endpointMap[endpointName], parameter1, parameter2, parameter3)
+
+    // Callers find endpoints on the module so point it at whichever connection is current.
+    !(endpointName in exports) && Object.defineProperty(exports, endpointName, {
+      configurable: true,
+      enumerable: true,
+      get: () => scope.endpoints[endpointName]
+    })
   }
 }
 
@@ -169,17 +217,17 @@ function createEndPointFunctions(results) {
 function setUpFromMetaData(overrideLocale, allLocales) {
 
   // Set a temporary locale for now.
-  exports.locale = osLocale()
+  scope.locale = osLocale()
 
   return login().then(() => {
-    return self.client.getAndPromise(pathFor(`${exports.urlBase}registry`))
+    return scope.client.getAndPromise(pathFor(`${scope.urlBase}registry`))
   }).then(results => {
 
     // Create methods to match each of the available endpoints.
     createEndPointFunctions(results)
 
     // Take a note of the CC version for later.
-    exports.commerceCloudVersion = results.response.headers["oraclecommercecloud-version"]
+    scope.commerceCloudVersion = results.response.headers["oraclecommercecloud-version"]
 
     // Make sure we are not pointing at a store server by mistake.
     return getLocales()
@@ -239,24 +287,23 @@ function callEndPoint(endPointInformation, ...params) {
   const parameters = unpack.apply(null, params)
 
   // Find the match method on the node-rest-client instance.
-  const methodToCall = self.client[`${endPointInformation.method.toLowerCase()}AndPromise`]
+  const methodToCall = scope.client[`${endPointInformation.method.toLowerCase()}AndPromise`]
   const endpointPath = pathFor(endPointInformation.url, parameters.pathParams, parameters.urlAndOrQueryString)
 
+  const callWithToken = loginData => methodToCall(endpointPath,
+    parameters.responseBuilder.build(loginData.data.access_token, endPointInformation), parameters.responseBuilder)
+
   // Now login and call the method returning a promise that we pass back to the caller.
-  return login().then(results =>
-    methodToCall(endpointPath,
-      parameters.responseBuilder.build(results.data.access_token, endPointInformation), parameters.responseBuilder)).then(results => {
-        if (results.response.statusCode == 401) {
-          // If we got a 401 then the request has been hanging long enough for
-          // the admin session to timeout. Retry with login.
-          warn("timeoutRetryWithLoginWarning", {url: endPointInformation.url})
-          return login().then(results =>
-            methodToCall(endpointPath,
-              parameters.responseBuilder.build(results.data.access_token, endPointInformation), parameters.responseBuilder))
-        } else {
-          return results
-        }
-      })
+  return login().then(loginData => callWithToken(loginData).then(results => {
+    if (results.response.statusCode == 401) {
+      // If we got a 401 then the request has been hanging long enough for
+      // the admin session to timeout. Retry with a new token.
+      warn("timeoutRetryWithLoginWarning", {url: endPointInformation.url})
+      return login(loginData.data.access_token).then(callWithToken)
+    } else {
+      return results
+    }
+  }))
 }
 
 /**
@@ -272,7 +319,7 @@ function pathFor(urlTemplate, pathParams, urlAndOrQueryString) {
   if (urlAndOrQueryString && !urlAndOrQueryString.startsWith("?")) {
 
     // Just prepend the server and return.
-    return `${self.instance}${urlAndOrQueryString}`
+    return `${scope.instance}${urlAndOrQueryString}`
   }
 
   // Start work on the template.
@@ -290,32 +337,78 @@ function pathFor(urlTemplate, pathParams, urlAndOrQueryString) {
     finalUrl += urlAndOrQueryString
   }
 
-  return `${self.instance}${finalUrl}`
+  return `${scope.instance}${finalUrl}`
 }
 
 /**
  * Log into the server, passing the response via a promise - unless we are already logged in.
+ * @param rejectedToken - optional access token the server has turned down, which we must not use again.
  * @return a Bluebird promise.
  */
-const login = Promise.method(function () {
+const login = Promise.method(function (rejectedToken) {
 
-  // See if we have logged in before.
-  if (self.loginData) {
+  // Somebody else is already logging in - wait for them rather than logging in again.
+  if (scope.pendingLogin) {
+    return scope.pendingLogin
+  }
 
-    // See if the login data is getting a bit old.
-    if (self.lastLogin && (Date.now() - self.lastLogin > 180000)) {
+  // See if the login data is still good.
+  if (scope.loginData && scope.loginData.data.access_token !== rejectedToken && Date.now() < scope.refreshAt) {
+    return scope.loginData
+  }
 
-      return getAndStoreLoginData()
-    } else {
+  // First time, the token is about to expire or the server has turned it down. Either way, everyone waits on the
+  // same login. There is no point asking the server to refresh a token it has already turned down.
+  scope.pendingLogin = (scope.loginData && !rejectedToken ? refreshLoginData() : getAndStoreLoginData())
+    .finally(() => scope.pendingLogin = null)
 
-      // Already logged in.
-      return self.loginData
-    }
-  } else {
-    // First time - need to log in.
+  return scope.pendingLogin
+})
+
+/**
+ * Hang on to the login response and work out when we will need a new access token.
+ * @param loginData
+ */
+function storeLoginData(loginData) {
+
+  const lifetime = loginData.data && loginData.data.expires_in ? loginData.data.expires_in * 1000 : DEFAULT_TOKEN_LIFETIME
+
+  scope.loginData = loginData
+  scope.refreshAt = scope.lastLogin + lifetime - Math.min(TOKEN_REFRESH_MARGIN, lifetime / 4)
+}
+
+/**
+ * Get a new access token before the old one expires. Where the server lets us, swap the old token for a new one
+ * rather than sending the user name and password again.
+ * @returns A BlueBird promise
+ */
+function refreshLoginData() {
+
+  debug("refreshingAccessToken")
+
+  if (scope.applicationKey || !scope.endpoints.refresh) {
     return getAndStoreLoginData()
   }
-})
+
+  scope.lastLogin = Date.now()
+
+  return scope.client.postAndPromise(pathFor(`${scope.urlBase}refresh`),
+    {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+        "Authorization": `Bearer ${scope.loginData.data.access_token}`
+      }
+    }).then(loginData => {
+
+      // Token may be too far gone to refresh - log in again instead.
+      if (loginData.data && loginData.data.access_token) {
+        storeLoginData(loginData)
+        return loginData
+      } else {
+        return getAndStoreLoginData()
+      }
+    }).catch(() => getAndStoreLoginData())
+}
 
 /**
  * Log in and save off the access token.
@@ -324,31 +417,31 @@ const login = Promise.method(function () {
 function getAndStoreLoginData() {
 
   // Keep track of the time we logged in.
-  self.lastLogin = Date.now()
+  scope.lastLogin = Date.now()
 
   // See if we are using an application key.
-  if (self.applicationKey) {
+  if (scope.applicationKey) {
 
     // Change over the URL base and profile as we are not pretending to be the GUI.
-    exports.urlBase = "/ccadmin/v1/"
+    scope.urlBase = "/ccadmin/v1/"
     setProfileType("applicationAccess")
 
-    return self.client.postAndPromise(pathFor(`${exports.urlBase}login/`),
+    return scope.client.postAndPromise(pathFor(`${scope.urlBase}login/`),
       {
         data: "grant_type=client_credentials",
         headers: {
           "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-          "Authorization": `Bearer ${self.applicationKey}`
+          "Authorization": `Bearer ${scope.applicationKey}`
         }
-      }).tap(loginData => self.loginData = loginData)
+      }).tap(storeLoginData)
   } else {
 
     // Using the (deprecated) user name and password. Cache the login response for later reuse.
-    return self.client.postAndPromise(pathFor(`${exports.urlBase}login/`),
+    return scope.client.postAndPromise(pathFor(`${scope.urlBase}login/`),
       {
-        data: `grant_type=password&username=${self.userName}&password=${self.password}`,
+        data: `grant_type=password&username=${scope.userName}&password=${scope.password}`,
         headers: {"Content-Type": "application/x-www-form-urlencoded; charset=UTF-8"}
-      }).tap(loginData => self.loginData = loginData)
+      }).tap(storeLoginData)
   }
 }
 
@@ -362,6 +455,19 @@ function checkCallSucceeded(results) {
 }
 
 exports.checkCallSucceeded = checkCallSucceeded
+exports.createScope = createScope
 exports.get = get
 exports.init = init
 exports.serverSupports = serverSupports
+exports.useScope = useScope
+
+// Make what we know about the current connection available to callers, including the URL base in case they need
+// to fashion their own URLs.
+const connectionProperties = ["instance", "urlBase", "locale", "locales", "commerceCloudVersion"]
+
+connectionProperties.forEach(name =>
+  Object.defineProperty(exports, name, {
+    enumerable: true,
+    get: () => scope[name],
+    set: value => scope[name] = value
+  }))
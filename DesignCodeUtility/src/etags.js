@@ -1,9 +1,13 @@
 "use strict"
 
+const createHash = require("crypto").createHash
+
 const constants = require("./constants").constants
 const findBaseDirFromPath = require("./utils").findBaseDirFromPath
 const exists = require("./utils").exists
+const isDirectory = require("./utils").isDirectory
 const readFile = require("./utils").readFile
+const resolvePath = require("./utils").resolvePath
 const removeTree = require("./utils").removeTree
 const writeFile = require("./utils").writeFile
 
@@ -11,6 +15,16 @@ const Path = require('path')
 
 let nodeName
 
+// Full copies of files are only kept for merging when the user asks for them, as they double the size of a grab.
+let keepBaseCopies = false
+
+/**
+ * Start keeping a copy of each file as it was on the server so server changes can be merged in later.
+ */
+function enableBaseCopies() {
+  keepBaseCopies = true
+}
+
 /**
  * Store the name of the node for etag file naming purposes.
  * @param name
@@ -26,6 +40,79 @@ function setNodeName(name) {
  */
 function writeEtag(path, etag) {
   writeFile(getEtagPath(path), etag)
+
+  // The file on disk now matches the server so remember what it looked like.
+  writeContentHash(path)
+}
+
+/**
+ * Store a hash of the contents of the file given by path in the tracking directory so we can tell later on if the
+ * file has been changed locally. If we are keeping copies to merge against, or already have one, store a copy too.
+ * @param path
+ * @param contents - optional contents to record, if not the current contents of the file.
+ */
+function writeContentHash(path, contents) {
+
+  if (contents === undefined) {
+
+    // Some putters pass in directories rather than files - nothing to hash there.
+    if (!exists(path) || isDirectory(resolvePath(path))) {
+      return
+    }
+
+    contents = readFile(path, null)
+  }
+
+  writeFile(getTrackingPath(path, constants.contentHashSuffix), hashContents(contents))
+
+  // An out of date copy would make a merge undo changes, so any copy we have must be kept up to date.
+  const baseContentPath = getTrackingPath(path, constants.baseContentSuffix)
+
+  if (keepBaseCopies || exists(baseContentPath)) {
+    writeFile(baseContentPath, contents)
+  }
+}
+
+/**
+ * Work out a hash of the current contents of the file given by path.
+ * @param path
+ * @returns {string} a hex encoded hash
+ */
+function computeContentHash(path) {
+  return hashContents(readFile(path, null))
+}
+
+/**
+ * Work out a hash of the supplied contents.
+ * @param contents - string or buffer.
+ * @returns {string} a hex encoded hash
+ */
+function hashContents(contents) {
+  return createHash("sha256").update(contents).digest("hex")
+}
+
+/**
+ * Find the content hash stored at the time the file was last grabbed or sent.
+ * @param path
+ * @returns {string} the hash or an empty string if there is not one.
+ */
+function storedContentHashFor(path) {
+
+  const contentHashPath = getTrackingPath(path, constants.contentHashSuffix)
+
+  return exists(contentHashPath) ? readFile(contentHashPath) : ""
+}
+
+/**
+ * Find the copy of the file stored at the time it was last grabbed or sent.
+ * @param path
+ * @returns {string} the contents or null if there is no copy.
+ */
+function storedBaseContentFor(path) {
+
+  const baseContentPath = getTrackingPath(path, constants.baseContentSuffix)
+
+  return exists(baseContentPath) ? readFile(baseContentPath) : null
 }
 
 /**
@@ -67,6 +154,15 @@ function eTagFor(path) {
  * @param path - could be relative or absolute.
  */
 function getEtagPath(path) {
+  return getTrackingPath(path, constants.etagSuffix)
+}
+
+/**
+ * Given a path to an asset, find the path to the node specific tracking file with the supplied suffix.
+ * @param path - could be relative or absolute.
+ * @param suffix
+ */
+function getTrackingPath(path, suffix) {
 
   // See if path needs a massage.
   if (Path.isAbsolute(path)) {
@@ -75,11 +171,28 @@ function getEtagPath(path) {
     const baseDir = findBaseDirFromPath(path)
 
     // Remove the base dir from the supplied path.
-    return `${baseDir}/${constants.trackingDir}/${path.replace(baseDir, "")}_${nodeName}${constants.etagSuffix}`
+    return `${baseDir}/${constants.trackingDir}/${path.replace(baseDir, "")}_${nodeName}${suffix}`
   } else {
 
     // Simple case - must be relative to current or supplied base directory.
-    return `${constants.trackingDir}/${path}_${nodeName}${constants.etagSuffix}`
+    return `${constants.trackingDir}/${path}_${nodeName}${suffix}`
+  }
+}
+
+/**
+ * Work out the asset path from the path to one of its tracking files. This is the reverse of getTrackingPath().
+ * @param trackingPath - relative to the base directory e.g. .ccc/widget/Fred/display.template_localhost8080.etag
+ * @param suffix
+ * @returns {string} the asset path or null if the tracking file does not belong to the current node.
+ */
+function getAssetPathFromTrackingPath(trackingPath, suffix) {
+
+  const prefix = `${constants.trackingDir}/`, nodeSuffix = `_${nodeName}${suffix}`
+
+  if (trackingPath.startsWith(prefix) && trackingPath.endsWith(nodeSuffix)) {
+    return trackingPath.slice(prefix.length, trackingPath.length - nodeSuffix.length)
+  } else {
+    return null
   }
 }
 
@@ -99,10 +212,26 @@ function resetEtag(path) {
   removeTree(path)
 }
 
+/**
+ * Get rid of everything we know about the file given by path for the current node.
+ * @param path
+ */
+function removeTrackingFiles(path) {
+  [constants.etagSuffix, constants.contentHashSuffix, constants.baseContentSuffix]
+    .forEach(suffix => removeTree(getTrackingPath(path, suffix)))
+}
+
+exports.computeContentHash = computeContentHash
 exports.decodeEtag = decodeEtag
 exports.dumpEtag = dumpEtag
+exports.enableBaseCopies = enableBaseCopies
 exports.eTagFor = eTagFor
+exports.getAssetPathFromTrackingPath = getAssetPathFromTrackingPath
 exports.setNodeName = setNodeName
+exports.removeTrackingFiles = removeTrackingFiles
 exports.resetEtag = resetEtag
+exports.storedBaseContentFor = storedBaseContentFor
+exports.storedContentHashFor = storedContentHashFor
+exports.writeContentHash = writeContentHash
 exports.writeDummyEtag = writeDummyEtag
 exports.writeEtag = writeEtag
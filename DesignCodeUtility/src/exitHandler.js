@@ -1,5 +1,6 @@
 const logError = require("./logger").logError
 const logger = require("./logger")
+const reportRequestRates = require("./promisingClient").reportRequestRates
 
 /**
  * Add on some extra code to ensure that we return a non-zero exit code in the event of a serious error.
@@ -10,6 +11,9 @@ function addExitHandler(promise) {
 
   return promise.then(() => {
 
+    // Let the user know how hard we pushed the server.
+    reportRequestRates()
+
     // See if anything was bad passed to the logger.
     if (logger.hadSeriousError) {
       process.exit(1)
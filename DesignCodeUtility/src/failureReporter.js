@@ -0,0 +1,101 @@
+"use strict"
+
+const upath = require("upath")
+
+const info = require("./logger").info
+const resolvePath = require("./utils").resolvePath
+const warn = require("./logger").warn
+const writeFile = require("./utils").writeFile
+
+/**
+ * Make text safe to drop into an XML attribute or element.
+ * @param text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+}
+
+/**
+ * Turn failures into JUnit XML so CI servers can show them as failed tests. Each path is a test case and the
+ * top level directory, e.g. widget, is its class name.
+ * @param failures
+ * @param node
+ * @returns {string}
+ */
+function toJUnitXml(failures, node) {
+
+  const testCases = failures.map(failure => {
+
+    const details = `HTTP ${failure.statusCode || "-"} ${failure.errorCode || "-"}: ${failure.message || ""}`
+
+    return [
+      `    <testcase classname="${escapeXml(failure.path.split("/")[0])}" name="${escapeXml(failure.path)}">`,
+      `      <failure message="${escapeXml(failure.message || "")}">${escapeXml(details)}</failure>`,
+      "    </testcase>"
+    ].join("\n")
+  })
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites tests="${failures.length}" failures="${failures.length}">`,
+    `  <testsuite name="${escapeXml(node)}" tests="${failures.length}" failures="${failures.length}">`
+  ].concat(testCases, ["  </testsuite>", "</testsuites>", ""]).join("\n")
+}
+
+/**
+ * Tell the user everything that could not be sent, grouped by what went wrong, so they don't have to scroll back
+ * through the whole run to find it.
+ * @param failures - as returned by putterUtils.getPutFailures().
+ * @param node
+ * @param reportFile - optional file to write the failures to. Files ending in .xml get JUnit XML, anything else
+ * gets JSON.
+ */
+function reportPutFailures(failures, node, reportFile) {
+
+  // Paths are easier to read relative to the base directory.
+  const relativeFailures = failures
+    .map(failure => Object.assign({}, failure, {path: upath.relative(resolvePath("."), resolvePath(failure.path))}))
+    .sort((a, b) => a.path.localeCompare(b.path))
+
+  if (relativeFailures.length) {
+
+    warn("putFailuresHeading", {count: relativeFailures.length, node})
+
+    // Group failures with the same status and error code together.
+    const groups = new Map()
+
+    relativeFailures.forEach(failure => {
+
+      const key = `${failure.statusCode || "-"} ${failure.errorCode || "-"}`
+
+      groups.has(key) ? groups.get(key).push(failure) : groups.set(key, [failure])
+    })
+
+    groups.forEach((groupFailures, key) => {
+
+      const [statusCode, errorCode] = key.split(" ")
+
+      warn("putFailureGroup", {statusCode, errorCode, count: groupFailures.length})
+      groupFailures.forEach(failure => warn("putFailurePath", {path: failure.path, message: failure.message || ""}))
+    })
+  }
+
+  // Write out a machine readable copy if the user wants one. The file is relative to where we were run from,
+  // not the base directory.
+  if (reportFile) {
+
+    writeFile(upath.resolve(reportFile), reportFile.endsWith(".xml")
+      ? toJUnitXml(relativeFailures, node)
+      : JSON.stringify({node, failures: relativeFailures}, null, 2))
+
+    info("failureReportWrittenToFile", {reportFile})
+  }
+}
+
+exports.reportPutFailures = reportPutFailures
@@ -4,6 +4,7 @@ const constants = require('./constants').constants
 const endPointTransceiver = require("./endPointTransceiver")
 const getGrabbingConcurrency = require("./concurrencySettings").getGrabbingConcurrency
 const globalElementTags = require("./elementGrabberUtils").globalElementTags
+const grabRequest = require("./grabberUtils").grabRequest
 const grabElementModifiableMetadata = require("./elementGrabberUtils").grabElementModifiableMetadata
 const info = require("./logger").info
 const isGrabbableElementType = require("./elementGrabberUtils").isGrabbableElementType
@@ -11,6 +12,7 @@ const makeTrackedDirectory = require("./utils").makeTrackedDirectory
 const request = require("./requestBuilder").request
 const splitPath = require("./utils").splitPath
 const sanitizeName = require("./utils").sanitizeName
+const skipIfUnchanged = require("./grabberUtils").skipIfUnchanged
 const storeElementMetaData = require("./elementGrabberUtils").storeElementMetaData
 const warn = require("./logger").warn
 const writeFileAndETag = require("./grabberUtils").writeFileAndETag
@@ -60,18 +62,21 @@ function grabGlobalElementAssets(element, elementsDir) {
  */
 function grabGlobalElementFile(endpoint, tag, elementDir, fileName, field, httpCode) {
 
-  return endPointTransceiver[endpoint]([tag], request().ignoring(httpCode)).tap(results => {
+  const path = `${elementDir}/${fileName}`
 
-    if (results.data.code && results.data.code[field]) {
-      writeFileAndETag(`${elementDir}/${fileName}`, results.data.code[field], results.response.headers.etag)
+  return endPointTransceiver[endpoint]([tag], grabRequest(path, request().ignoring(httpCode))).tap(results => {
+
+    if (!skipIfUnchanged([path], results) && results.data.code && results.data.code[field]) {
+      writeFileAndETag(path, results.data.code[field], results.response.headers.etag)
     }
   })
 }
 
 /**
- * If we can, grab all global elements, optionally supplying the name of an element we are interested in.
+ * If we can, grab all global elements, optionally supplying the name of an element we are interested in
+ * or a function that returns true for the element names we want.
  */
-const tryToGrabGlobalElements = Promise.method(elementName => {
+const tryToGrabGlobalElements = Promise.method((elementName, nameFilter) => {
 
   // This endpoint was added specifically to support this script so make sure it exists.
   if (endPointTransceiver.serverSupports("getElements")) {
@@ -115,6 +120,11 @@ const tryToGrabGlobalElements = Promise.method(elementName => {
         // Keep a note of the tags for later.
         globalElementTags.add(globalElement.tag)
 
+        // User may only want elements whose names fit a pattern. We still need the tag so we know it is global.
+        if (nameFilter && !nameFilter(globalElement.title)) {
+          return
+        }
+
         // Get the files associated with the global element while we are about it.
         return grabGlobalElementAssets(globalElement, elementsDir)
       }, getGrabbingConcurrency())
@@ -131,9 +141,10 @@ const tryToGrabGlobalElements = Promise.method(elementName => {
 
 /**
  * Find all the global elements and display them.
+ * @param nameFilter - optional function that returns true for the element names we want.
  */
-function grabGlobalElements() {
-  return tryToGrabGlobalElements()
+function grabGlobalElements(nameFilter) {
+  return tryToGrabGlobalElements(null, nameFilter)
 }
 
 /**
@@ -7,6 +7,10 @@ const classify = require("./classifier").classify
 const endPointTransceiver = require("./endPointTransceiver")
 const error = require("./logger").error
 const exists = require("./utils").exists
+const findAssetTypeForDirectory = require("./assetTypeRegistry").findAssetTypeForDirectory
+const findTrackedPaths = require("./statusReporter").findTrackedPaths
+const getAssetTypes = require("./assetTypeRegistry").getAssetTypes
+const getGrabbedPaths = require("./grabberUtils").getGrabbedPaths
 const grabAllApplicationJavaScript = require("./applicationJavaScriptGrabber").grabAllApplicationJavaScript
 const grabAllThemes = require("./themeGrabber").grabAllThemes
 const grabTextSnippetsForLocaleDirectory = require("./textSnippetGrabber").grabTextSnippetsForLocaleDirectory
@@ -14,18 +18,91 @@ const grabCommonTextSnippets = require("./textSnippetGrabber").grabCommonTextSni
 const grabAllStacks = require("./stackGrabber").grabAllStacks
 const grabAllElements = require("./elementGrabber").grabAllElements
 const grabAllWidgets = require("./widgetGrabber").grabAllWidgets
+const grabAssetType = require("./assetTypeRegistry").grabAssetType
 const grabGlobalElement = require("./globalElementGrabber").grabGlobalElement
 const grabSpecificStack = require("./stackGrabber").grabSpecificStack
 const grabSpecificTheme = require("./themeGrabber").grabSpecificTheme
 const grabSpecificWidget = require("./widgetGrabber").grabSpecificWidget
 const grabWidgetElements = require("./widgetElementGrabber").grabWidgetElements
 const info = require("./logger").info
+const logger = require("./logger")
 const mkdirIfNotExists = require("./utils").mkdirIfNotExists
+const nameMatcher = require("./utils").nameMatcher
 const packageVersion = require('../package.json').version
 const PuttingFileType = require("./puttingFileType").PuttingFileType
+const removeTrackedTree = require("./utils").removeTrackedTree
 const removeTree = require("./utils").removeTree
+const runWithHooks = require("./hooks").runWithHooks
+const shouldGrabIncrementally = require("./grabberUtils").shouldGrabIncrementally
+const warn = require("./logger").warn
 const writeMetadata = require("./metadata").writeMetadata
 
+// Top level directories that hold a directory per asset. Widgets and stacks have instance directories below that.
+const assetDirs = [constants.widgetsDir, constants.stacksDir, constants.elementsDir, constants.themesDir]
+
+// Asset types the user can pick with --only, in the order we grab them, along with their top level directories.
+const assetTypeDirs = {
+  stacks: constants.stacksDir,
+  widgets: constants.widgetsDir,
+  snippets: constants.textSnippetsDir,
+  elements: constants.elementsDir,
+  themes: constants.themesDir,
+  globalJs: constants.globalDir
+}
+
+// What the user wants from a full grab. By default, everything including any plugin asset types.
+let selectedTypes = null
+let nameFilter = null
+
+/**
+ * Plugin asset types can be picked with --only too.
+ * @returns the built in asset types plus the plugin ones, along with their top level directories.
+ */
+function getAssetTypeDirs() {
+
+  const typeDirs = Object.assign({}, assetTypeDirs)
+
+  getAssetTypes().forEach(assetType => typeDirs[assetType.name] = assetType.directory)
+
+  return typeDirs
+}
+
+/**
+ * Find out what the user wants from a full grab.
+ * @returns {Set} of asset type names.
+ */
+function getSelectedTypes() {
+  return selectedTypes || new Set(Object.keys(getAssetTypeDirs()))
+}
+
+/**
+ * Restrict a full grab to certain asset types and/or assets whose names match a glob pattern.
+ * Text snippets do not have names as such so the pattern does not apply to them.
+ * @param only - comma separated list of asset types e.g. "widgets,snippets".
+ * @param match - glob pattern e.g. "ACME *".
+ * @returns {boolean} false if the user gave us something we don't understand.
+ */
+function setGrabFilter(only, match) {
+
+  if (only) {
+
+    const typeDirs = getAssetTypeDirs()
+    const types = only.split(",").map(type => type.trim())
+    const invalidTypes = types.filter(type => !typeDirs[type])
+
+    if (invalidTypes.length) {
+      error("invalidAssetTypes", {types: invalidTypes.join(", "), validTypes: Object.keys(typeDirs).join(", ")})
+      return false
+    }
+
+    selectedTypes = new Set(types)
+  }
+
+  nameFilter = match ? nameMatcher(match) : null
+
+  return true
+}
+
 /**
  * User only wants to grab certain things.
  * @param directory
@@ -76,15 +153,41 @@ function callMatchingGrabber(directory) {
     case PuttingFileType.WIDGET:
       return grabSpecificWidget(directory).then(() => grabWidgetElements(directory))
     default:
-      error("unsupportedDirectoryType", {directory})
+      return callMatchingPlugin(directory)
   }
 }
 
+/**
+ * See if the directory belongs to a plugin asset type and grab it if so.
+ * @param directory
+ * @returns A Bluebird promise unless the directory was not recognized.
+ */
+function callMatchingPlugin(directory) {
+
+  const assetType = findAssetTypeForDirectory(directory)
+
+  if (assetType) {
+    return Promise.resolve(grabAssetType(assetType))
+  }
+
+  error("unsupportedDirectoryType", {directory})
+}
+
 /**
  * Entry point. Grabs all it can from the server.
  * @returns {Promise.<T>}
  */
 function grab(node, clean) {
+  return runWithHooks("Grab", {node}, () => grabEverything(node, clean), () => !logger.hadSeriousError)
+}
+
+/**
+ * Grab all the asset types the user selected.
+ * @param node
+ * @param clean
+ * @returns A BlueBird promise.
+ */
+function grabEverything(node, clean) {
 
   // See if we want to start afresh.
   clean && clearExistingDirs()
@@ -95,16 +198,111 @@ function grab(node, clean) {
   // Store basic info in the tracking directory.
   storeNodeInfo(node, endPointTransceiver.commerceCloudVersion)
 
-  // User wants the complete works. Need to wait for everything to finish.
-  return grabAllStacks()
-    .then(grabAllWidgets)
-    .then(grabCommonTextSnippets)
-    .then(grabAllElements)
-    .then(grabAllThemes)
-    .then(grabAllApplicationJavaScript)
+  const selected = getSelectedTypes()
+  const wants = type => selected.has(type)
+
+  // User wants the complete works (or as much of it as they selected). Need to wait for everything to finish.
+  return Promise.resolve()
+    .then(() => wants("stacks") && grabAllStacks(nameFilter))
+    .then(() => wants("widgets") && grabAllWidgets(nameFilter))
+    .then(() => wants("snippets") && grabCommonTextSnippets())
+    .then(() => grabSelectedElements(wants("elements"), wants("widgets")))
+    .then(() => wants("themes") && grabAllThemes(nameFilter))
+    .then(() => wants("globalJs") && grabAllApplicationJavaScript(nameFilter))
+    .then(() => Promise.each(getAssetTypes().filter(assetType => wants(assetType.name)), grabAssetType))
+    .then(() => shouldGrabIncrementally() && tidyUpAfterIncrementalGrab())
     .then(() => info("allDone"))
 }
 
+/**
+ * Global elements live in their own directory but widget elements live under the widgets.
+ * @param globalElements
+ * @param widgetElements
+ * @returns A BlueBird promise or false if there is nothing to do.
+ */
+function grabSelectedElements(globalElements, widgetElements) {
+
+  if (globalElements) {
+    return grabAllElements(widgetElements, nameFilter)
+  } else if (widgetElements) {
+    return grabWidgetElements(null, nameFilter)
+  }
+
+  return false
+}
+
+/**
+ * Work out the directory of the asset that the supplied file belongs to e.g. widget/Cart/instances/Cart Widget.
+ * @param path - relative to the base directory.
+ * @returns {string} the asset directory or null if the file does not belong to one.
+ */
+function getAssetDirectory(path) {
+
+  const segments = path.split("/")
+
+  if (!assetDirs.includes(segments[0]) || segments.length < 3) {
+    return null
+  }
+
+  // Instance files look like widget/Cart/instances/Cart Widget/display.template.
+  const isInstanceFile = segments[2] === constants.instanceDir && segments.length > 4
+
+  return segments.slice(0, isInstanceFile ? 4 : 2).join("/")
+}
+
+/**
+ * Work out which of the assets we grabbed before are no longer on the server.
+ * @param grabbedPaths - what this grab found, as returned by getGrabbedPaths().
+ * @returns {Set} the asset directories that have gone.
+ */
+function findDeletedDirs(grabbedPaths) {
+
+  // We can only tell what has gone from the server for the asset types we looked at and if we looked at all of them.
+  const checkedDirs = new Set()
+  const typeDirs = getAssetTypeDirs()
+  !nameFilter && getSelectedTypes().forEach(type => checkedDirs.add(typeDirs[type]))
+
+  // An asset is still on the server if we found anything in or below its directory.
+  const foundDirs = new Set()
+
+  grabbedPaths.forEach((changed, path) => {
+
+    const segments = path.split("/")
+
+    for (let length = 2; length <= segments.length; length++) {
+      foundDirs.add(segments.slice(0, length).join("/"))
+    }
+  })
+
+  // Only look at assets we got from this server before. Anything else could be new work that has not been sent yet.
+  return new Set(Array.from(findTrackedPaths())
+    .map(getAssetDirectory)
+    .filter(directory => directory && checkedDirs.has(directory.split("/")[0]) && !foundDirs.has(directory)))
+}
+
+/**
+ * An incremental grab leaves everything in place so get rid of anything we grabbed before that is no longer on the
+ * server, then tell the user what happened.
+ */
+function tidyUpAfterIncrementalGrab() {
+
+  const grabbedPaths = getGrabbedPaths()
+
+  // An asset we failed to fetch looks just like one that has gone so only tidy up if everything went well.
+  logger.hadSeriousError && warn("incrementalGrabNotTidied")
+
+  const deletedDirs = logger.hadSeriousError ? new Set() : findDeletedDirs(grabbedPaths)
+
+  deletedDirs.forEach(directory => {
+    info("removingDeletedAsset", {directory})
+    removeTrackedTree(directory)
+  })
+
+  const changed = Array.from(grabbedPaths.values()).filter(changed => changed).length
+
+  info("incrementalGrabSummary", {changed, unchanged: grabbedPaths.size - changed, removed: deletedDirs.size})
+}
+
 /**
  * Store high level info about the grab in the tracking directory - including the node package version.
  * @param node
@@ -126,8 +324,9 @@ function clearExistingDirs() {
     constants.themesDir,
     constants.textSnippetsDir
 
-  ].forEach(directory => exists(directory) && removeTree(directory)) // Make sure directory is actually there first.
+  ].concat(getAssetTypes().map(assetType => assetType.directory)).forEach(directory => exists(directory) && removeTree(directory)) // Make sure directory is actually there first.
 }
 
 exports.grab = grab
+exports.setGrabFilter = setGrabFilter
 exports.refresh = refresh
@@ -2,9 +2,87 @@
 
 const decodeEtag = require("./etags").decodeEtag
 const endPointTransceiver = require("./endPointTransceiver")
+const eTagFor = require("./etags").eTagFor
+const exists = require("./utils").exists
+const hideSecrets = require("./secrets").hideSecrets
+const request = require("./requestBuilder").request
+const writeContentHash = require("./etags").writeContentHash
 const writeEtag = require("./etags").writeEtag
 const writeFile = require("./utils").writeFile
 
+let incrementalGrab = false
+
+// Everything the current grab found on the server, mapped to true if it had changed since the last grab.
+const grabbedPaths = new Map()
+
+/**
+ * Tell the module to leave alone any files whose etag has not changed since the last grab.
+ */
+function enableIncrementalGrab() {
+  incrementalGrab = true
+}
+
+function shouldGrabIncrementally() {
+  return incrementalGrab
+}
+
+/**
+ * Get the paths found on the server by the current grab.
+ * @returns {Map} asset paths mapped to true if the file had changed since the last grab.
+ */
+function getGrabbedPaths() {
+  return grabbedPaths
+}
+
+/**
+ * Note that the asset given by path is still on the server, even though nothing was written for it.
+ * @param path
+ */
+function markAsGrabbed(path) {
+  !grabbedPaths.has(path) && grabbedPaths.set(path, false)
+}
+
+/**
+ * Build a request for the file given by path. On an incremental grab, pass the stored etag so that servers that
+ * support conditional requests can tell us nothing has changed without sending the whole file.
+ * @param path
+ * @param requestBuilder - optional, for requests that need more than the defaults.
+ * @returns {RequestBuilder}
+ */
+function grabRequest(path, requestBuilder = request()) {
+
+  const etag = incrementalGrab && exists(path) && eTagFor(path)
+
+  return etag ? requestBuilder.withHeader("If-None-Match", etag).ignoring(304) : requestBuilder
+}
+
+/**
+ * Return true if we are grabbing incrementally and the server copy of the file has not changed since the last grab.
+ * @param path
+ * @param etag
+ * @param statusCode
+ * @returns {boolean}
+ */
+function isUnchanged(path, etag, statusCode) {
+  return incrementalGrab && exists(path) && (statusCode === 304 || (!!etag && etag === eTagFor(path)))
+}
+
+/**
+ * See if the response to a request made with grabRequest() says the files have not changed since the last grab.
+ * If so, note that they are still on the server so the caller can leave them alone.
+ * @param paths - the files written from the response. The first one is the one the request was made for.
+ * @param results
+ * @returns {boolean} true if there is nothing to write.
+ */
+function skipIfUnchanged(paths, results) {
+
+  const unchanged = isUnchanged(paths[0], results.response.headers.etag, results.response.statusCode)
+
+  unchanged && paths.forEach(path => exists(path) && markAsGrabbed(path))
+
+  return unchanged
+}
+
 /**
  * Call the supplied endpoint passing the supplied id, then copy the contents of the supplied field in the results
  * to the supplied path. (This is just a function to reduce boilerplate).
@@ -18,7 +96,12 @@ const writeFile = require("./utils").writeFile
  */
 function copyFieldContentsToFile(endpoint, id, field, path, matchValue, replacementValue) {
 
-  return endPointTransceiver[endpoint]([id]).tap(results => {
+  return endPointTransceiver[endpoint]([id], grabRequest(path)).tap(results => {
+
+    // Nothing to do if the file is the same as last time.
+    if (skipIfUnchanged([path], results)) {
+      return
+    }
 
     let fieldVal = results.data[field]
 
@@ -37,7 +120,8 @@ function copyFieldContentsToFile(endpoint, id, field, path, matchValue, replacem
 
 /**
  * Call the supplied endpoint passing the supplied id, then copy the contents of the supplied field in the results
- * to the supplied path as a JSON file. (This is just a function to reduce boilerplate).
+ * to the supplied path as a JSON file. (This is just a function to reduce boilerplate). Any configured secrets are
+ * written out as placeholders.
  * Optionally, a match value and replacement value can be supplied to transform the contents.
  *
  * @param endpoint
@@ -49,12 +133,17 @@ function copyFieldContentsToFile(endpoint, id, field, path, matchValue, replacem
  */
 function copyJsonFieldContentsToFile(endpoint, id, field, path, matchValue, replacementValue) {
 
-  return endPointTransceiver[endpoint]([id]).tap(results => {
+  return endPointTransceiver[endpoint]([id], grabRequest(path)).tap(results => {
+
+    // Nothing to do if the file is the same as last time.
+    if (skipIfUnchanged([path], results)) {
+      return
+    }
 
     // See if there is something worth writing out first.
     if (results.data[field]) {
 
-      const fieldVal = JSON.stringify(results.data[field], null, 2);
+      const fieldVal = JSON.stringify(hideSecrets(results.data[field]), null, 2);
 
       // See if we need to mess with the contents before we write to disk.
       const contents = (matchValue && replacementValue)
@@ -75,13 +164,27 @@ function copyJsonFieldContentsToFile(endpoint, id, field, path, matchValue, repl
  */
 function writeFileAndETag(path, contents, etag) {
 
+  // On an incremental grab, leave the file alone if the server copy has not changed.
+  if (isUnchanged(path, etag)) {
+    markAsGrabbed(path)
+    return
+  }
+
+  grabbedPaths.set(path, true)
+
   // Write the file contents out.
   writeFile(path, contents)
 
-  // At the same time write out the etag - if available.
-  etag && writeEtag(path, etag)
+  // At the same time write out the etag - if available. If not, we still want to know what the file looked like.
+  etag ? writeEtag(path, etag) : writeContentHash(path)
 }
 
 exports.copyFieldContentsToFile = copyFieldContentsToFile
 exports.copyJsonFieldContentsToFile = copyJsonFieldContentsToFile
+exports.enableIncrementalGrab = enableIncrementalGrab
+exports.getGrabbedPaths = getGrabbedPaths
+exports.grabRequest = grabRequest
+exports.markAsGrabbed = markAsGrabbed
+exports.shouldGrabIncrementally = shouldGrabIncrementally
+exports.skipIfUnchanged = skipIfUnchanged
 exports.writeFileAndETag = writeFileAndETag
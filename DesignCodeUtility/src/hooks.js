@@ -0,0 +1,138 @@
+"use strict"
+
+const exec = require("child_process").exec
+const Promise = require("bluebird")
+const upath = require("upath")
+
+const constants = require("./constants").constants
+const debug = require("./logger").debug
+const error = require("./logger").error
+const exists = require("./utils").exists
+const info = require("./logger").info
+const readJsonFile = require("./utils").readJsonFile
+const warn = require("./logger").warn
+
+// Hooks from the project config file, keyed on name e.g. preGrab.
+let hooks = null
+
+/**
+ * Find the hooks block in the project config file.
+ * @returns the hooks, which may be empty.
+ */
+function getHooks() {
+
+  if (!hooks) {
+
+    const file = upath.resolve(constants.projectConfigJson)
+
+    hooks = Object.assign({}, exists(file) && readJsonFile(file).hooks)
+  }
+
+  return hooks
+}
+
+/**
+ * Hooks run from the directory holding the project config file, which is where we were run from.
+ * @returns {string}
+ */
+function getHookDirectory() {
+  return upath.dirname(upath.resolve(constants.projectConfigJson))
+}
+
+/**
+ * Run a shell command, letting it know what is going on through environment variables.
+ * @param command
+ * @param context
+ * @returns A Bluebird promise.
+ */
+function runCommand(command, context) {
+
+  const env = Object.assign({}, process.env, {
+    DCU_HOOK: context.hook,
+    DCU_NODE: context.node || "",
+    DCU_PATH: context.path || "",
+    DCU_TYPE: context.type || "",
+    DCU_SUCCESS: context.result ? String(context.result.success) : ""
+  })
+
+  return new Promise((resolve, reject) => {
+
+    exec(command, {cwd: getHookDirectory(), env, maxBuffer: 10 * 1024 * 1024}, (err, stdout, stderr) => {
+
+      // Let the user see what the command had to say for itself.
+      const output = `${stdout}${stderr}`.trim()
+      output && info("hookOutput", {hook: context.hook, output})
+
+      err ? reject(err) : resolve()
+    })
+  })
+}
+
+/**
+ * Call a JavaScript hook. The module exports a function that is passed the context and can return a promise.
+ * @param modulePath - relative to the directory holding the project config file.
+ * @param context
+ * @returns A Bluebird promise.
+ */
+function runModule(modulePath, context) {
+  return Promise.try(() => require(upath.resolve(getHookDirectory(), modulePath))(context))
+}
+
+/**
+ * Run the named hook if the user has set one up. Hooks ending in .js are treated as modules and anything else as
+ * a shell command.
+ * @param hook - e.g. prePut.
+ * @param context - node, path, type and result as appropriate.
+ * @returns A Bluebird promise that resolves to false if the hook failed.
+ */
+function runHook(hook, context) {
+
+  const action = getHooks()[hook]
+
+  if (!action) {
+    return Promise.resolve(true)
+  }
+
+  debug("runningHook", {hook, action})
+
+  const hookContext = Object.assign({hook}, context)
+
+  return (action.endsWith(".js") ? runModule(action, hookContext) : runCommand(action, hookContext))
+    .then(() => true)
+    .catch(err => {
+
+      // A failed pre hook stops the operation. After the event, all we can do is tell the user.
+      (hook.startsWith("pre") ? error : warn)("hookFailed", {hook, action, message: err.message})
+      return false
+    })
+}
+
+/**
+ * Wrap an operation in its pre and post hooks. The operation is skipped if the pre hook fails. The post hook is
+ * told whether the operation succeeded and runs even when it did not.
+ * @param name - e.g. Put which means the prePut and postPut hooks.
+ * @param context - node, path and type as appropriate.
+ * @param operation - function returning a promise.
+ * @param succeeded - function that tells us if the operation did what it was supposed to.
+ * @returns A Bluebird promise that resolves to whatever the operation resolved to.
+ */
+function runWithHooks(name, context, operation, succeeded) {
+
+  return runHook(`pre${name}`, context).then(carryOn => {
+
+    if (!carryOn) {
+      return
+    }
+
+    const runPostHook = success => runHook(`post${name}`, Object.assign({result: {success}}, context))
+
+    return Promise.try(operation).then(
+      value => runPostHook(succeeded()).then(() => value),
+      err => runPostHook(false).then(() => {
+        throw err
+      }))
+  })
+}
+
+exports.runHook = runHook
+exports.runWithHooks = runWithHooks
@@ -4,7 +4,8 @@ const osLocale = require('./utils').osLocale
 const osLanguage = require('./utils').shortLocale
 
 // Basic English strings will always be there.
-let strings = require(`./locales/en/strings.json`)
+const englishStrings = require(`./locales/en/strings.json`)
+let strings = englishStrings
 
 // Try to load strings for the OS locale to begin with. These will be overwritten later.
 try {
@@ -66,8 +67,8 @@ function transform(text, substitutions) {
  */
 function t(key, substitutions) {
 
-  // Find the text for the key.
-  const text = strings.resources[key]
+  // Find the text for the key. Newer keys may not have been translated yet so fall back to English.
+  const text = strings.resources[key] || englishStrings.resources[key]
 
   // Check in case we did not find any - this should never happen.
   if (!text) {
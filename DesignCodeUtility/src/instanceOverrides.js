@@ -0,0 +1,84 @@
+"use strict"
+
+const upath = require("upath")
+
+const constants = require("./constants").constants
+const exists = require("./utils").exists
+const info = require("./logger").info
+const readJsonFile = require("./utils").readJsonFile
+const resolvePath = require("./utils").resolvePath
+const targetEnvironment = require("./state").targetEnvironment
+
+/**
+ * Fold the override values into the metadata. Nested objects are merged but anything else, including arrays,
+ * is replaced outright.
+ * @param metadata
+ * @param overrides
+ * @returns the merged metadata.
+ */
+function mergeOverrides(metadata, overrides) {
+
+  const isObject = value => value && typeof value === "object" && !Array.isArray(value)
+
+  Object.keys(overrides).forEach(key => {
+
+    metadata[key] = isObject(metadata[key]) && isObject(overrides[key])
+      ? mergeOverrides(metadata[key], overrides[key])
+      : overrides[key]
+  })
+
+  return metadata
+}
+
+/**
+ * Find the overrides for the supplied instance metadata file in the target environment. These can be kept next
+ * to the metadata file e.g. widgetInstanceMetadata.prod.json or in a central file e.g. overrides/prod.json keyed
+ * on the instance directory. The file next to the metadata wins if both set the same value.
+ * @param path - path to the instance metadata file.
+ * @param environment
+ * @returns {Array} the overrides that apply, least specific first.
+ */
+function findOverrides(path, environment) {
+
+  const overrides = []
+
+  const centralPath = `${constants.overridesDir}/${environment}.json`
+
+  if (exists(centralPath)) {
+
+    const instanceDir = upath.relative(resolvePath("."), resolvePath(upath.dirname(path)))
+    const centralOverrides = readJsonFile(centralPath)[instanceDir]
+
+    centralOverrides && overrides.push(centralOverrides)
+  }
+
+  const localPath = `${upath.removeExt(path, ".json")}.${environment}.json`
+
+  exists(localPath) && overrides.push(readJsonFile(localPath))
+
+  return overrides
+}
+
+/**
+ * Read widget or stack instance metadata ready for sending, folding in any overrides for the environment
+ * we are sending to.
+ * @param path - path to the instance metadata file.
+ * @returns the metadata.
+ */
+function readInstanceMetadata(path) {
+
+  const metadata = readJsonFile(path)
+  const environment = targetEnvironment()
+
+  if (!environment) {
+    return metadata
+  }
+
+  const overrides = findOverrides(path, environment)
+
+  overrides.length && info("applyingInstanceOverrides", {path, environment})
+
+  return overrides.reduce(mergeOverrides, metadata)
+}
+
+exports.readInstanceMetadata = readInstanceMetadata
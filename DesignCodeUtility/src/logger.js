@@ -1,17 +1,62 @@
 "use strict"
 
 const colors = require('colors/safe')
+const fs = require("fs")
 
 const t = require("./i18n").t
 
-let verbose = false
+/**
+ * Create somewhere to keep the logging settings and remember whether anything went wrong. Library users get one of
+ * these per connection so that errors on one server don't count against another.
+ * @param listener - optional function that is passed each message as it is logged.
+ * @param quiet - true to keep messages off the console.
+ * @returns the scope.
+ */
+function createScope(listener, quiet) {
+  return {verbose: false, hadSeriousError: false, listener, quiet: !!quiet, format: "text", file: null, node: null}
+}
+
+// Where logging currently goes. The command line tools only ever need the one.
+let scope = createScope()
+
+/**
+ * Switch logging over to the supplied scope.
+ * @param newScope
+ */
+function useScope(newScope) {
+  scope = newScope
+}
 
 /**
  * Used to control debug level logging.
  * @param flag
  */
 function setVerboseLogging(flag) {
-  verbose = !!flag
+  scope.verbose = !!flag
+}
+
+/**
+ * Choose how log lines look.
+ * @param format - text for the usual coloured lines or json for one JSON object per line.
+ */
+function setLogFormat(format) {
+  scope.format = format
+}
+
+/**
+ * Copy everything that gets logged to a file as well as the console. Colours are left out.
+ * @param file - or null to stop copying.
+ */
+function setLogFile(file) {
+  scope.file = file
+}
+
+/**
+ * Say which server we are talking to so JSON log lines can include it.
+ * @param node
+ */
+function setLogNode(node) {
+  scope.node = node
 }
 
 /**
@@ -20,7 +65,7 @@ function setVerboseLogging(flag) {
  * @param substitutions
  */
 function error(key, substitutions) {
-  logError(t(key, substitutions))
+  logError(t(key, substitutions), key, substitutions)
 }
 
 /**
@@ -29,7 +74,7 @@ function error(key, substitutions) {
  * @param substitutions
  */
 function info(key, substitutions) {
-  logInfo(t(key, substitutions))
+  logInfo(t(key, substitutions), key, substitutions)
 }
 
 /**
@@ -38,7 +83,7 @@ function info(key, substitutions) {
  * @param substitutions
  */
 function warn(key, substitutions) {
-  logWarn(t(key, substitutions))
+  logWarn(t(key, substitutions), key, substitutions)
 }
 
 /**
@@ -47,46 +92,114 @@ function warn(key, substitutions) {
  * @param substitutions
  */
 function debug(key, substitutions) {
-  if (verbose) {
-    logDebug(t(key, substitutions))
+  if (scope.verbose) {
+    logDebug(t(key, substitutions), key, substitutions)
   }
 }
 
+/**
+ * Pass the message on to whoever is listening and say whether it should go to the console as well.
+ * @param level
+ * @param text
+ * @param key - optional i18n key the text came from.
+ * @param substitutions
+ * @returns {boolean} true if the message should be written to the console.
+ */
+function notify(level, text, key, substitutions) {
+
+  scope.listener && scope.listener({level, text, key, substitutions})
+
+  return !scope.quiet
+}
+
+/**
+ * Turn a message into a JSON log line. The path, node, HTTP status and duration are pulled out of the substitutions
+ * where they are there so log aggregators do not have to know which messages have them.
+ * @param level
+ * @param text
+ * @param key
+ * @param substitutions
+ * @returns {string}
+ */
+function formatJson(level, text, key, substitutions) {
+
+  const details = substitutions || {}
+
+  return JSON.stringify({
+    timestamp: new Date().toISOString(),
+    severity: level,
+    key,
+    message: text,
+    substitutions,
+    path: details.path || details.url,
+    node: details.node || scope.node || undefined,
+    status: details.statusCode,
+    duration: details.duration
+  })
+}
+
+/**
+ * Send the message to the console and the log file, if there is one, in the format the user wants.
+ * @param level
+ * @param text
+ * @param key
+ * @param substitutions
+ * @param write - console function to use.
+ * @param colour - function that colours text lines for the console.
+ */
+function output(level, text, key, substitutions, write, colour) {
+
+  const json = scope.format === "json"
+  const line = json ? formatJson(level, text, key, substitutions) : `${getPreamble(level.toUpperCase())}${text}`
+
+  notify(level, text, key, substitutions) && write(json ? line : colour(line))
+
+  scope.file && fs.appendFileSync(scope.file, `${line}\n`)
+}
+
 /**
  * Record that an error has occurred.
  * @param text
+ * @param key - optional i18n key the text came from.
+ * @param substitutions
  */
-function logError(text) {
+function logError(text, key, substitutions) {
 
-  console.error(colors.red.bold(`${getPreamble("ERROR")}${text}`))
+  output("error", text, key, substitutions, console.error, colors.red.bold)
 
   // Remember that something went wrong for later.
-  exports.hadSeriousError = true
+  scope.hadSeriousError = true
 }
 
 /**
  * Record that something has occurred.
  * @param text
+ * @param key - optional i18n key the text came from.
+ * @param substitutions
  */
-function logInfo(text) {
-  console.log(`${getPreamble("INFO")}${text}`)
+function logInfo(text, key, substitutions) {
+  output("info", text, key, substitutions, console.log, line => line)
 }
 
 /**
  * Record that something worrying has occurred.
  * @param text
+ * @param key - optional i18n key the text came from.
+ * @param substitutions
  */
-function logWarn(text) {
-  console.warn(colors.yellow.bold(`${getPreamble("WARN")}${text}`))
+function logWarn(text, key, substitutions) {
+  output("warn", text, key, substitutions, console.warn, colors.yellow.bold)
 }
 
 /**
  * Record that something uninteresting has occurred.
  * @param text
+ * @param key - optional i18n key the text came from.
+ * @param substitutions
  */
-function logDebug(text) {
-  if (verbose) {
-    console.log(colors.gray(`${getPreamble("DEBUG")}${text}`))
+function logDebug(text, key, substitutions) {
+  if (scope.verbose) {
+    output("debug", text, key, substitutions, console.log, colors.gray)
   }
 }
 
@@ -98,7 +211,7 @@ function getPreamble(severity) {
   const isoDate = new Date().toISOString()
   const paddedSeverity = severity.padStart(5, ' ')
 
-  return (verbose) ? `[${isoDate}] ${paddedSeverity}: ` : ""
+  return (scope.verbose) ? `[${isoDate}] ${paddedSeverity}: ` : ""
 }
 
 /**
@@ -109,14 +222,25 @@ function dump(object) {
   console.log(JSON.stringify(object, null, 2))
 }
 
+exports.createScope = createScope
 exports.debug = debug
 exports.dump = dump
 exports.error = error
-exports.hadSeriousError = false
 exports.info = info
 exports.logError = logError
 exports.logInfo = logInfo
 exports.logWarn = logWarn
 exports.logDebug = logDebug
+exports.setLogFile = setLogFile
+exports.setLogFormat = setLogFormat
+exports.setLogNode = setLogNode
 exports.setVerboseLogging = setVerboseLogging
+exports.useScope = useScope
 exports.warn = warn
+
+// Whether anything has gone badly wrong belongs to the current scope.
+Object.defineProperty(exports, "hadSeriousError", {
+  enumerable: true,
+  get: () => scope.hadSeriousError,
+  set: value => scope.hadSeriousError = value
+})
@@ -1,12 +1,14 @@
 "use strict"
 const program = require("commander")
 
-const t                  = require("./i18n").t
-const getLastNode        = require("./metadata").getLastNode
-const useBasePath        = require("./utils").useBasePath
-const setVerboseLogging  = require("./logger").setVerboseLogging
-const keepPartialMatches = require("./utils").keepPartialMatches
-const dropPartialMatches = require("./utils").dropPartialMatches
+const t                    = require("./i18n").t
+const addEnvironmentOption = require("./optionsUtils").addEnvironmentOption
+const applyEnvironment     = require("./optionsUtils").applyEnvironment
+const getLastNode          = require("./metadata").getLastNode
+const useBasePath          = require("./utils").useBasePath
+const setVerboseLogging    = require("./logger").setVerboseLogging
+const keepPartialMatches   = require("./utils").keepPartialMatches
+const dropPartialMatches   = require("./utils").dropPartialMatches
 
 const proxy = require("./proxyLib/ccproxy")
 
@@ -15,7 +17,7 @@ exports.main = function (argv) {
   // Force use of ccproxy rather than the actual file name of ccproxy.js.
   program._name = "ccproxy"
 
-  program
+  addEnvironmentOption(program)
     .version(require("../package.json").version)
     .option("-v, --verbose", t("verboseOptionText"))
     .option("-n, --node <node>", t("nodeOptionText"))
@@ -27,6 +29,12 @@ exports.main = function (argv) {
     .option("-e, --enable <enable>", t("enableHandlersOptionText"))
     .parse(argv)
 
+  // Fill in any gaps from the project config file.
+  if (!applyEnvironment(program)) {
+    program.help()
+    return 1
+  }
+
   // Pass on the base path if it was set.
   if (program.base) {
     useBasePath(program.base)
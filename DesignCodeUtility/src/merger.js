@@ -0,0 +1,98 @@
+"use strict"
+
+const Promise = require("bluebird")
+
+const canDiff = require("./differ").canDiff
+const clearPutFailure = require("./putterUtils").clearPutFailure
+const error = require("./logger").error
+const getRemoteFile = require("./differ").getRemoteFile
+const info = require("./logger").info
+const mergeText = require("./diffUtils").mergeText
+const readFile = require("./utils").readFile
+const storedBaseContentFor = require("./etags").storedBaseContentFor
+const takeOptimisticLockFailure = require("./putterUtils").takeOptimisticLockFailure
+const writeContentHash = require("./etags").writeContentHash
+const writeEtag = require("./etags").writeEtag
+const writeFile = require("./utils").writeFile
+
+/**
+ * Merge the changes made on the server since the file was grabbed into the local copy of the file.
+ * @param path
+ * @returns A BlueBird promise that resolves to true if the merge was clean, false otherwise.
+ */
+function mergeWithServer(path) {
+
+  // Need to know what the file looked like before anyone changed it.
+  const baseContent = storedBaseContentFor(path)
+
+  if (baseContent === null) {
+    error("noBaseContentToMerge", {path})
+    return Promise.resolve(false)
+  }
+
+  return getRemoteFile(path).then(remoteFile => {
+
+    if (!remoteFile) {
+      error("noServerCopyToMerge", {path})
+      return false
+    }
+
+    const result = mergeText(baseContent, readFile(path), remoteFile.contents, "local", "server")
+
+    // Either way, the local file needs to hold the result.
+    writeFile(path, result.text)
+
+    if (result.conflicts) {
+      error("mergeConflictsFound", {path, conflicts: result.conflicts})
+      return false
+    }
+
+    // The local file now includes everything on the server so catch up with the server etag. Make sure we remember
+    // what the server copy looked like rather than the merged copy so any future merges work out.
+    writeEtag(path, remoteFile.etag)
+    writeContentHash(path, remoteFile.contents)
+
+    info("serverChangesMerged", {path})
+    return true
+  })
+}
+
+/**
+ * Call after trying to send the supplied path. If the send failed on an optimistic lock, merge in the server changes
+ * and try again.
+ * @param path
+ * @param resend - function that will send the path again.
+ * @returns A BlueBird promise.
+ */
+const resolveConflict = Promise.method((path, resend) => {
+
+  // Nothing to do if the send went through.
+  if (!takeOptimisticLockFailure(path)) {
+    return
+  }
+
+  // We can only merge text files we know how to get from the server.
+  if (!canDiff(path)) {
+    error("alreadyBeenModified", {path})
+    return
+  }
+
+  return mergeWithServer(path).then(merged => {
+
+    if (!merged) {
+      return
+    }
+
+    // The first attempt no longer counts as a failure. If the second one fails, it will be noted down again.
+    clearPutFailure(path)
+
+    return Promise.resolve(resend(path)).then(() => {
+
+      // Someone could have got in again while we were merging.
+      takeOptimisticLockFailure(path) && error("alreadyBeenModified", {path})
+    })
+  })
+})
+
+exports.mergeWithServer = mergeWithServer
+exports.resolveConflict = resolveConflict
@@ -0,0 +1,162 @@
+"use strict"
+
+const parseUrl = require("url").parse
+const tls = require("tls")
+const upath = require("upath")
+
+const readFile = require("./utils").readFile
+const t = require("./i18n").t
+
+// Set from the command line, falling back to the usual environment variables.
+let settings = {}
+
+/**
+ * Split a comma separated list, ignoring any blanks.
+ * @param list
+ * @returns {Array}
+ */
+function splitList(list) {
+  return list ? list.split(",").map(entry => entry.trim()).filter(entry => entry) : []
+}
+
+/**
+ * Files are relative to where we were run from, not the base directory.
+ * @param file
+ * @returns the absolute path or undefined if there is no file.
+ */
+function resolveFile(file) {
+  return file && upath.resolve(file)
+}
+
+/**
+ * Hang on to the user's network settings. Anything not supplied is taken from the environment.
+ * @param options - proxy, noProxy, caFile, certFile and keyFile, all optional.
+ */
+exports.useNetworkSettings = options => {
+
+  const env = process.env
+
+  settings = {
+    proxy: options.proxy || env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy,
+    noProxy: splitList(options.noProxy || env.NO_PROXY || env.no_proxy),
+    caFiles: splitList(options.caFile || env.CC_CA_FILE).map(resolveFile),
+    certFile: resolveFile(options.certFile || env.CC_CLIENT_CERT_FILE),
+    keyFile: resolveFile(options.keyFile || env.CC_CLIENT_KEY_FILE)
+  }
+}
+
+/**
+ * Find all the files the user wants us to read so they can be checked up front.
+ * @returns {Array}
+ */
+exports.getNetworkFiles = () => {
+  return settings.caFiles.concat([settings.certFile, settings.keyFile]).filter(file => file)
+}
+
+/**
+ * Extra CAs go on top of the ones Node ships with, which we can only get at from Node 12.3 onwards.
+ * @returns {boolean} false if the user wants extra CAs but we cannot add them.
+ */
+exports.canAddCertificateAuthorities = () => {
+  return !settings.caFiles.length || !!tls.rootCertificates
+}
+
+/**
+ * See if the host is on the list of ones we should talk to directly. Entries can be a host name, a domain with
+ * or without a leading dot, either with an optional port, or * for everything.
+ * @param hostname
+ * @param port
+ * @returns {boolean}
+ */
+function bypassesProxy(hostname, port) {
+
+  return settings.noProxy.some(entry => {
+
+    if (entry === "*") {
+      return true
+    }
+
+    const parts = entry.split(":")
+    const domain = parts[0].replace(/^\*?\./, "")
+
+    return (!parts[1] || parts[1] === port) && (hostname === domain || hostname.endsWith(`.${domain}`))
+  })
+}
+
+/**
+ * Work out how to reach the proxy, if we need one for the supplied server.
+ * @param instance - e.g. https://myserver.oracle.com:443
+ * @returns the node-rest-client proxy options or undefined if we should connect directly.
+ */
+function getProxyConfig(instance) {
+
+  const target = parseUrl(instance)
+  const port = target.port || (target.protocol === "https:" ? "443" : "80")
+
+  if (!settings.proxy || bypassesProxy(target.hostname, port)) {
+    return undefined
+  }
+
+  // Allow for a bare host:port as well as a URL.
+  const proxy = parseUrl(settings.proxy.includes("://") ? settings.proxy : `http://${settings.proxy}`)
+  const credentials = (proxy.auth || "").split(":").map(decodeURIComponent)
+
+  return {
+    host: proxy.hostname,
+    port: proxy.port || (proxy.protocol === "https:" ? 443 : 80),
+    user: process.env.CC_PROXY_USERNAME || credentials[0] || undefined,
+    password: process.env.CC_PROXY_PASSWORD || credentials[1] || undefined,
+    // HTTPS needs a tunnel through the proxy.
+    tunnel: target.protocol === "https:"
+  }
+}
+
+/**
+ * Work out the TLS settings for the connection itself.
+ * @returns the node-rest-client connection options or undefined if the defaults will do.
+ */
+function getConnectionConfig() {
+
+  const connection = {}
+
+  // Extra CAs go on top of the usual ones rather than replacing them.
+  if (settings.caFiles.length) {
+
+    if (!tls.rootCertificates) {
+      throw new Error(t("caFileNeedsNewerNode"))
+    }
+
+    connection.ca = tls.rootCertificates.concat(settings.caFiles.map(file => readFile(file)))
+  }
+
+  if (settings.certFile) {
+    connection.cert = readFile(settings.certFile)
+    connection.key = readFile(settings.keyFile || settings.certFile)
+    process.env.CC_CLIENT_KEY_PASSPHRASE && (connection.passphrase = process.env.CC_CLIENT_KEY_PASSPHRASE)
+  }
+
+  return Object.keys(connection).length ? connection : undefined
+}
+
+/**
+ * Build the node-rest-client options needed to reach the supplied server.
+ * @param instance - e.g. https://myserver.oracle.com:443
+ * @returns the options or an empty object if there is nothing special to do.
+ */
+exports.getClientConfig = instance => {
+
+  // Nobody passed on any command line options so go with the environment.
+  if (!settings.caFiles) {
+    exports.useNetworkSettings({})
+  }
+
+  const config = {}
+
+  const proxy = instance && getProxyConfig(instance)
+  proxy && (config.proxy = proxy)
+
+  const connection = getConnectionConfig()
+  connection && (config.connection = connection)
+
+  return config
+}
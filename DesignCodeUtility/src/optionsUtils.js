@@ -2,13 +2,32 @@
  * The various main modules have common code so we put it all here.
  */
 
+const appendFileSync = require("fs").appendFileSync
+const canAddCertificateAuthorities = require("./networkSettings").canAddCertificateAuthorities
 const compareVersions = require("compare-versions")
+const upath = require("upath")
 
 const constants = require("./constants").constants
 const error = require("./logger").error
+const exists = require("./utils").exists
+const getNetworkFiles = require("./networkSettings").getNetworkFiles
+const info = require("./logger").info
+const normalize = require("./utils").normalize
 const package = require('../package.json')
+const readJsonFile = require("./utils").readJsonFile
 const readMetadataFromDisk = require("./metadata").readMetadataFromDisk
+const setLogFile = require("./logger").setLogFile
+const setLogFormat = require("./logger").setLogFormat
 const t = require("./i18n").t
+const targetEnvironment = require("./state").targetEnvironment
+const useEnvironmentConcurrency = require("./concurrencySettings").useEnvironmentConcurrency
+const useNetworkSettings = require("./networkSettings").useNetworkSettings
+
+// What --logFormat will accept.
+const logFormats = ["text", "json"]
+
+// Variable holding the application key for the environment selected with --env, if it has one.
+let environmentKeyEnvVar = null
 
 /**
  * Certain command line functions are mostly common to all utilities so put them in one place.
@@ -27,11 +46,196 @@ function addCommonOptions(program) {
  */
 function addMinimalCommonOptions(program) {
 
-  return program.option("-n, --node <node>", t("nodeOptionText"))
-    .option("-k, --applicationKey <key>", t("applicationKeyOptionText"))
+  return addLogOptions(addNetworkOptions(addEnvironmentOption(program).option("-n, --node <node>", t("nodeOptionText"))
+    .option("-k, --applicationKey <key>", t("applicationKeyOptionText"))))
     .version(package.version)
 }
 
+/**
+ * Let the user say how log output should look and where else it should go.
+ * @param program
+ */
+function addLogOptions(program) {
+
+  return program.option("--logFormat <format>", t("logFormatOptionText"), "text")
+    .option("--logFile <file>", t("logFileOptionText"))
+}
+
+/**
+ * Pass the log options on to the logger, making sure they make sense.
+ * @param program
+ * @return true if all is well; false otherwise.
+ */
+function applyLogOptions(program) {
+
+  if (program.logFormat && !logFormats.includes(program.logFormat)) {
+    error("invalidLogFormat", {format: program.logFormat, validFormats: logFormats.join(", ")})
+    return false
+  }
+
+  setLogFormat(program.logFormat || "text")
+
+  if (program.logFile) {
+
+    // The file is relative to where we were run from, not the base directory. Make sure we can write to it up front.
+    const file = upath.resolve(program.logFile)
+
+    try {
+      appendFileSync(file, "")
+    } catch (err) {
+      error("logFileNotWritable", {file, message: err.message})
+      return false
+    }
+
+    setLogFile(file)
+  }
+
+  return true
+}
+
+/**
+ * Let the user say how to get through their corporate network.
+ * @param program
+ */
+function addNetworkOptions(program) {
+
+  return program.option("--proxy <url>", t("proxyOptionText"))
+    .option("--noProxy <hosts>", t("noProxyOptionText"))
+    .option("--caFile <files>", t("caFileOptionText"))
+    .option("--certFile <file>", t("certFileOptionText"))
+    .option("--keyFile <file>", t("keyFileOptionText"))
+}
+
+/**
+ * Pass the network options on to the HTTP layer, making sure any files they mention are there.
+ * @param program
+ * @return true if all is well; false otherwise.
+ */
+function applyNetworkOptions(program) {
+
+  useNetworkSettings({
+    proxy: program.proxy,
+    noProxy: program.noProxy,
+    caFile: program.caFile,
+    certFile: program.certFile,
+    keyFile: program.keyFile
+  })
+
+  if (!canAddCertificateAuthorities()) {
+    error("caFileNeedsNewerNode")
+    return false
+  }
+
+  const missingFiles = getNetworkFiles().filter(file => !exists(file))
+
+  missingFiles.forEach(file => error("networkFileNotFound", {file}))
+
+  return !missingFiles.length
+}
+
+/**
+ * Let the user pick one of the environments in the project config file.
+ * @param program
+ */
+function addEnvironmentOption(program) {
+  return program.option("--env <environment>", t("envOptionText"))
+}
+
+/**
+ * Read the named environments from the project config file.
+ * @returns the environments keyed on name or null if the file could not be read.
+ */
+function readEnvironments() {
+
+  const file = constants.projectConfigJson
+
+  if (!exists(file)) {
+    error("projectConfigFileNotFound", {file})
+    return null
+  }
+
+  try {
+    return readJsonFile(file).environments || {}
+  } catch (e) {
+    error("invalidProjectConfigFile", {file, message: e.message})
+    return null
+  }
+}
+
+/**
+ * Find the environment whose base directory holds the supplied path, the same way put.sh does.
+ * @param environments
+ * @param path
+ * @returns the environment name or undefined if there is no match.
+ */
+function findEnvironmentForPath(environments, path) {
+
+  const normalizedPath = normalize(path)
+
+  // Go for the most specific base directory in case one is nested inside another.
+  return Object.keys(environments)
+    .filter(name => environments[name].base)
+    .filter(name => {
+      const base = normalize(environments[name].base)
+      return normalizedPath === base || normalizedPath.startsWith(`${base}/`)
+    })
+    .sort((a, b) => environments[b].base.length - environments[a].base.length)[0]
+}
+
+/**
+ * Fill in anything the user did not put on the command line from the environment selected with --env. If there is
+ * no --env or --node, try to work out the environment from the supplied path instead.
+ * @param program
+ * @param path - optional path to a file or directory under the base directory of one of the environments.
+ * @return true if all is well; false otherwise.
+ */
+function applyEnvironment(program, path) {
+
+  // Only go looking for the project config file when there is a chance we will need it.
+  if (!program.env && (program.node || !path || !exists(constants.projectConfigJson))) {
+    return true
+  }
+
+  const environments = readEnvironments()
+
+  if (!environments) {
+    return false
+  }
+
+  const name = program.env || findEnvironmentForPath(environments, path)
+
+  // Path did not belong to any of the environments - leave the user to sort it out.
+  if (!name) {
+    return true
+  }
+
+  const environment = environments[name]
+
+  if (!environment) {
+    error("environmentNotFound", {environment: name, file: constants.projectConfigJson})
+    return false
+  }
+
+  // Anything on the command line takes priority.
+  !program.node && (program.node = environment.node)
+  !program.base && (program.base = environment.base)
+  !program.locale && (program.locale = environment.locale)
+
+  if (!program.applicationKey && environment.applicationKeyEnvVar) {
+    environmentKeyEnvVar = environment.applicationKeyEnvVar
+    program.applicationKey = process.env[environmentKeyEnvVar]
+  }
+
+  environment.concurrency && useEnvironmentConcurrency(environment.concurrency)
+
+  // Other modules need to know which environment we are talking to so they can pick the right overrides.
+  targetEnvironment(name)
+
+  info("usingEnvironment", {environment: name, node: program.node})
+
+  return true
+}
+
 /**
  * Holds all the password handling logic in one place.
  */
@@ -40,9 +244,15 @@ function getPassword(password) {
 }
 
 /**
- * Holds all the application key handling logic in one place.
+ * Holds all the application key handling logic in one place. The key for the selected environment beats the general
+ * one so a key left lying around in the shell does not get sent to the wrong server.
  */
 function getApplicationKey(applicationKey, envVarName = "CC_APPLICATION_KEY") {
+
+  if (envVarName === "CC_APPLICATION_KEY" && environmentKeyEnvVar && process.env[environmentKeyEnvVar]) {
+    return process.env[environmentKeyEnvVar]
+  }
+
   return process.env[envVarName] ? process.env[envVarName] : applicationKey
 }
 
@@ -66,7 +276,11 @@ function checkMetadata(path) {
 }
 
 exports.addCommonOptions = addCommonOptions
+exports.addEnvironmentOption = addEnvironmentOption
 exports.addMinimalCommonOptions = addMinimalCommonOptions
+exports.applyEnvironment = applyEnvironment
+exports.applyLogOptions = applyLogOptions
+exports.applyNetworkOptions = applyNetworkOptions
 exports.checkMetadata = checkMetadata
 exports.getApplicationKey = getApplicationKey
 exports.getPassword = getPassword
@@ -0,0 +1,43 @@
+"use strict"
+
+const upath = require("upath")
+
+const info = require("./logger").info
+const writeFile = require("./utils").writeFile
+
+/**
+ * Tell the user what a put would do, step by step.
+ * @param plan - as returned by putter.plan().
+ * @param planFile - optional path to a file to write the plan to as JSON.
+ */
+function reportPlan(plan, planFile) {
+
+  // Checks may have failed in which case there is nothing to say.
+  if (!plan) {
+    return
+  }
+
+  info(plan.transfer ? "transferPlanHeading" : "putPlanHeading", {path: plan.path, node: plan.node})
+
+  if (plan.steps.length) {
+
+    plan.steps.forEach((step, index) => {
+
+      // Plugin steps also say which asset type they are for.
+      info(`${step.name}PlanStep`,
+        Object.assign({step: index + 1, concurrency: step.concurrency}, step.assetType && {assetType: step.assetType}))
+      step.paths.forEach(path => info("planStepPath", {path}))
+    })
+  } else {
+    info("nothingToSend")
+  }
+
+  // Write out a machine readable copy if the user wants one. The file is relative to where we were run from,
+  // not the base directory.
+  if (planFile) {
+    writeFile(upath.resolve(planFile), JSON.stringify(plan, null, 2))
+    info("planWrittenToFile", {planFile})
+  }
+}
+
+exports.reportPlan = reportPlan
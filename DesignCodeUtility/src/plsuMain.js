@@ -2,9 +2,12 @@ const program = require("commander")
 
 const addExitHandler = require("./exitHandler").addExitHandler
 const addMinimalCommonOptions = require("./optionsUtils").addMinimalCommonOptions
+const applyEnvironment = require("./optionsUtils").applyEnvironment
+const applyLogOptions = require("./optionsUtils").applyLogOptions
+const applyNetworkOptions = require("./optionsUtils").applyNetworkOptions
+const checkPageLayoutCompatibility = require("./compatibilityChecker").checkPageLayoutCompatibility
 const deletePageLayout = require("./pageLayoutDeleter").deletePageLayout
 const endPointTransceiver = require("./endPointTransceiver")
-const error = require("./logger").error
 const exitDueToInvalidCall = require("./exitHandler").exitDueToInvalidCall
 const getApplicationKey = require("./optionsUtils").getApplicationKey
 const getLastNode = require("./metadata").getLastNode
@@ -36,8 +39,8 @@ exports.main = function (argv) {
     .option("-g, --ignoreVersions", t("ignoreVersionsOptionText"))
     .parse(argv)
 
-  // Must always be a node specified.
-  if (!program.node) {
+  // Must always be a node specified, either directly or from the project config file.
+  if (!applyLogOptions(program) || !applyEnvironment(program) || !applyNetworkOptions(program) || !program.node) {
     exitDueToInvalidCall(program)
   }
 
@@ -126,14 +129,12 @@ exports.main = function (argv) {
           // Make sure we are not suppressing version checking.
           if (!program.ignoreVersions) {
 
-            // Compare the source version with the destination version.
+            // Compare the source version with the destination version. If they differ, the destination must still
+            // have everything we need to send the layouts.
             const destinationVersion = endPointTransceiver.commerceCloudVersion
 
-            if (sourceVersion != destinationVersion) {
-              error("cannotSendPageLayoutsBetweenVersions", {
-                sourceNode : program.node,
-                destinationNode : program.destinationNode
-              })
+            if (sourceVersion != destinationVersion &&
+              !checkPageLayoutCompatibility(program.node, program.destinationNode)) {
               return
             }
           }
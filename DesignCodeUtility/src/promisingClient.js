@@ -1,9 +1,27 @@
 const Promise = require("bluebird")
 const Client = require("node-rest-client").Client
+const parseUrl = require("url").parse
 
 const debug = require("./logger").debug
+const error = require("./logger").error
+const getClientConfig = require("./networkSettings").getClientConfig
+const getRequestLimits = require("./concurrencySettings").getRequestLimits
+const getRetryDelay = require("./retryPolicy").getRetryDelay
+const getRetryPolicy = require("./retryPolicy").getRetryPolicy
+const info = require("./logger").info
+const isRetryableError = require("./retryPolicy").isRetryableError
+const isRetryableResponse = require("./retryPolicy").isRetryableResponse
 const warn = require("./logger").warn
 
+// Never slow down more than this, in requests per second.
+const MINIMUM_REQUEST_RATE = 0.5
+
+// How many healthy responses in a row before we try going a bit faster.
+const HEALTHY_RESPONSES_BEFORE_SPEEDING_UP = 10
+
+// Scheduling state for each host we talk to, keyed on host name.
+const hosts = new Map()
+
 // Set the default client configuration in case the users want to override it.
 let defaultClientConfig
 
@@ -30,8 +48,8 @@ function makeRequest(client, methodName, url, args, resolve, responseBuilder) {
 
   return client[methodName](url, args, (data, response) => {
 
-    // Note the duration for debug purposes.
-    debug("endpointCallTook", {methodName, url, duration : Date.now() - start})
+    // Note the duration and outcome for debug purposes.
+    debug("endpointCallTook", {methodName, url, duration : Date.now() - start, statusCode : response.statusCode})
 
     // Log anything that looks like an error.
     recordAnyErrors(url, data, response, responseBuilder, client)
@@ -42,31 +60,264 @@ function makeRequest(client, methodName, url, args, resolve, responseBuilder) {
   })
 }
 
+/**
+ * Find the scheduling state for the host in the supplied URL, setting it up if this is the first request.
+ * @param url
+ * @returns the host state.
+ */
+function getHost(url) {
+
+  const name = parseUrl(url).host || ""
+
+  if (!hosts.has(name)) {
+
+    const limits = getRequestLimits()
+
+    hosts.set(name, {
+      name,
+      maxRate: limits.requestsPerSecond,
+      rate: limits.requestsPerSecond,
+      maxInFlight: limits.requestsPerHost,
+      inFlight: 0,
+      queue: [],
+      timer: null,
+      lastStarted: 0,
+      pausedUntil: 0,
+      healthyResponses: 0,
+      requests: 0,
+      slowDowns: 0,
+      retries: 0,
+      failures: 0,
+      firstStarted: 0,
+      lastFinished: 0
+    })
+  }
+
+  return hosts.get(name)
+}
+
+/**
+ * Start as many queued requests as the host's limits allow. If we have to wait before the next one, come back later.
+ * @param host
+ */
+function startQueuedRequests(host) {
+
+  // Already waiting to start the next one.
+  if (host.timer) {
+    return
+  }
+
+  while (host.queue.length && host.inFlight < host.maxInFlight) {
+
+    // Space requests out according to the current rate and any pause the server asked for.
+    const wait = Math.max(host.lastStarted + 1000 / host.rate, host.pausedUntil) - Date.now()
+
+    if (wait > 0) {
+
+      host.timer = setTimeout(() => {
+        host.timer = null
+        startQueuedRequests(host)
+      }, wait)
+
+      return
+    }
+
+    host.inFlight++
+    host.requests++
+    host.lastStarted = Date.now()
+    host.firstStarted = host.firstStarted || host.lastStarted
+
+    host.queue.shift()()
+  }
+}
+
+/**
+ * Work out how many requests a second we have actually been sending to the host.
+ * @param host
+ * @param until - when to measure up to.
+ * @returns {number}
+ */
+function getActualRate(host, until) {
+  return host.requests / Math.max(1, (until - host.firstStarted) / 1000)
+}
+
+/**
+ * The server is struggling so halve the rate we send at. If it told us how long to wait, do that too.
+ * @param host
+ * @param retryAfter - optional number of seconds the server asked us to wait.
+ */
+function slowDown(host, retryAfter) {
+
+  // With no limit to start from, go from how fast we have really been going.
+  const rate = host.rate === Infinity ? getActualRate(host, Date.now()) : host.rate
+
+  host.rate = Math.max(MINIMUM_REQUEST_RATE, rate / 2)
+  host.healthyResponses = 0
+  host.slowDowns++
+
+  const retryAfterSeconds = parseInt(retryAfter, 10)
+  retryAfterSeconds > 0 && (host.pausedUntil = Date.now() + retryAfterSeconds * 1000)
+
+  debug("slowingDownRequests", {host: host.name, rate: host.rate.toFixed(1)})
+}
+
+/**
+ * Look at a response to see if we should go slower or can afford to go a bit faster.
+ * @param host
+ * @param response
+ */
+function adjustRate(host, response) {
+
+  const statusCode = response && response.statusCode
+
+  if (statusCode === 429 || statusCode === 503) {
+    slowDown(host, response.headers && response.headers["retry-after"])
+  } else if (++host.healthyResponses >= HEALTHY_RESPONSES_BEFORE_SPEEDING_UP && host.rate < host.maxRate) {
+
+    host.rate = Math.min(host.maxRate, host.rate + 1)
+    host.healthyResponses = 0
+  }
+}
+
+/**
+ * Queue up a request to the host in the supplied URL, sending it when the host's limits allow.
+ * @param url
+ * @param makeCall - function that makes the request and returns a promise of the data and response.
+ * @returns a Bluebird promise that settles the same way as the request.
+ */
+function scheduleRequest(url, makeCall) {
+
+  const host = getHost(url)
+
+  return new Promise((resolve, reject) => {
+
+    host.queue.push(() => makeCall()
+      .tap(results => results && adjustRate(host, results.response))
+      .finally(() => {
+        host.inFlight--
+        host.lastFinished = Date.now()
+        startQueuedRequests(host)
+      })
+      .then(resolve, reject))
+
+    startQueuedRequests(host)
+  })
+}
+
+/**
+ * Tell the user how fast we actually managed to talk to each server.
+ */
+exports.reportRequestRates = function () {
+
+  hosts.forEach(host => {
+
+    if (host.requests) {
+
+      info("requestRateReport", {
+        host: host.name,
+        requests: host.requests,
+        rate: getActualRate(host, host.lastFinished).toFixed(1),
+        slowDowns: host.slowDowns
+      })
+
+      host.retries && info("requestRetryReport", {host: host.name, retries: host.retries})
+      host.failures && warn("requestFailureReport", {host: host.name, failures: host.failures})
+    }
+  })
+}
+
+/**
+ * Send a request when the host's limits allow, trying again if it fails in a way that looks temporary.
+ * @param request - the client, method, url and so on, along with the functions to settle the caller's promise.
+ * @param attempt - which attempt this is, starting at 1.
+ */
+function sendRequest(request, attempt) {
+
+  scheduleRequest(request.url, () => new Promise(finished => {
+
+    try {
+      // Call the node-rest-client function which needs a callback.
+      makeRequest(request.client, request.methodName, request.url, request.args, results => {
+
+        finished(results)
+        handleResponse(request, attempt, results)
+      }, request.responseBuilder).on('error', err => {
+
+        finished()
+        handleError(err, request, attempt)
+      })
+    } catch (err) {
+
+      finished()
+      handleError(err, request, attempt)
+    }
+  }))
+}
+
+/**
+ * Have another go at a request unless we have run out of attempts.
+ * @param request
+ * @param attempt - the attempt that just failed.
+ * @param reason - what went wrong, for the user's benefit.
+ * @param giveUp - function to call if there are no attempts left.
+ */
+function retryOrGiveUp(request, attempt, reason, giveUp) {
+
+  const host = getHost(request.url)
+  const maxAttempts = getRetryPolicy().maxAttempts
+
+  if (attempt < maxAttempts) {
+
+    const delay = getRetryDelay(attempt)
+
+    host.retries++
+    warn("retryingRequest", {path: request.url, reason, attempt: attempt + 1, maxAttempts, delay})
+
+    setTimeout(() => sendRequest(request, attempt + 1), delay)
+  } else {
+
+    host.failures++
+    error("retriesExhausted", {path: request.url, reason, attempts: attempt})
+
+    giveUp()
+  }
+}
+
+/**
+ * See if the server wants us to try again later. If not, we are done.
+ * @param request
+ * @param attempt
+ * @param results
+ */
+function handleResponse(request, attempt, results) {
+
+  if (isRetryableResponse(results.response, request.methodName)) {
+    retryOrGiveUp(request, attempt, `HTTP ${results.response.statusCode}`, () => request.resolve(results))
+  } else {
+    request.resolve(results)
+  }
+}
+
 /**
  * Create the node-rest-client instance and augment it to work with Bluebird promises.
+ * @param instance - optional server URL, used to decide whether to go through the proxy.
  */
-exports.makePromisingClient = function () {
+exports.makePromisingClient = function (instance) {
 
-  // Create an instance of the basic node-rest-client first.
-  const client = new Client(defaultClientConfig)
+  // Create an instance of the basic node-rest-client first. Proxy and certificate settings trump anything in the
+  // user config.
+  const client = new Client(Object.assign({}, defaultClientConfig, getClientConfig(instance)))
 
   // Walk through each of the HTTP verb methods.
   const methodNames = ["post", "get", "put", "delete"]
   methodNames.forEach(methodName => {
 
-    // Create another version of the current function with returns a promise.
+    // Create another version of the current function with returns a promise. Requests wait their turn so we don't
+    // swamp the server.
     client[methodName + "AndPromise"] = (url, args, responseBuilder) => {
 
-      return new Promise((resolve, reject) => {
-
-        try {
-          // Call the node-rest-client function which needs a callback.
-          makeRequest(client, methodName, url, args, resolve, responseBuilder).on('error',
-            error => handleError(error, reject, client, methodName, url, args, resolve))
-        } catch (error) {
-          handleError(error, reject, client, methodName, url, args, resolve)
-        }
-      })
+      return new Promise((resolve, reject) =>
+        sendRequest({client, methodName, url, args, responseBuilder, resolve, reject}, 1))
     }
   })
 
@@ -76,30 +327,24 @@ exports.makePromisingClient = function () {
 /**
  * Handle a node-reset-client error with the possibility of a retry.
  * @param err
- * @param reject
- * @param client
- * @param methodName
- * @param url
- * @param args
- * @param resolve
- * @param shouldIgnore
+ * @param request
+ * @param attempt
  */
-function handleError(err, reject, client, methodName, url, args, resolve) {
+function handleError(err, request, attempt) {
 
   // node-rest-client has reported an error but all may not be lost. For connection
   // resets, warn the user and try again. For DNS resolution failures or timeout where
   // we have previously connected successfully, try again.
-  if (err.code === "ECONNRESET" || err.code === "EPIPE" ||
-    ((err.code === "ENOTFOUND" || err.code === "ETIMEDOUT" ||
-      err.code === "ECONNREFUSED" || err.code === "ENETDOWN") && client.madeConnection)) {
+  if (isRetryableError(err, request.client.madeConnection, request.methodName)) {
+
+    // Connection resets usually mean the server has had enough so go easier on it.
+    err.code === "ECONNRESET" && slowDown(getHost(request.url))
 
-    warn("connectionResetAndRetrying")
-    makeRequest(client, methodName, url, args, resolve).on('error',
-      err => handleError(err, reject, client, methodName, url, args, resolve))
+    retryOrGiveUp(request, attempt, err.code, () => request.reject(err))
   } else {
 
     // Not recoverable it seems, treat this as a failure.
-    reject(err)
+    request.reject(err)
   }
 }
 
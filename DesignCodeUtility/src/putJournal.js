@@ -0,0 +1,140 @@
+"use strict"
+
+const upath = require("upath")
+
+const appendFile = require("./utils").appendFile
+const constants = require("./constants").constants
+const exists = require("./utils").exists
+const info = require("./logger").info
+const inTransferMode = require("./state").inTransferMode
+const readFile = require("./utils").readFile
+const removeTree = require("./utils").removeTree
+const resolvePath = require("./utils").resolvePath
+const warn = require("./logger").warn
+const writeFile = require("./utils").writeFile
+
+const journalPath = `${constants.trackingDir}/${constants.putAllJournal}`
+
+// Paths that the run we are resuming managed to send.
+let previouslySentPaths = new Set()
+
+/**
+ * Turn a path into one relative to the base directory so journals still make sense if the absolute paths change.
+ * @param path
+ * @returns {string}
+ */
+function relativeToBaseDir(path) {
+  return upath.relative(resolvePath("."), resolvePath(path))
+}
+
+/**
+ * Describe the putAll that is about to happen. A journal can only be resumed by a putAll with the same header.
+ * @param path
+ * @param node
+ * @returns {{node, path, transfer}}
+ */
+function makeHeader(path, node) {
+  return {node, path: relativeToBaseDir(path), transfer: !!inTransferMode()}
+}
+
+/**
+ * Get the header from the first line of the journal.
+ * @param line
+ * @returns the header or null if the line is missing or mangled.
+ */
+function parseHeader(line) {
+
+  try {
+    return line ? JSON.parse(line) : null
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Look for a journal left behind by an earlier run of the same putAll.
+ * @param path
+ * @param node
+ * @returns {Set} the paths the earlier run sent or null if there is nothing to resume.
+ */
+function findResumablePaths(path, node) {
+
+  if (!exists(journalPath)) {
+    return null
+  }
+
+  const lines = readFile(journalPath).split("\n")
+
+  // Every complete line ends in a new line. Anything after the last one was cut short when we were killed.
+  lines.pop()
+
+  const header = makeHeader(path, node)
+  const journalHeader = parseHeader(lines[0])
+
+  if (!journalHeader) {
+    warn("putAllJournalUnreadable", {path: journalPath})
+    return null
+  }
+
+  if (journalHeader.node !== header.node || journalHeader.path !== header.path ||
+    journalHeader.transfer !== header.transfer) {
+    return null
+  }
+
+  return new Set(lines.slice(1).filter(line => line))
+}
+
+/**
+ * Get ready to note down everything a putAll sends. When resuming, pick up what the last run already sent,
+ * otherwise start a fresh journal.
+ * @param path
+ * @param node
+ * @param resume
+ */
+function startJournal(path, node, resume) {
+
+  const resumablePaths = resume ? findResumablePaths(path, node) : null
+
+  if (resumablePaths) {
+
+    previouslySentPaths = resumablePaths
+    info("resumingPutAll", {path, node, count: resumablePaths.size})
+  } else {
+
+    resume && warn("noPutAllToResume", {path, node})
+
+    previouslySentPaths = new Set()
+    writeFile(journalPath, `${JSON.stringify(makeHeader(path, node))}\n`)
+  }
+}
+
+/**
+ * See if the run we are resuming already got the supplied path to the server.
+ * @param path
+ * @returns {boolean}
+ */
+function alreadySent(path) {
+  return previouslySentPaths.has(relativeToBaseDir(path))
+}
+
+/**
+ * Note down that path made it to the server. Written straight away so nothing is lost if we are killed.
+ * @param path
+ */
+function recordSent(path) {
+  appendFile(journalPath, `${relativeToBaseDir(path)}\n`)
+}
+
+/**
+ * Tidy up once the putAll is over. The journal is only kept if something needs to be sent again.
+ * @param failed - true if anything did not make it to the server.
+ */
+function finishJournal(failed) {
+  failed ? info("putAllCanBeResumed") : removeTree(journalPath)
+}
+
+exports.alreadySent = alreadySent
+exports.findResumablePaths = findResumablePaths
+exports.finishJournal = finishJournal
+exports.recordSent = recordSent
+exports.startJournal = startJournal
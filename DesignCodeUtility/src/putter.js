@@ -5,6 +5,7 @@ const ELEMENT_TEMPLATE_SAFE_LIMIT = require("./concurrencySettings").ELEMENT_TEM
 const STACK_BASE_SAFE_LIMIT = require("./concurrencySettings").STACK_BASE_SAFE_LIMIT
 const WIDGET_LESS_SAFE_LIMIT = require("./concurrencySettings").WIDGET_LESS_SAFE_LIMIT
 
+const alreadySent = require("./putJournal").alreadySent
 const cacheGlobalElements = require("./metadata").cacheGlobalElements
 const cacheStackDescriptors = require("./metadata").cacheStackDescriptors
 const cacheStackInstances = require("./metadata").cacheStackInstances
@@ -12,20 +13,44 @@ const cacheThemes = require("./metadata").cacheThemes
 const cacheWidgetDescriptors = require("./metadata").cacheWidgetDescriptors
 const cacheWidgetElements = require("./metadata").cacheWidgetElements
 const cacheWidgetInstances = require("./metadata").cacheWidgetInstances
+const checkCompatibility = require("./compatibilityChecker").checkCompatibility
 const classify = require("./classifier").classify
 const constants = require("./constants").constants
+const debug = require("./logger").debug
+const deleteCreatedAssets = require("./assetDeleter").deleteCreatedAssets
 const endPointTransceiver = require("./endPointTransceiver")
 const error = require("./logger").error
 const exists = require("./utils").exists
+const findAssetType = require("./assetTypeRegistry").findAssetType
+const finishJournal = require("./putJournal").finishJournal
+const findResumablePaths = require("./putJournal").findResumablePaths
+const findWidgetDependencies = require("./widgetDependencies").findWidgetDependencies
+const getAssetTypes = require("./assetTypeRegistry").getAssetTypes
+const getPutStatusCode = require("./putterUtils").getPutStatusCode
 const getPuttingConcurrency = require("./concurrencySettings").getPuttingConcurrency
 const getPathsBlock = require("./puttingPathsBlock").getPathsBlock
+const hasPutFailed = require("./putterUtils").hasPutFailed
+const havePutsFailed = require("./putterUtils").havePutsFailed
 const info = require("./logger").info
 const initializeMetadata = require("./metadata").initializeMetadata
 const isDirectory = require("./utils").isDirectory
 const inTransferMode = require("./state").inTransferMode
 const normalize = require("./utils").normalize
+const pruneDeletedAssets = require("./assetDeleter").pruneDeletedAssets
 const putGlobalSnippets = require("./textSnippetPutter").putGlobalSnippets
 const readMetadata = require("./metadata").readMetadata
+const readSnapshot = require("./snapshotter").readSnapshot
+const recordPutFailure = require("./putterUtils").recordPutFailure
+const recordSent = require("./putJournal").recordSent
+const resolveConflict = require("./merger").resolveConflict
+const restoreSnapshot = require("./snapshotter").restoreSnapshot
+const runWithHooks = require("./hooks").runWithHooks
+const shouldContinueOnError = require("./putterUtils").shouldContinueOnError
+const shouldMergeOnConflict = require("./putterUtils").shouldMergeOnConflict
+const shouldPrune = require("./putterUtils").shouldPrune
+const shouldResume = require("./putterUtils").shouldResume
+const shouldSendDependencies = require("./putterUtils").shouldSendDependencies
+const startJournal = require("./putJournal").startJournal
 const putApplicationJavaScript = require("./applicationJavaScriptPutter").putApplicationJavaScript
 const putElementInstanceMetadata = require("./widgetPutter").putElementInstanceMetadata
 const putElementJavaScript = require("./elementPutter").putElementJavaScript
@@ -45,6 +70,7 @@ const putStackInstanceLess = require("./stackPutter").putStackInstanceLess
 const putStackInstanceLessVariables = require("./stackPutter").putStackInstanceLessVariables
 const putStackInstanceTemplate = require("./stackPutter").putStackInstanceTemplate
 const putStackInstanceModifiableMetadata = require("./stackPutter").putStackInstanceModifiableMetadata
+const putAssetTypePath = require("./assetTypeRegistry").putAssetTypePath
 const putTheme = require("./themePutter").putTheme
 const putThemeAdditionalStyles = require("./themePutter").putThemeAdditionalStyles
 const putThemeStyles = require("./themePutter").putThemeStyles
@@ -66,8 +92,10 @@ const putWidgetJavaScript = require("./widgetPutter").putWidgetJavaScript
 const putWidgetModifiableMetadata = require("./widgetPutter").putWidgetModifiableMetadata
 const PuttingFileType = require("./puttingFileType").PuttingFileType
 const compareElements = require("./elementSorter").compareElements
+const takeSnapshot = require("./snapshotter").takeSnapshot
 const walkDirectory = require("./utils").walkDirectory
 const warn = require("./logger").warn
+const watchDirectory = require("./watcher").watchDirectory
 const widgetInstanceExistsOnTarget = require("./metadata").widgetInstanceExistsOnTarget
 const putWidgetModuleJavaScript = require("./widgetPutter").putWidgetModuleJavaScript
 
@@ -111,9 +139,76 @@ const putterMap = new Map([
   [PuttingFileType.WIDGET_BASE_LESS, putWidgetBaseLess],
   [PuttingFileType.WIDGET_BASE_SNIPPETS, putWidgetBaseSnippets],
   [PuttingFileType.WIDGET_CONFIG_JSON, putWidgetConfigJson],
-  [PuttingFileType.WIDGET_CONFIG_SNIPPETS, putWidgetConfigSnippets]
+  [PuttingFileType.WIDGET_CONFIG_SNIPPETS, putWidgetConfigSnippets],
+  [PuttingFileType.PLUGIN_ASSET, putAssetTypePath]
 ])
 
+/**
+ * Send a single path as part of a putAll, skipping it if the run we are resuming already sent it
+ * and noting it down in the journal if it gets there. In continue on error mode, a failure is noted down too
+ * and the rest of the run carries on.
+ * @param path
+ * @param sendFunction - does the actual sending.
+ * @return A Bluebird promise.
+ */
+function sendOnce(path, sendFunction) {
+
+  if (alreadySent(path)) {
+    debug("pathAlreadySent", {path})
+    return Promise.resolve()
+  }
+
+  return Promise.try(() => sendFunction(path)).then(() => !hasPutFailed(path) && recordSent(path)).catch(err => {
+
+    // Unless the user would rather we kept going, an error means the end of the run.
+    if (!shouldContinueOnError()) {
+      throw err
+    }
+
+    warn("pathCouldNotBeSent", {path, message: err.message})
+    recordPutFailure(path, null, err.code, err.message)
+  })
+}
+
+/**
+ * Call the supplied operation to send a single path then tell the user how it went, with the HTTP status and how
+ * long it took. There is one of these for every path sent so they are easy to pick out of JSON logs.
+ * @param path
+ * @param node
+ * @param operation - function that sends the path.
+ * @return A Bluebird promise.
+ */
+function reportOutcome(path, node, operation) {
+
+  const started = Date.now()
+
+  const report = sent => info(sent ? "pathSent" : "pathNotSent",
+    {path, node, statusCode: getPutStatusCode(path), duration: Date.now() - started})
+
+  return Promise.try(operation).then(result => {
+
+    report(!hasPutFailed(path))
+    return result
+  }, err => {
+
+    report(false)
+    throw err
+  })
+}
+
+/**
+ * Send a single path as part of a putAll using the supplied putter.
+ * @param path
+ * @param node
+ * @param putterFunction
+ * @return A Bluebird promise.
+ */
+function sendPath(path, node, putterFunction) {
+
+  info("sendingPath", {path, node})
+
+  return reportOutcome(path, node, () => putterFunction(path))
+}
 
 /**
  * Given a set of new themes, create them concurrently.
@@ -130,8 +225,7 @@ function createNewThemes(newThemeSet, node) {
 
     dirty = true
 
-    info("sendingPath", {path: newTheme, node})
-    return putTheme(newTheme)
+    return sendOnce(newTheme, () => sendPath(newTheme, node, putTheme))
   }, getPuttingConcurrency()).then(() => dirty && cacheThemes())
 }
 
@@ -145,14 +239,40 @@ function createNewThemes(newThemeSet, node) {
  */
 function updatePaths(paths, node, pathTypeMap, concurrency) {
 
-  return Promise.map(paths, path => {
+  // We have already classified the paths so use that to get the putter from the map.
+  return Promise.map(paths, path => sendOnce(path, () => sendPath(path, node, putterMap.get(pathTypeMap.get(path)))),
+    getPuttingConcurrency(concurrency))
+}
+
+/**
+ * Work out the steps needed to send the files belonging to plugin asset types that go after the supplied point
+ * in a putAll. Each asset type gets its own step so they are sent in the order they were registered.
+ * @param pluginPaths
+ * @param putAfter - e.g. themes.
+ * @return {Array}
+ */
+function getPluginSteps(pluginPaths, putAfter) {
+
+  return getAssetTypes().filter(assetType => assetType.putAfter === putAfter).map(assetType => ({
+    name: "updatePluginAssets",
+    assetType: assetType.name,
+    paths: pluginPaths.filter(path => findAssetType(path) === assetType),
+    concurrency: assetType.concurrency
+  }))
+}
 
-    info("sendingPath", {path, node})
+/**
+ * Send the files belonging to plugin asset types that go after the supplied point in a putAll.
+ * @param pluginPaths
+ * @param putAfter
+ * @param node
+ * @param pathTypeMap
+ * @return a Bluebird promise.
+ */
+function updatePluginPaths(pluginPaths, putAfter, node, pathTypeMap) {
 
-    // We have already classified the path so use it to get the putter from the map.
-    const putterFunction = putterMap.get(pathTypeMap.get(path))
-    return putterFunction(path)
-  }, getPuttingConcurrency(concurrency))
+  return Promise.each(getPluginSteps(pluginPaths, putAfter),
+    step => updatePaths(step.paths, node, pathTypeMap, step.concurrency))
 }
 
 /**
@@ -171,8 +291,7 @@ function createNewGlobalElements(newElementSet, node) {
 
     dirty = true
 
-    info("sendingPath", {path: newElementPath, node})
-    return putGlobalElement(newElementPath)
+    return sendOnce(newElementPath, () => sendPath(newElementPath, node, putGlobalElement))
   }).then(() => dirty && cacheGlobalElements())
 }
 
@@ -191,8 +310,7 @@ function createNewWidgets(newWidgetSet, node) {
 
     dirty = true
 
-    info("sendingPath", {path: newWidget, node})
-    return putWidget(newWidget)
+    return sendOnce(newWidget, () => sendPath(newWidget, node, putWidget))
   }, getPuttingConcurrency()).then(() => {
     if (dirty) {
       return cacheWidgetDescriptors().then(() => cacheWidgetElements())
@@ -214,7 +332,7 @@ function checkForNewWidgetInstances(widgetInstancePaths) {
 
     dirty = true
 
-    return putWidgetInstance(widgetInstancePath)
+    return sendOnce(widgetInstancePath, putWidgetInstance)
   }, getPuttingConcurrency()).then(() => dirty && cacheWidgetInstances())
 }
 
@@ -233,8 +351,7 @@ function createNewStacks(newStackSet, node) {
 
     dirty = true
 
-    info("sendingPath", {path: newStack, node})
-    return putStack(newStack)
+    return sendOnce(newStack, () => sendPath(newStack, node, putStack))
   }, getPuttingConcurrency()).then(() => dirty && cacheStackDescriptors())
 }
 
@@ -252,7 +369,7 @@ function checkForNewStackInstances(stackInstanceDirs) {
 
     dirty = true
 
-    return putStackInstance(stackInstancePath)
+    return sendOnce(stackInstancePath, putStackInstance)
   }, getPuttingConcurrency()).then(() => dirty && cacheStackInstances())
 }
 
@@ -276,9 +393,54 @@ function shredTargetDirectory(path) {
   // Walk through the supplied directory, looking at all the files.
   walkDirectory(path, puttingDirectoryWalker(pathTypeMap, paths))
 
+  // Create anything the widget needs alongside any other new global elements and stacks so they go first.
+  if (shouldSendDependencies()) {
+
+    const dependencies = findWidgetDependencies(path)
+
+    dependencies.elementDirs.forEach(elementDir => paths.newElementSet.add(elementDir))
+    dependencies.stackDirs.forEach(stackDir => paths.newStackSet.add(stackDir))
+  }
+
   return {paths, pathTypeMap}
 }
 
+/**
+ * Find everything a put of the supplied path would send, along with its type.
+ * @param path
+ * @param all
+ * @return {Map} of path to PuttingFileType.
+ */
+function findTypedPaths(path, all) {
+
+  if (!all) {
+    return new Map([[path, classify(path)]])
+  }
+
+  // Break the directory up in exactly the same way as putAll.
+  const {paths, pathTypeMap} = shredTargetDirectory(path)
+  const typedPaths = new Map()
+
+  const addPaths = (pathList, puttingFileType) =>
+    pathList.forEach(path => typedPaths.set(path, puttingFileType || pathTypeMap.get(path)))
+
+  addPaths(paths.newThemeSet, PuttingFileType.THEME)
+  addPaths(paths.existingThemePaths)
+  addPaths(paths.newStackSet, PuttingFileType.STACK)
+  addPaths(paths.stackInstanceDirs, PuttingFileType.STACK_INSTANCE)
+  addPaths(paths.stackInstancePaths)
+  addPaths(paths.newElementSet, PuttingFileType.GLOBAL_ELEMENT)
+  addPaths(paths.newWidgetSet, PuttingFileType.WIDGET)
+  addPaths(paths.widgetInstanceDirs, PuttingFileType.WIDGET_INSTANCE)
+  addPaths(paths.otherPaths)
+  addPaths(paths.widgetLessPaths)
+  addPaths(paths.elementTemplatePaths)
+  addPaths(paths.stackBasePaths)
+  addPaths(paths.pluginPaths)
+
+  return typedPaths
+}
+
 /**
  * Send the contents of all the files found beneath the given directory
  * to the appropriate place on the server.
@@ -287,18 +449,37 @@ function shredTargetDirectory(path) {
  */
 exports.putAll = function (path, node) {
 
+  // Hooks get to run before we look at the directory in case they change what is in it.
+  return runWithHooks("PutAll", {node, path}, () => sendAll(path, node), () => !havePutsFailed())
+}
+
+/**
+ * Break the directory up and send everything in it in a controlled order.
+ * @param path
+ * @param node
+ * @returns A Bluebird promise.
+ */
+function sendAll(path, node) {
+
   // Break the directory up into manageable chunks.
   const {paths, pathTypeMap} = shredTargetDirectory(path)
 
+  // Keep a note of what gets sent so we can pick up from here if things go wrong.
+  startJournal(path, node, shouldResume())
+
   // Send stuff in a controlled order.
   return createNewThemes(paths.newThemeSet, node)
     .then(() => updatePaths(paths.existingThemePaths, node, pathTypeMap, 1)) // Need to update themes singly as etags are shared.
+    .then(() => updatePluginPaths(paths.pluginPaths, "themes", node, pathTypeMap))
     .then(() => createNewStacks(paths.newStackSet, node))
     .then(() => checkForNewStackInstances(paths.stackInstanceDirs))
     .then(() => updatePaths(paths.stackInstancePaths, node, pathTypeMap))
+    .then(() => updatePluginPaths(paths.pluginPaths, "stacks", node, pathTypeMap))
     .then(() => createNewGlobalElements(paths.newElementSet, node))
+    .then(() => updatePluginPaths(paths.pluginPaths, "elements", node, pathTypeMap))
     .then(() => createNewWidgets(paths.newWidgetSet, node))
     .then(() => checkForNewWidgetInstances(paths.widgetInstanceDirs))
+    .then(() => updatePluginPaths(paths.pluginPaths, "widgets", node, pathTypeMap))
     .then(() => Promise.all([
       updatePaths(paths.otherPaths, node, pathTypeMap, 1),
       // Widget less/element templates/stack base updated singly for now.
@@ -306,6 +487,9 @@ exports.putAll = function (path, node) {
       updatePaths(paths.elementTemplatePaths, node, pathTypeMap, ELEMENT_TEMPLATE_SAFE_LIMIT),
       updatePaths(paths.stackBasePaths, node, pathTypeMap, STACK_BASE_SAFE_LIMIT)
     ]))
+    .then(() => updatePluginPaths(paths.pluginPaths, "everything", node, pathTypeMap))
+    .then(() => finishJournal(havePutsFailed()))
+    .then(() => shouldPrune() && pruneDeletedAssets(path, node)) // Only delete things once everything else is in place.
 }
 
 /**
@@ -319,24 +503,92 @@ function send(path, node) {
   info("sendingPath", {path, node})
 
   // Find a putter for the file type.
-  const putterFunction = putterMap.get(classify(path))
+  const fileType = classify(path)
+  const putterFunction = putterMap.get(fileType)
 
   // There should always be a putter but make sure.
   if (putterFunction) {
-    return putterFunction(path)
+
+    // If the user wants, try to merge in any changes someone else made on the server.
+    return runWithHooks("Put", {node, path, type: fileType.name}, () => reportOutcome(path, node, () =>
+      shouldMergeOnConflict()
+        ? Promise.resolve(putterFunction(path)).then(() => resolveConflict(path, putterFunction))
+        : putterFunction(path)), () => !hasPutFailed(path))
   } else {
     warn("fileIsNotRecognized", {name: path})
   }
 }
 
 /**
- * Entry point. Send the contents of the file or files given by path to the appropriate
- * place on the server.
+ * Work out what putAll() would do with the supplied directory without sending anything to the server.
+ * The steps must be kept in the same order as in putAll(). Note that the four update steps that follow widget instance
+ * creation and any plugin steps for the widgets are run alongside each other by putAll().
+ * @param path
+ * @param node
+ * @return an object describing the plan.
+ */
+function planAll(path, node) {
+
+  // Break the directory up in exactly the same way as putAll.
+  const {paths} = shredTargetDirectory(path)
+
+  // Work out which widget instances will need to be created. Stack instances are never created by putAll.
+  const newWidgetInstanceDirs = paths.widgetInstanceDirs.filter(widgetInstanceDir => !widgetInstanceExistsOnTarget(widgetInstanceDir))
+
+  const steps = [
+    {name: "createThemes", paths: Array.from(paths.newThemeSet)},
+    {name: "updateThemes", paths: paths.existingThemePaths, concurrency: 1},
+    ...getPluginSteps(paths.pluginPaths, "themes"),
+    {name: "createStacks", paths: Array.from(paths.newStackSet)},
+    {name: "updateStackInstances", paths: paths.stackInstancePaths},
+    ...getPluginSteps(paths.pluginPaths, "stacks"),
+    {name: "createGlobalElements", paths: Array.from(paths.newElementSet).sort(compareElements), concurrency: 1},
+    ...getPluginSteps(paths.pluginPaths, "elements"),
+    {name: "createWidgets", paths: Array.from(paths.newWidgetSet)},
+    {name: "createWidgetInstances", paths: newWidgetInstanceDirs},
+    ...getPluginSteps(paths.pluginPaths, "widgets"),
+    {name: "updateOtherPaths", paths: paths.otherPaths, concurrency: 1},
+    {name: "updateWidgetLess", paths: paths.widgetLessPaths, concurrency: WIDGET_LESS_SAFE_LIMIT},
+    {name: "updateElementTemplates", paths: paths.elementTemplatePaths, concurrency: ELEMENT_TEMPLATE_SAFE_LIMIT},
+    {name: "updateStackBases", paths: paths.stackBasePaths, concurrency: STACK_BASE_SAFE_LIMIT},
+    ...getPluginSteps(paths.pluginPaths, "everything")
+  ]
+
+  // Fill in the default concurrency where the step does not have its own.
+  steps.forEach(step => step.concurrency = getPuttingConcurrency(step.concurrency).concurrency)
+
+  return {node, path, transfer: !!inTransferMode(), steps: steps.filter(step => step.paths.length)}
+}
+
+/**
+ * Work out what send() would do with the supplied file without sending anything to the server.
+ * @param path
+ * @param node
+ * @return an object describing the plan.
+ */
+function planSend(path, node) {
+
+  const steps = []
+
+  // Only files we have a putter for would be sent.
+  if (putterMap.get(classify(path))) {
+    steps.push({name: "updatePath", paths: [path], concurrency: 1})
+  } else {
+    warn("fileIsNotRecognized", {name: path})
+  }
+
+  return {node, path, transfer: !!inTransferMode(), steps}
+}
+
+/**
+ * Do all the sanity checks needed before sending anything to the server then call the supplied operation.
  * @param rawPath
  * @param node
  * @param all
+ * @param operation - function that takes a normalized path and the node.
+ * @returns A Bluebird promise or undefined.
  */
-exports.put = function (rawPath, node, all) {
+function checkTargetAndThen(rawPath, node, all, operation) {
 
   // Normalize the path in case its in windows format.
   const path = normalize(rawPath)
@@ -370,9 +622,10 @@ exports.put = function (rawPath, node, all) {
       // We are transferring between different servers. Need to do a few extra checks.
       if (inTransferMode()) {
 
-        // Servers must be at the same version.
+        // Servers at different versions may not have everything the assets need so check each one.
         if (configMetadata.commerceCloudVersion !== endPointTransceiver.commerceCloudVersion) {
-          error("cannotSendToDifferentVersion", {
+
+          info("transferringBetweenVersions", {
             path,
             node,
             configMetadataNode: configMetadata.node,
@@ -380,7 +633,9 @@ exports.put = function (rawPath, node, all) {
             targetVersion: endPointTransceiver.commerceCloudVersion
           })
 
-          return
+          if (!checkCompatibility(findTypedPaths(path, all), node)) {
+            return
+          }
         }
 
         // Servers must be different.
@@ -391,12 +646,74 @@ exports.put = function (rawPath, node, all) {
         }
       }
 
-      // See if we are sending one file or a whole lot.
-      if (all) {
-        return exports.putAll(path, node)
-      } else {
-        return send(path, node)
-      }
+      return operation(path, node)
     })
   })
 }
+
+/**
+ * Entry point. Send the contents of the file or files given by path to the appropriate
+ * place on the server.
+ * @param rawPath
+ * @param node
+ * @param all
+ */
+exports.put = function (rawPath, node, all) {
+
+  // See if we are sending one file or a whole lot. When sending a lot, keep a copy of what was there first
+  // unless we are carrying on from an earlier run as its snapshot is the one to go back to.
+  return checkTargetAndThen(rawPath, node, all, all
+    ? (path, node) => (shouldResume() && findResumablePaths(path, node)
+      ? exports.putAll(path, node)
+      : takeSnapshot(path, node, findTypedPaths(path, true)).then(() => exports.putAll(path, node)))
+    : send)
+}
+
+/**
+ * Entry point. Work out what put() would do with the file or files given by path without changing anything
+ * on the server.
+ * @param rawPath
+ * @param node
+ * @param all
+ * @returns A Bluebird promise that resolves to the plan or undefined if the checks failed.
+ */
+exports.plan = Promise.method((rawPath, node, all) => checkTargetAndThen(rawPath, node, all, all ? planAll : planSend))
+
+/**
+ * Entry point. Keep watching the directory given by path, sending files to the server as they change.
+ * @param rawPath
+ * @param node
+ * @returns A Bluebird promise that resolves when we stop watching or undefined if the checks failed.
+ */
+exports.watch = function (rawPath, node) {
+  return checkTargetAndThen(rawPath, node, true, (path, node) => watchDirectory(path, node, path => send(path, node)))
+}
+
+/**
+ * Entry point. Put the server back the way it was before the putAll or transferAll that took the snapshot, deleting
+ * anything it created.
+ * @param snapshotId
+ * @param node
+ * @returns A Bluebird promise.
+ */
+exports.rollback = Promise.method((snapshotId, node) => {
+
+  const snapshot = readSnapshot(snapshotId)
+
+  if (!snapshot) {
+    return
+  }
+
+  // Snapshots only make sense for the server they were taken from.
+  if (snapshot.node !== node) {
+    error("snapshotNodeMismatch", {snapshotId, node, snapshotNode: snapshot.node})
+    return
+  }
+
+  // Snapshots taken during a transfer need to be sent back the same way.
+  snapshot.transfer && inTransferMode(true)
+
+  return checkTargetAndThen(".", node, true,
+    (path, node) => restoreSnapshot(snapshot, snapshotPath => send(snapshotPath, node))
+      .then(() => deleteCreatedAssets(snapshot.createdAssets, node)))
+})
@@ -3,11 +3,27 @@
 const error = require("./logger").error
 
 const inTransferMode = require("./state").inTransferMode
+const warn = require("./logger").warn
 const writeEtag = require("./etags").writeEtag
 
 let updateInstances = false
 let sendInstanceConfig = true
 let preventThemeCompilation = false
+let mergeOnConflict = false
+let pruneDeletedAssets = false
+let resumePutAll = false
+let continueOnError = false
+let sendDependencies = false
+let assumeYes = false
+
+// Paths that could not be sent because someone else changed them on the server.
+const optimisticLockFailures = new Set()
+
+// Paths the server did not accept during this run, with what went wrong.
+const putFailures = new Map()
+
+// HTTP status of the last response for each path we sent.
+const putStatusCodes = new Map()
 
 /**
  * Tell the module to update instances.
@@ -43,6 +59,155 @@ function shouldSuppressThemeCompile() {
   return preventThemeCompilation
 }
 
+/**
+ * Tell the module that optimistic lock failures will be dealt with by merging in the server changes.
+ */
+function enableMergeOnConflict() {
+  mergeOnConflict = true
+}
+
+function shouldMergeOnConflict() {
+  return mergeOnConflict
+}
+
+/**
+ * Tell the module that assets deleted locally should also be deleted from the server after a putAll.
+ */
+function enablePruning() {
+  pruneDeletedAssets = true
+}
+
+function shouldPrune() {
+  return pruneDeletedAssets
+}
+
+/**
+ * Tell the module that a putAll should carry on from where the last one stopped.
+ */
+function enableResume() {
+  resumePutAll = true
+}
+
+function shouldResume() {
+  return resumePutAll
+}
+
+/**
+ * Tell the module that an error sending one path should not stop the rest being sent.
+ */
+function enableContinueOnError() {
+  continueOnError = true
+}
+
+function shouldContinueOnError() {
+  return continueOnError
+}
+
+/**
+ * Tell the module that a widget should be sent along with the global elements and stacks it needs.
+ */
+function enableDependencies() {
+  sendDependencies = true
+}
+
+function shouldSendDependencies() {
+  return sendDependencies
+}
+
+/**
+ * Tell the module that the user is happy for things to be deleted from the server without being asked first.
+ */
+function enableAssumeYes() {
+  assumeYes = true
+}
+
+function shouldAssumeYes() {
+  return assumeYes
+}
+
+/**
+ * Note down that the supplied path could not be sent so we can tell the user at the end.
+ * @param path
+ * @param statusCode - HTTP status if we got that far.
+ * @param errorCode - error code from the server, if any.
+ * @param message
+ */
+function recordPutFailure(path, statusCode, errorCode, message) {
+  putFailures.set(path, {path, statusCode, errorCode, message})
+}
+
+/**
+ * Forget that the supplied path could not be sent, usually because we are about to send it again.
+ * @param path
+ */
+function clearPutFailure(path) {
+  putFailures.delete(path)
+}
+
+/**
+ * Forget about anything that could not be sent. Library users can do more than one run in the same process.
+ */
+function clearPutFailures() {
+  putFailures.clear()
+  putStatusCodes.clear()
+}
+
+/**
+ * Get hold of everything that could not be sent during this run.
+ * @returns {Array} of objects with path, statusCode, errorCode and message.
+ */
+function getPutFailures() {
+  return Array.from(putFailures.values())
+}
+
+/**
+ * Get the HTTP status of the last response for the supplied path.
+ * @param path
+ * @returns the status code or undefined if nothing has come back for the path.
+ */
+function getPutStatusCode(path) {
+  return putStatusCodes.get(path)
+}
+
+/**
+ * See if the server turned down the supplied path at any point during this run.
+ * @param path
+ * @returns {boolean}
+ */
+function hasPutFailed(path) {
+  return putFailures.has(path)
+}
+
+/**
+ * See if the server turned down anything at all during this run.
+ * @returns {boolean}
+ */
+function havePutsFailed() {
+  return putFailures.size > 0
+}
+
+/**
+ * See if the put of the supplied path failed because of an optimistic lock, forgetting about the failure
+ * so the path can be sent again.
+ * @param path
+ * @returns true if the put failed on an optimistic lock, false otherwise.
+ */
+function takeOptimisticLockFailure(path) {
+  return optimisticLockFailures.delete(path)
+}
+
+/**
+ * Pull the details of a failed put out of the server response.
+ * @param path
+ * @param results
+ */
+function recordFailedResult(path, results) {
+
+  const data = results.data || {}
+
+  recordPutFailure(path, results.response.statusCode, data.errorCode, data.message)
+}
+
 /**
  * Process the result of a put, telling the user how things went.
  * @param path
@@ -51,14 +216,25 @@ function shouldSuppressThemeCompile() {
  */
 function processPutResult(path, results) {
 
+  putStatusCodes.set(path, results.response.statusCode)
+
   // See if we opt locked. Bomb out if we did.
   if (results.response.statusCode === 412) {
 
-    error("alreadyBeenModified", {path}, "optimisticLock")
+    // If we are going to try to merge, this is not the end of the world just yet.
+    if (mergeOnConflict) {
+      warn("alreadyBeenModifiedWillMerge", {path})
+      optimisticLockFailures.add(path)
+    } else {
+      error("alreadyBeenModified", {path}, "optimisticLock")
+    }
+
+    recordFailedResult(path, results)
     return false
 
     // Any bad HTTP codes are taken as failure.
   } else if (results.response.statusCode < 200 || results.response.statusCode > 299) {
+    recordFailedResult(path, results)
     return false
   }
 
@@ -84,11 +260,31 @@ function processPutResultAndEtag(path, results, successCallback) {
   }
 }
 
+exports.clearPutFailure = clearPutFailure
+exports.clearPutFailures = clearPutFailures
+exports.enableAssumeYes = enableAssumeYes
+exports.enableContinueOnError = enableContinueOnError
+exports.enableDependencies = enableDependencies
+exports.enableMergeOnConflict = enableMergeOnConflict
+exports.enablePruning = enablePruning
+exports.enableResume = enableResume
+exports.getPutFailures = getPutFailures
+exports.getPutStatusCode = getPutStatusCode
+exports.hasPutFailed = hasPutFailed
+exports.havePutsFailed = havePutsFailed
 exports.processPutResult = processPutResult
 exports.processPutResultAndEtag = processPutResultAndEtag
+exports.recordPutFailure = recordPutFailure
 exports.enableUpdateInstances = enableUpdateInstances
 exports.shouldUpdateInstances = shouldUpdateInstances
 exports.suppressConfigUpdate = suppressConfigUpdate
+exports.shouldAssumeYes = shouldAssumeYes
+exports.shouldContinueOnError = shouldContinueOnError
+exports.shouldMergeOnConflict = shouldMergeOnConflict
+exports.shouldPrune = shouldPrune
+exports.shouldResume = shouldResume
+exports.shouldSendDependencies = shouldSendDependencies
 exports.shouldSendInstanceConfig = shouldSendInstanceConfig
 exports.shouldSuppressThemeCompile = shouldSuppressThemeCompile
 exports.suppressThemeCompile = suppressThemeCompile
+exports.takeOptimisticLockFailure = takeOptimisticLockFailure
@@ -195,6 +195,12 @@ function puttingDirectoryWalker(pathTypeMap, paths) {
               }
               break
 
+            // Plugins say when their files should be sent.
+            case PuttingFileType.PLUGIN_ASSET:
+
+              paths.pluginPaths.push(fullPath)
+              break
+
             // Anything we don't recognize gets ignored. If we get in here, the file gets processed at the end.
             default:
               if (fileType) {
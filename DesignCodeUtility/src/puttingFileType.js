@@ -55,7 +55,8 @@ PuttingFileType.initEnum([
   'STACK_INSTANCE_VARIABLES_LESS',
   'STACK_INSTANCE_TEMPLATE',
   'STACK_CONFIG_SNIPPETS',
-  'STACK_CONFIG_JSON'
+  'STACK_CONFIG_JSON',
+  'PLUGIN_ASSET'
 ])
 
 exports.PuttingFileType = PuttingFileType
@@ -13,6 +13,7 @@ function getPathsBlock() {
     stackInstanceDirs: [],
     widgetLessPaths: [],
     elementTemplatePaths: [],
+    pluginPaths: [],
     newElementSet: new Set(),
     newThemeSet: new Set(),
     newWidgetSet: new Set(),
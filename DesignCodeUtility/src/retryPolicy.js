@@ -0,0 +1,100 @@
+"use strict"
+
+const upath = require("upath")
+
+const constants = require("./constants").constants
+const exists = require("./utils").exists
+const readJsonFile = require("./utils").readJsonFile
+
+// What we do if the project config file does not say otherwise. Delays are in milliseconds. Methods are the ones
+// that are safe to send twice. Anything else, which means POSTs that create things, is only sent again for the
+// status codes in otherMethodStatusCodes as they mean the server turned the request away without acting on it.
+const defaultPolicy = {
+  maxAttempts: 5,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: 0.5,
+  methods: ["get", "put", "delete"],
+  statusCodes: [429, 502, 503, 504],
+  otherMethodStatusCodes: [429, 503],
+  errorCodes: ["ECONNRESET", "EPIPE", "ENOTFOUND", "ETIMEDOUT", "ECONNREFUSED", "ENETDOWN"]
+}
+
+// These only mean the server is having a bad moment if we have managed to talk to it before. CCDS-7843
+const connectionErrorCodes = ["ENOTFOUND", "ETIMEDOUT", "ECONNREFUSED", "ENETDOWN"]
+
+// Policy from the project config file, merged over the defaults.
+let policy = null
+
+/**
+ * Find the retry policy. Anything in the retry block of the project config file takes priority over the defaults.
+ * @returns the policy.
+ */
+function getRetryPolicy() {
+
+  if (!policy) {
+
+    const file = upath.resolve(constants.projectConfigJson)
+
+    policy = Object.assign({}, defaultPolicy, exists(file) && readJsonFile(file).retry)
+  }
+
+  return policy
+}
+
+/**
+ * Work out how long to wait before the next attempt. The delay doubles each time up to the maximum and the jitter
+ * takes a random fraction off it so that concurrent requests do not all come back at once.
+ * @param attempt - the attempt that just failed, starting at 1.
+ * @returns the delay in milliseconds.
+ */
+function getRetryDelay(attempt) {
+
+  const policy = getRetryPolicy()
+
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1))
+
+  return Math.round(delay * (1 - policy.jitter * Math.random()))
+}
+
+/**
+ * See if it is safe to send a request with the supplied method more than once.
+ * @param methodName - e.g. get.
+ * @returns {boolean}
+ */
+function isRetryableMethod(methodName) {
+  return getRetryPolicy().methods.includes(methodName)
+}
+
+/**
+ * See if a response is worth trying again.
+ * @param response
+ * @param methodName - e.g. get.
+ * @returns true if the status code is one we retry.
+ */
+function isRetryableResponse(response, methodName) {
+
+  const policy = getRetryPolicy()
+  const statusCodes = isRetryableMethod(methodName) ? policy.statusCodes : policy.otherMethodStatusCodes
+
+  return !!response && statusCodes.includes(response.statusCode)
+}
+
+/**
+ * See if a network error is worth trying again. We can't tell how far the request got so only methods that are
+ * safe to send twice are retried.
+ * @param error
+ * @param madeConnection - true if we have talked to the server before.
+ * @param methodName - e.g. get.
+ * @returns true if the error code is one we retry.
+ */
+function isRetryableError(error, madeConnection, methodName) {
+
+  return !!error && isRetryableMethod(methodName) && getRetryPolicy().errorCodes.includes(error.code) &&
+    (!connectionErrorCodes.includes(error.code) || !!madeConnection)
+}
+
+exports.getRetryDelay = getRetryDelay
+exports.getRetryPolicy = getRetryPolicy
+exports.isRetryableError = isRetryableError
+exports.isRetryableResponse = isRetryableResponse
@@ -0,0 +1,107 @@
+"use strict"
+
+const upath = require("upath")
+
+const constants = require("./constants").constants
+const error = require("./logger").error
+const exists = require("./utils").exists
+const readJsonFile = require("./utils").readJsonFile
+
+// Matches placeholders such as ${env:PAYMENT_API_KEY}.
+const placeholderPattern = /\$\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g
+
+// Names of the environment variables whose values should never end up on disk.
+let secretNames = null
+
+/**
+ * Apply the supplied function to every string in the metadata, however deeply it is nested.
+ * @param value
+ * @param transform
+ * @returns a copy of value with the strings transformed.
+ */
+function mapStrings(value, transform) {
+
+  if (typeof value === "string") {
+    return transform(value)
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(entry => mapStrings(entry, transform))
+  }
+
+  if (value && typeof value === "object") {
+    return Object.keys(value).reduce((mapped, key) => {
+      mapped[key] = mapStrings(value[key], transform)
+      return mapped
+    }, {})
+  }
+
+  return value
+}
+
+/**
+ * Find the secret list in the project config file. The file is relative to where we were run from, the same as
+ * for --environment.
+ * @returns {Array} the names of the environment variables that hold secrets.
+ */
+function getSecretNames() {
+
+  if (!secretNames) {
+
+    const file = upath.resolve(constants.projectConfigJson)
+
+    secretNames = exists(file) ? readJsonFile(file).secrets || [] : []
+  }
+
+  return secretNames
+}
+
+/**
+ * Swap any ${env:NAME} placeholders in the metadata for the value of the environment variable.
+ * @param metadata
+ * @param path - the file the metadata came from.
+ * @returns the resolved metadata or null if a variable was not set.
+ */
+function resolveSecrets(metadata, path) {
+
+  const missingNames = new Set()
+
+  const resolved = mapStrings(metadata, value => value.replace(placeholderPattern, (placeholder, name) => {
+
+    if (process.env[name] === undefined) {
+      missingNames.add(name)
+      return placeholder
+    }
+
+    return process.env[name]
+  }))
+
+  missingNames.forEach(name => error("secretNotSet", {name, path}))
+
+  return missingNames.size ? null : resolved
+}
+
+/**
+ * Put the placeholders back in grabbed metadata wherever a value is the same as one of the configured secrets so
+ * that the real value is not written to disk.
+ * @param metadata
+ * @returns the metadata with secrets hidden.
+ */
+function hideSecrets(metadata) {
+
+  const secrets = getSecretNames().filter(name => process.env[name])
+
+  if (!secrets.length) {
+    return metadata
+  }
+
+  return mapStrings(metadata, value => {
+
+    const name = secrets.find(name => process.env[name] === value)
+
+    return name ? `\${env:${name}}` : value
+  })
+}
+
+exports.hideSecrets = hideSecrets
+exports.resolveSecrets = resolveSecrets
@@ -0,0 +1,168 @@
+"use strict"
+
+const dateFormat = require("dateformat")
+const Promise = require("bluebird")
+const upath = require("upath")
+
+const canDiff = require("./differ").canDiff
+const constants = require("./constants").constants
+const error = require("./logger").error
+const exists = require("./utils").exists
+const existsOnServer = require("./assetDeleter").existsOnServer
+const getDeletableAsset = require("./assetDeleter").getDeletableAsset
+const getGrabbingConcurrency = require("./concurrencySettings").getGrabbingConcurrency
+const getRemoteFile = require("./differ").getRemoteFile
+const glob = require("./utils").glob
+const info = require("./logger").info
+const inTransferMode = require("./state").inTransferMode
+const readFile = require("./utils").readFile
+const readJsonFile = require("./utils").readJsonFile
+const removeTree = require("./utils").removeTree
+const resolvePath = require("./utils").resolvePath
+const warn = require("./logger").warn
+const writeFile = require("./utils").writeFile
+
+/**
+ * Work out where the snapshot with the supplied ID lives.
+ * @param snapshotId
+ * @returns {string} a path relative to the base directory.
+ */
+function getSnapshotDir(snapshotId) {
+  return `${constants.trackingDir}/${constants.snapshotsDir}/${snapshotId}`
+}
+
+/**
+ * Find the IDs of all the snapshots we have taken, oldest first.
+ * @returns {Array}
+ */
+function listSnapshotIds() {
+  return glob(`${getSnapshotDir("*")}/${constants.snapshotMetadataJson}`)
+    .map(metadataPath => upath.basename(upath.dirname(metadataPath)))
+    .sort()
+}
+
+/**
+ * Before we send a directory to the server, save the server copy of everything we are about to change so we can
+ * put it back later. Anything that is not on the server yet is noted down so it can be deleted again. The user
+ * is warned about the types of file we can neither save nor delete.
+ * @param path - directory that is about to be sent.
+ * @param node
+ * @param typedPaths - map of every path the put will send to its PuttingFileType.
+ * @returns A BlueBird promise that resolves to the snapshot ID.
+ */
+function takeSnapshot(path, node, typedPaths) {
+
+  // Timestamps make IDs that sort in the order they were taken.
+  const snapshotId = dateFormat(new Date(), "yyyymmdd-HHMMss")
+  const snapshotDir = getSnapshotDir(snapshotId)
+
+  const relativeToBaseDir = filePath => upath.relative(resolvePath("."), resolvePath(filePath))
+
+  const createdAssets = new Set()
+  const unrestorableCounts = new Map()
+
+  const cannotRollBack = puttingFileType =>
+    unrestorableCounts.set(puttingFileType.name, (unrestorableCounts.get(puttingFileType.name) || 0) + 1)
+
+  info("takingSnapshot", {path, node})
+
+  return Promise.map(Array.from(typedPaths.entries()), entry => {
+
+    const relativePath = relativeToBaseDir(entry[0]), puttingFileType = entry[1]
+    const asset = getDeletableAsset(relativePath)
+
+    // We can't get the server copy of everything. Anything in a new asset goes when the asset is deleted though.
+    if (!canDiff(relativePath)) {
+
+      if (asset && !existsOnServer(asset)) {
+        createdAssets.add(asset.path)
+      } else if (!asset || asset.path !== relativePath) {
+        cannotRollBack(puttingFileType)
+      }
+
+      return
+    }
+
+    return getRemoteFile(relativePath).then(remoteFile => {
+
+      if (remoteFile) {
+        writeFile(`${snapshotDir}/${relativePath}`, remoteFile.contents)
+        return relativePath
+      }
+
+      // Anything not on the server yet is new so there is nothing to go back to, but it can be deleted again.
+      asset ? createdAssets.add(asset.path) : cannotRollBack(puttingFileType)
+    })
+  }, getGrabbingConcurrency()).then(relativePaths => {
+
+    const files = relativePaths.filter(relativePath => relativePath).sort()
+
+    unrestorableCounts.forEach((count, type) => warn("typeCannotBeRolledBack", {type, count}))
+
+    writeFile(`${snapshotDir}/${constants.snapshotMetadataJson}`, JSON.stringify({
+      node,
+      path: relativeToBaseDir(path),
+      transfer: !!inTransferMode(),
+      created: new Date().toISOString(),
+      files,
+      createdAssets: Array.from(createdAssets).sort()
+    }, null, 2) + "\n")
+
+    info("snapshotTaken", {snapshotId, count: files.length, node})
+
+    return snapshotId
+  })
+}
+
+/**
+ * Load up the description of a snapshot, telling the user what we have if we can't find it.
+ * @param snapshotId
+ * @returns the snapshot metadata with its ID or null.
+ */
+function readSnapshot(snapshotId) {
+
+  const metadataPath = `${getSnapshotDir(snapshotId)}/${constants.snapshotMetadataJson}`
+
+  if (!exists(metadataPath)) {
+
+    const snapshotIds = listSnapshotIds()
+
+    snapshotIds.length
+      ? error("snapshotNotFound", {snapshotId, snapshotIds: snapshotIds.join(", ")})
+      : error("noSnapshotsFound")
+
+    return null
+  }
+
+  // Older snapshots did not keep track of new assets.
+  return Object.assign({createdAssets: []}, readJsonFile(metadataPath), {snapshotId})
+}
+
+/**
+ * Send every file in the snapshot back to the server. The putters work from files in the base directory so each
+ * snapshot file is swapped in while it is sent, then the local copy is put back the way it was.
+ * @param snapshot - as returned by readSnapshot().
+ * @param sendPath - function that sends a single file.
+ * @returns A BlueBird promise.
+ */
+function restoreSnapshot(snapshot, sendPath) {
+
+  const snapshotDir = getSnapshotDir(snapshot.snapshotId)
+
+  info("restoringSnapshot", {snapshotId: snapshot.snapshotId, node: snapshot.node})
+
+  // Go one at a time as some files, like theme files, share an etag.
+  return Promise.each(snapshot.files, path => {
+
+    const localContents = exists(path) ? readFile(path) : null
+
+    writeFile(path, readFile(`${snapshotDir}/${path}`))
+
+    return Promise.try(() => sendPath(path)).finally(() =>
+      localContents === null ? removeTree(path) : writeFile(path, localContents))
+  }).then(() => info("snapshotRestored", {snapshotId: snapshot.snapshotId, count: snapshot.files.length}))
+}
+
+exports.readSnapshot = readSnapshot
+exports.restoreSnapshot = restoreSnapshot
+exports.takeSnapshot = takeSnapshot
@@ -0,0 +1,201 @@
+"use strict"
+
+const Promise = require("bluebird")
+
+const mockery = require("./mockery")
+
+describe("API", () => {
+
+  const self = this
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    self.endPointTransceiver = mockery.mockModule("../endPointTransceiver")
+
+    mockery.mockModules(self, "../optionsUtils", "../putterUtils", "../pageLayoutGetter", "../pageLayoutSender",
+      "../grabber", "../putter", "../utils")
+
+    self.endPointTransceiver.init.returnsPromise()
+    self.endPointTransceiver.createScope.and.callFake(() => ({}))
+    self.optionsUtils.applyNetworkOptions.returnsTrue()
+    self.optionsUtils.checkMetadata.returnsTrue()
+    self.putterUtils.getPutFailures.returns([])
+    self.putter.put.returnsPromise()
+    self.grabber.grab.returnsPromise()
+
+    self.api = mockery.require("../api")
+
+    // Need the same logger and state the API is using.
+    self.logger = require("../logger")
+    self.state = require("../state")
+
+    self.one = self.api.connect({node: "https://one.example.com", applicationKey: "oneKey", base: "one", quiet: true})
+    self.two = self.api.connect({node: "https://two.example.com", applicationKey: "twoKey", base: "two", quiet: true})
+  })
+
+  afterEach(() => {
+
+    // Put things back the way the rest of the specs expect.
+    self.logger.useScope(self.logger.createScope())
+    self.state.useScope(self.state.createScope())
+
+    mockery.stopAll()
+  })
+
+  it("should log in once and give back structured results", done => {
+
+    self.putterUtils.getPutFailures.returns([{path: "widget/Cart", statusCode: 500}])
+
+    self.one.putAll("widget").then(result => {
+
+      expect(result).toEqual({
+        success: true,
+        messages: [],
+        errors: [],
+        warnings: [],
+        failures: [{path: "widget/Cart", statusCode: 500}]
+      })
+
+      expect(self.putter.put).toHaveBeenCalledWith("widget", "https://one.example.com", true)
+      expect(self.utils.useBasePath).toHaveBeenCalledWith("one")
+      expect(self.putterUtils.clearPutFailures).toHaveBeenCalled()
+
+      return self.one.put("widget/Cart/js/cart.js")
+    }).then(() => {
+
+      expect(self.putter.put).toHaveBeenCalledWith("widget/Cart/js/cart.js", "https://one.example.com", false)
+      expect(self.endPointTransceiver.init.calls.count()).toEqual(1)
+      expect(self.endPointTransceiver.init).toHaveBeenCalledWith("https://one.example.com", undefined, undefined, "oneKey",
+        undefined, undefined)
+      done()
+    })
+  })
+
+  it("should keep each connection's messages and errors to itself", done => {
+
+    self.grabber.grab.and.callFake(node => {
+
+      node === "https://one.example.com" ? self.logger.logError("Boom") : self.logger.logWarn("Careful")
+
+      return Promise.resolve()
+    })
+
+    Promise.all([self.one.grab({clean: true}), self.two.grab()]).then(results => {
+
+      expect(results[0].success).toBe(false)
+      expect(results[0].errors).toEqual(["Boom"])
+      expect(results[0].warnings).toEqual([])
+      expect(results[0].messages).toEqual([{level: "error", text: "Boom", key: undefined, substitutions: undefined}])
+
+      expect(results[1].success).toBe(true)
+      expect(results[1].warnings).toEqual(["Careful"])
+
+      expect(self.grabber.grab).toHaveBeenCalledWith("https://one.example.com", true)
+      expect(self.grabber.grab).toHaveBeenCalledWith("https://two.example.com", false)
+      expect(self.endPointTransceiver.init.calls.count()).toEqual(2)
+      expect(self.endPointTransceiver.useScope.calls.argsFor(0)[0])
+        .not.toBe(self.endPointTransceiver.useScope.calls.argsFor(1)[0])
+      done()
+    })
+  })
+
+  it("should only be in transfer mode when transferring", done => {
+
+    const transferModes = []
+
+    self.putter.put.and.callFake(() => {
+      transferModes.push(!!self.state.inTransferMode())
+      return Promise.resolve()
+    })
+
+    self.two.transfer("widget", {all: true}).then(() => self.two.put("widget")).then(() => {
+
+      expect(transferModes).toEqual([true, false])
+      expect(self.putter.put).toHaveBeenCalledWith("widget", "https://two.example.com", true)
+      done()
+    })
+  })
+
+  it("should turn exceptions into failed results", done => {
+
+    self.grabber.grab.returnsPromise(() => {
+      throw new Error("Server went away")
+    })
+
+    self.one.grab().then(result => {
+
+      expect(result.success).toBe(false)
+      expect(result.errors[0]).toContain("Server went away")
+      done()
+    })
+  })
+
+  it("should give each connection its own network settings", done => {
+
+    const three = self.api.connect({node: "https://three.example.com", applicationKey: "threeKey", base: "three", quiet: true,
+      proxy: "proxy.example.com:80", noProxy: "localhost", caFile: "ca.pem", certFile: "cert.pem", keyFile: "key.pem"})
+
+    three.grab().then(() => {
+
+      expect(self.optionsUtils.applyNetworkOptions).toHaveBeenCalledWith(jasmine.objectContaining({
+        proxy: "proxy.example.com:80",
+        noProxy: "localhost",
+        caFile: "ca.pem",
+        certFile: "cert.pem",
+        keyFile: "key.pem"
+      }))
+
+      return self.one.grab()
+    }).then(() => {
+
+      expect(self.optionsUtils.applyNetworkOptions.calls.mostRecent().args[0].proxy).toBeUndefined()
+      done()
+    })
+  })
+
+  it("should not log in when the network settings refer to missing files", done => {
+
+    self.optionsUtils.applyNetworkOptions.returnsFalse()
+
+    self.one.grab().then(() => {
+
+      expect(self.endPointTransceiver.init).not.toHaveBeenCalled()
+      expect(self.grabber.grab).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should not send anything grabbed by an older version", done => {
+
+    self.optionsUtils.checkMetadata.returnsFalse()
+
+    self.one.refresh("widget").then(() => {
+
+      expect(self.grabber.refresh).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you copy page layouts from one server to another", done => {
+
+    const layouts = [{layout: {displayName: "Home"}}]
+
+    self.pageLayoutGetter.getPageLayouts.returnsPromise(layouts)
+    self.pageLayoutSender.sendPageLayouts.returnsPromise()
+
+    self.one.getPageLayouts(["Home"]).then(result => {
+
+      expect(result.layouts).toBe(layouts)
+      expect(self.pageLayoutGetter.getPageLayouts).toHaveBeenCalledWith(["Home"])
+
+      return self.two.sendPageLayouts(result.layouts)
+    }).then(result => {
+
+      expect(result.success).toBe(true)
+      expect(self.pageLayoutSender.sendPageLayouts).toHaveBeenCalledWith(layouts)
+      done()
+    })
+  })
+})
@@ -39,11 +39,12 @@ describe("Application JavaScript Grabber", () => {
 
     self.endPointTransceiver.listAllApplicationJavaScript.returnsResponse({items : { "a.js" : []}})
     self.endPointTransceiver.getApplicationJavaScript.returnsResponse({source : javaScriptSource}, etag)
+    self.grabberUtils.grabRequest.returnsFirstArg()
 
     self.applicationJavaScriptGrabber.grabAllApplicationJavaScript().then(
       () => {
 
-        expect(self.endPointTransceiver.getApplicationJavaScript).toHaveBeenCalledWith([javaScriptFileName])
+        expect(self.endPointTransceiver.getApplicationJavaScript).toHaveBeenCalledWith([javaScriptFileName], 'global/a.js')
         expect(self.utils.makeTrackedDirectory).toHaveBeenCalledWith(constants.globalDir)
         expect(self.logger.info).toHaveBeenCalledWith('grabbingApplicationJavaScript', {name : javaScriptFileName})
         expect(self.grabberUtils.writeFileAndETag).toHaveBeenCalledWith('global/a.js', javaScriptSource, etag)
@@ -0,0 +1,214 @@
+"use strict"
+
+const constants = require("../constants").constants
+const matchers = require("./matchers")
+const mockery = require("./mockery")
+
+describe("Asset Deleter", () => {
+
+  const self = this
+
+  const node = "http://localhost:8080"
+
+  const widgetInstanceDir = "widget/Cart/instances/Cart Widget"
+  const oracleWidgetInstanceDir = "widget/Header/instances/Header Widget"
+  const elementDir = "element/Logo"
+  const applicationJavaScriptPath = "global/analytics.js"
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+    matchers.add(jasmine)
+
+    mockery.mockModules(self, "../wizardUtils", "../logger", "../utils", "../statusReporter", "../metadata",
+      "../putterUtils", "../etags", "../i18n")
+
+    self.endPointTransceiver = mockery.mockModule("../endPointTransceiver",
+      "deleteWidgetInstance", "deleteGlobalElement", "deleteApplicationJavaScript")
+
+    self.endPointTransceiver.serverSupports.returnsTrue()
+    self.endPointTransceiver.deleteWidgetInstance.returnsResponse({})
+    self.endPointTransceiver.deleteGlobalElement.returnsResponse({})
+    self.endPointTransceiver.deleteApplicationJavaScript.returnsResponse({})
+
+    self.utils.resolvePath.and.callFake(path => path === "." ? "/base" : `/base/${path}`)
+    self.utils.normalize.returnsFirstArg()
+    self.putterUtils.processPutResult.returnsTrue()
+    self.wizardUtils.confirm.returnsPromise(true)
+    self.wizardUtils.canAsk.returnsTrue()
+    self.metadata.initializeMetadata.returnsPromise()
+    self.metadata.readMetadataFromDisk.returns({node})
+
+    // Pretend the widget instance, the element and the JavaScript have gone but the Oracle widget is still there.
+    self.statusReporter.findTrackedPaths.returns(new Set([
+      `${widgetInstanceDir}/display.template`,
+      `${widgetInstanceDir}/widget.less`,
+      `${oracleWidgetInstanceDir}/display.template`,
+      `${elementDir}/element.template`,
+      applicationJavaScriptPath,
+      "theme/Mono Theme/styles.less"
+    ]))
+
+    self.utils.exists.and.callFake(path => path.startsWith(constants.trackingDir) || path === oracleWidgetInstanceDir)
+
+    self.utils.readJsonFile.and.callFake(path => {
+
+      if (path.includes("Cart Widget")) {
+        return {displayName: "Cart Widget", version: 1}
+      } else if (path.includes("Header Widget")) {
+        return {displayName: "Header Widget", version: 1}
+      } else {
+        return {tag: "logo-element"}
+      }
+    })
+
+    self.metadata.getCachedWidgetInstanceFromMetadata.and.callFake(metadata => {
+
+      if (metadata.displayName === "Cart Widget") {
+        return {repositoryId: "cw0001", descriptor: {source: 101}}
+      } else {
+        return {repositoryId: "hw0001", descriptor: {source: 100}}
+      }
+    })
+
+    self.metadata.getElementByTag.returns({tag: "logo-element", source: 101})
+
+    self.assetDeleter = mockery.require("../assetDeleter")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should delete things from the server that have been deleted locally", done => {
+
+    self.assetDeleter.pruneDeletedAssets(".", node).then(() => {
+
+      expect(self.logger.info).toHaveBeenCalledWith("assetToBeDeleted", {path: widgetInstanceDir})
+      expect(self.wizardUtils.confirm).toHaveBeenCalled()
+
+      expect(self.endPointTransceiver.deleteWidgetInstance).urlKeysWere(["cw0001"])
+      expect(self.endPointTransceiver.deleteGlobalElement).urlKeysWere(["logo-element"])
+      expect(self.endPointTransceiver.deleteApplicationJavaScript).urlKeysWere(["analytics.js"])
+
+      expect(self.utils.removeTrackedTree).toHaveBeenCalledWith(widgetInstanceDir)
+      expect(self.etags.removeTrackingFiles).toHaveBeenCalledWith(applicationJavaScriptPath)
+      done()
+    })
+  })
+
+  it("should only look below the directory being put", done => {
+
+    self.assetDeleter.pruneDeletedAssets("element", node).then(() => {
+
+      expect(self.endPointTransceiver.deleteGlobalElement).toHaveBeenCalled()
+      expect(self.endPointTransceiver.deleteWidgetInstance).not.toHaveBeenCalled()
+      expect(self.endPointTransceiver.deleteApplicationJavaScript).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should leave the server alone if the user changes their mind", done => {
+
+    self.wizardUtils.confirm.returnsPromise(false)
+
+    self.assetDeleter.pruneDeletedAssets(".", node).then(() => {
+
+      expect(self.endPointTransceiver.deleteWidgetInstance).not.toHaveBeenCalled()
+      expect(self.utils.removeTrackedTree).not.toHaveBeenCalled()
+      expect(self.logger.info).toHaveBeenCalledWith("deleteCancelled")
+      done()
+    })
+  })
+
+  it("should not ask if the user has already said yes", done => {
+
+    self.putterUtils.shouldAssumeYes.returnsTrue()
+    self.wizardUtils.canAsk.returnsFalse()
+
+    self.assetDeleter.pruneDeletedAssets(".", node).then(() => {
+
+      expect(self.wizardUtils.confirm).not.toHaveBeenCalled()
+      expect(self.endPointTransceiver.deleteWidgetInstance).urlKeysWere(["cw0001"])
+      done()
+    })
+  })
+
+  it("should not delete anything if there is no one to ask", done => {
+
+    self.wizardUtils.canAsk.returnsFalse()
+
+    self.assetDeleter.pruneDeletedAssets(".", node).then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("deleteNeedsConfirmation")
+      expect(self.wizardUtils.confirm).not.toHaveBeenCalled()
+      expect(self.endPointTransceiver.deleteWidgetInstance).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should refuse to delete things supplied by Oracle", done => {
+
+    self.assetDeleter.deleteAsset(oracleWidgetInstanceDir, node).then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("cannotDeleteOracleAsset", {path: oracleWidgetInstanceDir})
+      expect(self.wizardUtils.confirm).not.toHaveBeenCalled()
+      expect(self.endPointTransceiver.deleteWidgetInstance).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you delete a single asset", done => {
+
+    self.assetDeleter.deleteAsset(widgetInstanceDir, node).then(() => {
+
+      expect(self.metadata.initializeMetadata).toHaveBeenCalled()
+      expect(self.endPointTransceiver.deleteWidgetInstance).urlKeysWere(["cw0001"])
+      expect(self.utils.removeTrackedTree).toHaveBeenCalledWith(widgetInstanceDir)
+      done()
+    })
+  })
+
+  it("should only delete things it knows about", done => {
+
+    self.assetDeleter.deleteAsset(`${widgetInstanceDir}/display.template`, node).then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("pathCannotBeDeleted", {path: `${widgetInstanceDir}/display.template`})
+      expect(self.endPointTransceiver.deleteWidgetInstance).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should not delete things from a server they were not grabbed from", done => {
+
+    self.assetDeleter.deleteAsset(widgetInstanceDir, "http://otherhost:8080").then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("cannotSendToDifferentNode",
+        {path: widgetInstanceDir, node: "http://otherhost:8080", configMetadataNode: node})
+      done()
+    })
+  })
+
+  it("should leave the local copies alone when deleting assets a put created", done => {
+
+    self.assetDeleter.deleteCreatedAssets([widgetInstanceDir, elementDir], node).then(() => {
+
+      expect(self.endPointTransceiver.deleteWidgetInstance).urlKeysWere(["cw0001"])
+      expect(self.endPointTransceiver.deleteGlobalElement).urlKeysWere(["logo-element"])
+
+      expect(self.utils.removeTrackedTree).not.toHaveBeenCalled()
+      expect(self.etags.removeTrackingFiles).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should keep the local tracking information if the server delete fails", done => {
+
+    self.putterUtils.processPutResult.returnsFalse()
+
+    self.assetDeleter.deleteAsset(widgetInstanceDir, node).then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("assetDeleteFailed", {path: widgetInstanceDir, node})
+      expect(self.utils.removeTrackedTree).not.toHaveBeenCalled()
+      done()
+    })
+  })
+})
@@ -0,0 +1,97 @@
+"use strict"
+
+const mockery = require("./mockery")
+const upath = require("upath")
+
+describe("Asset Type Registry", () => {
+
+  const self = this
+
+  const pluginPath = upath.resolve("plugins/siteSettings.js")
+
+  const siteSettings = () => ({
+    name: "siteSettings",
+    directory: "siteSettings",
+    grab: jasmine.createSpy("grab"),
+    put: jasmine.createSpy("put")
+  })
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils", "../logger")
+
+    self.utils.splitFromBaseDir.returns(["/base", "siteSettings"])
+
+    self.assetTypeRegistry = mockery.require("../assetTypeRegistry")
+  })
+
+  afterEach(() => {
+
+    mockery.stopAll()
+
+    // Leave a clean registry behind for the specs that use the real one.
+    mockery.require("../assetTypeRegistry")
+  })
+
+  it("should let you register asset types that own their own directory", () => {
+
+    const assetType = siteSettings()
+
+    self.assetTypeRegistry.registerAssetType(assetType)
+
+    expect(self.assetTypeRegistry.findAssetType("/base/siteSettings/checkout.json").name).toEqual("siteSettings")
+
+    self.assetTypeRegistry.putAssetTypePath("/base/siteSettings/checkout.json")
+    expect(assetType.put.calls.mostRecent().args[0]).toEqual("/base/siteSettings/checkout.json")
+
+    self.utils.isDirectory.returnsTrue()
+    expect(self.assetTypeRegistry.findAssetTypeForDirectory("/base/siteSettings").name).toEqual("siteSettings")
+
+    self.utils.isDirectory.returnsFalse()
+    self.utils.splitFromBaseDir.returns(["/base", "widget/Cart/js"])
+
+    expect(self.assetTypeRegistry.findAssetType("/base/widget/Cart/js/cart.js")).toBeUndefined()
+  })
+
+  it("should let asset types classify their own files", () => {
+
+    self.assetTypeRegistry.registerAssetType(Object.assign(siteSettings(), {
+      classify: path => path.endsWith(".json")
+    }))
+
+    expect(self.assetTypeRegistry.findAssetType("/base/siteSettings/checkout.json").name).toEqual("siteSettings")
+    expect(self.assetTypeRegistry.findAssetType("/base/siteSettings/README.md")).toBeUndefined()
+  })
+
+  it("should reject asset types that are incomplete or clash with others", () => {
+
+    const registerAssetType = self.assetTypeRegistry.registerAssetType
+
+    expect(() => registerAssetType({name: "siteSettings"}))
+      .toThrowError("Asset type siteSettings needs directory, grab, put.")
+    expect(() => registerAssetType({directory: "siteSettings"}))
+      .toThrowError("Asset type with no name needs name, grab, put.")
+    expect(() => registerAssetType(Object.assign(siteSettings(), {putAfter: "lunch"}))).toThrowError(/putAfter lunch/)
+
+    registerAssetType(siteSettings())
+
+    expect(() => registerAssetType(siteSettings())).toThrowError(/clashes/)
+  })
+
+  it("should load plugins from the project config file", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readJsonFile.returns({plugins: ["plugins/siteSettings.js", "plugins/missing.js"]})
+
+    mockery.mockAs(pluginPath, [siteSettings()])
+
+    expect(self.assetTypeRegistry.getAssetTypes().map(assetType => assetType.name)).toEqual(["siteSettings"])
+    expect(self.assetTypeRegistry.getAssetTypes()[0].putAfter).toEqual("everything")
+
+    expect(self.logger.error.calls.count()).toEqual(1)
+    expect(self.logger.error.calls.mostRecent().args[0]).toEqual("pluginCouldNotBeLoaded")
+    expect(self.utils.readJsonFile.calls.count()).toEqual(1)
+  })
+})
@@ -21,6 +21,9 @@ describe("main", () => {
     self.optionsUtils.addCommonOptions.returnsFirstArg()
     self.optionsUtils.getPassword.returns("admin")
     self.optionsUtils.getApplicationKey.returnsFirstArg()
+    self.optionsUtils.applyEnvironment.returnsTrue()
+    self.optionsUtils.applyNetworkOptions.returnsTrue()
+    self.optionsUtils.applyLogOptions.returnsTrue()
 
     self.utils.exists.returnsTrue()
 
@@ -0,0 +1,60 @@
+"use strict"
+
+const mockery = require('./mockery')
+const PuttingFileType = require("../puttingFileType").PuttingFileType
+
+describe("Compatibility Checker", () => {
+
+  const self = this
+
+  const node = "http://localhost:8080"
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../endPointTransceiver", "../logger", "../utils")
+
+    self.utils.resolvePath.and.callFake(path => path.startsWith("/") ? path : path === "." ? "/base" : `/base/${path}`)
+
+    // Pretend the target is an older server without the widget JavaScript extension endpoints.
+    self.endPointTransceiver.serverSupports.and.callFake(endpoint => !endpoint.includes("JavascriptExtension"))
+
+    self.compatibilityChecker = mockery.require("../compatibilityChecker")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should let you send things the target has endpoints for", () => {
+
+    expect(self.compatibilityChecker.checkCompatibility(new Map([
+      ["/base/widget/Cart/instances/Cart Widget/display.template", PuttingFileType.WIDGET_INSTANCE_TEMPLATE],
+      ["/base/widget/Cart", PuttingFileType.WIDGET]
+    ]), node)).toBe(true)
+
+    expect(self.logger.error).not.toHaveBeenCalled()
+  })
+
+  it("should tell you exactly which assets the target can't take", () => {
+
+    expect(self.compatibilityChecker.checkCompatibility(new Map([
+      ["/base/widget/Cart/instances/Cart Widget/display.template", PuttingFileType.WIDGET_INSTANCE_TEMPLATE],
+      ["/base/widget/Cart/module/js/cart.js", PuttingFileType.WIDGET_MODULE_JAVASCRIPT]
+    ]), node)).toBe(false)
+
+    expect(self.logger.error).toHaveBeenCalledWith("assetsCannotBeTransferred", {count: 1, node})
+    expect(self.logger.error).toHaveBeenCalledWith("assetCannotBeTransferred", {
+      path: "widget/Cart/module/js/cart.js",
+      endpoints: "updateWidgetDescriptorJavascriptExtension, createWidgetDescriptorJavascriptExtension"
+    })
+  })
+
+  it("should make sure the destination can take page layouts", () => {
+
+    self.endPointTransceiver.serverSupports.and.callFake(endpoint => endpoint !== "cloneLayout")
+
+    expect(self.compatibilityChecker.checkPageLayoutCompatibility(node, "http://otherhost:8080")).toBe(false)
+    expect(self.logger.error).toHaveBeenCalledWith("cannotSendPageLayoutsBetweenVersions",
+      {sourceNode: node, destinationNode: "http://otherhost:8080", endpoints: "cloneLayout"})
+  })
+})
@@ -0,0 +1,198 @@
+"use strict"
+
+const mockery = require("./mockery")
+
+describe("Dependency Grapher", () => {
+
+  const self = this
+
+  // What we pretend is on disk, relative to the base directory.
+  const files = {
+    ".ccc/element/Logo/element.json": {tag: "logo"},
+    ".ccc/element/Header/element.json": {tag: "header"},
+    "element/Header/elementMetadata.json": {children: ["logo", "not-global"]},
+    ".ccc/widget/Cart/widget.json": {displayName: "Cart", widgetType: "cart"},
+    ".ccc/widget/Cart/instances/Cart Widget/widgetInstance.json": {displayName: "Cart Widget"},
+    ".ccc/widget/Cart/element/Summary/element.json": {tag: "summary"},
+    "widget/Cart/element/Summary/elementMetadata.json": {children: ["logo"]},
+    "widget/Cart/instances/Cart Widget/display.template": "<!-- oc section: header -->\n<div data-bind=\"element: 'summary'\"></div>",
+    "widget/Cart/instances/Cart Widget/elementInstancesMetadata.json": {elementInstances: [{tag: "logo@1234"}]},
+    ".ccc/widget/Banner/widget.json": {displayName: "Banner", widgetType: "banner"},
+    ".ccc/widget/Banner/instances/Promo/widgetInstance.json": {displayName: "Promo"},
+    ".ccc/widget/Carousel/widget.json": {displayName: "Carousel", widgetType: "carousel"},
+    ".ccc/widget/Carousel/instances/Promo/widgetInstance.json": {displayName: "Promo"},
+    ".ccc/stack/Tabs/stack.json": {stackType: "tabs"},
+    ".ccc/stack/Tabs/instances/Home Tabs/stackInstance.json": {
+      displayName: "Home Tabs",
+      regions: [{name: "tab-1", widgets: [{displayName: "Promo", widgetType: "carousel"}]}]
+    }
+  }
+
+  // The directories glob would find files in.
+  const globs = {
+    ".ccc/element/*/element.json": [".ccc/element/Logo/element.json", ".ccc/element/Header/element.json"],
+    ".ccc/widget/*/widget.json": [
+      ".ccc/widget/Cart/widget.json", ".ccc/widget/Banner/widget.json", ".ccc/widget/Carousel/widget.json"
+    ],
+    "widget/Cart/**/*.template": ["widget/Cart/instances/Cart Widget/display.template"],
+    "widget/Cart/instances/*/elementInstancesMetadata.json": ["widget/Cart/instances/Cart Widget/elementInstancesMetadata.json"],
+    ".ccc/widget/Cart/element/*/element.json": [".ccc/widget/Cart/element/Summary/element.json"],
+    ".ccc/widget/Cart/instances/*/widgetInstance.json": [".ccc/widget/Cart/instances/Cart Widget/widgetInstance.json"],
+    ".ccc/widget/Banner/instances/*/widgetInstance.json": [".ccc/widget/Banner/instances/Promo/widgetInstance.json"],
+    ".ccc/widget/Carousel/instances/*/widgetInstance.json": [".ccc/widget/Carousel/instances/Promo/widgetInstance.json"],
+    ".ccc/stack/*/instances/*/stackInstance.json": [".ccc/stack/Tabs/instances/Home Tabs/stackInstance.json"]
+  }
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    self.endPointTransceiver = mockery.mockModule("../endPointTransceiver", "listLayouts", "getLayoutStructure")
+
+    mockery.mockModules(self, "../utils", "../logger", "../i18n", "../elementUtils")
+
+    self.utils.resolvePath.and.callFake(path => path.startsWith("/") ? path : path === "." ? "/base" : `/base/${path}`)
+    self.utils.glob.and.callFake(pattern => (globs[pattern] || []).map(path => `/base/${path}`))
+    self.utils.exists.and.callFake(path => path === ".ccc" || !!files[path.replace("/base/", "")])
+    self.utils.readJsonFile.and.callFake(path => files[path.replace("/base/", "")])
+    self.utils.readFile.and.callFake(path => files[path.replace("/base/", "")])
+    self.i18n.t.and.callFake((key, substitutions) => `${key} ${substitutions.from} ${substitutions.to}`)
+    self.elementUtils.getBaseElementTag.and.callFake(tag => tag.split("@")[0])
+
+    self.endPointTransceiver.listLayouts.returnsItems({
+      pageLayouts: [{layout: {displayName: "Home", repositoryId: "homeRepoId"}}]
+    })
+
+    self.endPointTransceiver.getLayoutStructure.returnsResponse({
+      layout: {
+        regions: [
+          {widgets: [{displayName: "Cart Widget", descriptor: {widgetType: "cart"}}]},
+          {
+            displayName: "Home Tabs",
+            descriptor: {stackType: "tabs"},
+            widgets: [],
+            regions: [{widgets: [{displayName: "Promo", descriptor: {widgetType: "carousel"}}]}]
+          }
+        ]
+      }
+    })
+
+    self.dependencyGrapher = mockery.require("../dependencyGrapher")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should work out dependencies from what was grabbed", done => {
+
+    self.dependencyGrapher.buildGraph(false).then(graph => {
+
+      expect(graph.toJSON().edges).toEqual([
+        {from: "globalElement:header", to: "globalElement:logo", kind: "containsElement"},
+        {from: "stackInstance:stack/Tabs/instances/Home Tabs", to: "widgetInstance:widget/Carousel/instances/Promo",
+          kind: "containsInstance"},
+        {from: "widget:widget/Banner", to: "widgetInstance:widget/Banner/instances/Promo", kind: "hasInstance"},
+        {from: "widget:widget/Carousel", to: "widgetInstance:widget/Carousel/instances/Promo", kind: "hasInstance"},
+        {from: "widget:widget/Cart", to: "globalElement:header", kind: "usesElement"},
+        {from: "widget:widget/Cart", to: "globalElement:logo", kind: "usesElement"},
+        {from: "widget:widget/Cart", to: "widgetInstance:widget/Cart/instances/Cart Widget", kind: "hasInstance"}
+      ])
+
+      expect(graph.nodes.get("widget:widget/Cart"))
+        .toEqual({id: "widget:widget/Cart", type: "widget", name: "Cart", path: "widget/Cart"})
+      expect(self.endPointTransceiver.listLayouts).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should keep instances with the same name apart", done => {
+
+    self.dependencyGrapher.buildGraph(false).then(graph => {
+
+      const promos = Array.from(graph.nodes.values()).filter(node => node.name === "Promo")
+
+      expect(promos.map(node => node.path))
+        .toEqual(["widget/Banner/instances/Promo", "widget/Carousel/instances/Promo"])
+      expect(graph.findEdges("containsInstance").map(edge => edge.to)).toEqual([promos[1].id])
+      expect(graph.findEdges("hasInstance", "widget:widget/Banner").map(edge => edge.to)).toEqual([promos[0].id])
+      done()
+    })
+  })
+
+  it("should ask the server about page layouts if you want", done => {
+
+    self.dependencyGrapher.buildGraph(true).then(graph => {
+
+      const edges = graph.toJSON().edges
+
+      expect(self.endPointTransceiver.getLayoutStructure).toHaveBeenCalledWith(["homeRepoId"])
+      const cartWidget = "widgetInstance:widget/Cart/instances/Cart Widget"
+      const promo = "widgetInstance:widget/Carousel/instances/Promo"
+      const homeTabs = "stackInstance:stack/Tabs/instances/Home Tabs"
+
+      expect(graph.nodes.get("layout:homeRepoId").name).toEqual("Home")
+      expect(edges).toContain({from: "layout:homeRepoId", to: cartWidget, kind: "usesInstance"})
+      expect(edges).toContain({from: "layout:homeRepoId", to: homeTabs, kind: "usesStack"})
+      expect(edges).toContain({from: "layout:homeRepoId", to: promo, kind: "usesInstance"})
+      expect(edges).toContain({from: homeTabs, to: promo, kind: "containsInstance"})
+      expect(graph.nodes.size).toEqual(10)
+      done()
+    })
+  })
+
+  it("should describe the dependencies in words", done => {
+
+    self.dependencyGrapher.reportGraph(null, false).then(() => {
+
+      expect(self.logger.info).toHaveBeenCalledWith("graphWidgetUsesElement", {from: "Cart", to: "header"})
+      expect(self.logger.info).toHaveBeenCalledWith("graphStackContainsInstance", {from: "Home Tabs", to: "Promo"})
+      expect(self.utils.writeFile).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you write the graph out as JSON", done => {
+
+    self.dependencyGrapher.reportGraph("deps.json", false).then(graph => {
+
+      expect(self.utils.writeFile).toHaveBeenCalledWith(jasmine.stringMatching(/deps\.json$/), JSON.stringify(graph, null, 2))
+      expect(self.logger.info).toHaveBeenCalledWith("graphWrittenToFile", {graphFile: "deps.json"})
+      done()
+    })
+  })
+
+  it("should let you write the graph out for Graphviz", done => {
+
+    self.dependencyGrapher.reportGraph("deps.dot", false).then(() => {
+
+      const dot = self.utils.writeFile.calls.mostRecent().args[1]
+
+      expect(dot).toMatch(/^digraph dependencies \{/)
+      expect(dot).toContain(`"widget:widget/Cart" [label="Cart", shape=box];`)
+      expect(dot).toContain(`"widget:widget/Cart" -> "globalElement:logo" [label="uses"];`)
+      expect(dot).toContain(`"widgetInstance:widget/Banner/instances/Promo" [label="Promo", shape=ellipse];`)
+      expect(dot).toContain(`"widgetInstance:widget/Carousel/instances/Promo" [label="Promo", shape=ellipse];`)
+      done()
+    })
+  })
+
+  it("should let you write the graph out as text", done => {
+
+    self.dependencyGrapher.reportGraph("deps.txt", false).then(() => {
+
+      expect(self.utils.writeFile.calls.mostRecent().args[1])
+        .toContain("graphElementContainsElement header logo\ngraphStackContainsInstance Home Tabs Promo\n")
+      done()
+    })
+  })
+
+  it("should tell you if there is nothing to work from", done => {
+
+    self.utils.exists.returnsFalse()
+
+    self.dependencyGrapher.reportGraph(null, false).then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("noGrabbedContentFound")
+      done()
+    })
+  })
+})
@@ -0,0 +1,111 @@
+"use strict"
+
+const mockery = require('./mockery')
+
+describe("Diff Utils", () => {
+
+  const self = this
+
+  beforeEach(() => {
+
+    self.diffUtils = mockery.require("../diffUtils")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should let you split text into lines", () => {
+
+    expect(self.diffUtils.splitLines("one\r\ntwo\nthree\n")).toEqual(["one", "two", "three"])
+    expect(self.diffUtils.splitLines("")).toEqual([])
+    expect(self.diffUtils.splitLines(null)).toEqual([])
+  })
+
+  it("should let you find the differences between two sets of lines", () => {
+
+    const edits = self.diffUtils.diffLines(["a", "b", "c"], ["a", "x", "c", "d"])
+
+    expect(edits.map(edit => `${edit.type}:${edit.line}`)).toEqual(["equal:a", "delete:b", "insert:x", "equal:c", "insert:d"])
+    expect(edits[1]).toEqual({type: "delete", oldIndex: 1, newIndex: 1, line: "b"})
+  })
+
+  it("should treat files that are too different as completely replaced", () => {
+
+    const edits = self.diffUtils.diffLines(["a", "b", "c"], ["x", "b", "y"], 3)
+
+    expect(edits.map(edit => `${edit.type}:${edit.line}`))
+      .toEqual(["delete:a", "delete:b", "delete:c", "insert:x", "insert:b", "insert:y"])
+    expect(edits[3]).toEqual({type: "insert", oldIndex: 3, newIndex: 0, line: "x"})
+  })
+
+  it("should still find the shortest set of differences in longer files", () => {
+
+    const oldLines = Array.from({length: 500}, (_, index) => `line ${index}`)
+    const newLines = oldLines.filter((_, index) => index % 7).concat("the end")
+
+    const edits = self.diffUtils.diffLines(oldLines, newLines)
+
+    expect(edits.filter(edit => edit.type === "delete").length).toEqual(72)
+    expect(edits.filter(edit => edit.type === "insert").map(edit => edit.line)).toEqual(["the end"])
+    expect(edits.filter(edit => edit.type !== "insert").map(edit => edit.line)).toEqual(oldLines)
+  })
+
+  it("should let you generate a unified diff", () => {
+
+    const oldText = "1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n11\n12\n13\n14\n15\n"
+    const newText = "1\nX\n3\n4\n5\n6\n7\n8\n9\n10\n11\n12\n13\nY\n15\n"
+
+    expect(self.diffUtils.unifiedDiff(oldText, newText, "a/file", "b/file")).toEqual([
+      "--- a/file",
+      "+++ b/file",
+      "@@ -1,5 +1,5 @@",
+      " 1",
+      "-2",
+      "+X",
+      " 3",
+      " 4",
+      " 5",
+      "@@ -11,5 +11,5 @@",
+      " 11",
+      " 12",
+      " 13",
+      "-14",
+      "+Y",
+      " 15"
+    ].join("\n"))
+  })
+
+  it("should keep nearby changes in the same hunk", () => {
+
+    expect(self.diffUtils.unifiedDiff("a\nb\nc\n", "a\nx\nc\n", "a/file", "b/file", 0)).toEqual(
+      "--- a/file\n+++ b/file\n@@ -2 +2 @@\n-b\n+x")
+
+    expect(self.diffUtils.unifiedDiff("", "new\n", "a/file", "b/file")).toEqual(
+      "--- a/file\n+++ b/file\n@@ -0,0 +1 @@\n+new")
+  })
+
+  it("should not produce a diff when nothing changed", () => {
+
+    expect(self.diffUtils.unifiedDiff("same\n", "same", "a/file", "b/file")).toEqual("")
+  })
+  it("should let you merge two sets of changes to the same text", () => {
+
+    const base = "a\nb\nc\nd\ne\nf\ng\n"
+
+    expect(self.diffUtils.mergeText(base, "a\nB\nc\nd\ne\nf\ng\n", "a\nb\nc\nd\ne\nF\ng\n", "local", "server"))
+      .toEqual({text: "a\nB\nc\nd\ne\nF\ng\n", conflicts: 0})
+  })
+
+  it("should not treat the same change on both sides as a conflict", () => {
+
+    expect(self.diffUtils.mergeText("a\nb\nc\n", "a\nX\nc\n", "a\nX\nc\n", "local", "server"))
+      .toEqual({text: "a\nX\nc\n", conflicts: 0})
+  })
+
+  it("should mark conflicting changes", () => {
+
+    expect(self.diffUtils.mergeText("a\nb\nc\n", "a\nX\nc\n", "a\nY\nc\n", "local", "server")).toEqual({
+      text: "a\n<<<<<<< local\nX\n=======\nY\n>>>>>>> server\nc\n",
+      conflicts: 1
+    })
+  })
+})
@@ -0,0 +1,154 @@
+"use strict"
+
+const mockery = require('./mockery')
+const PuttingFileType = require("../puttingFileType").PuttingFileType
+
+describe("Differ", () => {
+
+  const self = this
+
+  const themeStylesPath = "theme/Mono Theme/styles.less"
+  const widgetLessPath = "widget/Cart/instances/Cart Widget/widget.less"
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    self.endPointTransceiver = mockery.mockModule("../endPointTransceiver",
+      "getThemeSource", "getWidgetLess", "getGlobalElementTemplate", "getResourceStringsForLocale")
+
+    mockery.mockModules(self, "../utils", "../metadata", "../classifier", "../logger", "../textSnippetGrabber")
+
+    self.utils.exists.returnsTrue()
+    self.utils.normalize.returnsFirstArg()
+    self.utils.resolvePath.returnsFirstArg()
+    self.utils.findBaseDirFromPath.returns(".")
+    self.metadata.initializeMetadata.returnsPromise()
+    self.endPointTransceiver.serverSupports.returnsTrue()
+
+    self.classifier.classify.and.callFake(path => {
+      if (path.endsWith("styles.less")) return PuttingFileType.THEME_STYLES
+      if (path.endsWith("widget.less")) return PuttingFileType.WIDGET_INSTANCE_LESS
+      if (path.endsWith("template.txt")) return PuttingFileType.GLOBAL_ELEMENT_TEMPLATE
+      if (path.endsWith("snippets.json")) return PuttingFileType.GLOBAL_SNIPPETS
+      if (path.endsWith("widget.json")) return PuttingFileType.WIDGET_METADATA_JSON
+    })
+
+    self.differ = mockery.require("../differ")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should let you see how a file differs from the server copy", done => {
+
+    self.metadata.readMetadata.returnsPromise({repositoryId: "monoTheme"})
+    self.endPointTransceiver.getThemeSource.returnsResponse({styles: "body {\n  color: red;\n}\n"})
+    self.utils.readFile.returns("body {\n  color: blue;\n}\n")
+
+    self.differ.diff(themeStylesPath, "http://localhost:8080").then(results => {
+
+      expect(self.endPointTransceiver.getThemeSource).toHaveBeenCalledWith(["monoTheme"], undefined)
+      expect(self.logger.info).toHaveBeenCalledWith("diffingPath", {path: themeStylesPath, node: "http://localhost:8080"})
+      expect(self.logger.logInfo).toHaveBeenCalledWith([
+        `--- a/${themeStylesPath}`,
+        `+++ b/${themeStylesPath}`,
+        "@@ -1,3 +1,3 @@",
+        " body {",
+        "-  color: red;",
+        "+  color: blue;",
+        " }"
+      ].join("\n"))
+      expect(self.logger.info).toHaveBeenCalledWith("differencesFound", {count: 1})
+      expect(results.length).toEqual(1)
+      done()
+    })
+  })
+
+  it("should put the widget instance placeholder back before comparing less files", done => {
+
+    self.metadata.readMetadata.returnsPromise({repositoryId: "cartWidgetInstance"})
+    self.endPointTransceiver.getWidgetLess.returnsResponse({source: "#cartWidget-cartWidgetInstance .cart {}\n"})
+    self.utils.readFile.returns("#WIDGET_ID-WIDGET_INSTANCE_ID .cart {}\n")
+
+    self.differ.diff(widgetLessPath, "http://localhost:8080").then(results => {
+
+      expect(results[0].differences).toEqual("")
+      expect(self.logger.logInfo).not.toHaveBeenCalled()
+      expect(self.logger.info).toHaveBeenCalledWith("noDifferencesFound", {path: widgetLessPath})
+      done()
+    })
+  })
+
+  it("should compare all the files it can under a directory", done => {
+
+    self.utils.isDirectory.and.callFake(path => path === "element")
+    self.utils.walkDirectory.and.callFake((path, config) => {
+      ["element/Logo/template.txt", "element/Logo/widget.json", ".ccc/element/Logo/template.txt"].forEach(file => {
+        const pieces = file.split("/")
+        config.listeners.file(pieces.slice(0, -1).join("/"), {name: pieces[pieces.length - 1]}, () => {})
+      })
+    })
+
+    self.metadata.readMetadata.returnsPromise({tag: "logo"})
+    self.endPointTransceiver.getGlobalElementTemplate.returnsResponse({code: {template: "<img>\n"}})
+    self.utils.readFile.returns("<img/>\n")
+
+    self.differ.diff("element", "http://localhost:8080").then(results => {
+
+      expect(results.map(result => result.path)).toEqual(["element/Logo/template.txt"])
+      expect(self.endPointTransceiver.getGlobalElementTemplate).toHaveBeenCalledWith(["logo"], jasmine.anything())
+      expect(self.logger.logInfo).toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you compare the global text snippets", done => {
+
+    const resources = {common: {greeting: "Hello"}}
+
+    self.textSnippetGrabber.getTextSnippetEndpointParams.returns(["ns.common", "en"])
+    self.textSnippetGrabber.mergeCustomTextSnippets.returns(resources)
+    self.endPointTransceiver.getResourceStringsForLocale.returnsResponse({resources})
+    self.utils.readFile.returns(JSON.stringify(resources, null, 2))
+
+    self.differ.diff("snippets/en/snippets.json", "http://localhost:8080").then(results => {
+
+      expect(self.textSnippetGrabber.getTextSnippetEndpointParams).toHaveBeenCalledWith("en")
+      expect(results[0].differences).toEqual("")
+      done()
+    })
+  })
+
+  it("should tell you when the server does not have the file", done => {
+
+    self.metadata.readMetadata.returnsPromise(null)
+
+    self.differ.diff(themeStylesPath, "http://localhost:8080").then(() => {
+
+      expect(self.endPointTransceiver.getThemeSource).not.toHaveBeenCalled()
+      expect(self.logger.warn).toHaveBeenCalledWith("noServerCopyToDiff", {path: themeStylesPath})
+      done()
+    })
+  })
+
+  it("should tell you when it cannot compare a file", done => {
+
+    self.differ.diff("widget/Cart/widget.json", "http://localhost:8080").then(() => {
+
+      expect(self.logger.warn).toHaveBeenCalledWith("cannotDiffPath", {path: "widget/Cart/widget.json"})
+      expect(self.metadata.initializeMetadata).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should stop you comparing a file that does not exist", done => {
+
+    self.utils.exists.returnsFalse()
+
+    self.differ.diff(themeStylesPath, "http://localhost:8080").then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("pathDoesNotExist", {path: themeStylesPath})
+      done()
+    })
+  })
+})
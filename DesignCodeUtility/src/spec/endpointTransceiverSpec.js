@@ -1,3 +1,5 @@
+const Promise = require("bluebird")
+
 const mockery = require('./mockery')
 
 describe("Endpoint Transceiver", () => {
@@ -45,7 +47,7 @@ describe("Endpoint Transceiver", () => {
 
   function fakeSuccessfulLogin(defaultLocale = "en") {
 
-    self.promisingClientInstance.getAndPromise.returnsPromise({
+    return self.promisingClientInstance.getAndPromise.returnsPromise({
       data : {
         endpointMap : {
           listLocales : {
@@ -122,6 +124,26 @@ describe("Endpoint Transceiver", () => {
     })
   })
 
+  it("should forget about endpoints from a server it was connected to before", done => {
+
+    const registry = fakeSuccessfulLogin()
+
+    self.endPointTransceiver.init("http://localhost:9080", "admin", "admin", null, null, false).then(() => {
+
+      expect(self.endPointTransceiver.serverSupports("listOrderTypes")).toEqual(true)
+
+      // Make the second server look older than the first.
+      delete registry.data.endpointMap.listOrderTypes
+
+      return self.endPointTransceiver.init("http://otherhost:9080", "admin", "admin", null, null, false)
+    }).then(() => {
+
+      expect(self.endPointTransceiver.serverSupports("listOrderTypes")).toEqual(false)
+      expect(self.endPointTransceiver.serverSupports("getElements")).toEqual(true)
+      done()
+    })
+  })
+
   it("should be able to detect when you hit storefront by mistake", done => {
 
     self.promisingClientInstance.getAndPromise.returnsPromise({
@@ -290,4 +312,180 @@ describe("Endpoint Transceiver", () => {
     expect(self.endPointTransceiver.checkCallSucceeded({ data: { } })).toEqual(true)
     expect(self.endPointTransceiver.checkCallSucceeded({ data: { errorCode : 999 } })).toEqual(false)
   })
+
+  /**
+   * Log in with a token that lasts five minutes and then pretend the clock has moved on by the supplied amount.
+   */
+  function initAndMoveClockOn(milliseconds, registryEntries = {}) {
+
+    const registry = fakeSuccessfulLogin()
+    Object.assign(registry.data.endpointMap, registryEntries)
+
+    self.promisingClientInstance.postAndPromise.returnsPromise({data: {access_token: "big long access token", expires_in: 300}})
+
+    const start = Date.now()
+
+    return self.endPointTransceiver.init("http://localhost:9080", "admin", "admin", null, null, false).then(() => {
+
+      spyOn(Date, "now").and.returnValue(start + milliseconds)
+
+      self.promisingClientInstance.postAndPromise.calls.reset()
+      self.promisingClientInstance.getAndPromise.returnsPromise({response: {statusCode: 200}})
+    })
+  }
+
+  it("should keep using the access token until it is nearly due to expire", done => {
+
+    initAndMoveClockOn(240000).then(() => self.endPointTransceiver.listOrderTypes()).then(() => {
+
+      expect(self.promisingClientInstance.postAndPromise).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should log in again shortly before the access token expires", done => {
+
+    initAndMoveClockOn(280000).then(() => self.endPointTransceiver.listOrderTypes()).then(() => {
+
+      expect(self.promisingClientInstance.postAndPromise).toHaveBeenCalledWith("http://localhost:9080/ccadminui/v1/login/",
+        jasmine.objectContaining({data: "grant_type=password&username=admin&password=admin"}))
+      done()
+    })
+  })
+
+  it("should only log in once when lots of requests need a new token at the same time", done => {
+
+    initAndMoveClockOn(400000).then(() => Promise.all([
+      self.endPointTransceiver.listOrderTypes(),
+      self.endPointTransceiver.listOrderTypes(),
+      self.endPointTransceiver.getElements(),
+      self.endPointTransceiver.get("http://localhost:9080/file/global/main.js")
+    ])).then(() => {
+
+      expect(self.promisingClientInstance.postAndPromise.calls.count()).toEqual(1)
+      done()
+    })
+  })
+
+  it("should refresh the access token where the server supports it", done => {
+
+    initAndMoveClockOn(280000, {refresh: {method: "POST"}}).then(() => self.endPointTransceiver.listOrderTypes()).then(() => {
+
+      expect(self.promisingClientInstance.postAndPromise).toHaveBeenCalledWith("http://localhost:9080/ccadminui/v1/refresh", {
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+          Authorization: "Bearer big long access token"
+        }
+      })
+      expect(self.promisingClientInstance.postAndPromise.calls.count()).toEqual(1)
+      done()
+    })
+  })
+
+  it("should log in again if the token could not be refreshed", done => {
+
+    initAndMoveClockOn(280000, {refresh: {method: "POST"}}).then(() => {
+
+      self.promisingClientInstance.postAndPromise.and.callFake(url => Promise.resolve(url.endsWith("/refresh") ?
+        {data: {errorCode: "40100"}} : {data: {access_token: "brand new access token"}}))
+
+      return self.endPointTransceiver.listOrderTypes(dummyRequestBuilder)
+    }).then(() => {
+
+      expect(self.promisingClientInstance.postAndPromise).toHaveBeenCalledWith("http://localhost:9080/ccadminui/v1/login/",
+        jasmine.objectContaining({data: "grant_type=password&username=admin&password=admin"}))
+      done()
+    })
+  })
+
+  it("should log in again if refreshing the token fails", done => {
+
+    initAndMoveClockOn(280000, {refresh: {method: "POST"}}).then(() => {
+
+      self.promisingClientInstance.postAndPromise.and.callFake(url => url.endsWith("/refresh") ?
+        Promise.reject(new Error("ECONNRESET")) : Promise.resolve({data: {access_token: "brand new access token"}}))
+
+      return Promise.all([self.endPointTransceiver.listOrderTypes(), self.endPointTransceiver.listOrderTypes()])
+    }).then(results => {
+
+      expect(results.length).toEqual(2)
+      expect(self.promisingClientInstance.postAndPromise).toHaveBeenCalledWith("http://localhost:9080/ccadminui/v1/login/",
+        jasmine.objectContaining({data: "grant_type=password&username=admin&password=admin"}))
+      expect(self.promisingClientInstance.postAndPromise.calls.count()).toEqual(2)
+      done()
+    })
+  })
+
+  it("should log in again rather than refresh a token the server has turned down", done => {
+
+    initAndMoveClockOn(0, {refresh: {method: "POST"}}).then(() => {
+
+      let calls = 0
+      self.promisingClientInstance.getAndPromise.and.callFake(() =>
+        Promise.resolve({response: {statusCode: calls++ ? 200 : 401}}))
+
+      return self.endPointTransceiver.listOrderTypes()
+    }).then(results => {
+
+      expect(results.response.statusCode).toEqual(200)
+      expect(self.promisingClientInstance.postAndPromise).not.toHaveBeenCalledWith("http://localhost:9080/ccadminui/v1/refresh",
+        jasmine.any(Object))
+      expect(self.promisingClientInstance.postAndPromise).toHaveBeenCalledWith("http://localhost:9080/ccadminui/v1/login/",
+        jasmine.objectContaining({data: "grant_type=password&username=admin&password=admin"}))
+      done()
+    })
+  })
+
+  it("should get a new token when the server turns down the current one", done => {
+
+    initAndMoveClockOn(0).then(() => {
+
+      let calls = 0
+      self.promisingClientInstance.getAndPromise.and.callFake(() =>
+        Promise.resolve({response: {statusCode: calls++ ? 200 : 401}}))
+
+      return self.endPointTransceiver.listOrderTypes()
+    }).then(results => {
+
+      expect(results.response.statusCode).toEqual(200)
+      expect(self.logger.warn).toHaveBeenCalledWith("timeoutRetryWithLoginWarning", jasmine.any(Object))
+      expect(self.promisingClientInstance.postAndPromise.calls.count()).toEqual(1)
+      done()
+    })
+  })
+
+  it("should let you switch between connections", done => {
+
+    const registry = fakeSuccessfulLogin()
+
+    const firstScope = self.endPointTransceiver.createScope()
+    const secondScope = self.endPointTransceiver.createScope()
+
+    self.endPointTransceiver.useScope(firstScope)
+
+    self.endPointTransceiver.init("http://localhost:9080", "admin", "admin", null, null, false).then(() => {
+
+      delete registry.data.endpointMap.listOrderTypes
+
+      self.endPointTransceiver.useScope(secondScope)
+
+      return self.endPointTransceiver.init("http://otherhost:9080", null, null, "dummyApplicationId", "de", false)
+    }).then(() => {
+
+      expect(self.endPointTransceiver.instance).toEqual("http://otherhost:9080")
+      expect(self.endPointTransceiver.urlBase).toEqual("/ccadmin/v1/")
+      expect(self.endPointTransceiver.serverSupports("listOrderTypes")).toEqual(false)
+
+      self.endPointTransceiver.useScope(firstScope)
+
+      expect(self.endPointTransceiver.instance).toEqual("http://localhost:9080")
+      expect(self.endPointTransceiver.urlBase).toEqual("/ccadminui/v1/")
+      expect(self.endPointTransceiver.locale).toEqual("en")
+      expect(self.endPointTransceiver.serverSupports("listOrderTypes")).toEqual(true)
+      expect(self.endPointTransceiver.listOrderTypes).toEqual(jasmine.any(Function))
+      expect(self.etags.setNodeName).toHaveBeenCalledWith("http//localhost9080")
+      expect(self.i18n.init.calls.mostRecent().args[0]).toEqual("en")
+      done()
+    })
+  })
 })
@@ -36,6 +36,94 @@ describe("etags", () => {
     expect(self.utils.removeTree).toHaveBeenCalledWith('.ccc//etag/path_localhost.etag')
   })
 
+  it("should store a content hash when writing etags", () => {
+
+    self.utils.exists.and.callFake(path => !path.endsWith(".base"))
+    self.utils.isDirectory.returnsFalse()
+    self.utils.readFile.returns("some content")
+
+    self.etags.writeEtag("widget/Fred/display.template", "some etag")
+
+    expect(self.utils.writeFile).toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.etag", "some etag")
+    expect(self.utils.writeFile).toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.hash",
+      "290f493c44f5d63d06b374d0a5abd292fae38b92cab2fae5efefe1b0e9347f56")
+    expect(self.utils.writeFile).not.toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.base",
+      jasmine.anything())
+  })
+
+  it("should only keep a copy of the file to merge against when asked to", () => {
+
+    self.etags.enableBaseCopies()
+    self.etags.writeContentHash("widget/Fred/display.template", "some content")
+
+    expect(self.utils.writeFile).toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.base", "some content")
+  })
+
+  it("should keep any copy of the file to merge against up to date", () => {
+
+    self.utils.exists.returnsTrue()
+
+    self.etags.writeContentHash("widget/Fred/display.template", "new content")
+
+    expect(self.utils.writeFile).toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.base", "new content")
+  })
+
+  it("should let you record contents other than what is on disk", () => {
+
+    self.etags.enableBaseCopies()
+    self.etags.writeContentHash("widget/Fred/display.template", "some content")
+
+    expect(self.utils.readFile).not.toHaveBeenCalled()
+    expect(self.utils.writeFile).toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.hash",
+      "290f493c44f5d63d06b374d0a5abd292fae38b92cab2fae5efefe1b0e9347f56")
+    expect(self.utils.writeFile).toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.base", "some content")
+  })
+
+  it("should let you read the stored copy of a file", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readFile.returns("some content")
+
+    expect(self.etags.storedBaseContentFor("widget/Fred/display.template")).toEqual("some content")
+    expect(self.utils.readFile).toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.base")
+
+    self.utils.exists.returnsFalse()
+
+    expect(self.etags.storedBaseContentFor("widget/Fred/display.template")).toBeNull()
+  })
+
+  it("should not store content hashes for directories", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.isDirectory.returnsTrue()
+
+    self.etags.writeContentHash("widget/Fred")
+
+    expect(self.utils.writeFile).not.toHaveBeenCalled()
+  })
+
+  it("should let you read stored content hashes", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readFile.returns("some hash")
+
+    expect(self.etags.storedContentHashFor("widget/Fred/display.template")).toEqual("some hash")
+    expect(self.utils.readFile).toHaveBeenCalledWith(".ccc/widget/Fred/display.template_localhost.hash")
+
+    self.utils.exists.returnsFalse()
+
+    expect(self.etags.storedContentHashFor("widget/Fred/display.template")).toEqual("")
+  })
+
+  it("should let you find the asset path for a tracking file", () => {
+
+    expect(self.etags.getAssetPathFromTrackingPath(".ccc/widget/Fred/display.template_localhost.etag", ".etag"))
+      .toEqual("widget/Fred/display.template")
+
+    expect(self.etags.getAssetPathFromTrackingPath(".ccc/widget/Fred/display.template_otherhost.etag", ".etag"))
+      .toBeNull()
+  })
+
   it("should let you reset etags", () => {
 
     self.etags.resetEtag("/etag/path")
@@ -16,7 +16,7 @@ describe("Exit Handler", () => {
       self.exitCode = exitCode
     }
 
-    mockery.mockModules(self, '../logger')
+    mockery.mockModules(self, '../logger', '../promisingClient')
 
     self.exitHandler = mockery.require("../exitHandler")
   })
@@ -32,6 +32,7 @@ describe("Exit Handler", () => {
     self.exitHandler.addExitHandler(Promise.method(() => null)()).then(() => {
 
       expect(self.exitCode).not.toEqual(1)
+      expect(self.promisingClient.reportRequestRates).toHaveBeenCalled()
       done()
     })
   })
@@ -0,0 +1,73 @@
+"use strict"
+
+const mockery = require('./mockery')
+
+describe("Failure Reporter", () => {
+
+  const self = this
+
+  const node = "http://localhost:8080"
+
+  const failures = [
+    {path: "/base/widget/Cart/instances/Cart Widget/widget.less", statusCode: 400, errorCode: "20031", message: "Bad less"},
+    {path: "/base/theme/Mono Theme/styles.less", statusCode: 400, errorCode: "20031", message: "Bad <less>"},
+    {path: "/base/element/Logo/element.template", statusCode: 500, errorCode: undefined, message: undefined}
+  ]
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils", "../logger")
+
+    self.utils.resolvePath.and.callFake(path => path.startsWith("/") ? path : path === "." ? "/base" : `/base/${path}`)
+
+    self.failureReporter = mockery.require("../failureReporter")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should list failures grouped by what went wrong", () => {
+
+    self.failureReporter.reportPutFailures(failures, node)
+
+    expect(self.logger.warn).toHaveBeenCalledWith("putFailuresHeading", {count: 3, node})
+    expect(self.logger.warn).toHaveBeenCalledWith("putFailureGroup", {statusCode: "400", errorCode: "20031", count: 2})
+    expect(self.logger.warn).toHaveBeenCalledWith("putFailureGroup", {statusCode: "500", errorCode: "-", count: 1})
+    expect(self.logger.warn).toHaveBeenCalledWith("putFailurePath", {path: "theme/Mono Theme/styles.less", message: "Bad <less>"})
+    expect(self.utils.writeFile).not.toHaveBeenCalled()
+  })
+
+  it("should say nothing when everything was sent", () => {
+
+    self.failureReporter.reportPutFailures([], node)
+
+    expect(self.logger.warn).not.toHaveBeenCalled()
+  })
+
+  it("should let you write the failures out as JSON", () => {
+
+    self.failureReporter.reportPutFailures(failures, node, "failures.json")
+
+    const report = JSON.parse(self.utils.writeFile.calls.mostRecent().args[1])
+
+    expect(report.node).toEqual(node)
+    expect(report.failures.map(failure => failure.path)).toEqual([
+      "element/Logo/element.template",
+      "theme/Mono Theme/styles.less",
+      "widget/Cart/instances/Cart Widget/widget.less"
+    ])
+    expect(self.logger.info).toHaveBeenCalledWith("failureReportWrittenToFile", {reportFile: "failures.json"})
+  })
+
+  it("should let you write the failures out as JUnit XML", () => {
+
+    self.failureReporter.reportPutFailures(failures, node, "failures.xml")
+
+    const report = self.utils.writeFile.calls.mostRecent().args[1]
+
+    expect(report).toContain(`<testsuite name="${node}" tests="3" failures="3">`)
+    expect(report).toContain(`<testcase classname="theme" name="theme/Mono Theme/styles.less">`)
+    expect(report).toContain(`<failure message="Bad &lt;less&gt;">HTTP 400 20031: Bad &lt;less&gt;</failure>`)
+  })
+})
@@ -1,6 +1,7 @@
 "use strict"
 
 const mockery = require('./mockery')
+const Promise = require("bluebird")
 
 const constants = require('../constants').constants
 const PuttingFileType = require("../puttingFileType").PuttingFileType
@@ -16,7 +17,8 @@ describe("Grabber", () => {
     mockery.mockModules(self,
       '../utils', '../optionsUtils', '../logger', '../metadata', '../classifier',
       "../applicationJavaScriptGrabber", "../themeGrabber", "../textSnippetGrabber", "../stackGrabber",
-      "../globalElementGrabber", "../widgetElementGrabber", "../elementGrabber", "../widgetGrabber")
+      "../globalElementGrabber", "../widgetElementGrabber", "../elementGrabber", "../widgetGrabber",
+      "../grabberUtils", "../statusReporter", "../assetTypeRegistry", "../hooks")
 
     self.applicationJavaScriptGrabber.grabAllApplicationJavaScript.returnsPromise({})
     self.themeGrabber.grabAllThemes.returnsPromise({})
@@ -27,6 +29,12 @@ describe("Grabber", () => {
 
     self.optionsUtils.checkMetadata.returnsTrue()
 
+    self.grabberUtils.getGrabbedPaths.returns(new Map())
+
+    self.assetTypeRegistry.getAssetTypes.returns([])
+
+    self.hooks.runWithHooks.and.callFake((name, context, operation) => Promise.try(operation))
+
     self.grabber = mockery.require("../grabber")
   })
 
@@ -70,6 +78,19 @@ describe("Grabber", () => {
     })
   })
 
+  it("should run the grab hooks around a grab", done => {
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      const args = self.hooks.runWithHooks.calls.mostRecent().args
+
+      expect(args[0]).toEqual("Grab")
+      expect(args[1]).toEqual({node: "http://localhost:8080"})
+      expect(self.logger.info).toHaveBeenCalledWith("allDone")
+      done()
+    })
+  })
+
   it("should warn you if you try to refresh something silly", () => {
 
     self.grabber.refresh("sillyDir")
@@ -137,4 +158,211 @@ describe("Grabber", () => {
       })
     })
   })
+
+  it("should remove assets that have gone from the server after an incremental grab", done => {
+
+    self.grabberUtils.shouldGrabIncrementally.returnsTrue()
+
+    self.grabberUtils.getGrabbedPaths.returns(new Map([
+      ["widget/Cart/instances/Cart Widget/display.template", true],
+      ["widget/Cart/instances/Old Cart Widget", false],
+      ["theme/Mono Theme/styles.less", false]
+    ]))
+
+    self.statusReporter.findTrackedPaths.returns(new Set([
+      "widget/Cart/js/cart.js",
+      "widget/Cart/instances/Cart Widget/display.template",
+      "widget/Cart/instances/Old Cart Widget/display.template",
+      "widget/Cart/instances/Deleted Widget/display.template",
+      "widget/Cart/instances/Deleted Widget/locales/en/ns.cart.json",
+      "theme/Mono Theme/styles.less",
+      "stack/Tabs/stack.template",
+      "snippets/en/snippets.json"
+    ]))
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.utils.removeTrackedTree.calls.allArgs()).toEqual([
+        ["widget/Cart/instances/Deleted Widget"],
+        ["stack/Tabs"]
+      ])
+
+      expect(self.logger.info).toHaveBeenCalledWith("removingDeletedAsset", {directory: "stack/Tabs"})
+      expect(self.logger.info).toHaveBeenCalledWith("incrementalGrabSummary", {changed: 1, unchanged: 2, removed: 2})
+      done()
+    })
+  })
+
+  it("should not remove anything after an incremental grab that went wrong", done => {
+
+    self.grabberUtils.shouldGrabIncrementally.returnsTrue()
+    self.grabberUtils.getGrabbedPaths.returns(new Map([["widget/Cart/instances/Cart Widget", false]]))
+
+    self.statusReporter.findTrackedPaths.returns(new Set([
+      "widget/Cart/instances/Cart Widget/display.template",
+      "widget/Checkout/instances/Checkout Widget/display.template"
+    ]))
+
+    // The Checkout widget could not be fetched so it is missing from what was grabbed.
+    self.widgetGrabber.grabAllWidgets.and.callFake(() => {
+      self.logger.hadSeriousError = true
+      return Promise.resolve()
+    })
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.utils.removeTrackedTree).not.toHaveBeenCalled()
+      expect(self.logger.warn).toHaveBeenCalledWith("incrementalGrabNotTidied")
+      expect(self.logger.info).toHaveBeenCalledWith("incrementalGrabSummary", {changed: 0, unchanged: 1, removed: 0})
+      done()
+    })
+  })
+
+  it("should not remove anything after a normal grab", done => {
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.statusReporter.findTrackedPaths).not.toHaveBeenCalled()
+      expect(self.utils.removeTrackedTree).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you grab only the asset types and names you want", done => {
+
+    const nameFilter = name => name.startsWith("ACME ")
+    self.utils.nameMatcher.returns(nameFilter)
+    self.widgetElementGrabber.grabWidgetElements.returnsPromise({})
+
+    expect(self.grabber.setGrabFilter("widgets, snippets", "ACME *")).toBe(true)
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.utils.nameMatcher).toHaveBeenCalledWith("ACME *")
+      expect(self.widgetGrabber.grabAllWidgets).toHaveBeenCalledWith(nameFilter)
+      expect(self.widgetElementGrabber.grabWidgetElements).toHaveBeenCalledWith(null, nameFilter)
+      expect(self.textSnippetGrabber.grabCommonTextSnippets).toHaveBeenCalled()
+
+      expect(self.stackGrabber.grabAllStacks).not.toHaveBeenCalled()
+      expect(self.elementGrabber.grabAllElements).not.toHaveBeenCalled()
+      expect(self.themeGrabber.grabAllThemes).not.toHaveBeenCalled()
+      expect(self.applicationJavaScriptGrabber.grabAllApplicationJavaScript).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should leave widget elements alone when only global elements are wanted", done => {
+
+    self.grabber.setGrabFilter("elements")
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.elementGrabber.grabAllElements).toHaveBeenCalledWith(false, null)
+      expect(self.widgetGrabber.grabAllWidgets).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should reject asset types it does not know about", () => {
+
+    expect(self.grabber.setGrabFilter("widgets,gadgets")).toBe(false)
+
+    expect(self.logger.error).toHaveBeenCalledWith("invalidAssetTypes",
+      {types: "gadgets", validTypes: "stacks, widgets, snippets, elements, themes, globalJs"})
+  })
+
+  it("should grab plugin asset types and let you pick them", done => {
+
+    const siteSettings = {name: "siteSettings", directory: "siteSettings"}
+
+    self.assetTypeRegistry.getAssetTypes.returns([siteSettings])
+    self.assetTypeRegistry.grabAssetType.returnsPromise({})
+
+    expect(self.grabber.setGrabFilter("siteSettings")).toBe(true)
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.assetTypeRegistry.grabAssetType.calls.mostRecent().args[0]).toBe(siteSettings)
+      grabbers().forEach(grabber => expect(grabber).not.toHaveBeenCalled())
+      done()
+    })
+  })
+
+  it("should clear out and refresh plugin asset type directories", done => {
+
+    const siteSettings = {name: "siteSettings", directory: "siteSettings"}
+
+    self.assetTypeRegistry.getAssetTypes.returns([siteSettings])
+    self.assetTypeRegistry.findAssetTypeForDirectory.returns(siteSettings)
+    self.assetTypeRegistry.grabAssetType.returnsPromise({})
+    self.utils.exists.returnsTrue()
+
+    self.grabber.grab("http://localhost:8080", true).then(() => {
+
+      expect(self.utils.removeTree).toHaveBeenCalledWith("siteSettings")
+
+      self.assetTypeRegistry.grabAssetType.calls.reset()
+
+      return self.grabber.refresh("siteSettings")
+    }).then(() => {
+
+      expect(self.assetTypeRegistry.findAssetTypeForDirectory).toHaveBeenCalledWith("siteSettings")
+      expect(self.assetTypeRegistry.grabAssetType).toHaveBeenCalledWith(siteSettings)
+      expect(self.logger.error).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should only remove assets of the types that were grabbed after an incremental grab", done => {
+
+    self.grabberUtils.shouldGrabIncrementally.returnsTrue()
+
+    self.statusReporter.findTrackedPaths.returns(new Set([
+      "widget/Cart/js/cart.js",
+      "stack/Tabs/stack.template"
+    ]))
+
+    self.grabber.setGrabFilter("stacks")
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.utils.removeTrackedTree.calls.allArgs()).toEqual([["stack/Tabs"]])
+      done()
+    })
+  })
+
+  it("should keep stack instances that were not grabbed again because they had not changed", done => {
+
+    self.grabberUtils.shouldGrabIncrementally.returnsTrue()
+    self.grabberUtils.getGrabbedPaths.returns(new Map([["stack/Tabs/instances/Tabs Instance", false]]))
+
+    self.statusReporter.findTrackedPaths.returns(new Set([
+      "stack/Tabs/instances/Tabs Instance/stack.template",
+      "stack/Tabs/instances/Old Tabs Instance/stack.template"
+    ]))
+
+    self.grabber.setGrabFilter("stacks")
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.utils.removeTrackedTree.calls.allArgs()).toEqual([["stack/Tabs/instances/Old Tabs Instance"]])
+      done()
+    })
+  })
+
+  it("should not remove anything after an incremental grab of matching names", done => {
+
+    self.grabberUtils.shouldGrabIncrementally.returnsTrue()
+    self.utils.nameMatcher.returns(() => false)
+
+    self.statusReporter.findTrackedPaths.returns(new Set(["stack/Tabs/stack.template"]))
+
+    self.grabber.setGrabFilter(null, "ACME *")
+
+    self.grabber.grab("http://localhost:8080", false).then(() => {
+
+      expect(self.utils.removeTrackedTree).not.toHaveBeenCalled()
+      done()
+    })
+  })
 })
@@ -0,0 +1,115 @@
+"use strict"
+
+const mockery = require('./mockery')
+
+describe("Grabber Utils", () => {
+
+  const self = this
+
+  const templatePath = "widget/Cart/instances/Cart Widget/display.template"
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    self.endPointTransceiver = mockery.mockModule("../endPointTransceiver", "getWidgetSourceCode")
+
+    mockery.mockModules(self, "../etags", "../utils")
+
+    self.endPointTransceiver.getWidgetSourceCode.returnsPromise({
+      data: {source: "new template"},
+      response: {headers: {etag: "new etag"}, statusCode: 200}
+    })
+
+    self.utils.exists.returnsTrue()
+    self.etags.eTagFor.returns("old etag")
+
+    self.grabberUtils = mockery.require("../grabberUtils")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should always write files on a normal grab", done => {
+
+    self.etags.eTagFor.returns("new etag")
+
+    self.grabberUtils.copyFieldContentsToFile("getWidgetSourceCode", "wi0001", "source", templatePath).then(() => {
+
+      const requestBuilder = self.endPointTransceiver.getWidgetSourceCode.calls.mostRecent().args[1]
+      expect(requestBuilder.headers["If-None-Match"]).toBeUndefined()
+
+      expect(self.utils.writeFile).toHaveBeenCalledWith(templatePath, "new template")
+      expect(self.etags.writeEtag).toHaveBeenCalledWith(templatePath, "new etag")
+      done()
+    })
+  })
+
+  it("should write files that have changed on an incremental grab", done => {
+
+    self.grabberUtils.enableIncrementalGrab()
+
+    self.grabberUtils.copyFieldContentsToFile("getWidgetSourceCode", "wi0001", "source", templatePath).then(() => {
+
+      const requestBuilder = self.endPointTransceiver.getWidgetSourceCode.calls.mostRecent().args[1]
+      expect(requestBuilder.headers["If-None-Match"]).toEqual("old etag")
+
+      expect(self.utils.writeFile).toHaveBeenCalledWith(templatePath, "new template")
+      expect(self.grabberUtils.getGrabbedPaths().get(templatePath)).toBe(true)
+      done()
+    })
+  })
+
+  it("should leave unchanged files alone on an incremental grab", done => {
+
+    self.grabberUtils.enableIncrementalGrab()
+    self.etags.eTagFor.returns("new etag")
+
+    self.grabberUtils.copyFieldContentsToFile("getWidgetSourceCode", "wi0001", "source", templatePath).then(() => {
+
+      expect(self.utils.writeFile).not.toHaveBeenCalled()
+      expect(self.etags.writeEtag).not.toHaveBeenCalled()
+      expect(self.grabberUtils.getGrabbedPaths().get(templatePath)).toBe(false)
+      done()
+    })
+  })
+
+  it("should understand when the server says nothing has changed", done => {
+
+    self.grabberUtils.enableIncrementalGrab()
+
+    self.endPointTransceiver.getWidgetSourceCode.returnsPromise({
+      data: "",
+      response: {headers: {}, statusCode: 304}
+    })
+
+    self.grabberUtils.copyFieldContentsToFile("getWidgetSourceCode", "wi0001", "source", templatePath).then(() => {
+
+      expect(self.utils.writeFile).not.toHaveBeenCalled()
+      expect(self.grabberUtils.getGrabbedPaths().has(templatePath)).toBe(true)
+      done()
+    })
+  })
+
+  it("should write files that are not on disk yet on an incremental grab", () => {
+
+    self.grabberUtils.enableIncrementalGrab()
+    self.utils.exists.returnsFalse()
+
+    self.grabberUtils.writeFileAndETag(templatePath, "new template", "old etag")
+
+    expect(self.utils.writeFile).toHaveBeenCalledWith(templatePath, "new template")
+    expect(self.etags.writeEtag).toHaveBeenCalledWith(templatePath, "old etag")
+  })
+
+  it("should mark every file from an unchanged response as grabbed", () => {
+
+    self.grabberUtils.enableIncrementalGrab()
+
+    const paths = ["theme/Blue/styles.less", "theme/Blue/variables.less"]
+    const requestBuilder = self.grabberUtils.grabRequest(paths[0])
+
+    expect(requestBuilder.headers["If-None-Match"]).toEqual("old etag")
+    expect(self.grabberUtils.skipIfUnchanged(paths, {response: {headers: {}, statusCode: 304}})).toBe(true)
+    expect(Array.from(self.grabberUtils.getGrabbedPaths().keys())).toEqual(paths)
+  })
+})
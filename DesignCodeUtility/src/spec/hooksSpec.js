@@ -0,0 +1,104 @@
+"use strict"
+
+const mockery = require("./mockery")
+const Promise = require("bluebird")
+const upath = require("upath")
+
+describe("Hooks", () => {
+
+  const self = this
+
+  const useHooks = hooks => {
+    self.utils.exists.returnsTrue()
+    self.utils.readJsonFile.returns({hooks})
+  }
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils", "../logger", "child_process")
+
+    self.hooks = mockery.require("../hooks")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should just run the operation when there are no hooks", done => {
+
+    self.utils.exists.returnsFalse()
+
+    self.hooks.runWithHooks("Grab", {node: "http://localhost:8080"}, () => Promise.resolve("grabbed"), () => true)
+      .then(value => {
+
+        expect(value).toEqual("grabbed")
+        expect(self.child_process.exec).not.toHaveBeenCalled()
+        done()
+      })
+  })
+
+  it("should run shell commands before and after the operation", done => {
+
+    useHooks({prePut: "npm run lint", postPut: "./notify.sh"})
+
+    self.child_process.exec.and.callFake((command, options, callback) => callback(null, "All good\n", ""))
+
+    const operation = jasmine.createSpy("operation")
+
+    const context = {node: "http://localhost:8080", path: "widget/Cart/js/cart.js", type: "WIDGET_JAVASCRIPT"}
+
+    self.hooks.runWithHooks("Put", context, operation, () => true).then(() => {
+
+      expect(operation).toHaveBeenCalled()
+      expect(self.child_process.exec.calls.allArgs().map(args => args[0])).toEqual(["npm run lint", "./notify.sh"])
+
+      const env = self.child_process.exec.calls.mostRecent().args[1].env
+
+      expect(env.DCU_HOOK).toEqual("postPut")
+      expect(env.DCU_PATH).toEqual("widget/Cart/js/cart.js")
+      expect(env.DCU_TYPE).toEqual("WIDGET_JAVASCRIPT")
+      expect(env.DCU_SUCCESS).toEqual("true")
+
+      expect(self.logger.info).toHaveBeenCalledWith("hookOutput", {hook: "prePut", output: "All good"})
+      done()
+    })
+  })
+
+  it("should not run the operation if the pre hook fails", done => {
+
+    useHooks({preGrab: "git diff --quiet", postGrab: "git commit -am Grabbed"})
+
+    self.child_process.exec.and.callFake((command, options, callback) => callback(new Error("Command failed"), "", ""))
+
+    const operation = jasmine.createSpy("operation")
+
+    self.hooks.runWithHooks("Grab", {node: "http://localhost:8080"}, operation, () => true).then(value => {
+
+      expect(value).toBeUndefined()
+      expect(operation).not.toHaveBeenCalled()
+      expect(self.child_process.exec.calls.count()).toEqual(1)
+      expect(self.logger.error).toHaveBeenCalledWith("hookFailed",
+        {hook: "preGrab", action: "git diff --quiet", message: "Command failed"})
+      done()
+    })
+  })
+
+  it("should call JavaScript hooks and tell them when the operation failed", done => {
+
+    useHooks({postPutAll: "hooks/notify.js"})
+
+    const notify = jasmine.createSpy("notify").and.throwError("Slack is down")
+    mockery.mockAs(upath.resolve("hooks/notify.js"), notify)
+
+    self.hooks.runWithHooks("PutAll", {node: "http://localhost:8080", path: "widget"},
+      () => Promise.reject(new Error("Boom")), () => true).catch(err => {
+
+      expect(err.message).toEqual("Boom")
+      expect(notify).toHaveBeenCalledWith(
+        {hook: "postPutAll", node: "http://localhost:8080", path: "widget", result: {success: false}})
+      expect(self.logger.warn).toHaveBeenCalledWith("hookFailed",
+        {hook: "postPutAll", action: "hooks/notify.js", message: "Slack is down"})
+      done()
+    })
+  })
+})
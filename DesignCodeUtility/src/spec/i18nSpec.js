@@ -36,6 +36,13 @@ describe("i18n", () => {
     expect(self.i18n.t("allDone")).toEqual("Fertig...")
   })
 
+  it("should fall back to English for keys that have not been translated", () => {
+
+    self.i18n.init("de")
+
+    expect(self.i18n.t("noLocalChangesFound")).toEqual("No local changes since the last grab.")
+  })
+
   it("should tell you when you ask for a silly locale", () => {
 
     self.i18n.init("silly")
@@ -0,0 +1,61 @@
+"use strict"
+
+const constants = require("../constants").constants
+const mockery = require('./mockery')
+
+describe("Instance Overrides", () => {
+
+  const self = this
+
+  const instanceDir = "widget/Cart/instances/Cart Widget"
+  const metadataPath = `${instanceDir}/${constants.userWidgetInstanceMetadata}`
+  const localOverridesPath = `${instanceDir}/widgetInstanceMetadata.prod.json`
+  const centralOverridesPath = `${constants.overridesDir}/prod.json`
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils", "../logger", "../state")
+
+    self.utils.resolvePath.and.callFake(path => path === "." ? "/base" : `/base/${path}`)
+
+    self.files = {
+      [metadataPath]: {displayName: "Cart Widget", settings: {apiUrl: "https://test.example.com", retries: 3}},
+      [localOverridesPath]: {settings: {apiUrl: "https://prod.example.com"}},
+      [centralOverridesPath]: {[instanceDir]: {settings: {apiUrl: "https://central.example.com", accountId: "prod01"}}}
+    }
+
+    self.utils.exists.and.callFake(path => !!self.files[path])
+    self.utils.readJsonFile.and.callFake(path => JSON.parse(JSON.stringify(self.files[path])))
+
+    self.instanceOverrides = mockery.require("../instanceOverrides")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should leave the metadata alone when there is no target environment", () => {
+
+    expect(self.instanceOverrides.readInstanceMetadata(metadataPath)).toEqual(self.files[metadataPath])
+    expect(self.logger.info).not.toHaveBeenCalled()
+  })
+
+  it("should merge in the overrides for the target environment", () => {
+
+    self.state.targetEnvironment.returns("prod")
+
+    expect(self.instanceOverrides.readInstanceMetadata(metadataPath)).toEqual({
+      displayName: "Cart Widget",
+      settings: {apiUrl: "https://prod.example.com", retries: 3, accountId: "prod01"}
+    })
+    expect(self.logger.info).toHaveBeenCalledWith("applyingInstanceOverrides", {path: metadataPath, environment: "prod"})
+  })
+
+  it("should be happy when there are no overrides for the target environment", () => {
+
+    self.state.targetEnvironment.returns("stage")
+
+    expect(self.instanceOverrides.readInstanceMetadata(metadataPath)).toEqual(self.files[metadataPath])
+    expect(self.logger.info).not.toHaveBeenCalled()
+  })
+})
@@ -84,4 +84,79 @@ describe("logger", () => {
 
     expect(console.log).toHaveBeenCalledWith(JSON.stringify(object, null, 2))
   })
+
+  it("should log one JSON object per line when asked to", () => {
+
+    self.logger.setLogFormat("json")
+    self.logger.setLogNode("http://localhost:8080")
+
+    self.logger.logInfo("Sending cart.js", "sendingPath", {path: "widget/Cart/js/cart.js"})
+    self.logger.logDebug("Not logged", "endpointCallTook", {statusCode: 200})
+
+    const event = JSON.parse(console.log.calls.mostRecent().args[0])
+
+    expect(console.log.calls.count()).toEqual(1)
+    expect(event.severity).toEqual("info")
+    expect(event.key).toEqual("sendingPath")
+    expect(event.message).toEqual("Sending cart.js")
+    expect(event.substitutions).toEqual({path: "widget/Cart/js/cart.js"})
+    expect(event.path).toEqual("widget/Cart/js/cart.js")
+    expect(event.node).toEqual("http://localhost:8080")
+    expect(event.timestamp).toBeDefined()
+
+    self.logger.setVerboseLogging(true)
+    self.logger.logDebug("GET took 12 ms", "endpointCallTook",
+      {url: "/ccadmin/v1/widgets", statusCode: 200, duration: 12})
+
+    const debugEvent = JSON.parse(console.log.calls.mostRecent().args[0])
+
+    expect(debugEvent.path).toEqual("/ccadmin/v1/widgets")
+    expect(debugEvent.status).toEqual(200)
+    expect(debugEvent.duration).toEqual(12)
+  })
+
+  it("should copy what gets logged to a file", () => {
+
+    self.fs = mockery.mockModule("fs")
+    self.logger = mockery.require("../logger")
+
+    self.colors.red = {
+      bold : mockery.addConvenienceMethods(jasmine.createSpy("bold"))
+    }
+
+    self.logger.setLogFile("/logs/dcu.log")
+    self.logger.useScope(self.logger.createScope(null, true))
+    self.logger.error("badKey")
+
+    expect(self.fs.appendFileSync).not.toHaveBeenCalled()
+
+    self.logger.setLogFile("/logs/dcu.log")
+    self.logger.error("badKey")
+
+    expect(self.fs.appendFileSync).toHaveBeenCalledWith("/logs/dcu.log", "badKey\n")
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  it("should keep what happened in each scope separate", () => {
+
+    const messages = []
+
+    self.colors.red = {
+      bold : mockery.addConvenienceMethods(jasmine.createSpy("bold"))
+    }
+
+    const quietScope = self.logger.createScope(message => messages.push(message), true)
+
+    self.logger.useScope(quietScope)
+    self.logger.error("badKey", {path: "widget/Cart"})
+
+    expect(messages).toEqual([{level: "error", text: "badKey", key: "badKey", substitutions: {path: "widget/Cart"}}])
+    expect(console.error).not.toHaveBeenCalled()
+    expect(self.logger.hadSeriousError).toBe(true)
+
+    self.logger.useScope(self.logger.createScope())
+
+    expect(self.logger.hadSeriousError).toBe(false)
+    expect(quietScope.hadSeriousError).toBe(true)
+  })
 })
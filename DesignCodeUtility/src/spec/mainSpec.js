@@ -13,18 +13,31 @@ describe("main", () => {
 
     mockery.mockModules(self,
       '../state', '../endPointTransceiver', '../metadata', '../grabber', '../widgetPutter', '../putter', '../putterUtils',
-      '../i18n', '../utils', '../optionsUtils', '../CCLessCompiler', '../exitHandler', '../../package.json')
+      '../i18n', '../utils', '../optionsUtils', '../CCLessCompiler', '../exitHandler', '../statusReporter',
+      '../planReporter', '../differ', '../grabberUtils', '../assetDeleter', '../failureReporter', '../dependencyGrapher',
+      '../wizardUtils', '../logger', '../etags', '../../package.json')
 
     self.endPointTransceiver.init.returnsPromise()
 
     self.optionsUtils.checkMetadata.returnsTrue()
     self.optionsUtils.addCommonOptions.returnsFirstArg()
     self.optionsUtils.getPassword.returns("admin")
+    self.optionsUtils.applyEnvironment.returnsTrue()
+    self.optionsUtils.applyNetworkOptions.returnsTrue()
+    self.optionsUtils.applyLogOptions.returnsTrue()
+    self.wizardUtils.canAsk.returnsTrue()
 
     self.putter.put.returnsPromise()
     self.putter.putAll.returnsPromise()
     self.grabber.grab.returnsPromise()
     self.grabber.refresh.returnsPromise()
+    self.statusReporter.reportStatus.returnsPromise()
+    self.putter.plan.returnsPromise({steps: []})
+    self.putter.watch.returnsPromise()
+    self.putter.rollback.returnsPromise()
+    self.differ.diff.returnsPromise()
+    self.assetDeleter.deleteAsset.returnsPromise()
+    self.dependencyGrapher.reportGraph.returnsPromise()
 
     self.exitHandler.addExitHandler.returnsFirstArg()
 
@@ -264,4 +277,425 @@ describe("main", () => {
       done()
     })
   })
+
+  it("should let you see what has changed locally without talking to the server", done => {
+
+    self.commander.status = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.statusReporter.reportStatus).toHaveBeenCalledWith("http://somehost:8090")
+      expect(self.endPointTransceiver.init).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you see what a transfer would do without doing it", done => {
+
+    self.commander.transferAll = "widget"
+    self.commander.dryRun = true
+    self.commander.planFile = "plan.json"
+
+    self.mainModule.main().then(() => {
+
+      expect(self.state.inTransferMode).toHaveBeenCalledWith(true)
+      expect(self.putter.plan).toHaveBeenCalledWith("widget", "http://somehost:8090", true)
+      expect(self.planReporter.reportPlan).toHaveBeenCalledWith({steps: []}, "plan.json")
+      expect(self.putter.put).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should only let you do a dry run when sending things", () => {
+
+    self.commander.grab = true
+    self.commander.dryRun = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you compare local files with the server", done => {
+
+    self.commander.diff = "widget/Cart"
+
+    self.mainModule.main().then(() => {
+
+      expect(self.optionsUtils.checkMetadata).toHaveBeenCalledWith("widget/Cart")
+      expect(self.differ.diff).toHaveBeenCalledWith("widget/Cart", "http://somehost:8090")
+      expect(self.putter.put).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you merge in server changes when putting a file", done => {
+
+    self.commander.put = "widget/Cart/instances/Cart Widget/display.template"
+    self.commander.merge = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.putterUtils.enableMergeOnConflict).toHaveBeenCalled()
+      expect(self.etags.enableBaseCopies).toHaveBeenCalled()
+      expect(self.putter.put).toHaveBeenCalledWith("widget/Cart/instances/Cart Widget/display.template", "http://somehost:8090", false)
+      done()
+    })
+  })
+
+  it("should only let you merge when putting a single file", () => {
+
+    self.commander.putAll = "widget"
+    self.commander.merge = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should only keep copies of grabbed files for merging when asked to", done => {
+
+    self.commander.grab = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.etags.enableBaseCopies).not.toHaveBeenCalled()
+
+      self.commander.keepBase = true
+
+      return self.mainModule.main()
+    }).then(() => {
+
+      expect(self.etags.enableBaseCopies).toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should only let you keep copies of files when grabbing", () => {
+
+    self.commander.put = "widget/Cart/instances/Cart Widget/display.template"
+    self.commander.keepBase = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you watch a directory for changes", done => {
+
+    self.commander.watch = "widget"
+
+    self.mainModule.main().then(() => {
+
+      expect(self.optionsUtils.checkMetadata).toHaveBeenCalledWith("widget")
+      expect(self.putter.watch).toHaveBeenCalledWith("widget", "http://somehost:8090")
+      expect(self.putter.put).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let the project config file work out the environment from the path when putting", done => {
+
+    self.commander.put = "src/stage/widget/Cart/instances/Cart Widget/display.template"
+
+    self.mainModule.main().then(() => {
+
+      expect(self.optionsUtils.applyEnvironment).toHaveBeenCalledWith(self.commander, "src/stage/widget/Cart/instances/Cart Widget/display.template")
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should stop if the environment cannot be found", () => {
+
+    self.commander.grab = true
+    self.commander.env = "nowhere"
+    self.optionsUtils.applyEnvironment.returnsFalse()
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you grab only what has changed", done => {
+
+    self.commander.grab = true
+    self.commander.incremental = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.grabberUtils.enableIncrementalGrab).toHaveBeenCalled()
+      expect(self.grabber.grab).toHaveBeenCalledWith("http://somehost:8090", false)
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should not let you do a clean incremental grab", () => {
+
+    self.commander.grab = true
+    self.commander.clean = true
+    self.commander.incremental = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you grab selected asset types by name", done => {
+
+    self.commander.grab = true
+    self.commander.only = "widgets,snippets"
+    self.commander.match = "ACME *"
+    self.grabber.setGrabFilter.returnsTrue()
+
+    self.mainModule.main().then(() => {
+
+      expect(self.grabber.setGrabFilter).toHaveBeenCalledWith("widgets,snippets", "ACME *")
+      expect(self.grabber.grab).toHaveBeenCalledWith("http://somehost:8090", false)
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should not let you pick asset types it does not know about", () => {
+
+    self.commander.grab = true
+    self.commander.only = "widgets,gadgets"
+    self.grabber.setGrabFilter.returnsFalse()
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should only let you pick asset types when grabbing", () => {
+
+    self.commander.putAll = "widget"
+    self.commander.match = "ACME *"
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you delete things from the server that you have deleted locally", done => {
+
+    self.commander.putAll = "widget"
+    self.commander.prune = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.putterUtils.enablePruning).toHaveBeenCalled()
+      expect(self.putter.put).toHaveBeenCalledWith("widget", "http://somehost:8090", true)
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you carry on with a transferAll that did not finish", done => {
+
+    self.commander.transferAll = "widget"
+    self.commander.resume = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.putterUtils.enableResume).toHaveBeenCalled()
+      expect(self.putter.put).toHaveBeenCalledWith("widget", "http://somehost:8090", true)
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you keep going when things go wrong and get a report at the end", done => {
+
+    self.commander.putAll = "widget"
+    self.commander.continueOnError = true
+    self.commander.failureReport = "failures.xml"
+
+    self.putterUtils.getPutFailures.returns([])
+
+    self.mainModule.main().then(() => {
+
+      expect(self.putterUtils.enableContinueOnError).toHaveBeenCalled()
+      expect(self.failureReporter.reportPutFailures).toHaveBeenCalledWith([], "http://somehost:8090", "failures.xml")
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should only let you ask for a failure report when sending everything", () => {
+
+    self.commander.put = "widget/Cart/js/cart.js"
+    self.commander.failureReport = "failures.json"
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should only let you resume when sending everything", () => {
+
+    self.commander.put = "widget/Cart/js/cart.js"
+    self.commander.resume = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should only let you prune when putting everything", () => {
+
+    self.commander.transferAll = "widget"
+    self.commander.prune = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you delete a single asset", done => {
+
+    self.commander.delete = "widget/Cart/instances/Cart Widget"
+
+    self.mainModule.main().then(() => {
+
+      expect(self.assetDeleter.deleteAsset).toHaveBeenCalledWith("widget/Cart/instances/Cart Widget", "http://somehost:8090")
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you delete things without being asked", done => {
+
+    self.commander.delete = "widget/Cart/instances/Cart Widget"
+    self.commander.yes = true
+    self.wizardUtils.canAsk.returnsFalse()
+
+    self.mainModule.main().then(() => {
+
+      expect(self.putterUtils.enableAssumeYes).toHaveBeenCalled()
+      expect(self.assetDeleter.deleteAsset).toHaveBeenCalled()
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should stop you deleting things when there is no one to ask", () => {
+
+    self.commander.putAll = "widget"
+    self.commander.prune = true
+    self.wizardUtils.canAsk.returnsFalse()
+
+    self.mainModule.main()
+
+    expect(self.logger.error).toHaveBeenCalledWith("deleteNeedsConfirmation")
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should only let you say yes when deleting things", () => {
+
+    self.commander.putAll = "widget"
+    self.commander.yes = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you put the server back the way it was", done => {
+
+    self.commander.rollback = "20261018-120000"
+
+    self.mainModule.main().then(() => {
+
+      expect(self.putter.rollback).toHaveBeenCalledWith("20261018-120000", "http://somehost:8090")
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you see what depends on what without talking to the server", done => {
+
+    self.commander.graph = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.dependencyGrapher.reportGraph).toHaveBeenCalledWith(null, false)
+      expect(self.endPointTransceiver.init).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should not need a node to see what depends on what", done => {
+
+    self.commander.node = undefined
+    self.commander.graph = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.metadata.getLastNode).not.toHaveBeenCalled()
+      expect(self.exitHandler.exitDueToInvalidCall).not.toHaveBeenCalled()
+      expect(self.dependencyGrapher.reportGraph).toHaveBeenCalledWith(null, false)
+      done()
+    })
+  })
+
+  it("should need a node to include page layouts in the dependency graph", () => {
+
+    self.commander.node = undefined
+    self.commander.graph = true
+    self.commander.includeLayouts = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you include page layouts in the dependency graph", done => {
+
+    self.commander.graph = "deps.dot"
+    self.commander.includeLayouts = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.endPointTransceiver.init).toHaveBeenCalled()
+      expect(self.dependencyGrapher.reportGraph).toHaveBeenCalledWith("deps.dot", true)
+      done()
+    })
+  })
+
+  it("should only let you include page layouts when graphing", () => {
+
+    self.commander.grab = true
+    self.commander.includeLayouts = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
+
+  it("should let you transfer a widget along with everything it needs", done => {
+
+    self.commander.transfer = "widget/Cart"
+    self.commander.withDependencies = true
+
+    self.mainModule.main().then(() => {
+
+      expect(self.putterUtils.enableDependencies).toHaveBeenCalled()
+      expect(self.state.inTransferMode).toHaveBeenCalledWith(true)
+      expect(self.putter.put).toHaveBeenCalledWith("widget/Cart", "http://somehost:8090", true)
+      done()
+    })
+  })
+
+  it("should only let you send dependencies when transferring", () => {
+
+    self.commander.put = "widget/Cart"
+    self.commander.withDependencies = true
+
+    self.mainModule.main()
+
+    expect(self.exitHandler.exitDueToInvalidCall).toHaveBeenCalled()
+  })
 })
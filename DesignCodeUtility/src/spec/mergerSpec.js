@@ -0,0 +1,135 @@
+"use strict"
+
+const mockery = require('./mockery')
+
+describe("Merger", () => {
+
+  const self = this
+
+  const path = "widget/Cart/instances/Cart Widget/display.template"
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../differ", "../logger", "../utils", "../etags", "../putterUtils")
+
+    self.etags.storedBaseContentFor.returns("a\nb\nc\nd\ne\n")
+    self.differ.canDiff.returnsTrue()
+    self.differ.getRemoteFile.returnsPromise({contents: "a\nb\nc\nd\nE\n", etag: "server etag"})
+    self.utils.readFile.returns("A\nb\nc\nd\ne\n")
+
+    self.merger = mockery.require("../merger")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should let you merge server changes into a local file", done => {
+
+    self.merger.mergeWithServer(path).then(merged => {
+
+      expect(merged).toBeTruthy()
+      expect(self.utils.writeFile).toHaveBeenCalledWith(path, "A\nb\nc\nd\nE\n")
+      expect(self.etags.writeEtag).toHaveBeenCalledWith(path, "server etag")
+      expect(self.etags.writeContentHash).toHaveBeenCalledWith(path, "a\nb\nc\nd\nE\n")
+      expect(self.logger.info).toHaveBeenCalledWith("serverChangesMerged", {path})
+      done()
+    })
+  })
+
+  it("should mark conflicts and leave the etag alone", done => {
+
+    self.differ.getRemoteFile.returnsPromise({contents: "X\nb\nc\nd\ne\n", etag: "server etag"})
+
+    self.merger.mergeWithServer(path).then(merged => {
+
+      expect(merged).toBeFalsy()
+      expect(self.utils.writeFile).toHaveBeenCalledWith(path, "<<<<<<< local\nA\n=======\nX\n>>>>>>> server\nb\nc\nd\ne\n")
+      expect(self.etags.writeEtag).not.toHaveBeenCalled()
+      expect(self.logger.error).toHaveBeenCalledWith("mergeConflictsFound", {path, conflicts: 1})
+      done()
+    })
+  })
+
+  it("should not try to merge without a copy of the file from the last grab", done => {
+
+    self.etags.storedBaseContentFor.returns(null)
+
+    self.merger.mergeWithServer(path).then(merged => {
+
+      expect(merged).toBeFalsy()
+      expect(self.differ.getRemoteFile).not.toHaveBeenCalled()
+      expect(self.logger.error).toHaveBeenCalledWith("noBaseContentToMerge", {path})
+      done()
+    })
+  })
+
+  it("should send the file again after a clean merge", done => {
+
+    const resend = jasmine.createSpy("resend").and.returnValue(Promise.resolve())
+    self.putterUtils.takeOptimisticLockFailure.and.returnValues(true, false)
+
+    self.merger.resolveConflict(path, resend).then(() => {
+
+      expect(resend).toHaveBeenCalledWith(path)
+      expect(self.logger.error).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should forget the optimistic lock failure before sending the merged file", done => {
+
+    const resend = jasmine.createSpy("resend").and.callFake(() => {
+
+      expect(self.putterUtils.clearPutFailure).toHaveBeenCalledWith(path)
+      return Promise.resolve()
+    })
+
+    self.putterUtils.takeOptimisticLockFailure.and.returnValues(true, false)
+
+    self.merger.resolveConflict(path, resend).then(() => {
+
+      expect(resend).toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should keep the optimistic lock failure if the merge has conflicts", done => {
+
+    const resend = jasmine.createSpy("resend")
+
+    self.putterUtils.takeOptimisticLockFailure.returnsTrue()
+    self.differ.getRemoteFile.returnsPromise({contents: "X\nb\nc\nd\ne\n", etag: "server etag"})
+
+    self.merger.resolveConflict(path, resend).then(() => {
+
+      expect(self.putterUtils.clearPutFailure).not.toHaveBeenCalled()
+      expect(resend).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should leave things alone if the send went through", done => {
+
+    const resend = jasmine.createSpy("resend")
+
+    self.merger.resolveConflict(path, resend).then(() => {
+
+      expect(self.differ.getRemoteFile).not.toHaveBeenCalled()
+      expect(resend).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should not try to merge files it cannot get from the server", done => {
+
+    self.putterUtils.takeOptimisticLockFailure.returnsTrue()
+    self.differ.canDiff.returnsFalse()
+
+    self.merger.resolveConflict(path, jasmine.createSpy("resend")).then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("alreadyBeenModified", {path})
+      done()
+    })
+  })
+})
@@ -10,9 +10,19 @@ describe("optionsUtils", () => {
 
     mockery.use(jasmine.createSpy)
 
-    mockery.mockModules(self, "../logger", "../utils", "../i18n", "../metadata", "../../package.json")
+    mockery.mockModules(self, "../logger", "../utils", "../i18n", "../metadata", "../concurrencySettings", "../state",
+      "../networkSettings", "../../package.json")
 
     self.i18n.t.returnsFirstArg()
+    self.networkSettings.canAddCertificateAuthorities.returnsTrue()
+    self.utils.normalize.returnsFirstArg()
+    self.utils.exists.returnsTrue()
+    self.utils.readJsonFile.returns({
+      environments: {
+        test: {node: "https://test.example.com", base: "src/test", applicationKeyEnvVar: "TEST_APP_KEY"},
+        stage: {node: "https://stage.example.com", base: "src/stage", locale: "de", concurrency: 5}
+      }
+    })
 
     self["package.json"].version = "1.0"
 
@@ -23,6 +33,7 @@ describe("optionsUtils", () => {
 
     delete process.env.CC_ADMIN_PASSWORD
     delete process.env.CC_APPLICATION_KEY
+    delete process.env.TEST_APP_KEY
 
     mockery.stopAll()
   })
@@ -44,6 +55,9 @@ describe("optionsUtils", () => {
     self.optionsUtils.addCommonOptions(program)
 
     expect(program.option).toHaveBeenCalledWith('-n, --node <node>', 'nodeOptionText')
+    expect(program.option).toHaveBeenCalledWith('--env <environment>', 'envOptionText')
+    expect(option).toHaveBeenCalledWith('--proxy <url>', 'proxyOptionText')
+    expect(option).toHaveBeenCalledWith('--caFile <files>', 'caFileOptionText')
   })
 
   it("should let read a password from the environment", () => {
@@ -76,4 +90,124 @@ describe("optionsUtils", () => {
 
     expect(self.optionsUtils.checkMetadata("some/path")).toBeFalsy()
   })
+
+  it("should fill in options from the named environment", () => {
+
+    process.env.TEST_APP_KEY = "test key"
+
+    const program = {env: "test", base: "somewhere/else"}
+
+    expect(self.optionsUtils.applyEnvironment(program)).toBeTruthy()
+
+    expect(program.node).toEqual("https://test.example.com")
+    expect(program.base).toEqual("somewhere/else")
+    expect(program.applicationKey).toEqual("test key")
+    expect(self.utils.readJsonFile).toHaveBeenCalledWith("dcu.config.json")
+    expect(self.logger.info).toHaveBeenCalledWith("usingEnvironment", {environment: "test", node: "https://test.example.com"})
+    expect(self.state.targetEnvironment).toHaveBeenCalledWith("test")
+  })
+
+  it("should use the key for the named environment over the general one", () => {
+
+    process.env.TEST_APP_KEY = "test key"
+    process.env.CC_APPLICATION_KEY = "stray key"
+
+    const program = {env: "test"}
+
+    expect(self.optionsUtils.applyEnvironment(program)).toBeTruthy()
+    expect(self.optionsUtils.getApplicationKey(program.applicationKey)).toEqual("test key")
+    expect(self.optionsUtils.getApplicationKey(undefined, "CC_DESTINATION_APPLICATION_KEY")).toBeUndefined()
+  })
+
+  it("should fall back to the general key when the named environment's key is not set", () => {
+
+    process.env.CC_APPLICATION_KEY = "general key"
+
+    const program = {env: "test"}
+
+    expect(self.optionsUtils.applyEnvironment(program)).toBeTruthy()
+    expect(self.optionsUtils.getApplicationKey(program.applicationKey)).toEqual("general key")
+  })
+
+  it("should work out the environment from the path", () => {
+
+    const program = {}
+
+    expect(self.optionsUtils.applyEnvironment(program, "src/stage/widget/Cart/instances/Cart Widget/display.template")).toBeTruthy()
+
+    expect(program.node).toEqual("https://stage.example.com")
+    expect(program.base).toEqual("src/stage")
+    expect(program.locale).toEqual("de")
+    expect(self.concurrencySettings.useEnvironmentConcurrency).toHaveBeenCalledWith(5)
+  })
+
+  it("should leave things alone when there is nothing to go on", () => {
+
+    const program = {node: "http://localhost:9080"}
+
+    expect(self.optionsUtils.applyEnvironment(program, "src/stage/widget")).toBeTruthy()
+    expect(self.optionsUtils.applyEnvironment({}, "src/other/widget")).toBeTruthy()
+    expect(self.optionsUtils.applyEnvironment({})).toBeTruthy()
+
+    expect(program).toEqual({node: "http://localhost:9080"})
+  })
+
+  it("should complain about unknown environments and missing config files", () => {
+
+    expect(self.optionsUtils.applyEnvironment({env: "prod"})).toBeFalsy()
+    expect(self.logger.error).toHaveBeenCalledWith("environmentNotFound", {environment: "prod", file: "dcu.config.json"})
+
+    self.utils.exists.returnsFalse()
+
+    expect(self.optionsUtils.applyEnvironment({env: "test"})).toBeFalsy()
+    expect(self.logger.error).toHaveBeenCalledWith("projectConfigFileNotFound", {file: "dcu.config.json"})
+  })
+
+  it("should pass network options on to the HTTP layer", () => {
+
+    self.networkSettings.getNetworkFiles.returns(["/certs/corporate.pem"])
+
+    expect(self.optionsUtils.applyNetworkOptions({proxy: "http://proxy:8080", caFile: "corporate.pem"})).toBeTruthy()
+    expect(self.networkSettings.useNetworkSettings).toHaveBeenCalledWith({
+      proxy: "http://proxy:8080",
+      noProxy: undefined,
+      caFile: "corporate.pem",
+      certFile: undefined,
+      keyFile: undefined
+    })
+  })
+
+  it("should pass log options on to the logger", () => {
+
+    expect(self.optionsUtils.applyLogOptions({logFormat: "json"})).toBeTruthy()
+    expect(self.logger.setLogFormat).toHaveBeenCalledWith("json")
+    expect(self.logger.setLogFile).not.toHaveBeenCalled()
+
+    expect(self.optionsUtils.applyLogOptions({logFormat: "xml"})).toBeFalsy()
+    expect(self.logger.error).toHaveBeenCalledWith("invalidLogFormat", {format: "xml", validFormats: "text, json"})
+  })
+
+  it("should complain about log files that cannot be written to", () => {
+
+    expect(self.optionsUtils.applyLogOptions({logFormat: "text", logFile: "/no/such/directory/dcu.log"})).toBeFalsy()
+    expect(self.logger.error.calls.mostRecent().args[0]).toEqual("logFileNotWritable")
+    expect(self.logger.setLogFile).not.toHaveBeenCalled()
+  })
+
+  it("should complain about network files that are not there", () => {
+
+    self.networkSettings.getNetworkFiles.returns(["/certs/corporate.pem"])
+    self.utils.exists.returnsFalse()
+
+    expect(self.optionsUtils.applyNetworkOptions({caFile: "corporate.pem"})).toBeFalsy()
+    expect(self.logger.error).toHaveBeenCalledWith("networkFileNotFound", {file: "/certs/corporate.pem"})
+  })
+
+  it("should tell you when this version of Node cannot add certificate authorities", () => {
+
+    self.networkSettings.canAddCertificateAuthorities.returnsFalse()
+
+    expect(self.optionsUtils.applyNetworkOptions({caFile: "corporate.pem"})).toBeFalsy()
+    expect(self.logger.error).toHaveBeenCalledWith("caFileNeedsNewerNode")
+  })
 })
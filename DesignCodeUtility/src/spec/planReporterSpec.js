@@ -0,0 +1,56 @@
+"use strict"
+
+const mockery = require('./mockery')
+
+describe("Plan Reporter", () => {
+
+  const self = this
+
+  const plan = {
+    node: "http://localhost:8080",
+    path: "widget",
+    transfer: false,
+    steps: [
+      {name: "createWidgets", paths: ["/base/widget/Dark Widget"], concurrency: 20},
+      {name: "updateWidgetLess", paths: ["/base/widget/Light Widget/instances/Light/widget.less"], concurrency: 1}
+    ]
+  }
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils", "../logger")
+
+    self.planReporter = mockery.require("../planReporter")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should let you see the plan step by step", () => {
+
+    self.planReporter.reportPlan(plan)
+
+    expect(self.logger.info).toHaveBeenCalledWith("putPlanHeading", {path: "widget", node: "http://localhost:8080"})
+    expect(self.logger.info).toHaveBeenCalledWith("createWidgetsPlanStep", {step: 1, concurrency: 20})
+    expect(self.logger.info).toHaveBeenCalledWith("planStepPath", {path: "/base/widget/Dark Widget"})
+    expect(self.logger.info).toHaveBeenCalledWith("updateWidgetLessPlanStep", {step: 2, concurrency: 1})
+    expect(self.utils.writeFile).not.toHaveBeenCalled()
+  })
+
+  it("should let you write the plan out as JSON", () => {
+
+    self.planReporter.reportPlan(plan, "/tmp/plan.json")
+
+    expect(self.utils.writeFile).toHaveBeenCalledWith("/tmp/plan.json", JSON.stringify(plan, null, 2))
+    expect(self.logger.info).toHaveBeenCalledWith("planWrittenToFile", {planFile: "/tmp/plan.json"})
+  })
+
+  it("should tell you when there is nothing to do", () => {
+
+    self.planReporter.reportPlan({node: "http://localhost:8080", path: "widget", transfer: true, steps: []})
+
+    expect(self.logger.info).toHaveBeenCalledWith("transferPlanHeading", {path: "widget", node: "http://localhost:8080"})
+    expect(self.logger.info).toHaveBeenCalledWith("nothingToSend")
+  })
+})
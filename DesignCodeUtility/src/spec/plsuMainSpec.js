@@ -14,10 +14,13 @@ describe("plsu main", () => {
     mockery.mockModules(self,
       '../endPointTransceiver', '../metadata', '../i18n', '../utils',
       '../optionsUtils', '../exitHandler', '../logger', '../pageLayoutDeleter',
-      '../pageLayoutGetter', '../pageLayoutLister', '../pageLayoutSender', '../../package.json')
+      '../pageLayoutGetter', '../pageLayoutLister', '../pageLayoutSender', '../compatibilityChecker', '../../package.json')
 
     self.optionsUtils.addMinimalCommonOptions.returnsFirstArg()
     self.optionsUtils.getApplicationKey.returnsFirstArg()
+    self.optionsUtils.applyEnvironment.returnsTrue()
+    self.optionsUtils.applyNetworkOptions.returnsTrue()
+    self.optionsUtils.applyLogOptions.returnsTrue()
 
     self.endPointTransceiver.init.returnsPromise()
 
@@ -196,7 +199,7 @@ describe("plsu main", () => {
     expect(self.endPointTransceiver.init).not.toHaveBeenCalledWith(self.commander.destinationNode, null, null, 'anotherValidApplicationKey', undefined)
   })
 
-  it("should detect server version mismatches", (done) => {
+  it("should check the destination can take the layouts when the server versions differ", (done) => {
 
     self.commander.transfer = true
     self.commander.name = ["Home"]
@@ -205,6 +208,7 @@ describe("plsu main", () => {
     self.commander.destinationNode = "http://destinationHost:9080"
 
     self.endPointTransceiver.commerceCloudVersion = "versionA"
+    self.compatibilityChecker.checkPageLayoutCompatibility.returnsFalse()
 
     // After page layouts gets called, make it look like the destination version is different.
     self.pageLayoutGetter.getPageLayouts.returnsPromise(() => {
@@ -214,10 +218,33 @@ describe("plsu main", () => {
 
     self.mainModule.main().then(() => {
 
-      expect(self.logger.error).toHaveBeenCalledWith('cannotSendPageLayoutsBetweenVersions', {
-        sourceNode: self.commander.node,
-        destinationNode: self.commander.destinationNode
-      })
+      expect(self.compatibilityChecker.checkPageLayoutCompatibility).toHaveBeenCalledWith(
+        self.commander.node, self.commander.destinationNode)
+      expect(self.pageLayoutSender.sendPageLayouts).not.toHaveBeenCalled()
+
+      done()
+    })
+  })
+
+  it("should send layouts between different server versions when the destination can take them", (done) => {
+
+    self.commander.transfer = true
+    self.commander.name = ["Home"]
+    self.commander.applicationKey = "validApplicationKey"
+    self.commander.destinationApplicationKey = "anotherValidApplicationKey"
+    self.commander.destinationNode = "http://destinationHost:9080"
+
+    self.endPointTransceiver.commerceCloudVersion = "versionA"
+    self.compatibilityChecker.checkPageLayoutCompatibility.returnsTrue()
+
+    self.pageLayoutGetter.getPageLayouts.returnsPromise(() => {
+      self.endPointTransceiver.commerceCloudVersion = "versionB"
+      return self.pageLayouts
+    })
+
+    self.mainModule.main().then(() => {
+
+      expect(self.pageLayoutSender.sendPageLayouts).toHaveBeenCalledWith(self.pageLayouts)
 
       done()
     })
@@ -242,10 +269,7 @@ describe("plsu main", () => {
 
     self.mainModule.main().then(() => {
 
-      expect(self.logger.error).not.toHaveBeenCalledWith('cannotSendPageLayoutsBetweenVersions', {
-        sourceNode: self.commander.node,
-        destinationNode: self.commander.destinationNode
-      })
+      expect(self.compatibilityChecker.checkPageLayoutCompatibility).not.toHaveBeenCalled()
 
       done()
     })
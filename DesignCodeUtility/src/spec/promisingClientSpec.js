@@ -15,9 +15,10 @@ describe("Promising Client", () => {
 
     self.nodeRestClient = mockery.mockModule("node-rest-client")
 
-    self.nodeRestClient.Client = function () {
+    self.nodeRestClient.Client = function (config) {
 
       clientInstance = this
+      clientInstance.config = config
 
       clientInstance.on = jasmine.createSpy("on")
 
@@ -29,9 +30,20 @@ describe("Promising Client", () => {
       })
     }
 
-    mockery.mockModules(self, "../logger")
+    mockery.mockModules(self, "../logger", "../concurrencySettings", "../retryPolicy", "../networkSettings")
 
-    self.promisingClient = mockery.require("../promisingClient").makePromisingClient()
+    self.concurrencySettings.getRequestLimits.returns({requestsPerSecond: 1000, requestsPerHost: 10})
+
+    self.retryPolicy.getRetryPolicy.returns({maxAttempts: 3})
+    self.retryPolicy.getRetryDelay.returns(1)
+    self.retryPolicy.isRetryableError.and.callFake((error, madeConnection) =>
+      ["ECONNRESET", "EPIPE"].includes(error.code) || (error.code === "ECONNREFUSED" && madeConnection))
+    self.retryPolicy.isRetryableResponse.and.callFake(response => [429, 503].includes(response.statusCode))
+
+    self.networkSettings.getClientConfig.returns({proxy: {host: "proxy.example.com", port: 8080}})
+
+    self.promisingClientModule = mockery.require("../promisingClient")
+    self.promisingClient = self.promisingClientModule.makePromisingClient("https://example.com")
   })
 
   afterEach(mockery.stopAll)
@@ -44,6 +56,12 @@ describe("Promising Client", () => {
     expect(self.promisingClient.deleteAndPromise).toBeTruthy()
   })
 
+  it("should use the network settings for the server", () => {
+
+    expect(self.networkSettings.getClientConfig).toHaveBeenCalledWith("https://example.com")
+    expect(clientInstance.config.proxy).toEqual({host: "proxy.example.com", port: 8080})
+  })
+
   it("should wrap node-rest-client calls in promises", (done) => {
 
     self.promisingClient.getAndPromise("some url", "some params").then(() => {
@@ -129,7 +147,13 @@ describe("Promising Client", () => {
 
     self.promisingClient.getAndPromise("some url", "some params").then(() => {
 
-      expect(self.logger.warn).toHaveBeenCalledWith("connectionResetAndRetrying")
+      expect(self.logger.warn).toHaveBeenCalledWith("retryingRequest", {
+        path: "some url",
+        reason: "ECONNRESET",
+        attempt: 2,
+        maxAttempts: 3,
+        delay: 1
+      })
 
       done()
     })
@@ -142,7 +166,13 @@ describe("Promising Client", () => {
 
     self.promisingClient.getAndPromise("some url", "some params").then(() => {
 
-      expect(self.logger.warn).toHaveBeenCalledWith("connectionResetAndRetrying")
+      expect(self.logger.warn).toHaveBeenCalledWith("retryingRequest", {
+        path: "some url",
+        reason: "EPIPE",
+        attempt: 2,
+        maxAttempts: 3,
+        delay: 1
+      })
 
       done()
     })
@@ -155,7 +185,13 @@ describe("Promising Client", () => {
 
     self.promisingClient.getAndPromise("some url", "some params").then(() => {
 
-      expect(self.logger.warn).toHaveBeenCalledWith("connectionResetAndRetrying")
+      expect(self.logger.warn).toHaveBeenCalledWith("retryingRequest", {
+        path: "some url",
+        reason: "ECONNREFUSED",
+        attempt: 2,
+        maxAttempts: 3,
+        delay: 1
+      })
 
       done()
     })
@@ -172,4 +208,222 @@ describe("Promising Client", () => {
       done()
     })
   })
+
+  function fakeStatusCodes(...statusCodes) {
+
+    clientInstance.get.and.callFake((url, args, callback) => {
+
+      callback({}, {statusCode: statusCodes.shift() || 200, headers: {}})
+
+      return clientInstance
+    })
+  }
+
+  it("should not send more requests to a host at once than it is allowed", (done) => {
+
+    const callbacks = []
+
+    self.concurrencySettings.getRequestLimits.returns({requestsPerSecond: 1000, requestsPerHost: 1})
+
+    clientInstance.get.and.callFake((url, args, callback) => {
+
+      callbacks.push(callback)
+
+      return clientInstance
+    })
+
+    const first = self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/widgets", "some params")
+    const second = self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/stacks", "some params")
+
+    expect(clientInstance.get.calls.count()).toEqual(1)
+
+    callbacks[0]({}, {statusCode: 200})
+
+    // Give the second request time to get going once the first is out of the way.
+    first.delay(10).then(() => {
+
+      expect(clientInstance.get.calls.count()).toEqual(2)
+      expect(clientInstance.get.calls.mostRecent().args[0]).toEqual("http://example.com/ccadmin/v1/stacks")
+
+      callbacks[1]({}, {statusCode: 200})
+
+      return second
+    }).then(done)
+  })
+
+  it("should slow down when the server is struggling and report the rate at the end", (done) => {
+
+    fakeStatusCodes(503)
+
+    self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/widgets", "some params").then(() => {
+
+      expect(self.logger.debug).toHaveBeenCalledWith("slowingDownRequests", {host: "example.com", rate: "500.0"})
+
+      self.promisingClientModule.reportRequestRates()
+
+      expect(self.logger.info).toHaveBeenCalledWith("requestRateReport", {
+        host: "example.com",
+        requests: 2,
+        rate: jasmine.any(String),
+        slowDowns: 1
+      })
+
+      expect(self.logger.info).toHaveBeenCalledWith("requestRetryReport", {host: "example.com", retries: 1})
+      expect(self.logger.warn).not.toHaveBeenCalledWith("requestFailureReport", jasmine.any(Object))
+
+      done()
+    })
+  })
+
+  it("should only hold back when the server struggles if the user set no limits", (done) => {
+
+    self.concurrencySettings.getRequestLimits.returns({requestsPerSecond: Infinity, requestsPerHost: Infinity})
+
+    fakeStatusCodes(200, 200, 200, 503)
+
+    const getWidgets = () => self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/widgets", "some params")
+    const requests = [getWidgets(), getWidgets(), getWidgets(), getWidgets()]
+
+    // Nothing holds the requests back to begin with.
+    expect(clientInstance.get.calls.count()).toEqual(4)
+
+    Promise.all(requests).then(() => {
+
+      // Four requests in under a second, so half that.
+      expect(self.logger.debug).toHaveBeenCalledWith("slowingDownRequests", {host: "example.com", rate: "2.0"})
+      expect(clientInstance.get.calls.count()).toEqual(5)
+      done()
+    })
+  })
+
+  it("should speed up again when the server is healthy", (done) => {
+
+    fakeStatusCodes(429, 200, 200, 200, 200, 200, 200, 200, 200, 200, 200, 503)
+
+    const getWidgets = () => self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/widgets", "some params")
+
+    let requests = getWidgets()
+
+    for (let i = 0; i < 11; i++) {
+      requests = requests.then(getWidgets)
+    }
+
+    requests.then(() => {
+
+      expect(self.logger.debug).toHaveBeenCalledWith("slowingDownRequests", {host: "example.com", rate: "500.0"})
+      expect(self.logger.debug).toHaveBeenCalledWith("slowingDownRequests", {host: "example.com", rate: "250.5"})
+
+      done()
+    })
+  })
+
+  it("should slow down when the connection is reset", (done) => {
+
+    fakeNetworkError()
+    fakeClientGet()
+
+    self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/widgets", "some params").then(() => {
+
+      expect(self.logger.debug).toHaveBeenCalledWith("slowingDownRequests", {host: "example.com", rate: "500.0"})
+
+      done()
+    })
+  })
+
+  it("should not report anything if we did not send any requests", () => {
+
+    self.promisingClientModule.reportRequestRates()
+
+    expect(self.logger.info).not.toHaveBeenCalled()
+  })
+
+  it("should try again when the server is busy", (done) => {
+
+    fakeStatusCodes(503, 429)
+
+    self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/widgets", "some params").then(results => {
+
+      expect(results.response.statusCode).toEqual(200)
+      expect(clientInstance.get.calls.count()).toEqual(3)
+      expect(self.retryPolicy.getRetryDelay).toHaveBeenCalledWith(2)
+      expect(self.logger.warn).toHaveBeenCalledWith("retryingRequest", {
+        path: "http://example.com/ccadmin/v1/widgets",
+        reason: "HTTP 429",
+        attempt: 3,
+        maxAttempts: 3,
+        delay: 1
+      })
+      expect(self.logger.error).not.toHaveBeenCalled()
+
+      done()
+    })
+  })
+
+  it("should tell the retry policy which method failed", (done) => {
+
+    fakeStatusCodes(502)
+
+    self.retryPolicy.isRetryableResponse.returnsFalse()
+
+    self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/widgets", "some params").then(results => {
+
+      expect(results.response.statusCode).toEqual(502)
+      expect(self.retryPolicy.isRetryableResponse).toHaveBeenCalledWith(results.response, "get")
+      expect(clientInstance.get.calls.count()).toEqual(1)
+
+      done()
+    })
+  })
+
+  it("should give up on a busy server when it runs out of attempts", (done) => {
+
+    fakeStatusCodes(503, 503, 503)
+
+    self.promisingClient.getAndPromise("http://example.com/ccadmin/v1/widgets", "some params").then(results => {
+
+      expect(results.response.statusCode).toEqual(503)
+      expect(clientInstance.get.calls.count()).toEqual(3)
+      expect(self.logger.error).toHaveBeenCalledWith("retriesExhausted", {
+        path: "http://example.com/ccadmin/v1/widgets",
+        reason: "HTTP 503",
+        attempts: 3
+      })
+
+      self.promisingClientModule.reportRequestRates()
+
+      expect(self.logger.warn).toHaveBeenCalledWith("requestFailureReport", {host: "example.com", failures: 1})
+
+      done()
+    })
+  })
+
+  it("should give up on network errors when it runs out of attempts", (done) => {
+
+    clientInstance.on.and.callFake((event, callback) => callback({code: "EPIPE"}))
+    clientInstance.get.and.returnValue(clientInstance)
+
+    self.promisingClient.getAndPromise("some url", "some params").catch(error => {
+
+      expect(error.code).toEqual("EPIPE")
+      expect(clientInstance.get.calls.count()).toEqual(3)
+      expect(self.logger.error).toHaveBeenCalledWith("retriesExhausted", {path: "some url", reason: "EPIPE", attempts: 3})
+
+      done()
+    })
+  })
+
+  it("should not retry errors the policy does not cover", (done) => {
+
+    clientInstance.on.and.callFake((event, callback) => callback({code: "ECONNREFUSED"}))
+    clientInstance.get.and.returnValue(clientInstance)
+
+    self.promisingClient.getAndPromise("some url", "some params").catch(error => {
+
+      expect(error.code).toEqual("ECONNREFUSED")
+      expect(clientInstance.get.calls.count()).toEqual(1)
+      expect(self.logger.warn).not.toHaveBeenCalledWith("retryingRequest", jasmine.any(Object))
+
+      done()
+    })
+  })
 })
@@ -0,0 +1,111 @@
+"use strict"
+
+const constants = require("../constants").constants
+const mockery = require("./mockery")
+
+describe("Put Journal", () => {
+
+  const self = this
+
+  const node = "http://localhost:8080"
+  const journalPath = `${constants.trackingDir}/${constants.putAllJournal}`
+  const templatePath = "widget/Cart/instances/Cart Widget/display.template"
+
+  const journal = header => `${JSON.stringify(header)}\ntheme/Mono Theme\n${templatePath}\n`
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils", "../logger", "../state")
+
+    self.utils.resolvePath.and.callFake(path => path.startsWith("/") ? path : path === "." ? "/base" : `/base/${path}`)
+
+    self.putJournal = mockery.require("../putJournal")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should start a new journal for each directory send", () => {
+
+    self.putJournal.startJournal("widget", node, false)
+
+    expect(self.utils.writeFile).toHaveBeenCalledWith(journalPath,
+      `${JSON.stringify({node, path: "widget", transfer: false})}\n`)
+    expect(self.putJournal.alreadySent(templatePath)).toBe(false)
+
+    self.putJournal.recordSent(`/base/${templatePath}`)
+
+    expect(self.utils.appendFile).toHaveBeenCalledWith(journalPath, `${templatePath}\n`)
+  })
+
+  it("should pick up from where the last directory send stopped", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readFile.returns(journal({node, path: "", transfer: false}))
+
+    self.putJournal.startJournal(".", node, true)
+
+    expect(self.utils.writeFile).not.toHaveBeenCalled()
+    expect(self.logger.info).toHaveBeenCalledWith("resumingPutAll", {path: ".", node, count: 2})
+    expect(self.putJournal.alreadySent(`/base/${templatePath}`)).toBe(true)
+    expect(self.putJournal.alreadySent("widget/Cart/instances/Cart Widget/widget.less")).toBe(false)
+  })
+
+  it("should not resume a send of something else", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readFile.returns(journal({node: "http://otherhost:8080", path: "", transfer: false}))
+
+    self.putJournal.startJournal(".", node, true)
+
+    expect(self.logger.warn).toHaveBeenCalledWith("noPutAllToResume", {path: ".", node})
+    expect(self.utils.writeFile).toHaveBeenCalled()
+    expect(self.putJournal.alreadySent(templatePath)).toBe(false)
+  })
+
+  it("should ignore a path that was only partly written to the journal", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readFile.returns(`${journal({node, path: "", transfer: false})}\nwidget/Cart/instances/Cart Wid`)
+
+    self.putJournal.startJournal(".", node, true)
+
+    expect(self.logger.info).toHaveBeenCalledWith("resumingPutAll", {path: ".", node, count: 2})
+    expect(self.putJournal.alreadySent("widget/Cart/instances/Cart Wid")).toBe(false)
+  })
+
+  it("should start again when the journal cannot be read", () => {
+
+    const brokenJournals = ["", `{"node": "${node}", "pa`, "not json\ntheme/Mono Theme\n"]
+
+    self.utils.exists.returnsTrue()
+
+    brokenJournals.forEach(contents => {
+
+      self.utils.readFile.returns(contents)
+
+      expect(self.putJournal.findResumablePaths(".", node)).toBeNull()
+    })
+
+    expect(self.logger.warn.calls.count()).toEqual(3)
+    expect(self.logger.warn).toHaveBeenCalledWith("putAllJournalUnreadable", {path: journalPath})
+
+    self.putJournal.startJournal(".", node, true)
+
+    expect(self.logger.warn).toHaveBeenCalledWith("noPutAllToResume", {path: ".", node})
+    expect(self.utils.writeFile).toHaveBeenCalled()
+  })
+
+  it("should only keep the journal if something went wrong", () => {
+
+    self.putJournal.finishJournal(true)
+
+    expect(self.utils.removeTree).not.toHaveBeenCalled()
+    expect(self.logger.info).toHaveBeenCalledWith("putAllCanBeResumed")
+
+    self.putJournal.finishJournal(false)
+
+    expect(self.utils.removeTree).toHaveBeenCalledWith(journalPath)
+  })
+})
@@ -2,6 +2,7 @@
 
 const constants = require("../constants").constants
 const mockery = require("./mockery")
+const Promise = require("bluebird")
 const PuttingFileType = require("../puttingFileType").PuttingFileType
 
 describe("Putter", () => {
@@ -28,7 +29,17 @@ describe("Putter", () => {
       "../elementPutter",
       "../stackPutter",
       "../elementSorter",
-      "../puttingDirectoryWalker"
+      "../puttingDirectoryWalker",
+      "../putterUtils",
+      "../merger",
+      "../watcher",
+      "../assetDeleter",
+      "../snapshotter",
+      "../putJournal",
+      "../compatibilityChecker",
+      "../widgetDependencies",
+      "../assetTypeRegistry",
+      "../hooks"
     )
 
     self.metadata.readMetadata.returnsPromise(
@@ -40,12 +51,18 @@ describe("Putter", () => {
     self.metadata.cacheWidgetDescriptors.returnsPromise()
     self.metadata.cacheWidgetElements.returnsPromise()
 
+    self.snapshotter.takeSnapshot.returnsPromise("20261018-120000")
+
     self.utils.normalize.returnsFirstArg()
 
     self.utils.exists.returnsTrue()
 
     self.utils.splitFromBaseDir.returns(["/workspace/", "theme/Mono Theme"])
 
+    self.assetTypeRegistry.getAssetTypes.returns([])
+
+    self.hooks.runWithHooks.and.callFake((name, context, operation) => Promise.try(operation))
+
     self.putter = mockery.require("../putter")
 
     setTimeout(() => {
@@ -70,6 +87,64 @@ describe("Putter", () => {
     })
   })
 
+  it("should tell you how sending each file went", done => {
+
+    self.classifier.classify.returns(PuttingFileType.THEME_STYLES)
+    self.putterUtils.getPutStatusCode.returns(200)
+
+    self.putter.put(themeStylesPath, "http://localhost:8080").then(() => {
+
+      expect(self.logger.info).toHaveBeenCalledWith("pathSent", {
+        path: themeStylesPath,
+        node: "http://localhost:8080",
+        statusCode: 200,
+        duration: jasmine.any(Number)
+      })
+      done()
+    })
+  })
+
+  it("should tell you when a file in a directory could not be sent", done => {
+
+    self.utils.isDirectory.returnsTrue()
+    self.putterUtils.hasPutFailed.returnsTrue()
+    self.putterUtils.getPutStatusCode.returns(500)
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+      paths.otherPaths.push(themeStylesPath)
+      pathTypeMap.set(themeStylesPath, PuttingFileType.THEME_STYLES)
+    })
+
+    self.putter.putAll("theme", "http://localhost:8080").then(() => {
+
+      expect(self.themePutter.putThemeStyles).toHaveBeenCalledWith(themeStylesPath)
+      expect(self.logger.info).toHaveBeenCalledWith("pathNotSent", {
+        path: themeStylesPath,
+        node: "http://localhost:8080",
+        statusCode: 500,
+        duration: jasmine.any(Number)
+      })
+      done()
+    })
+  })
+
+  it("should run the put hooks around sending a file", done => {
+
+    self.classifier.classify.returns(PuttingFileType.THEME_STYLES)
+
+    self.putter.put(themeStylesPath, "http://localhost:8080").then(() => {
+
+      const args = self.hooks.runWithHooks.calls.mostRecent().args
+
+      expect(args[0]).toEqual("Put")
+      expect(args[1]).toEqual({node: "http://localhost:8080", path: themeStylesPath, type: "THEME_STYLES"})
+
+      self.putterUtils.hasPutFailed.returnsTrue()
+      expect(args[3]()).toBe(false)
+      done()
+    })
+  })
+
   it("should warn you when you try and send a silly file", done => {
 
     self.classifier.classify.returns(null)
@@ -143,6 +218,208 @@ describe("Putter", () => {
     })
   })
 
+  it("should run the put all hooks around sending a directory", done => {
+
+    self.putterUtils.havePutsFailed.returnsFalse()
+
+    self.putter.putAll("theme/Mono Theme", "http://localhost:8080").then(() => {
+
+      const args = self.hooks.runWithHooks.calls.mostRecent().args
+
+      expect(args[0]).toEqual("PutAll")
+      expect(args[1]).toEqual({node: "http://localhost:8080", path: "theme/Mono Theme"})
+      expect(args[3]()).toBe(true)
+      expect(self.puttingDirectoryWalker.puttingDirectoryWalker).toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should delete things from the server after sending a directory when asked to", done => {
+
+    self.putterUtils.shouldPrune.returnsTrue()
+    self.assetDeleter.pruneDeletedAssets.returnsPromise()
+
+    self.putter.putAll("widget", "http://localhost:8080").then(() => {
+      expect(self.assetDeleter.pruneDeletedAssets).toHaveBeenCalledWith("widget", "http://localhost:8080")
+      done()
+    })
+  })
+
+  it("should leave the server alone after sending a directory by default", done => {
+
+    self.putter.putAll("widget", "http://localhost:8080").then(() => {
+      expect(self.assetDeleter.pruneDeletedAssets).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should note down what gets sent so a failed directory send can be resumed", done => {
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+      paths.newThemeSet.add("theme/Mono Theme")
+      paths.newWidgetSet.add("widget/Cart")
+    })
+
+    self.putterUtils.shouldResume.returnsFalse()
+    self.putterUtils.hasPutFailed.and.callFake(path => path === "widget/Cart")
+    self.putterUtils.havePutsFailed.returnsTrue()
+
+    self.putter.putAll("theme", "http://localhost:8080").then(() => {
+
+      expect(self.putJournal.startJournal).toHaveBeenCalledWith("theme", "http://localhost:8080", false)
+      expect(self.putJournal.recordSent).toHaveBeenCalledWith("theme/Mono Theme")
+      expect(self.putJournal.recordSent).not.toHaveBeenCalledWith("widget/Cart")
+      expect(self.putJournal.finishJournal).toHaveBeenCalledWith(true)
+      done()
+    })
+  })
+
+  it("should create the global elements and stacks a widget needs before the widget", done => {
+
+    const sent = []
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+      paths.newWidgetSet.add("/base/widget/Cart")
+    })
+
+    self.putterUtils.shouldSendDependencies.returnsTrue()
+    self.widgetDependencies.findWidgetDependencies.returns({
+      elementDirs: ["/base/element/Logo"],
+      stackDirs: ["/base/stack/Tabs"]
+    })
+
+    self.stackPutter.putStack.and.callFake(path => sent.push(path))
+    self.elementPutter.putGlobalElement.and.callFake(path => sent.push(path))
+    self.widgetPutter.putWidget.and.callFake(path => sent.push(path))
+
+    self.putter.putAll("widget/Cart", "http://localhost:8080").then(() => {
+
+      expect(self.widgetDependencies.findWidgetDependencies).toHaveBeenCalledWith("widget/Cart")
+      expect(sent).toEqual(["/base/stack/Tabs", "/base/element/Logo", "/base/widget/Cart"])
+      done()
+    })
+  })
+
+  const usePluginAssetTypes = () => {
+
+    const siteSettings = {name: "siteSettings", putAfter: "themes"}
+    const emailTemplates = {name: "emailTemplates", putAfter: "everything", concurrency: 1}
+
+    self.assetTypeRegistry.getAssetTypes.returns([siteSettings, emailTemplates])
+    self.assetTypeRegistry.findAssetType.and.callFake(
+      path => path.startsWith("/base/siteSettings") ? siteSettings : emailTemplates)
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+
+      paths.newThemeSet.add("/base/theme/Mono Theme")
+      paths.newWidgetSet.add("/base/widget/Cart")
+
+      paths.pluginPaths.push("/base/emailTemplates/welcome.html", "/base/siteSettings/checkout.json")
+      paths.pluginPaths.forEach(path => pathTypeMap.set(path, PuttingFileType.PLUGIN_ASSET))
+    })
+  }
+
+  it("should send plugin asset types at the point in a directory send they asked for", done => {
+
+    const sent = []
+
+    usePluginAssetTypes()
+
+    self.themePutter.putTheme.and.callFake(path => sent.push(path))
+    self.widgetPutter.putWidget.and.callFake(path => sent.push(path))
+    self.assetTypeRegistry.putAssetTypePath.and.callFake(path => sent.push(path))
+
+    self.putter.putAll("/base", "http://localhost:8080").then(() => {
+
+      expect(sent).toEqual([
+        "/base/theme/Mono Theme",
+        "/base/siteSettings/checkout.json",
+        "/base/widget/Cart",
+        "/base/emailTemplates/welcome.html"
+      ])
+      done()
+    })
+  })
+
+  it("should only look for dependencies when asked to", done => {
+
+    self.putter.putAll("widget/Cart", "http://localhost:8080").then(() => {
+      expect(self.widgetDependencies.findWidgetDependencies).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should skip anything already sent when resuming a directory send", done => {
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+      paths.newThemeSet.add("theme/Mono Theme")
+      paths.newWidgetSet.add("widget/Cart")
+    })
+
+    self.putterUtils.shouldResume.returnsTrue()
+    self.putterUtils.havePutsFailed.returnsFalse()
+    self.putJournal.alreadySent.and.callFake(path => path === "theme/Mono Theme")
+
+    self.putter.putAll("theme", "http://localhost:8080").then(() => {
+
+      expect(self.putJournal.startJournal).toHaveBeenCalledWith("theme", "http://localhost:8080", true)
+      expect(self.themePutter.putTheme).not.toHaveBeenCalled()
+      expect(self.widgetPutter.putWidget).toHaveBeenCalledWith("widget/Cart")
+      expect(self.putJournal.finishJournal).toHaveBeenCalledWith(false)
+      done()
+    })
+  })
+
+  it("should carry on sending a directory after an error when asked to", done => {
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+      paths.newThemeSet.add("theme/Mono Theme")
+      paths.newWidgetSet.add("widget/Cart")
+    })
+
+    self.putterUtils.shouldContinueOnError.returnsTrue()
+    self.themePutter.putTheme.and.callFake(() => Promise.reject(new Error("boom")))
+
+    self.putter.putAll("theme", "http://localhost:8080").then(() => {
+
+      expect(self.logger.warn).toHaveBeenCalledWith("pathCouldNotBeSent", {path: "theme/Mono Theme", message: "boom"})
+      expect(self.putterUtils.recordPutFailure).toHaveBeenCalledWith("theme/Mono Theme", null, undefined, "boom")
+      expect(self.widgetPutter.putWidget).toHaveBeenCalledWith("widget/Cart")
+      done()
+    })
+  })
+
+  it("should stop sending a directory after an error by default", done => {
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+      paths.newThemeSet.add("theme/Mono Theme")
+      paths.newWidgetSet.add("widget/Cart")
+    })
+
+    self.themePutter.putTheme.and.callFake(() => Promise.reject(new Error("boom")))
+
+    self.putter.putAll("theme", "http://localhost:8080").catch(err => {
+
+      expect(err.message).toEqual("boom")
+      expect(self.widgetPutter.putWidget).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should not take another snapshot when resuming a directory send", done => {
+
+    self.utils.isDirectory.returnsTrue()
+    self.classifier.classify.returns(PuttingFileType.THEME)
+    self.putterUtils.shouldResume.returnsTrue()
+    self.putJournal.findResumablePaths.returns(new Set(["theme/Mono Theme"]))
+
+    self.putter.put("theme/Mono Theme", "http://localhost:8080", true).then(() => {
+      expect(self.snapshotter.takeSnapshot).not.toHaveBeenCalled()
+      expect(self.putJournal.startJournal).toHaveBeenCalled()
+      done()
+    })
+  })
+
   it("should let you send an entire directory to the server via the put method", done => {
 
     self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
@@ -154,6 +431,8 @@ describe("Putter", () => {
     self.classifier.classify.returns(PuttingFileType.THEME)
 
     self.putter.put("theme/Mono Theme", "http://localhost:8080", true).then(() => {
+      expect(self.snapshotter.takeSnapshot).toHaveBeenCalledWith("theme/Mono Theme", "http://localhost:8080",
+        new Map([["theme/Mono Theme", PuttingFileType.THEME]]))
       expect(self.themePutter.putTheme).toHaveBeenCalled()
       done()
     })
@@ -181,7 +460,7 @@ describe("Putter", () => {
     })
   })
 
-  it("should detect attempts to transfer between two different versions", done => {
+  it("should check everything can be sent when transferring between two different versions", done => {
 
     self.state.inTransferMode.returnsTrue()
     self.metadata.readMetadata.returnsPromise(
@@ -190,16 +469,69 @@ describe("Putter", () => {
         commerceCloudVersion : "16.6"
       })
     self.endPointTransceiver.commerceCloudVersion = "16.5"
+    self.classifier.classify.returns(PuttingFileType.THEME_STYLES)
+    self.compatibilityChecker.checkCompatibility.returnsFalse()
 
     self.putter.put(themeStylesPath, "http://someOtherHost:8080").then(() => {
 
-      expect(self.logger.error).toHaveBeenCalledWith("cannotSendToDifferentVersion", {
+      expect(self.logger.info).toHaveBeenCalledWith("transferringBetweenVersions", {
         path : themeStylesPath,
         node : "http://someOtherHost:8080",
         configMetadataNode : "http://localhost:8080",
         configMetadataVersion : "16.6",
         targetVersion : "16.5"
       })
+      expect(self.compatibilityChecker.checkCompatibility).toHaveBeenCalledWith(
+        new Map([[themeStylesPath, PuttingFileType.THEME_STYLES]]), "http://someOtherHost:8080")
+      expect(self.themePutter.putThemeStyles).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you transfer between two different versions when the target has everything needed", done => {
+
+    self.state.inTransferMode.returnsTrue()
+    self.metadata.readMetadata.returnsPromise(
+      {
+        node : "http://localhost:8080",
+        commerceCloudVersion : "16.6"
+      })
+    self.endPointTransceiver.commerceCloudVersion = "16.5"
+    self.classifier.classify.returns(PuttingFileType.THEME_STYLES)
+    self.compatibilityChecker.checkCompatibility.returnsTrue()
+
+    self.putter.put(themeStylesPath, "http://someOtherHost:8080").then(() => {
+
+      expect(self.themePutter.putThemeStyles).toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should check everything in a directory when transferring it between two different versions", done => {
+
+    self.utils.isDirectory.returnsTrue()
+    self.state.inTransferMode.returnsTrue()
+    self.metadata.readMetadata.returnsPromise(
+      {
+        node : "http://localhost:8080",
+        commerceCloudVersion : "16.6"
+      })
+    self.endPointTransceiver.commerceCloudVersion = "16.5"
+    self.compatibilityChecker.checkCompatibility.returnsFalse()
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+      paths.newWidgetSet.add("widget/Cart")
+      paths.otherPaths.push(themeStylesPath)
+      pathTypeMap.set(themeStylesPath, PuttingFileType.THEME_STYLES)
+    })
+
+    self.putter.put("widget", "http://someOtherHost:8080", true).then(() => {
+
+      expect(self.compatibilityChecker.checkCompatibility).toHaveBeenCalledWith(new Map([
+        ["widget/Cart", PuttingFileType.WIDGET],
+        [themeStylesPath, PuttingFileType.THEME_STYLES]
+      ]), "http://someOtherHost:8080")
+      expect(self.snapshotter.takeSnapshot).not.toHaveBeenCalled()
       done()
     })
   })
@@ -287,4 +619,176 @@ describe("Putter", () => {
       done()
     })
   })
+
+  it("should let you see what would be sent for an entire directory without sending anything", done => {
+
+    self.utils.isDirectory.returnsTrue()
+
+    self.puttingDirectoryWalker.puttingDirectoryWalker.and.callFake((pathTypeMap, paths) => {
+      paths.newThemeSet.add("theme/Mono Theme")
+      paths.newWidgetSet.add("widget/Dark Widget")
+      paths.widgetInstanceDirs.push("widget/Dark Widget/instances/Dark Widget Instance")
+      paths.widgetInstanceDirs.push("widget/Light Widget/instances/Light Widget Instance")
+      paths.otherPaths.push("global/main.js")
+      paths.widgetLessPaths.push("widget/Light Widget/instances/Light Widget Instance/widget.less")
+    })
+
+    self.metadata.widgetInstanceExistsOnTarget.and.callFake(path => path.includes("Light"))
+
+    self.putter.plan("widget", "http://localhost:8080", true).then(plan => {
+
+      expect(plan).toEqual({
+        node: "http://localhost:8080",
+        path: "widget",
+        transfer: false,
+        steps: [
+          {name: "createThemes", paths: ["theme/Mono Theme"], concurrency: 20},
+          {name: "createWidgets", paths: ["widget/Dark Widget"], concurrency: 20},
+          {name: "createWidgetInstances", paths: ["widget/Dark Widget/instances/Dark Widget Instance"], concurrency: 20},
+          {name: "updateOtherPaths", paths: ["global/main.js"], concurrency: 1},
+          {
+            name: "updateWidgetLess",
+            paths: ["widget/Light Widget/instances/Light Widget Instance/widget.less"],
+            concurrency: 1
+          }
+        ]
+      })
+
+      expect(self.themePutter.putTheme).not.toHaveBeenCalled()
+      expect(self.widgetPutter.putWidget).not.toHaveBeenCalled()
+      expect(self.widgetPutter.putWidgetInstance).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should include plugin asset types when working out what would be sent for a directory", done => {
+
+    self.utils.isDirectory.returnsTrue()
+
+    usePluginAssetTypes()
+
+    self.putter.plan("/base", "http://localhost:8080", true).then(plan => {
+
+      expect(plan.steps).toEqual([
+        {name: "createThemes", paths: ["/base/theme/Mono Theme"], concurrency: 20},
+        {
+          name: "updatePluginAssets",
+          assetType: "siteSettings",
+          paths: ["/base/siteSettings/checkout.json"],
+          concurrency: 20
+        },
+        {name: "createWidgets", paths: ["/base/widget/Cart"], concurrency: 20},
+        {
+          name: "updatePluginAssets",
+          assetType: "emailTemplates",
+          paths: ["/base/emailTemplates/welcome.html"],
+          concurrency: 1
+        }
+      ])
+
+      expect(self.assetTypeRegistry.putAssetTypePath).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should let you see what would be sent for a single file without sending anything", done => {
+
+    self.classifier.classify.returns(PuttingFileType.THEME_STYLES)
+
+    self.putter.plan(themeStylesPath, "http://localhost:8080").then(plan => {
+
+      expect(plan.steps).toEqual([{name: "updatePath", paths: [themeStylesPath], concurrency: 1}])
+      expect(self.themePutter.putThemeStyles).not.toHaveBeenCalled()
+      expect(self.logger.info).not.toHaveBeenCalledWith("sendingPath", jasmine.anything())
+      done()
+    })
+  })
+
+  it("should still do all the usual checks when working out what would be sent", done => {
+
+    self.putter.plan(themeStylesPath, "http://someOtherHost:8080").then(plan => {
+
+      expect(plan).toBeUndefined()
+      expect(self.logger.error).toHaveBeenCalledWith("cannotSendToDifferentNode", jasmine.any(Object), "Invalid Operation")
+      done()
+    })
+  })
+
+  it("should try to merge in server changes when asked to", done => {
+
+    self.classifier.classify.returns(PuttingFileType.THEME_STYLES)
+    self.putterUtils.shouldMergeOnConflict.returnsTrue()
+    self.themePutter.putThemeStyles.returnsPromise()
+    self.merger.resolveConflict.returnsPromise()
+
+    self.putter.put(themeStylesPath, "http://localhost:8080").then(() => {
+
+      expect(self.themePutter.putThemeStyles).toHaveBeenCalledWith(themeStylesPath)
+      expect(self.merger.resolveConflict).toHaveBeenCalledWith(themeStylesPath, self.themePutter.putThemeStyles)
+      done()
+    })
+  })
+
+  it("should let you watch a directory and send files as they change", done => {
+
+    self.classifier.classify.returns(PuttingFileType.THEME_STYLES)
+    self.utils.isDirectory.returnsTrue()
+    self.watcher.watchDirectory.returnsPromise()
+
+    self.putter.watch("theme", "http://localhost:8080").then(() => {
+
+      expect(self.watcher.watchDirectory).toHaveBeenCalledWith("theme", "http://localhost:8080", jasmine.any(Function))
+
+      // Make sure changed files get sent the usual way.
+      const sendPath = self.watcher.watchDirectory.calls.mostRecent().args[2]
+      return sendPath(themeStylesPath)
+    }).then(() => {
+
+      expect(self.themePutter.putThemeStyles).toHaveBeenCalledWith(themeStylesPath)
+      done()
+    })
+  })
+
+  it("should let you send a snapshot back to the server", done => {
+
+    const snapshot = {
+      snapshotId: "20261018-120000",
+      node: "http://localhost:8080",
+      files: [themeStylesPath],
+      createdAssets: ["element/Logo"]
+    }
+
+    self.snapshotter.readSnapshot.returns(snapshot)
+    self.snapshotter.restoreSnapshot.returnsPromise()
+    self.assetDeleter.deleteCreatedAssets.returnsPromise()
+    self.utils.isDirectory.returnsTrue()
+    self.classifier.classify.returns(PuttingFileType.THEME_STYLES)
+
+    self.putter.rollback("20261018-120000", "http://localhost:8080").then(() => {
+
+      expect(self.snapshotter.restoreSnapshot).toHaveBeenCalledWith(snapshot, jasmine.any(Function))
+      expect(self.assetDeleter.deleteCreatedAssets).toHaveBeenCalledWith(["element/Logo"], "http://localhost:8080")
+      expect(self.state.inTransferMode).not.toHaveBeenCalledWith(true)
+
+      // Make sure snapshot files get sent the usual way.
+      return self.snapshotter.restoreSnapshot.calls.mostRecent().args[1](themeStylesPath)
+    }).then(() => {
+
+      expect(self.themePutter.putThemeStyles).toHaveBeenCalledWith(themeStylesPath)
+      done()
+    })
+  })
+
+  it("should only send a snapshot back to the server it came from", done => {
+
+    self.snapshotter.readSnapshot.returns({snapshotId: "20261018-120000", node: "http://otherhost:8080", files: []})
+
+    self.putter.rollback("20261018-120000", "http://localhost:8080").then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("snapshotNodeMismatch",
+        {snapshotId: "20261018-120000", node: "http://localhost:8080", snapshotNode: "http://otherhost:8080"})
+      expect(self.snapshotter.restoreSnapshot).not.toHaveBeenCalled()
+      done()
+    })
+  })
 })
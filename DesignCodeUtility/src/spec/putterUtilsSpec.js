@@ -0,0 +1,94 @@
+"use strict"
+
+const mockery = require('./mockery')
+
+describe("Putter Utils", () => {
+
+  const self = this
+
+  const path = "widget/Cart/instances/Cart Widget/display.template"
+
+  const optimisticLockResults = {
+    response: {
+      statusCode: 412
+    }
+  }
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../logger", "../state", "../etags")
+
+    self.putterUtils = mockery.require("../putterUtils")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should tell you when someone else has changed the file", () => {
+
+    expect(self.putterUtils.processPutResult(path, optimisticLockResults)).toBeFalsy()
+    expect(self.logger.error).toHaveBeenCalledWith("alreadyBeenModified", {path}, "optimisticLock")
+    expect(self.putterUtils.takeOptimisticLockFailure(path)).toBeFalsy()
+  })
+
+  it("should remember optimistic lock failures when merging", () => {
+
+    self.putterUtils.enableMergeOnConflict()
+
+    expect(self.putterUtils.shouldMergeOnConflict()).toBeTruthy()
+    expect(self.putterUtils.processPutResult(path, optimisticLockResults)).toBeFalsy()
+    expect(self.logger.error).not.toHaveBeenCalled()
+    expect(self.logger.warn).toHaveBeenCalledWith("alreadyBeenModifiedWillMerge", {path})
+
+    expect(self.putterUtils.takeOptimisticLockFailure(path)).toBeTruthy()
+    expect(self.putterUtils.takeOptimisticLockFailure(path)).toBeFalsy()
+  })
+
+  it("should write out the new etag when things go well", () => {
+
+    self.putterUtils.processPutResultAndEtag(path, {response: {statusCode: 200, headers: {etag: "new etag"}}})
+
+    expect(self.etags.writeEtag).toHaveBeenCalledWith(path, "new etag")
+  })
+
+  it("should forget an optimistic lock failure once the file has been merged and sent again", () => {
+
+    self.putterUtils.enableMergeOnConflict()
+    self.putterUtils.processPutResult(path, optimisticLockResults)
+
+    expect(self.putterUtils.hasPutFailed(path)).toBeTruthy()
+
+    self.putterUtils.takeOptimisticLockFailure(path)
+    self.putterUtils.clearPutFailure(path)
+
+    expect(self.putterUtils.processPutResult(path, {response: {statusCode: 200}})).toBeTruthy()
+    expect(self.putterUtils.hasPutFailed(path)).toBeFalsy()
+    expect(self.putterUtils.havePutsFailed()).toBeFalsy()
+    expect(self.putterUtils.getPutFailures()).toEqual([])
+  })
+
+  it("should remember which paths the server turned down", () => {
+
+    expect(self.putterUtils.havePutsFailed()).toBeFalsy()
+
+    self.putterUtils.processPutResult(path, {response: {statusCode: 500}, data: {errorCode: "10001", message: "Oops"}})
+
+    expect(self.putterUtils.hasPutFailed(path)).toBeTruthy()
+    expect(self.putterUtils.hasPutFailed("widget/Cart/instances/Cart Widget/widget.less")).toBeFalsy()
+    expect(self.putterUtils.havePutsFailed()).toBeTruthy()
+    expect(self.putterUtils.getPutFailures()).toEqual([{path, statusCode: 500, errorCode: "10001", message: "Oops"}])
+  })
+
+  it("should remember the status code the server sent back for each path", () => {
+
+    self.putterUtils.processPutResult(path, {response: {statusCode: 200}})
+
+    expect(self.putterUtils.getPutStatusCode(path)).toEqual(200)
+    expect(self.putterUtils.getPutStatusCode("widget/Cart/instances/Cart Widget/widget.less")).toBeUndefined()
+
+    self.putterUtils.clearPutFailures()
+
+    expect(self.putterUtils.getPutStatusCode(path)).toBeUndefined()
+  })
+})
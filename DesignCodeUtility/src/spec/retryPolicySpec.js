@@ -0,0 +1,85 @@
+"use strict"
+
+const mockery = require("./mockery")
+
+describe("Retry Policy", () => {
+
+  const self = this
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils")
+
+    self.retryPolicy = mockery.require("../retryPolicy")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should use sensible defaults when there is no project config", () => {
+
+    self.utils.exists.returnsFalse()
+
+    expect(self.retryPolicy.getRetryPolicy().maxAttempts).toEqual(5)
+    expect(self.retryPolicy.isRetryableResponse({statusCode: 503}, "get")).toBe(true)
+    expect(self.retryPolicy.isRetryableResponse({statusCode: 500}, "get")).toBe(false)
+    expect(self.retryPolicy.isRetryableError({code: "ECONNRESET"}, false, "get")).toBe(true)
+  })
+
+  it("should only retry POSTs when the server turned them away", () => {
+
+    self.utils.exists.returnsFalse()
+
+    expect(self.retryPolicy.isRetryableResponse({statusCode: 503}, "post")).toBe(true)
+    expect(self.retryPolicy.isRetryableResponse({statusCode: 429}, "post")).toBe(true)
+    expect(self.retryPolicy.isRetryableResponse({statusCode: 502}, "post")).toBe(false)
+    expect(self.retryPolicy.isRetryableError({code: "ECONNRESET"}, true, "post")).toBe(false)
+  })
+
+  it("should let the project config opt in to retrying POSTs", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readJsonFile.returns({retry: {methods: ["get", "put", "delete", "post"]}})
+
+    expect(self.retryPolicy.isRetryableResponse({statusCode: 502}, "post")).toBe(true)
+    expect(self.retryPolicy.isRetryableError({code: "ECONNRESET"}, true, "post")).toBe(true)
+  })
+
+  it("should let the project config override the defaults", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readJsonFile.returns({retry: {maxAttempts: 2, statusCodes: [500], errorCodes: ["ETIMEDOUT"]}})
+
+    expect(self.retryPolicy.getRetryPolicy().maxAttempts).toEqual(2)
+    expect(self.retryPolicy.getRetryPolicy().baseDelay).toEqual(500)
+    expect(self.retryPolicy.isRetryableResponse({statusCode: 500}, "get")).toBe(true)
+    expect(self.retryPolicy.isRetryableResponse({statusCode: 503}, "get")).toBe(false)
+    expect(self.retryPolicy.isRetryableError({code: "ECONNRESET"}, true, "get")).toBe(false)
+  })
+
+  it("should only retry connection errors if we have talked to the server before", () => {
+
+    self.utils.exists.returnsFalse()
+
+    expect(self.retryPolicy.isRetryableError({code: "ECONNREFUSED"}, false, "get")).toBe(false)
+    expect(self.retryPolicy.isRetryableError({code: "ECONNREFUSED"}, true, "get")).toBe(true)
+    expect(self.retryPolicy.isRetryableError(new Error("Boom"), true, "get")).toBe(false)
+  })
+
+  it("should back off exponentially with jitter up to the maximum delay", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readJsonFile.returns({retry: {baseDelay: 100, maxDelay: 1000, jitter: 0.5}})
+
+    spyOn(Math, "random").and.returnValue(0)
+
+    expect(self.retryPolicy.getRetryDelay(1)).toEqual(100)
+    expect(self.retryPolicy.getRetryDelay(3)).toEqual(400)
+    expect(self.retryPolicy.getRetryDelay(10)).toEqual(1000)
+
+    Math.random.and.returnValue(1)
+
+    expect(self.retryPolicy.getRetryDelay(3)).toEqual(200)
+  })
+})
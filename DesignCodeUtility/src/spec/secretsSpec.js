@@ -0,0 +1,78 @@
+"use strict"
+
+const mockery = require("./mockery")
+
+describe("Secrets", () => {
+
+  const self = this
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils", "../logger")
+
+    process.env.DCU_TEST_API_KEY = "abc123"
+    process.env.DCU_TEST_HOST = "payments.example.com"
+
+    self.secrets = mockery.require("../secrets")
+  })
+
+  afterEach(() => {
+
+    delete process.env.DCU_TEST_API_KEY
+    delete process.env.DCU_TEST_HOST
+
+    mockery.stopAll()
+  })
+
+  it("should fill in placeholders wherever they are", () => {
+
+    const metadata = {
+      apiKey: "${env:DCU_TEST_API_KEY}",
+      settings: {
+        url: "https://${env:DCU_TEST_HOST}/pay",
+        hosts: ["${env:DCU_TEST_HOST}", "localhost"],
+        retries: 3
+      }
+    }
+
+    expect(self.secrets.resolveSecrets(metadata, "widget/Pay/instances/Pay/widgetInstanceMetadata.json")).toEqual({
+      apiKey: "abc123",
+      settings: {
+        url: "https://payments.example.com/pay",
+        hosts: ["payments.example.com", "localhost"],
+        retries: 3
+      }
+    })
+
+    expect(metadata.apiKey).toBe("${env:DCU_TEST_API_KEY}")
+    expect(self.logger.error).not.toHaveBeenCalled()
+  })
+
+  it("should tell the user about variables that are not set", () => {
+
+    const path = "widget/Pay/config/configMetadata.json"
+
+    expect(self.secrets.resolveSecrets({apiKey: "${env:DCU_TEST_MISSING}"}, path)).toBe(null)
+    expect(self.logger.error).toHaveBeenCalledWith("secretNotSet", {name: "DCU_TEST_MISSING", path})
+  })
+
+  it("should put placeholders back for configured secrets when grabbing", () => {
+
+    self.utils.exists.returnsTrue()
+    self.utils.readJsonFile.returns({secrets: ["DCU_TEST_API_KEY", "DCU_TEST_UNSET"]})
+
+    expect(self.secrets.hideSecrets({apiKey: "abc123", settings: {keys: ["abc123", "abc1234"]}, host: "payments.example.com"}))
+      .toEqual({apiKey: "${env:DCU_TEST_API_KEY}", settings: {keys: ["${env:DCU_TEST_API_KEY}", "abc1234"]}, host: "payments.example.com"})
+  })
+
+  it("should leave grabbed metadata alone when there are no configured secrets", () => {
+
+    const metadata = {apiKey: "abc123"}
+
+    self.utils.exists.returnsFalse()
+
+    expect(self.secrets.hideSecrets(metadata)).toBe(metadata)
+  })
+})
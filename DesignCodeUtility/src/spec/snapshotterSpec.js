@@ -0,0 +1,176 @@
+"use strict"
+
+const Promise = require("bluebird")
+
+const constants = require("../constants").constants
+const mockery = require("./mockery")
+const PuttingFileType = require("../puttingFileType").PuttingFileType
+
+describe("Snapshotter", () => {
+
+  const self = this
+
+  const node = "http://localhost:8080"
+  const templatePath = "widget/Cart/instances/Cart Widget/display.template"
+  const newTemplatePath = "widget/Cart/instances/New Cart Widget/display.template"
+  const snapshotDir = `${constants.trackingDir}/${constants.snapshotsDir}/20261018-120000`
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../differ", "../utils", "../logger", "../state", "../concurrencySettings",
+      "../assetDeleter")
+
+    self.utils.resolvePath.and.callFake(path => path === "." ? "/base" : `/base/${path}`)
+    self.concurrencySettings.getGrabbingConcurrency.returns({concurrency: 2})
+
+    self.snapshotter = mockery.require("../snapshotter")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should save the server copy of everything that is about to be sent", done => {
+
+    self.differ.canDiff.returnsTrue()
+    self.differ.getRemoteFile.and.callFake(path =>
+      Promise.resolve(path === templatePath ? {contents: "server template", etag: "etag"} : null))
+
+    const typedPaths = new Map([
+      [templatePath, PuttingFileType.WIDGET_INSTANCE_TEMPLATE],
+      [newTemplatePath, PuttingFileType.WIDGET_INSTANCE_TEMPLATE]
+    ])
+
+    self.snapshotter.takeSnapshot("widget", node, typedPaths).then(snapshotId => {
+
+      expect(snapshotId).toMatch(/^\d{8}-\d{6}$/)
+
+      const snapshotDir = `${constants.trackingDir}/${constants.snapshotsDir}/${snapshotId}`
+
+      expect(self.utils.writeFile).toHaveBeenCalledWith(`${snapshotDir}/${templatePath}`, "server template")
+      expect(self.utils.writeFile).not.toHaveBeenCalledWith(`${snapshotDir}/${newTemplatePath}`, jasmine.anything())
+
+      const metadataCall = self.utils.writeFile.calls.mostRecent().args
+      expect(metadataCall[0]).toEqual(`${snapshotDir}/${constants.snapshotMetadataJson}`)
+
+      const metadata = JSON.parse(metadataCall[1])
+      expect(metadata.node).toEqual(node)
+      expect(metadata.path).toEqual("widget")
+      expect(metadata.transfer).toBe(false)
+      expect(metadata.files).toEqual([templatePath])
+
+      expect(self.logger.info).toHaveBeenCalledWith("snapshotTaken", {snapshotId, count: 1, node})
+      done()
+    })
+  })
+
+  it("should note down new assets so they can be deleted again", done => {
+
+    const newInstanceDir = "widget/Cart/instances/New Cart Widget"
+    const newInstance = {path: newInstanceDir}
+
+    self.differ.canDiff.and.callFake(path => path === newTemplatePath)
+    self.differ.getRemoteFile.returnsPromise(null)
+    self.assetDeleter.getDeletableAsset.and.callFake(path => path.startsWith(newInstanceDir) ? newInstance : null)
+    self.assetDeleter.existsOnServer.returnsFalse()
+
+    const typedPaths = new Map([
+      [newInstanceDir, PuttingFileType.WIDGET_INSTANCE],
+      [newTemplatePath, PuttingFileType.WIDGET_INSTANCE_TEMPLATE],
+      [`${newInstanceDir}/widgetInstance.json`, PuttingFileType.WIDGET_INSTANCE_METADATA_JSON]
+    ])
+
+    self.snapshotter.takeSnapshot("widget", node, typedPaths).then(() => {
+
+      const metadata = JSON.parse(self.utils.writeFile.calls.mostRecent().args[1])
+      expect(metadata.files).toEqual([])
+      expect(metadata.createdAssets).toEqual([newInstanceDir])
+
+      expect(self.logger.warn).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should warn about changes that cannot be rolled back", done => {
+
+    const javaScriptPath = "widget/Cart/js/cart.js"
+    const instanceMetadataPath = "widget/Cart/instances/Cart Widget/widgetInstance.json"
+
+    self.differ.canDiff.returnsFalse()
+    self.assetDeleter.getDeletableAsset.and.callFake(path =>
+      path === instanceMetadataPath ? {path: "widget/Cart/instances/Cart Widget"} : null)
+    self.assetDeleter.existsOnServer.returnsTrue()
+
+    const typedPaths = new Map([
+      ["theme/New Theme", PuttingFileType.THEME],
+      [javaScriptPath, PuttingFileType.WIDGET_JAVASCRIPT],
+      [instanceMetadataPath, PuttingFileType.WIDGET_INSTANCE_METADATA_JSON]
+    ])
+
+    self.snapshotter.takeSnapshot("widget", node, typedPaths).then(() => {
+
+      expect(self.logger.warn).toHaveBeenCalledWith("typeCannotBeRolledBack", {type: "THEME", count: 1})
+      expect(self.logger.warn).toHaveBeenCalledWith("typeCannotBeRolledBack", {type: "WIDGET_JAVASCRIPT", count: 1})
+      expect(self.logger.warn).toHaveBeenCalledWith("typeCannotBeRolledBack",
+        {type: "WIDGET_INSTANCE_METADATA_JSON", count: 1})
+      expect(self.differ.getRemoteFile).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it("should tell you which snapshots there are if it can't find the one you asked for", () => {
+
+    self.utils.exists.returnsFalse()
+    self.utils.glob.returns([
+      `/base/${constants.trackingDir}/${constants.snapshotsDir}/20261018-130000/${constants.snapshotMetadataJson}`,
+      `/base/${constants.trackingDir}/${constants.snapshotsDir}/20261018-120000/${constants.snapshotMetadataJson}`
+    ])
+
+    expect(self.snapshotter.readSnapshot("20261017-120000")).toBe(null)
+    expect(self.logger.error).toHaveBeenCalledWith("snapshotNotFound",
+      {snapshotId: "20261017-120000", snapshotIds: "20261018-120000, 20261018-130000"})
+  })
+
+  it("should send the snapshot back and leave the local files alone", done => {
+
+    const snapshot = {snapshotId: "20261018-120000", node, files: [templatePath, newTemplatePath]}
+
+    self.utils.exists.and.callFake(path => path === templatePath)
+    self.utils.readFile.and.callFake(path => path.startsWith(snapshotDir) ? `snapshot ${path}` : "local template")
+
+    // Make sure the snapshot version is in place when the file is sent.
+    const sentContents = []
+    const sendPath = jasmine.createSpy("sendPath").and.callFake(path => {
+      sentContents.push(self.utils.writeFile.calls.mostRecent().args)
+      return Promise.resolve()
+    })
+
+    self.snapshotter.restoreSnapshot(snapshot, sendPath).then(() => {
+
+      expect(sentContents).toEqual([
+        [templatePath, `snapshot ${snapshotDir}/${templatePath}`],
+        [newTemplatePath, `snapshot ${snapshotDir}/${newTemplatePath}`]
+      ])
+
+      expect(self.utils.writeFile).toHaveBeenCalledWith(templatePath, "local template")
+      expect(self.utils.removeTree).toHaveBeenCalledWith(newTemplatePath)
+      expect(self.logger.info).toHaveBeenCalledWith("snapshotRestored", {snapshotId: "20261018-120000", count: 2})
+      done()
+    })
+  })
+
+  it("should put the local file back even if sending fails", done => {
+
+    const snapshot = {snapshotId: "20261018-120000", node, files: [templatePath]}
+
+    self.utils.exists.returnsTrue()
+    self.utils.readFile.returns("local template")
+
+    self.snapshotter.restoreSnapshot(snapshot, () => Promise.reject(new Error("boom"))).catch(err => {
+
+      expect(err.message).toEqual("boom")
+      expect(self.utils.writeFile).toHaveBeenCalledWith(templatePath, "local template")
+      done()
+    })
+  })
+})
@@ -83,6 +83,59 @@ describe("Stack Grabber", () => {
     })
   })
 
+  it("should remember which widget instances are in each stack region", done => {
+
+    self.endPointTransceiver.serverSupports.returnsTrue()
+
+    self.stackUtils.friendlyStackInstanceName.returns(myBigStackDisplayName)
+
+    self.endPointTransceiver.getAllStackInstances.returnsItems(
+      {
+        displayName: "My Big Stack",
+        stackType: "bigStack",
+        version: 2,
+        instances: [
+          {
+            displayName : "My Big Stack Instance Display Name",
+            id : "myBigStackId",
+            descriptor: {
+              version: 2
+            },
+            name : "My Big Stack Instance Display Name",
+            regions: [
+              {
+                name: "tab-1",
+                widgets: [
+                  {displayName: "Cart Summary", descriptor: {widgetType: "cartSummary"}},
+                  {displayName: "Promo Banner", descriptor: {widgetType: "promoBanner"}}
+                ]
+              },
+              {name: "tab-2"}
+            ]
+          }
+        ]
+      })
+
+    self.stackGrabber.grabAllStacks().then(() => {
+
+      expect(self.metadata.writeMetadata).toHaveBeenCalledWith(`${myBigStackInstanceDir}/stackInstance.json`,
+        {
+          version: 2, displayName : "My Big Stack Instance Display Name", name : "My Big Stack Instance Display Name",
+          regions: [
+            {
+              name: "tab-1",
+              widgets: [
+                {displayName: "Cart Summary", widgetType: "cartSummary"},
+                {displayName: "Promo Banner", widgetType: "promoBanner"}
+              ]
+            },
+            {name: "tab-2", widgets: []}
+          ]
+        })
+      done()
+    })
+  })
+
   it("should should ignore old stacks", done => {
 
     self.endPointTransceiver.serverSupports.returnsTrue()
@@ -105,11 +158,16 @@ describe("Stack Grabber", () => {
       })
 
     self.utils.exists.returnsTrue()
+    self.stackUtils.friendlyStackInstanceName.returns("Multiple Version Stack Instance")
 
     self.metadata.readMetadataFromDisk.returns({version: 2})
 
     self.stackGrabber.grabAllStacks().then(() => {
 
+      // The instance is still on the server so an incremental grab must not remove it.
+      expect(self.grabberUtils.markAsGrabbed).toHaveBeenCalledWith(
+        `${constants.stacksDir}/Multiple Version Stack/instances/Multiple Version Stack Instance`)
+
       expect(self.metadata.writeMetadata).not.toHaveBeenCalledWith(`${myBigStackInstanceDir}/stackInstance.json`,
         {repositoryId: "multipleVersionInstanceStackId", displayName: "Multiple Version Stack Instance Display Name"})
 
@@ -0,0 +1,111 @@
+"use strict"
+
+const constants = require("../constants").constants
+const mockery = require('./mockery')
+const PuttingFileType = require("../puttingFileType").PuttingFileType
+
+describe("Status Reporter", () => {
+
+  const self = this
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../utils", "../etags", "../classifier", "../logger")
+
+    self.utils.exists.returnsTrue()
+    self.utils.resolvePath.returns(".")
+    self.utils.stripProtocol.returns("localhost:9080")
+
+    // Pretend we have a tracking directory and a base directory with a few files in them.
+    self.utils.walkDirectory.and.callFake((path, config) => {
+
+      const files = path === constants.trackingDir ? [
+        [".ccc/widget/Cart/instances/Cart Widget", "display.template_localhost9080.etag"],
+        [".ccc/widget/Cart/instances/Cart Widget", "display.template_localhost9080.hash"],
+        [".ccc/widget/Cart/instances/Cart Widget", "widget.less_localhost9080.hash"],
+        [".ccc/widget/Cart/instances/Cart Widget", "widget.less_otherhost9080.hash"],
+        [".ccc/theme/Dark Theme", "styles.less_localhost9080.hash"],
+        [".ccc/widget/Cart", "widget.json"]
+      ] : [
+        ["widget/Cart/instances/Cart Widget", "display.template"],
+        ["widget/Cart/instances/Cart Widget", "widget.less"],
+        ["global", "new.js"],
+        [".ccc/theme/Dark Theme", "styles.less_localhost9080.hash"],
+        ["widget/Cart", ".DS_Store"]
+      ]
+
+      files.forEach(file => config.listeners.file(file[0], {name: file[1]}, () => {}))
+    })
+
+    self.etags.getAssetPathFromTrackingPath.and.callFake((trackingPath, suffix) => {
+      const match = new RegExp(`^\\.ccc/(.*)_localhost9080\\${suffix}$`).exec(trackingPath)
+      return match ? match[1] : null
+    })
+
+    self.etags.storedContentHashFor.and.callFake(path => path.endsWith("display.template") ? "old hash" : "same hash")
+    self.etags.computeContentHash.returns("same hash")
+
+    self.classifier.classify.and.callFake(path => {
+      if (path.endsWith("display.template")) return PuttingFileType.WIDGET_INSTANCE_TEMPLATE
+      if (path.endsWith("widget.less")) return PuttingFileType.WIDGET_INSTANCE_LESS
+      if (path.endsWith("styles.less")) return PuttingFileType.THEME_STYLES
+      if (path.endsWith(".js")) return PuttingFileType.APPLICATION_LEVEL_JAVASCRIPT
+    })
+
+    self.statusReporter = mockery.require("../statusReporter")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should let you see what has changed locally since the last grab", done => {
+
+    self.statusReporter.reportStatus("http://localhost:9080").then(changes => {
+
+      expect(self.etags.setNodeName).toHaveBeenCalledWith("localhost9080")
+
+      expect(changes).toEqual([
+        {path: "global/new.js", change: "added", fileType: PuttingFileType.APPLICATION_LEVEL_JAVASCRIPT},
+        {path: "theme/Dark Theme/styles.less", change: "deleted", fileType: PuttingFileType.THEME_STYLES},
+        {
+          path: "widget/Cart/instances/Cart Widget/display.template",
+          change: "modified",
+          fileType: PuttingFileType.WIDGET_INSTANCE_TEMPLATE
+        }
+      ])
+
+      expect(self.logger.info).toHaveBeenCalledWith("statusFileTypeHeading", {fileType: "APPLICATION_LEVEL_JAVASCRIPT"})
+      expect(self.logger.info).toHaveBeenCalledWith("addedPathStatus", {path: "global/new.js"})
+      expect(self.logger.info).toHaveBeenCalledWith("deletedPathStatus", {path: "theme/Dark Theme/styles.less"})
+      expect(self.logger.info).toHaveBeenCalledWith("modifiedPathStatus", {path: "widget/Cart/instances/Cart Widget/display.template"})
+      expect(self.logger.info).not.toHaveBeenCalledWith("modifiedPathStatus", {path: "widget/Cart/instances/Cart Widget/widget.less"})
+      done()
+    })
+  })
+
+  it("should tell you when nothing has changed", done => {
+
+    self.etags.storedContentHashFor.returns("")
+    self.classifier.classify.and.callFake(path => path.startsWith("widget") && PuttingFileType.WIDGET_INSTANCE_TEMPLATE)
+
+    self.statusReporter.reportStatus("http://localhost:9080").then(changes => {
+
+      expect(changes).toEqual([])
+      expect(self.logger.info).toHaveBeenCalledWith("noLocalChangesFound")
+      done()
+    })
+  })
+
+  it("should stop you if you have not grabbed anything", done => {
+
+    self.utils.exists.returnsFalse()
+
+    self.statusReporter.reportStatus("http://localhost:9080").then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("noGrabbedContentFound")
+      expect(self.utils.walkDirectory).not.toHaveBeenCalled()
+      done()
+    })
+  })
+})
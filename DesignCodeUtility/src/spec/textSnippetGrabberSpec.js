@@ -15,6 +15,7 @@ describe("Text Snippet Grabber", () => {
     self.endPointTransceiver.locales = [{name: "en"}]
 
     mockery.mockModules(self, "../utils", "../grabberUtils", "../logger")
+    self.grabberUtils.grabRequest.and.callFake((path, requestBuilder) => requestBuilder)
 
     self.textSnippetGrabber = mockery.require("../textSnippetGrabber")
   })
@@ -34,11 +34,12 @@ describe("Theme Grabber", () => {
   it("should let you grab themes", (done) => {
 
     const themeSource = mockThemeResponses({})
+    self.grabberUtils.grabRequest.returnsFirstArg()
 
     self.themeGrabber.grabAllThemes().then(() => {
 
       expect(self.endPointTransceiver.getThemes).toHaveBeenCalledWith("?type=custom")
-      expect(self.endPointTransceiver.getThemeSource).toHaveBeenCalledWith(["themeRepo0001"])
+      expect(self.endPointTransceiver.getThemeSource).toHaveBeenCalledWith(["themeRepo0001"], 'theme/Furry Theme/styles.less')
       expect(self.utils.makeTrackedDirectory).toHaveBeenCalledWith(constants.themesDir)
       expect(self.utils.makeTrackedDirectory).toHaveBeenCalledWith(`${constants.themesDir}/Furry Theme`)
       expect(self.logger.info).toHaveBeenCalledWith('grabbingTheme', {name: 'Furry Theme'})
@@ -61,6 +62,23 @@ describe("Theme Grabber", () => {
       })
   })
 
+  it("should leave themes alone if they have not changed since the last grab", (done) => {
+
+    mockThemeResponses({})
+    self.grabberUtils.skipIfUnchanged.returnsTrue()
+
+    self.themeGrabber.grabAllThemes().then(() => {
+
+      expect(self.grabberUtils.skipIfUnchanged).toHaveBeenCalledWith([
+        'theme/Furry Theme/styles.less',
+        'theme/Furry Theme/variables.less',
+        'theme/Furry Theme/additionalStyles.less'
+      ], jasmine.any(Object))
+      expect(self.grabberUtils.writeFileAndETag).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
   it("should let you grab a specific theme", (done) => {
 
     const themeSource = mockThemeResponses({})
@@ -427,4 +427,17 @@ describe("Utils", () => {
     expect(self.utils.stripProtocol("http://some.url.com:9080")).toEqual("some.url.com:9080")
     expect(self.utils.stripProtocol("https://some.url.com:9080")).toEqual("some.url.com:9080")
   })
+
+  it("should let us match names against simple glob patterns", () => {
+
+    const matches = self.utils.nameMatcher("ACME *")
+
+    expect(matches("ACME Cart")).toBe(true)
+    expect(matches("ACME ")).toBe(true)
+    expect(matches("Not ACME Cart")).toBe(false)
+    expect(matches("ACMECart")).toBe(false)
+
+    expect(self.utils.nameMatcher("Cart?(1).js")("Cart2(1).js")).toBe(true)
+    expect(self.utils.nameMatcher("Cart?(1).js")("Cart2(1)xjs")).toBe(false)
+  })
 })
@@ -0,0 +1,167 @@
+"use strict"
+
+const EventEmitter = require("events")
+const Promise = require("bluebird")
+
+const mockery = require('./mockery')
+
+describe("Watcher", () => {
+
+  const self = this
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    // Fake up a file watcher we can drive directly.
+    self.fileWatcher = new EventEmitter()
+    self.fileWatcher.add = jasmine.createSpy("add")
+    self.fileWatcher.removeAll = jasmine.createSpy("removeAll")
+    mockery.mockAs("filewatcher", () => self.fileWatcher)
+
+    mockery.mockModules(self, "../classifier", "../concurrencySettings", "../logger", "../utils")
+
+    self.concurrencySettings.getPuttingConcurrency.returns({concurrency: 4})
+    self.concurrencySettings.WIDGET_LESS_SAFE_LIMIT = 1
+
+    self.classifier.classify.and.callFake(path => {
+
+      if (path.endsWith("styles.less")) {
+        return "THEME_STYLES"
+      } else if (path.endsWith("widget.less")) {
+        return "WIDGET_INSTANCE_LESS"
+      } else if (path.endsWith(".template")) {
+        return "WIDGET_INSTANCE_TEMPLATE"
+      }
+    })
+
+    // Pretend the directory has a few files in it, including some tracking information.
+    self.files = {
+      "base": ["display.template", "theme/styles.less"],
+      "base/widget": ["widget.less"]
+    }
+
+    self.utils.walkDirectory.and.callFake((directory, config) => {
+
+      (self.files[directory] || []).forEach(name => config.listeners.file(directory, {name}, () => null))
+      config.listeners.directory(directory, {name: ".ccc"}, () => null)
+    })
+
+    self.sendPath = jasmine.createSpy("sendPath").and.callFake(() => Promise.resolve())
+
+    jasmine.clock().install()
+
+    self.watcher = mockery.require("../watcher")
+  })
+
+  afterEach(() => {
+    jasmine.clock().uninstall()
+    mockery.stopAll()
+  })
+
+  /**
+   * Stop watching and wait for everything to finish.
+   * @param watching - the promise returned by watchDirectory.
+   */
+  function stopWatching(watching) {
+    process.emit("SIGINT")
+    return watching
+  }
+
+  it("should watch everything but the tracking directory", done => {
+
+    const watching = self.watcher.watchDirectory("base", "http://localhost:8080", self.sendPath)
+
+    expect(self.fileWatcher.add).toHaveBeenCalledWith("base")
+    expect(self.fileWatcher.add).toHaveBeenCalledWith("base/display.template")
+    expect(self.fileWatcher.add).toHaveBeenCalledWith("base/theme/styles.less")
+    expect(self.fileWatcher.add).not.toHaveBeenCalledWith("base/.ccc")
+    expect(self.logger.info).toHaveBeenCalledWith("watchingDirectory", {path: "base", node: "http://localhost:8080"})
+
+    stopWatching(watching).then(() => {
+
+      expect(self.fileWatcher.removeAll).toHaveBeenCalled()
+      expect(self.sendPath).not.toHaveBeenCalled()
+      expect(self.logger.info).toHaveBeenCalledWith("stoppedWatching", {path: "base"})
+      done()
+    })
+  })
+
+  it("should wait for things to go quiet before sending a burst of changes", done => {
+
+    const watching = self.watcher.watchDirectory("base", "http://localhost:8080", self.sendPath)
+
+    const fileStat = {isDirectory: () => false}
+
+    self.fileWatcher.emit("change", "base/display.template", fileStat)
+    jasmine.clock().tick(300)
+    self.fileWatcher.emit("change", "base/display.template", fileStat)
+    self.fileWatcher.emit("change", "base/theme/styles.less", fileStat)
+    jasmine.clock().tick(300)
+
+    expect(self.sendPath).not.toHaveBeenCalled()
+
+    jasmine.clock().tick(300)
+
+    stopWatching(watching).then(() => {
+
+      expect(self.sendPath.calls.count()).toEqual(2)
+      expect(self.sendPath).toHaveBeenCalledWith("base/display.template")
+      expect(self.sendPath).toHaveBeenCalledWith("base/theme/styles.less")
+      done()
+    })
+  })
+
+  it("should pick up new files and ignore things it cannot send", done => {
+
+    const watching = self.watcher.watchDirectory("base", "http://localhost:8080", self.sendPath)
+
+    self.files["base/widget"].push("notes.txt")
+    self.fileWatcher.emit("change", "base/widget", {isDirectory: () => true})
+
+    expect(self.fileWatcher.add).toHaveBeenCalledWith("base/widget/notes.txt")
+
+    stopWatching(watching).then(() => {
+
+      expect(self.sendPath).toHaveBeenCalledWith("base/widget/widget.less")
+      expect(self.sendPath).not.toHaveBeenCalledWith("base/widget/notes.txt")
+      expect(self.logger.debug).toHaveBeenCalledWith("watchIgnoringPath", {path: "base/widget/notes.txt"})
+      done()
+    })
+  })
+
+  it("should send theme changes before widget less changes", done => {
+
+    const watching = self.watcher.watchDirectory("base", "http://localhost:8080", self.sendPath)
+
+    const fileStat = {isDirectory: () => false}
+
+    self.fileWatcher.emit("change", "base/widget/widget.less", fileStat)
+    self.fileWatcher.emit("change", "base/theme/styles.less", fileStat)
+
+    stopWatching(watching).then(() => {
+
+      expect(self.sendPath.calls.allArgs()).toEqual([["base/theme/styles.less"], ["base/widget/widget.less"]])
+      done()
+    })
+  })
+
+  it("should keep going when a file fails to send", done => {
+
+    self.sendPath.and.callFake(path => path.endsWith(".template") ? Promise.reject(new Error("boom")) : Promise.resolve())
+
+    const watching = self.watcher.watchDirectory("base", "http://localhost:8080", self.sendPath)
+
+    const fileStat = {isDirectory: () => false}
+
+    self.fileWatcher.emit("change", "base/display.template", fileStat)
+    self.fileWatcher.emit("change", "base/theme/styles.less", fileStat)
+
+    stopWatching(watching).then(() => {
+
+      expect(self.logger.error).toHaveBeenCalledWith("watchSendFailed", {path: "base/display.template", message: "boom"})
+      expect(self.sendPath).toHaveBeenCalledWith("base/theme/styles.less")
+      done()
+    })
+  })
+})
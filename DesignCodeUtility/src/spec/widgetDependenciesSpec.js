@@ -0,0 +1,92 @@
+"use strict"
+
+const mockery = require("./mockery")
+const PuttingFileType = require("../puttingFileType").PuttingFileType
+
+describe("Widget Dependencies", () => {
+
+  const self = this
+
+  // A widget whose instance is in a stack and which uses a header element that holds a logo element.
+  const nodes = [
+    {id: "widget:Cart", type: "widget", name: "Cart", path: "widget/Cart"},
+    {id: "widgetInstance:Cart Widget", type: "widgetInstance", name: "Cart Widget", path: "widget/Cart/instances/Cart Widget"},
+    {id: "globalElement:header", type: "globalElement", name: "header", path: "element/Header"},
+    {id: "globalElement:logo", type: "globalElement", name: "logo", path: "element/Logo"},
+    {id: "stackInstance:Home Tabs", type: "stackInstance", name: "Home Tabs", path: "stack/Tabs/instances/Home Tabs"}
+  ]
+
+  const edges = [
+    {from: "widget:Cart", to: "globalElement:header", kind: "usesElement"},
+    {from: "globalElement:header", to: "globalElement:logo", kind: "containsElement"},
+    {from: "widget:Cart", to: "widgetInstance:Cart Widget", kind: "hasInstance"},
+    {from: "stackInstance:Home Tabs", to: "widgetInstance:Cart Widget", kind: "containsInstance"}
+  ]
+
+  beforeEach(() => {
+
+    mockery.use(jasmine.createSpy)
+
+    mockery.mockModules(self, "../dependencyGrapher", "../classifier", "../metadata", "../utils", "../logger")
+
+    self.utils.resolvePath.and.callFake(path => path.startsWith("/") ? path : path === "." ? "/base" : `/base/${path}`)
+    self.classifier.classify.returns(PuttingFileType.WIDGET)
+
+    self.dependencyGrapher.buildLocalGraph.returns({
+      nodes: new Map(nodes.map(node => [node.id, node])),
+      findEdges: (kind, from, to) => edges.filter(edge =>
+        edge.kind === kind && (!from || edge.from === from) && (!to || edge.to === to))
+    })
+
+    self.dependencyGrapher.findTagsForWidget.returns(new Set(["header", "oracle-element", "typo-element"]))
+    self.metadata.getElementByTag.and.callFake(tag => tag === "oracle-element" ? {tag} : undefined)
+
+    self.widgetDependencies = mockery.require("../widgetDependencies")
+  })
+
+  afterEach(mockery.stopAll)
+
+  it("should find the global elements and stacks the target server does not have yet", () => {
+
+    self.metadata.elementTagExists.returnsTrue()
+
+    expect(self.widgetDependencies.findWidgetDependencies("widget/Cart")).toEqual({
+      elementDirs: ["/base/element/Header", "/base/element/Logo"],
+      stackDirs: ["/base/stack/Tabs"]
+    })
+
+    expect(self.metadata.stackExistsOnTarget).toHaveBeenCalledWith("/base/stack/Tabs")
+    expect(self.logger.info).toHaveBeenCalledWith("sendingDependency", {path: "widget/Cart", dependency: "/base/element/Logo"})
+  })
+
+  it("should leave out anything the target server already has", () => {
+
+    self.metadata.elementTagExists.returnsTrue()
+    self.metadata.getElementByTag.and.callFake(tag => tag === "logo" ? {tag} : undefined)
+    self.metadata.stackExistsOnTarget.returnsTrue()
+
+    expect(self.widgetDependencies.findWidgetDependencies("widget/Cart")).toEqual({
+      elementDirs: ["/base/element/Header"],
+      stackDirs: []
+    })
+  })
+
+  it("should warn about elements that can't be found anywhere", () => {
+
+    self.metadata.elementTagExists.and.callFake(tag => tag !== "typo-element")
+
+    self.widgetDependencies.findWidgetDependencies("widget/Cart")
+
+    expect(self.logger.warn).toHaveBeenCalledWith("dependencyNotFound", {path: "widget/Cart", tag: "typo-element"})
+    expect(self.logger.warn).not.toHaveBeenCalledWith("dependencyNotFound", {path: "widget/Cart", tag: "oracle-element"})
+  })
+
+  it("should only work out dependencies for widgets", () => {
+
+    self.classifier.classify.returns(PuttingFileType.THEME)
+
+    expect(self.widgetDependencies.findWidgetDependencies("theme/Mono Theme")).toEqual({elementDirs: [], stackDirs: []})
+    expect(self.logger.warn).toHaveBeenCalledWith("dependenciesOnlyForWidgets", {path: "theme/Mono Theme"})
+    expect(self.dependencyGrapher.buildLocalGraph).not.toHaveBeenCalled()
+  })
+})
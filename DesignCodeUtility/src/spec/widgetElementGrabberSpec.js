@@ -190,6 +190,7 @@ describe("Widget Element Grabber", () => {
     self.widgetElementGrabber.grabWidgetElements("widget/My Widget").then(() => {
 
       expect(self.elementInstanceGrabber.processElementInstances).not.toHaveBeenCalled()
+      expect(self.grabberUtils.markAsGrabbed).toHaveBeenCalled()
       done()
     })
   })
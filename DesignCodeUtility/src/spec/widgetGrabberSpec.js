@@ -122,7 +122,7 @@ describe("Widget Grabber", () => {
 
     mockValidInstances()
 
-    self.widgetGrabber.grabAllWidgets(true).then(() => {
+    self.widgetGrabber.grabAllWidgets().then(() => {
 
       expect(self.endPointTransceiver.getAllWidgetInstances).toHaveBeenCalledWith("?source=100")
       expect(self.endPointTransceiver.getAllWidgetInstances).toHaveBeenCalledWith("?source=101")
@@ -157,13 +157,12 @@ describe("Widget Grabber", () => {
       expect(self.grabberUtils.writeFileAndETag).toHaveBeenCalledWith(myHomeMadeWidgetJsFile, 'some widget js source', 'get js etag')
       expect(self.grabberUtils.writeFileAndETag).toHaveBeenCalledWith(myHomeMadeWidgetConfigLocaleLocaleEn, '{\n  "localeKey": "localeValue"\n}', 'config locale etag')
 
-      expect(self.utils.writeFile).toHaveBeenCalledWith(myHomeMadeWidgetBaseLocaleEnFile, JSON.stringify(
+      expect(self.grabberUtils.writeFileAndETag).toHaveBeenCalledWith(myHomeMadeWidgetBaseLocaleEnFile, JSON.stringify(
         {
           "resources": {
             "localeKey": "localeValue"
           }
-        }, null, 2))
-      expect(self.etags.writeEtag).toHaveBeenCalledWith(myHomeMadeWidgetBaseLocaleEnFile, "base locale etag")
+        }, null, 2), "base locale etag")
 
       expect(self.grabberUtils.copyFieldContentsToFile).toHaveBeenCalledWith('getWidgetDescriptorBaseTemplate', 'rep0010', 'source', myHomeMadeWidgetBaseDisplayTemplate)
       expect(self.grabberUtils.copyFieldContentsToFile).toHaveBeenCalledWith('getWidgetDescriptorBaseLess', 'rep0010', 'source', myHomeMadeWidgetBaseLess)
@@ -172,6 +171,20 @@ describe("Widget Grabber", () => {
     })
   })
 
+  it("should let you grab only the Widgets whose names you want", done => {
+
+    self.endPointTransceiver.serverSupports.returnsTrue()
+
+    mockValidInstances()
+
+    self.widgetGrabber.grabAllWidgets(name => name.startsWith("My Home")).then(() => {
+
+      expect(self.logger.info).toHaveBeenCalledWith("grabbingWidget", {name: "My Home Made Widget"})
+      expect(self.logger.info).not.toHaveBeenCalledWith("grabbingWidget", {name: myLittleWidgetName})
+      done()
+    })
+  })
+
   it("should handle aliased locales", (done) => {
 
     self.endPointTransceiver.serverSupports.returnsTrue()
@@ -188,10 +201,11 @@ describe("Widget Grabber", () => {
     self.endPointTransceiver.getConfigLocaleContentForWidgetDescriptor.returnsResponse({}, "config locale etag")
     self.endPointTransceiver.getWidgetDescriptorBaseLocaleContent.returnsResponse({}, "base locale etag")
 
-    self.widgetGrabber.grabAllWidgets(true).then(() => {
+    self.widgetGrabber.grabAllWidgets().then(() => {
 
       expect(self.grabberUtils.writeFileAndETag).not.toHaveBeenCalledWith(myHomeMadeWidgetConfigLocaleLocaleEn, '{\n  "localeKey": "localeValue"\n}', 'config locale etag')
       expect(self.utils.writeFile).not.toHaveBeenCalled()
+      expect(self.grabberUtils.writeFileAndETag).not.toHaveBeenCalledWith(myHomeMadeWidgetBaseLocaleEnFile, jasmine.anything(), jasmine.anything())
       done()
     })
   })
@@ -230,7 +244,7 @@ describe("Widget Grabber", () => {
         layouts: []
       })
 
-    self.widgetGrabber.grabAllWidgets(true).then(() => {
+    self.widgetGrabber.grabAllWidgets().then(() => {
 
       expect(self.endPointTransceiver.getAllWidgetInstances).toHaveBeenCalledWith("?source=100")
       expect(self.endPointTransceiver.getAllWidgetInstances).toHaveBeenCalledWith("?source=101")
@@ -264,7 +278,7 @@ describe("Widget Grabber", () => {
 
     mockValidInstances()
 
-    self.widgetGrabber.grabAllWidgets(true).then(() => {
+    self.widgetGrabber.grabAllWidgets().then(() => {
       expect(self.logger.warn).toHaveBeenCalledWith("widgetDescriptorMetadataCannotBeGrabbed")
       expect(self.logger.warn).toHaveBeenCalledWith("baseWidgetContentCannotBeGrabbed")
       expect(self.logger.warn).toHaveBeenCalledWith("widgetDescriptorMetadataCannotBeGrabbed")
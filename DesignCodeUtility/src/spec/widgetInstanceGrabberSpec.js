@@ -155,7 +155,7 @@ describe("Widget Instance Grabber", () => {
 
       expect(self.utils.makeTrackedTree).toHaveBeenCalledWith(myLittleWidgetInstanceDir)
 
-      expect(self.utils.writeFile).toHaveBeenCalledWith(myLittleWidgetInstanceLocaleEnFile, JSON.stringify(
+      expect(self.grabberUtils.writeFileAndETag).toHaveBeenCalledWith(myLittleWidgetInstanceLocaleEnFile, JSON.stringify(
         {
           "resources": {
             "buttonEditCartSummary": "Edit",
@@ -163,9 +163,7 @@ describe("Widget Instance Grabber", () => {
             "colorText": "Color: ",
             "overrideKey": "Should see this"
           }
-        }, null, 2))
-
-      expect(self.etags.writeEtag).toHaveBeenCalledWith(myLittleWidgetInstanceLocaleEnFile, "widget locale content etag")
+        }, null, 2), "widget locale content etag")
 
       expect(self.metadata.writeMetadata).toHaveBeenCalledWith(myLittleWidgetInstanceMetadata,
         {
@@ -215,8 +213,8 @@ describe("Widget Instance Grabber", () => {
 
       expect(self.utils.makeTrackedTree).toHaveBeenCalledWith(myLittleWebContentWidgetInstanceDir)
 
-      expect(self.utils.writeFile).toHaveBeenCalledWith(myLittleWebContentWidgetInstanceLocalesEnFile, JSON.stringify({resources}, null, 2))
-      expect(self.etags.writeEtag).toHaveBeenCalledWith(myLittleWebContentWidgetInstanceLocalesEnFile, "widget locale content etag")
+      expect(self.grabberUtils.writeFileAndETag).toHaveBeenCalledWith(myLittleWebContentWidgetInstanceLocalesEnFile,
+        JSON.stringify({resources}, null, 2), "widget locale content etag")
 
       expect(self.metadata.writeMetadata).toHaveBeenCalledWith(myLittleWebContentWidgetInstanceMetadata,
         {
@@ -43,7 +43,9 @@ describe("Widget Putter", () => {
       "updateWidgetMetadata", "updateWidgetDescriptorJavascriptExtension", "createWidgetDescriptorJavascriptExtension",
       "updateWidget", "startFileUpload", "doFileSegmentUpload", "getFileURI", "createFragmentInstance")
 
-    mockery.mockModules(self, "../state", "upath", "../utils", "../putterUtils", "../metadata", "../logger", "../etags", "../elementUtils", "../widgetCreator")
+    mockery.mockModules(self, "../state", "upath", "../utils", "../putterUtils", "../metadata", "../logger", "../etags", "../elementUtils", "../widgetCreator", "../instanceOverrides", "../secrets")
+
+    self.secrets.resolveSecrets.returnsFirstArg()
 
     // Force a reload of request builder as it can be left with old spies as we do not normally mock it.
     mockery.require("../requestBuilder")
@@ -375,7 +377,7 @@ describe("Widget Putter", () => {
     self.widgetPutter.putWidgetModifiableMetadata(widgetModifiableMetadataPath).then(() => {
 
       expect(self.endPointTransceiver.updateWidgetDescriptorMetadata).urlKeysWere(["rep1234"])
-      expect(self.endPointTransceiver.updateWidgetDescriptorMetadata).pathWas(widgetModifiableMetadataPath)
+      expect(self.endPointTransceiver.updateWidgetDescriptorMetadata).bodyWas({metadata: {translations: [{language: "en", name: "My Widget"}]}})
       expect(self.endPointTransceiver.updateWidgetDescriptorMetadata).etagWas("etag value")
 
       expect(self.putterUtils.processPutResultAndEtag).toHaveBeenCalled()
@@ -459,10 +461,13 @@ describe("Widget Putter", () => {
 
     self.endPointTransceiver.serverSupports.returnsTrue()
 
+    self.utils.readJsonFile.returns({apiKey: "secret value"})
+
     self.widgetPutter.putWidgetConfigJson(widgetConfigJsonPath).then(() => {
 
+      expect(self.secrets.resolveSecrets).toHaveBeenCalledWith({apiKey: "secret value"}, widgetConfigJsonPath)
       expect(self.endPointTransceiver.updateConfigMetadataForWidgetDescriptor).urlKeysWere(["rep1234"])
-      expect(self.endPointTransceiver.updateConfigMetadataForWidgetDescriptor).pathWas(widgetConfigJsonPath)
+      expect(self.endPointTransceiver.updateConfigMetadataForWidgetDescriptor).bodyWas({metadata: {apiKey: "secret value"}})
       expect(self.endPointTransceiver.updateConfigMetadataForWidgetDescriptor).etagWas("etag value")
 
       expect(self.putterUtils.processPutResultAndEtag).toHaveBeenCalled()
@@ -527,6 +532,7 @@ describe("Widget Putter", () => {
     self.putterUtils.shouldSendInstanceConfig.returnsTrue()
 
     self.utils.readJsonFile.returns({displayName: "Updated Widget Instance"})
+    self.instanceOverrides.readInstanceMetadata.returns({displayName: "Updated Widget Instance", settings: {}})
 
     self.putterUtils.processPutResultAndEtag.and.callFake((path, results, successCallback) => {
       successCallback(path)
@@ -535,7 +541,7 @@ describe("Widget Putter", () => {
     self.widgetPutter.putWidgetInstanceModifiableMetadata(widgetInstanceMetadataPath).then(() => {
 
       expect(self.endPointTransceiver.updateWidgetMetadata).urlKeysWere(["rep5678"])
-      expect(self.endPointTransceiver.updateWidgetMetadata).pathWas(widgetInstanceMetadataPath)
+      expect(self.endPointTransceiver.updateWidgetMetadata).bodyWas({metadata: {displayName: "Updated Widget Instance", settings: {}}})
       expect(self.endPointTransceiver.updateWidgetMetadata).etagWas("etag value")
 
       expect(self.metadata.updateMetadata).toHaveBeenCalledWith(widgetInstanceMetadataPath, "widgetInstance.json", {displayName: "Updated Widget Instance"})
@@ -544,6 +550,22 @@ describe("Widget Putter", () => {
     })
   })
 
+  it("should not send widget instance metadata when a secret is missing", done => {
+
+    self.endPointTransceiver.serverSupports.returnsTrue()
+    self.putterUtils.shouldSendInstanceConfig.returnsTrue()
+
+    self.instanceOverrides.readInstanceMetadata.returns({apiKey: "${env:API_KEY}"})
+    self.secrets.resolveSecrets.returns(null)
+
+    self.widgetPutter.putWidgetInstanceModifiableMetadata(widgetInstanceMetadataPath).then(() => {
+
+      expect(self.secrets.resolveSecrets).toHaveBeenCalledWith({apiKey: "${env:API_KEY}"}, widgetInstanceMetadataPath)
+      expect(self.endPointTransceiver.updateWidgetMetadata).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
   it("should report non modification of widget instance metadata where endpoints do not exist", () => {
 
     self.endPointTransceiver.serverSupports.returnsFalse()
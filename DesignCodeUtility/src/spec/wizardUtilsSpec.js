@@ -65,4 +65,19 @@ describe("widgetUtils", () => {
 
     expect(self.inquirerIntance.run).toHaveBeenCalled()
   })
+
+  it("should let you ask a simple question", done => {
+
+    self.inquirer.prompt.returnsPromise({confirmed: true})
+
+    self.widgetUtils.confirm("Are you sure?").then(confirmed => {
+
+      expect(confirmed).toBe(true)
+      expect(self.clear).not.toHaveBeenCalled()
+      expect(self.inquirer.registerPrompt).toHaveBeenCalledWith("i18nConfirm", jasmine.any(Function))
+      expect(self.inquirer.prompt).toHaveBeenCalledWith(
+        [{name: "confirmed", type: "i18nConfirm", message: "Are you sure?", default: false}])
+      done()
+    })
+  })
 })
@@ -8,6 +8,7 @@ const exists = require("./utils").exists
 const friendlyStackInstanceName = require('./stackUtils').friendlyStackInstanceName
 const info = require("./logger").info
 const makeTrackedDirectory = require("./utils").makeTrackedDirectory
+const markAsGrabbed = require("./grabberUtils").markAsGrabbed
 const readMetadataFromDisk = require("./metadata").readMetadataFromDisk
 const sanitizeName = require("./utils").sanitizeName
 const splitPath = require("./utils").splitPath
@@ -59,8 +60,9 @@ function stacksCanBeGrabbed() {
  * Try to grab stack info that the user has asked for.
  * @param stackName
  * @param stackInstanceName
+ * @param nameFilter - optional function that returns true for the stack names we want.
  */
-function tryToGrabStacks(stackName, stackInstanceName) {
+function tryToGrabStacks(stackName, stackInstanceName, nameFilter) {
 
   const promises = []
 
@@ -71,7 +73,7 @@ function tryToGrabStacks(stackName, stackInstanceName) {
       // Create stack top level dir first if it does not already exist.
       makeTrackedDirectory(constants.stacksDir)
 
-      promises.push(grabStacks(results, stackName, stackInstanceName))
+      promises.push(grabStacks(results, stackName, stackInstanceName, nameFilter))
     }))
   }
 
@@ -80,9 +82,10 @@ function tryToGrabStacks(stackName, stackInstanceName) {
 
 /**
  * Pull down all the stacks from the server unless we specify which one.
+ * @param nameFilter - optional function that returns true for the stack names we want.
  */
-function grabAllStacks() {
-  return tryToGrabStacks()
+function grabAllStacks(nameFilter) {
+  return tryToGrabStacks(null, null, nameFilter)
 }
 
 /**
@@ -90,8 +93,9 @@ function grabAllStacks() {
  * @param results
  * @param stackName
  * @param stackInstanceName
+ * @param nameFilter
  */
-function grabStacks(results, stackName, stackInstanceName) {
+function grabStacks(results, stackName, stackInstanceName, nameFilter) {
 
   // Keep track of all the promises, returning them as a single promise at the end.
   const promises = []
@@ -99,7 +103,7 @@ function grabStacks(results, stackName, stackInstanceName) {
   // Walk through the stacks, making sure we only grab what the user wants.
   results.data.items.filter(stack => {
 
-    return !stackName || (stackName && stack.displayName === stackName)
+    return (!stackName || (stackName && stack.displayName === stackName)) && (!nameFilter || nameFilter(stack.displayName))
   }).forEach(stack => promises.push(grabStack(stack, stackInstanceName)))
 
   // Warn if we did not find a match.
@@ -162,8 +166,9 @@ function grabStackInstance(instancesDir, stackInstance) {
     // Get the version from the instance we currently have on disk.
     const metadataFromDisk = readMetadataFromDisk(stackInstanceDir, constants.stackInstanceMetadataJson)
 
-    // If the one on disk is more up to date, don't go any further.
+    // If the one on disk is more up to date, don't go any further. The instance is still on the server though.
     if (metadataFromDisk && metadataFromDisk.version >= stackInstance.descriptor.version) {
+      markAsGrabbed(stackInstanceDir)
       warn("newerVersionWarning", {
         name: stackInstance.displayName,
         diskVersion: metadataFromDisk.version,
@@ -184,6 +189,17 @@ function grabStackInstance(instancesDir, stackInstance) {
     name: stackInstance.name
   }
 
+  // Hang on to which widget instances are in which region so dcu --graph can work out what depends on the stack.
+  if (stackInstance.regions) {
+    stackInstanceJson.regions = stackInstance.regions.map(region => ({
+      name: region.name,
+      widgets: (region.widgets || []).map(widgetInstance => ({
+        displayName: widgetInstance.displayName,
+        widgetType: widgetInstance.descriptor && widgetInstance.descriptor.widgetType
+      }))
+    }))
+  }
+
   writeMetadata(`${stackInstanceDir}/${constants.stackInstanceMetadataJson}`, stackInstanceJson)
 
   const promises = []
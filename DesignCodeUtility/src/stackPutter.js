@@ -11,11 +11,13 @@ const getCachedStackInstanceFromMetadata = require("./metadata").getCachedStackI
 const inTransferMode = require("./state").inTransferMode
 const processPutResultAndEtag = require("./putterUtils").processPutResultAndEtag
 const readFile = require("./utils").readFile
+const readInstanceMetadata = require("./instanceOverrides").readInstanceMetadata
 const readJsonFile = require("./utils").readJsonFile
 const readMetadata = require("./metadata").readMetadata
 const readMetadataFromDisk = require("./metadata").readMetadataFromDisk
 const request = require("./requestBuilder").request
 const resetEtag = require("./etags").resetEtag
+const resolveSecrets = require("./secrets").resolveSecrets
 const splitFromBaseDir = require("./utils").splitFromBaseDir
 const updateMetadata = require("./metadata").updateMetadata
 const walkDirectory = require("./utils").walkDirectory
@@ -79,9 +81,12 @@ function putStackInstanceModifiableMetadata(path) {
 
     return getStackAndStackInstanceMetadata(path).then(metadata => {
 
-      if (metadata) {
+      // Fill in any secrets - there is no point sending anything if one is missing.
+      const instanceMetadata = metadata && resolveSecrets(readInstanceMetadata(path), path)
+
+      if (instanceMetadata) {
         return endPointTransceiver.updateStackMetadata([metadata.instance.repositoryId],
-          request().fromPathAsJSON(path, "metadata").withEtag(metadata.instance.etag)).tap(
+          request().withBody({metadata: instanceMetadata}).withEtag(metadata.instance.etag)).tap(
           results => processPutResultAndEtag(path, results, syncStackInstanceMetadata))
       }
     })
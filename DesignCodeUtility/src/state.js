@@ -1,14 +1,45 @@
-let transferMode
+/**
+ * Create somewhere to keep track of what we are up to. Library users get one of these per connection.
+ * @returns the scope.
+ */
+function createScope() {
+  return {transferMode: undefined, environmentName: undefined}
+}
+
+// What we are currently up to. The command line tools only ever need the one.
+let scope = createScope()
+
+/**
+ * Switch over to the supplied scope.
+ * @param newScope
+ */
+function useScope(newScope) {
+  scope = newScope
+}
 
 /**
  * Set a system wide flag so modules can find out what we are up to.
  */
 function inTransferMode(value) {
   if (value) {
-    transferMode = value
+    scope.transferMode = value
+  } else {
+    return scope.transferMode
+  }
+}
+
+/**
+ * Set or get the name of the environment from the project config file that we are talking to, if there is one.
+ */
+function targetEnvironment(value) {
+  if (value) {
+    scope.environmentName = value
   } else {
-    return transferMode
+    return scope.environmentName
   }
 }
 
+exports.createScope = createScope
 exports.inTransferMode = inTransferMode
+exports.targetEnvironment = targetEnvironment
+exports.useScope = useScope
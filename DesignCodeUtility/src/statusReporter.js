@@ -0,0 +1,157 @@
+"use strict"
+
+const Promise = require("bluebird")
+const upath = require("upath")
+
+const classify = require("./classifier").classify
+const computeContentHash = require("./etags").computeContentHash
+const constants = require("./constants").constants
+const error = require("./logger").error
+const exists = require("./utils").exists
+const getAssetPathFromTrackingPath = require("./etags").getAssetPathFromTrackingPath
+const info = require("./logger").info
+const PuttingFileType = require("./puttingFileType").PuttingFileType
+const resolvePath = require("./utils").resolvePath
+const setNodeName = require("./etags").setNodeName
+const storedContentHashFor = require("./etags").storedContentHashFor
+const stripProtocol = require("./utils").stripProtocol
+const walkDirectory = require("./utils").walkDirectory
+
+/**
+ * Turn a path returned by the directory walker into one relative to the base directory.
+ * @param root
+ * @param name
+ * @returns {string}
+ */
+function relativeToBaseDir(root, name) {
+  return upath.relative(resolvePath("."), upath.join(root, name))
+}
+
+/**
+ * Find all the asset paths that have an etag or content hash for the current node in the tracking directory.
+ * @returns {Set} a set of paths relative to the base directory.
+ */
+function findTrackedPaths() {
+
+  const trackedPaths = new Set()
+
+  walkDirectory(constants.trackingDir, {
+    listeners: {
+      file: (root, fileStat, next) => {
+
+        const trackingPath = relativeToBaseDir(root, fileStat.name)
+
+        // Files grabbed by older versions will only have an etag so look for both.
+        const assetPath = getAssetPathFromTrackingPath(trackingPath, constants.contentHashSuffix) ||
+          getAssetPathFromTrackingPath(trackingPath, constants.etagSuffix)
+
+        assetPath && trackedPaths.add(assetPath)
+
+        next()
+      }
+    }
+  })
+
+  return trackedPaths
+}
+
+/**
+ * Find all the recognizable asset files under the base directory, ignoring tracking and hidden files.
+ * @returns {Set} a set of paths relative to the base directory.
+ */
+function findLocalPaths() {
+
+  const localPaths = new Set()
+
+  walkDirectory(".", {
+    listeners: {
+      file: (root, fileStat, next) => {
+
+        const path = relativeToBaseDir(root, fileStat.name)
+
+        // Only interested in files we would be able to send.
+        if (!path.split("/").some(segment => segment.startsWith(".")) && classify(path)) {
+          localPaths.add(path)
+        }
+
+        next()
+      }
+    }
+  })
+
+  return localPaths
+}
+
+/**
+ * Compare the files under the base directory with what was recorded at the time of the last grab.
+ * @returns {Array} an array of {path, fileType, change} objects where change is "modified", "added" or "deleted".
+ */
+function getStatus() {
+
+  const trackedPaths = findTrackedPaths(), localPaths = findLocalPaths()
+  const changes = []
+
+  // Anything we know about that is still there may have been edited.
+  trackedPaths.forEach(path => {
+
+    if (localPaths.has(path)) {
+
+      // Without a stored hash (older grabs), there is no way to tell if the file changed.
+      const storedHash = storedContentHashFor(path)
+      storedHash && storedHash !== computeContentHash(path) && changes.push({path, change: "modified"})
+    } else {
+      changes.push({path, change: "deleted"})
+    }
+  })
+
+  // Anything we don't know about must be new.
+  localPaths.forEach(path => !trackedPaths.has(path) && changes.push({path, change: "added"}))
+
+  // Tag each change with its type, dropping anything we can't classify.
+  return changes
+    .map(change => Object.assign(change, {fileType: classify(change.path)}))
+    .filter(change => change.fileType)
+    .sort((a, b) => a.path.localeCompare(b.path))
+}
+
+/**
+ * Entry point. Tell the user what has changed locally since the last grab, grouped by file type.
+ * @param node - used to find the tracking files for the node we grabbed from.
+ * @return a BlueBird promise.
+ */
+const reportStatus = Promise.method(node => {
+
+  // Need something to compare against.
+  if (!exists(constants.trackingDir)) {
+    error("noGrabbedContentFound")
+    return
+  }
+
+  // We are not talking to the server so work out the node name the same way endPointTransceiver does.
+  setNodeName(stripProtocol(node).split(":").join(""))
+
+  const changes = getStatus()
+
+  if (!changes.length) {
+    info("noLocalChangesFound")
+    return changes
+  }
+
+  // Use the enum order so related file types are listed together.
+  PuttingFileType.enumValues.forEach(fileType => {
+
+    const changesForType = changes.filter(change => change.fileType === fileType)
+
+    if (changesForType.length) {
+
+      info("statusFileTypeHeading", {fileType: fileType.name})
+      changesForType.forEach(change => info(`${change.change}PathStatus`, {path: change.path}))
+    }
+  })
+
+  return changes
+})
+
+exports.findTrackedPaths = findTrackedPaths
+exports.getStatus = getStatus
+exports.reportStatus = reportStatus
@@ -7,10 +7,12 @@ const endPointTransceiver = require("./endPointTransceiver")
 const getGrabbingConcurrency = require("./concurrencySettings").getGrabbingConcurrency
 const getFallBackName = require("./localeUtils").getFallBackName
 const getInitialMatchName = require("./localeUtils").getInitialMatchName
+const grabRequest = require("./grabberUtils").grabRequest
 const hasFallBack = require("./localeUtils").hasFallBack
 const info = require("./logger").info
 const makeTrackedDirectory = require("./utils").makeTrackedDirectory
 const request = require("./requestBuilder").request
+const skipIfUnchanged = require("./grabberUtils").skipIfUnchanged
 const splitPath = require("./utils").splitPath
 const warn = require("./logger").warn
 const writeFileAndETag = require("./grabberUtils").writeFileAndETag
@@ -36,7 +38,7 @@ function grabTextSnippetsForLocaleDirectory(path) {
  * Sort out the endpoint parameters based on the available endpoints.
  * @param localeName
  */
-function getEndpointParams(localeName) {
+function getTextSnippetEndpointParams(localeName) {
 
   let endpointParams = ["ns.common"]
 
@@ -47,6 +49,24 @@ function getEndpointParams(localeName) {
   return endpointParams
 }
 
+/**
+ * Where the snippets for the locale live on disk.
+ * @param localeName
+ * @returns {string}
+ */
+function snippetsPath(localeName) {
+  return `${constants.textSnippetsDir}/${localeName}/${constants.snippetsJson}`
+}
+
+/**
+ * Build the request for the snippets for the locale, passing the etag from the last grab if there is one.
+ * @param localeName
+ * @returns {RequestBuilder}
+ */
+function snippetsRequest(localeName) {
+  return grabRequest(snippetsPath(localeName), request().withLocale(localeName))
+}
+
 /**
  * Boilerplate to pull down the text snippets for a specified locale.
  * Note that this can be called directly if user is doing a selective grab.
@@ -64,7 +84,12 @@ function grabTextSnippetsForLocale(locale) {
     textSnippetEndpoint = endPointTransceiver["getResourceStringsForLocale"]
   }
 
-  return textSnippetEndpoint(getEndpointParams(localeName), request().withLocale(localeName)).tap(results => {
+  return textSnippetEndpoint(getTextSnippetEndpointParams(localeName), snippetsRequest(localeName)).tap(results => {
+
+    // Nothing to do if the snippets are the same as last time.
+    if (skipIfUnchanged([snippetsPath(localeName)], results)) {
+      return
+    }
 
     // Only write out something if there something to write.
     if (results.data.resources) {
@@ -76,7 +101,11 @@ function grabTextSnippetsForLocale(locale) {
       // No snippets found but there is a fallback - try that.
       localeName = getFallBackName(locale)
 
-      return textSnippetEndpoint(getEndpointParams(localeName), request().withLocale(localeName)).tap(results => {
+      return textSnippetEndpoint(getTextSnippetEndpointParams(localeName), snippetsRequest(localeName)).tap(results => {
+
+        if (skipIfUnchanged([snippetsPath(localeName)], results)) {
+          return
+        }
 
         if (results.data.resources) {
           writeTextSnippetsForLocale(localeName, results)
@@ -120,22 +149,32 @@ function writeTextSnippetsForLocale(localeName, results) {
   info("grabbingTextSnippets", {name : localeName})
 
   // Create a directory for the locale and stick the contents in it.
-  const textSnippetsLocaleDir = `${constants.textSnippetsDir}/${localeName}`
-  makeTrackedDirectory(textSnippetsLocaleDir)
-
-  // Walk through any custom keys using them to override the base values.
-  results.data.custom && Object.keys(results.data.resources).forEach(outerKey => {
-    Object.keys(results.data.resources[outerKey]).forEach(innerKey => {
-      if (results.data.custom[innerKey]) {
-        results.data.resources[outerKey][innerKey] = results.data.custom[innerKey]
+  makeTrackedDirectory(`${constants.textSnippetsDir}/${localeName}`)
+
+  // Write the massaged data out to disk.
+  writeFileAndETag(snippetsPath(localeName),
+    JSON.stringify(mergeCustomTextSnippets(results.data), null, 2), results.response.headers.etag)
+}
+
+/**
+ * Walk through any custom keys in the response data, using them to override the base values.
+ * @param data
+ * @returns the resources with the custom values applied.
+ */
+function mergeCustomTextSnippets(data) {
+
+  data.custom && Object.keys(data.resources).forEach(outerKey => {
+    Object.keys(data.resources[outerKey]).forEach(innerKey => {
+      if (data.custom[innerKey]) {
+        data.resources[outerKey][innerKey] = data.custom[innerKey]
       }
     })
   })
 
-  // Write the massaged data out to disk.
-  writeFileAndETag(`${textSnippetsLocaleDir}/${constants.snippetsJson}`,
-    JSON.stringify(results.data.resources, null, 2), results.response.headers.etag)
+  return data.resources
 }
 
+exports.getTextSnippetEndpointParams = getTextSnippetEndpointParams
 exports.grabTextSnippetsForLocaleDirectory = grabTextSnippetsForLocaleDirectory
 exports.grabCommonTextSnippets = grabCommonTextSnippets
+exports.mergeCustomTextSnippets = mergeCustomTextSnippets
@@ -3,9 +3,11 @@ const Promise = require("bluebird")
 const constants = require("./constants").constants
 const endPointTransceiver = require("./endPointTransceiver")
 const getGrabbingConcurrency = require("./concurrencySettings").getGrabbingConcurrency
+const grabRequest = require("./grabberUtils").grabRequest
 const info = require("./logger").info
 const makeTrackedDirectory = require("./utils").makeTrackedDirectory
 const sanitizeName = require("./utils").sanitizeName
+const skipIfUnchanged = require("./grabberUtils").skipIfUnchanged
 const splitPath = require("./utils").splitPath
 const warn = require("./logger").warn
 const writeFileAndETag = require("./grabberUtils").writeFileAndETag
@@ -14,9 +16,10 @@ const writeMetadata = require("./metadata").writeMetadata
 /**
  * Boilerplat for grabbing themes.
  * @param themeName
+ * @param nameFilter - optional function that returns true for the theme names we want.
  * @returns {*|PromiseLike<T>|Promise<T>}
  */
-function grabThemes(themeName) {
+function grabThemes(themeName, nameFilter) {
 
   // Create a directory to bung the themes in.
   makeTrackedDirectory(constants.themesDir)
@@ -25,7 +28,8 @@ function grabThemes(themeName) {
   return endPointTransceiver.getThemes("?type=custom").then(results => {
 
     // User may be after a specific theme.
-    const themes = themeName ? results.data.items.filter(theme => theme.name == themeName) : results.data.items
+    const themes = results.data.items.filter(theme =>
+      (!themeName || theme.name == themeName) && (!nameFilter || nameFilter(theme.name)))
 
     // We were looking for a specific theme.
     themeName && !themes.length && warn("noMatchFound", {name : themeName})
@@ -36,10 +40,11 @@ function grabThemes(themeName) {
 
 /**
  * Get all the custom themes we can find and download their bits.
+ * @param nameFilter - optional function that returns true for the theme names we want.
  * @returns a Bluebird promise
  */
-function grabAllThemes() {
-  return grabThemes()
+function grabAllThemes(nameFilter) {
+  return grabThemes(null, nameFilter)
 }
 
 /**
@@ -67,7 +72,15 @@ function grabTheme(theme) {
   // Save off the metadata.
   writeMetadata(`${themeDir}/${constants.themeMetadataJson}`, { displayName : theme.name })
 
-  return endPointTransceiver.getThemeSource([theme.repositoryId]).tap(results => {
+  const themeFiles = [constants.themeStyles, constants.themeVariables, constants.themeAdditionalStyles]
+    .map(file => `${themeDir}/${file}`)
+
+  return endPointTransceiver.getThemeSource([theme.repositoryId], grabRequest(themeFiles[0])).tap(results => {
+
+    // All the theme files come from the one call so they have either all changed or none of them have.
+    if (skipIfUnchanged(themeFiles, results)) {
+      return
+    }
 
     writeFileAndETag(`${themeDir}/${constants.themeVariables}`, results.data.variables, results.response.headers.etag)
     writeFileAndETag(`${themeDir}/${constants.themeStyles}`, results.data.styles, results.response.headers.etag)
@@ -26,6 +26,20 @@ let basePath = null
 
 let discoveredTrackingDir = null
 
+/**
+ * Turn a simple glob pattern such as "ACME *" into a function that tests names against it.
+ * Only * (any number of characters) and ? (any single character) are treated specially.
+ * @param pattern
+ * @returns {function} that takes a name and returns true if it matches.
+ */
+function nameMatcher(pattern) {
+
+  // Escape anything else that means something in a regular expression.
+  const regExp = new RegExp(`^${pattern.replace(/[\\^$.|+()[\]{}]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`)
+
+  return name => regExp.test(name)
+}
+
 /**
  * Filter a string array by keeping partial matches of strings in another
  * array.
@@ -198,6 +212,18 @@ function writeFile(path, content) {
   fs.writeFileSync(resolvePath(path), content, 'utf8')
 }
 
+/**
+ * Add content to the end of a file, creating it if it is not there yet.
+ * @param path
+ * @param content
+ */
+function appendFile(path, content) {
+
+  makeTree(dirname(path))
+
+  fs.appendFileSync(resolvePath(path), content, 'utf8')
+}
+
 /**
  * Simple utility function to make a directory only if it isn't there.
  * @param dir
@@ -407,6 +433,7 @@ function stripProtocol(url) {
   return url.replace(/(^\w+:|^)\/\//, '')
 }
 
+exports.appendFile = appendFile
 exports.dropPartialMatches = dropPartialMatches
 exports.exists = exists
 exports.findBaseDirFromPath = findBaseDirFromPath
@@ -434,3 +461,4 @@ exports.useBasePath = useBasePath
 exports.walkDirectory = walkDirectory
 exports.writeFile = writeFile
 exports.makeTrackingDirTree = makeTrackingDirTree
+exports.nameMatcher = nameMatcher
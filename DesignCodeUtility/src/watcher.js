@@ -0,0 +1,193 @@
+"use strict"
+
+const filewatcher = require("filewatcher")
+const Promise = require("bluebird")
+const upath = require("upath")
+
+const WIDGET_LESS_SAFE_LIMIT = require("./concurrencySettings").WIDGET_LESS_SAFE_LIMIT
+
+const classify = require("./classifier").classify
+const debug = require("./logger").debug
+const error = require("./logger").error
+const getPuttingConcurrency = require("./concurrencySettings").getPuttingConcurrency
+const info = require("./logger").info
+const PuttingFileType = require("./puttingFileType").PuttingFileType
+const walkDirectory = require("./utils").walkDirectory
+const warn = require("./logger").warn
+
+// How long things need to be quiet before we send anything. Editors and build tools often save several files at once.
+const QUIET_PERIOD = 500
+
+// Theme files share an etag so must be sent one at a time.
+const themeFileTypes = new Set([
+  PuttingFileType.THEME_STYLES,
+  PuttingFileType.THEME_ADDITIONAL_STYLES,
+  PuttingFileType.THEME_VARIABLES
+])
+
+// Widget less updates kick off theme compilation so need to be kept under control.
+const widgetLessFileTypes = new Set([
+  PuttingFileType.WIDGET_INSTANCE_LESS,
+  PuttingFileType.WIDGET_BASE_LESS
+])
+
+/**
+ * Return true if the path is something we should never send e.g. the tracking directory or editor swap files.
+ * @param root - the directory being watched.
+ * @param path
+ * @returns {boolean}
+ */
+function isIgnored(root, path) {
+  return upath.relative(root, path).split("/").some(segment => segment.startsWith("."))
+}
+
+/**
+ * Find all the files and directories under the supplied directory that we care about.
+ * @param root - the directory being watched.
+ * @param directory
+ * @returns {{files: Array, directories: Array}}
+ */
+function findWatchablePaths(root, directory) {
+
+  const files = [], directories = [directory]
+
+  walkDirectory(directory, {
+    listeners: {
+      file: (parent, fileStat, next) => {
+
+        const path = upath.join(parent, fileStat.name)
+        !isIgnored(root, path) && files.push(path)
+        next()
+      },
+      directory: (parent, dirStat, next) => {
+
+        const path = upath.join(parent, dirStat.name)
+        !isIgnored(root, path) && directories.push(path)
+        next()
+      }
+    }
+  })
+
+  return {files, directories}
+}
+
+/**
+ * Send a group of changed files, keeping theme and widget less updates under control.
+ * @param paths
+ * @param sendPath - function that sends a single file.
+ * @returns A BlueBird promise.
+ */
+function sendChangedPaths(paths, sendPath) {
+
+  // Don't let one bad file stop the others or bring the whole watch down.
+  const sendSafely = path => Promise.try(() => sendPath(path)).catch(
+    err => error("watchSendFailed", {path, message: err.message}))
+
+  const themePaths = [], widgetLessPaths = [], otherPaths = []
+
+  paths.forEach(path => {
+
+    const fileType = classify(path)
+
+    if (themeFileTypes.has(fileType)) {
+      themePaths.push(path)
+    } else if (widgetLessFileTypes.has(fileType)) {
+      widgetLessPaths.push(path)
+    } else if (fileType) {
+      otherPaths.push(path)
+    } else {
+      debug("watchIgnoringPath", {path})
+    }
+  })
+
+  // Themes and widget less both end up compiling the theme so do them one after the other.
+  return Promise.all([
+    Promise.map(themePaths, sendSafely, {concurrency: 1})
+      .then(() => Promise.map(widgetLessPaths, sendSafely, {concurrency: WIDGET_LESS_SAFE_LIMIT})),
+    Promise.map(otherPaths, sendSafely, getPuttingConcurrency())
+  ])
+}
+
+/**
+ * Keep an eye on the supplied directory, sending files to the server as they change. Runs until the user hits Ctrl-C.
+ * @param path
+ * @param node
+ * @param sendPath - function that sends a single file.
+ * @returns A BlueBird promise that resolves when we stop watching.
+ */
+function watchDirectory(path, node, sendPath) {
+
+  const watcher = filewatcher()
+  const watchedFiles = new Set(), changedFiles = new Set()
+
+  // Make sure only one batch of files is being sent at any time.
+  let timer = null, sending = Promise.resolve()
+
+  // Take everything that has changed so far and send it once any previous batch is out of the way.
+  const sendChangedFiles = () => {
+
+    const paths = Array.from(changedFiles).sort()
+    changedFiles.clear()
+
+    sending = sending.then(() => sendChangedPaths(paths, sendPath))
+  }
+
+  // Note the change but wait a while in case more changes are on the way.
+  const fileChanged = file => {
+
+    changedFiles.add(file)
+
+    clearTimeout(timer)
+    timer = setTimeout(sendChangedFiles, QUIET_PERIOD)
+  }
+
+  // Watch anything we are not already watching. New files found after we start are treated as changes.
+  const watchNewPaths = (directory, sendNewFiles) => {
+
+    const paths = findWatchablePaths(path, directory)
+
+    paths.directories.forEach(directory => watcher.add(directory))
+
+    paths.files.filter(file => !watchedFiles.has(file)).forEach(file => {
+
+      watchedFiles.add(file)
+      watcher.add(file)
+      sendNewFiles && fileChanged(file)
+    })
+  }
+
+  watcher.on("change", (changedPath, stat) => {
+
+    if (stat.deleted) {
+      watchedFiles.delete(changedPath)
+    } else if (stat.isDirectory()) {
+      watchNewPaths(changedPath, true)
+    } else {
+      fileChanged(changedPath)
+    }
+  })
+
+  watcher.on("fallback", limit => warn("watchFallingBackToPolling", {limit}))
+
+  watchNewPaths(path, false)
+
+  info("watchingDirectory", {path, node})
+
+  return new Promise(resolve => {
+
+    // Let anything in flight finish before we stop.
+    process.once("SIGINT", () => {
+
+      // Don't lose anything that changed just before we were stopped.
+      clearTimeout(timer)
+      changedFiles.size && sendChangedFiles()
+
+      watcher.removeAll()
+
+      info("stoppedWatching", {path})
+      sending.then(resolve)
+    })
+  })
+}
+
+exports.watchDirectory = watchDirectory
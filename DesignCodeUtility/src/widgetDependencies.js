@@ -0,0 +1,104 @@
+"use strict"
+
+const upath = require("upath")
+
+const buildLocalGraph = require("./dependencyGrapher").buildLocalGraph
+const classify = require("./classifier").classify
+const elementTagExists = require("./metadata").elementTagExists
+const findTagsForWidget = require("./dependencyGrapher").findTagsForWidget
+const getElementByTag = require("./metadata").getElementByTag
+const info = require("./logger").info
+const PuttingFileType = require("./puttingFileType").PuttingFileType
+const resolvePath = require("./utils").resolvePath
+const stackExistsOnTarget = require("./metadata").stackExistsOnTarget
+const warn = require("./logger").warn
+
+/**
+ * Follow the global elements the widget uses down through any elements they contain.
+ * @param graph
+ * @param widgetId
+ * @returns {Array} the ids of every global element the widget needs.
+ */
+function findElementIds(graph, widgetId) {
+
+  const elementIds = new Set()
+
+  const addElement = elementId => {
+
+    if (!elementIds.has(elementId)) {
+
+      elementIds.add(elementId)
+      graph.findEdges("containsElement", elementId).forEach(edge => addElement(edge.to))
+    }
+  }
+
+  graph.findEdges("usesElement", widgetId).forEach(edge => addElement(edge.to))
+
+  return Array.from(elementIds)
+}
+
+/**
+ * Find the stacks that hold any of the widget's instances.
+ * @param graph
+ * @param widgetId
+ * @returns {Array} the stack directories relative to the base directory.
+ */
+function findStackDirs(graph, widgetId) {
+
+  const stackDirs = new Set()
+
+  graph.findEdges("hasInstance", widgetId).forEach(instanceEdge =>
+    graph.findEdges("containsInstance", null, instanceEdge.to).forEach(stackEdge => {
+
+      // Stack instances we only heard about from a layout won't have a directory.
+      const stackInstancePath = graph.nodes.get(stackEdge.from).path
+      stackInstancePath && stackDirs.add(stackInstancePath.split("/").slice(0, 2).join("/"))
+    }))
+
+  return Array.from(stackDirs)
+}
+
+/**
+ * Work out which global elements and stack types the widget needs that the target server does not have yet.
+ * The element and stack caches must be populated first.
+ * @param widgetDir
+ * @returns {{elementDirs: Array, stackDirs: Array}} absolute paths to the directories that need to be created.
+ */
+function findWidgetDependencies(widgetDir) {
+
+  const dependencies = {elementDirs: [], stackDirs: []}
+
+  // Only widgets can have dependencies.
+  if (classify(widgetDir) !== PuttingFileType.WIDGET) {
+    warn("dependenciesOnlyForWidgets", {path: widgetDir})
+    return dependencies
+  }
+
+  const graph = buildLocalGraph()
+  const relativeWidgetDir = upath.relative(resolvePath("."), resolvePath(widgetDir))
+  const widgetNode = Array.from(graph.nodes.values())
+    .find(node => node.type === "widget" && node.path === relativeWidgetDir)
+
+  if (!widgetNode) {
+    return dependencies
+  }
+
+  // Tell the user about anything the widget refers to that we can't find anywhere.
+  findTagsForWidget(relativeWidgetDir).forEach(tag =>
+    !getElementByTag(tag) && !elementTagExists(tag) && warn("dependencyNotFound", {path: widgetDir, tag}))
+
+  findElementIds(graph, widgetNode.id).map(elementId => graph.nodes.get(elementId))
+    .filter(elementNode => !getElementByTag(elementNode.name))
+    .forEach(elementNode => dependencies.elementDirs.push(resolvePath(elementNode.path)))
+
+  findStackDirs(graph, widgetNode.id).map(stackDir => resolvePath(stackDir))
+    .filter(stackDir => !stackExistsOnTarget(stackDir))
+    .forEach(stackDir => dependencies.stackDirs.push(stackDir))
+
+  dependencies.elementDirs.concat(dependencies.stackDirs)
+    .forEach(dependencyDir => info("sendingDependency", {path: widgetDir, dependency: dependencyDir}))
+
+  return dependencies
+}
+
+exports.findWidgetDependencies = findWidgetDependencies
@@ -12,10 +12,13 @@ const info = require("./logger").info
 const isGlobal = require("./elementGrabberUtils").isGlobal
 const isGrabbableElementType = require("./elementGrabberUtils").isGrabbableElementType
 const makeTrackedDirectory = require("./utils").makeTrackedDirectory
+const markAsGrabbed = require("./grabberUtils").markAsGrabbed
 const processElementInstances = require("./elementInstanceGrabber").processElementInstances
 const readMetadataFromDisk = require("./metadata").readMetadataFromDisk
+const grabRequest = require("./grabberUtils").grabRequest
 const request = require("./requestBuilder").request
 const sanitizeName = require("./utils").sanitizeName
+const skipIfUnchanged = require("./grabberUtils").skipIfUnchanged
 const splitPath = require("./utils").splitPath
 const storeElementMetaData = require("./elementGrabberUtils").storeElementMetaData
 const writeFileAndETag = require("./grabberUtils").writeFileAndETag
@@ -28,21 +31,24 @@ let grabbedWidgetElements
 /**
  * Find all the elements associated with widgets on the server and grab them.
  * Global elements are handled separately.
+ * @param directory - optional widget directory.
+ * @param nameFilter - optional function that returns true for the widget names we want.
  * @returns A BlueBird promise
  */
-function grabWidgetElements(directory) {
+function grabWidgetElements(directory, nameFilter) {
 
   return endPointTransceiver.listWidgets().then(results =>
-    grabElementsForWidgets(results.data.items, directory ? splitPath(directory) : null))
+    grabElementsForWidgets(results.data.items, directory ? splitPath(directory) : null, nameFilter))
 }
 
 /**
  * Given a list of widgets, grab all their associated elements.
  * @param widgets
  * @param widget
+ * @param nameFilter
  * @returns A BlueBird promise.
  */
-function grabElementsForWidgets(widgets, widgetName) {
+function grabElementsForWidgets(widgets, widgetName, nameFilter) {
 
   // Make sure global element info has been loaded and we can get at global elements via an endpoint.
   if (globalElementTags.size == 0 && endPointTransceiver.serverSupports("getElements")) {
@@ -56,11 +62,11 @@ function grabElementsForWidgets(widgets, widgetName) {
     }).then(() => {
 
       // Now safe to grab widget elements.
-      return grabNonGlobalElements(widgets, widgetName)
+      return grabNonGlobalElements(widgets, widgetName, nameFilter)
     })
   } else {
     // Normal case. We have been called as part of a grab.
-    return grabNonGlobalElements(widgets, widgetName)
+    return grabNonGlobalElements(widgets, widgetName, nameFilter)
   }
 }
 
@@ -93,16 +99,17 @@ function grabWidgetElementAssets(widget, element, elementDir) {
  * Boilerplate for grabbing elements under widgets.
  * @param widgets
  * @param widgetName
+ * @param nameFilter
  * @returns A BlueBird promise
  */
-function grabNonGlobalElements(widgets, widgetName) {
+function grabNonGlobalElements(widgets, widgetName, nameFilter) {
 
   return Promise.each(widgets, widget => {
 
     // If we are looking for a specific widget, bail out early.
     const descriptor = widget.descriptor
 
-    if (widgetName && descriptor.displayName != widgetName) {
+    if ((widgetName && descriptor.displayName != widgetName) || (nameFilter && !nameFilter(descriptor.displayName))) {
       return
     }
 
@@ -124,8 +131,9 @@ function grabNonGlobalElements(widgets, widgetName) {
         // Get the version from the instance we currently have on disk.
         const versionOnDisk = readMetadataFromDisk(widgetInstanceDir, constants.widgetInstanceMetadataJson).version
 
-        // If the one on disk is more up to date, don't go any further.
+        // If the one on disk is more up to date, don't go any further. The instance is still on the server though.
         if (versionOnDisk > widget.descriptor.version) {
+          markAsGrabbed(widgetInstanceDir)
           return
         }
       }
@@ -206,12 +214,16 @@ function grabbed(widgetRespositoryId) {
  */
 function grabWidgetElementFile(endpoint, widgetRepositoryId, tag, elementDir, fileName, field, httpCode) {
 
-  return endPointTransceiver[endpoint]([widgetRepositoryId, tag], request().ignoring(httpCode)).tap(results => {
-    // Only write anything out if we got anything.
-    if (results.data.code && results.data.code[field]) {
-      writeFileAndETag(`${elementDir}/${fileName}`, results.data.code[field], results.response.headers.etag)
-    }
-  })
+  const path = `${elementDir}/${fileName}`
+
+  return endPointTransceiver[endpoint]([widgetRepositoryId, tag], grabRequest(path, request().ignoring(httpCode)))
+    .tap(results => {
+
+      // Only write anything out if we got anything and it has changed.
+      if (!skipIfUnchanged([path], results) && results.data.code && results.data.code[field]) {
+        writeFileAndETag(path, results.data.code[field], results.response.headers.etag)
+      }
+    })
 }
 
 /**
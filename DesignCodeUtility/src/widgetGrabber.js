@@ -10,6 +10,7 @@ const grabWidgetInstances = require("./widgetInstanceGrabber").grabWidgetInstanc
 const getFallBackName = require("./localeUtils").getFallBackName
 const getInitialMatchName = require("./localeUtils").getInitialMatchName
 const hasFallBack = require("./localeUtils").hasFallBack
+const hideSecrets = require("./secrets").hideSecrets
 const info = require("./logger").info
 const makeTrackedDirectory = require("./utils").makeTrackedDirectory
 const readMetadataFromDisk = require("./metadata").readMetadataFromDisk
@@ -18,8 +19,6 @@ const sanitizeName = require("./utils").sanitizeName
 const splitPath = require("./utils").splitPath
 const warn = require("./logger").warn
 const widgetTypeToDirectoryMap = require("./widgetInstanceGrabber").widgetTypeToDirectoryMap
-const writeEtag = require("./etags").writeEtag
-const writeFile = require("./utils").writeFile
 const writeFileAndETag = require("./grabberUtils").writeFileAndETag
 const writeMetadata = require("./metadata").writeMetadata
 
@@ -29,9 +28,10 @@ let foundMatch = false
 /**
  * Grab the widgets the user asked us for.
  * @param widgetName
+ * @param nameFilter - optional function that returns true for the widget names we want.
  * @returns a BlueBird Promise
  */
-function grabRequestedWidgets(widgetName) {
+function grabRequestedWidgets(widgetName, nameFilter) {
 
   // Create widget top level dir first if it does not already exist.
   makeTrackedDirectory(constants.widgetsDir)
@@ -40,9 +40,9 @@ function grabRequestedWidgets(widgetName) {
   // After we get the current versions, look about for any old ones.
   return Promise.all([
     endPointTransceiver.getAllWidgetInstances("?source=100")
-      .then(results => grabWidgets(results.data.items, widgetName)),
+      .then(results => grabWidgets(results.data.items, widgetName, nameFilter)),
     endPointTransceiver.getAllWidgetInstances("?source=101")
-      .then(results => grabWidgets(results.data.items, widgetName))]).then(() => {
+      .then(results => grabWidgets(results.data.items, widgetName, nameFilter))]).then(() => {
 
     // See if we were looking for something specific but didnt find it.
     !foundMatch && widgetName && warn("noMatchFound", {name: widgetName})
@@ -51,11 +51,13 @@ function grabRequestedWidgets(widgetName) {
 
 /**
  * Pull down all widgets and instances from the server.
+ * @param nameFilter - optional function that returns true for the widget names we want.
  * @returns a BlueBird Promise
  */
-function grabAllWidgets() {
+function grabAllWidgets(nameFilter) {
 
-  return grabRequestedWidgets().then(grabWidgetInstances)
+  // Instances are only grabbed for widgets we have grabbed so there is no need to filter them again.
+  return grabRequestedWidgets(null, nameFilter).then(() => grabWidgetInstances())
 }
 
 /**
@@ -95,11 +97,17 @@ function getDirectoryForWidget(widgetType, version, isLatestVersion) {
  * Walk through the array contained in results creating files on disk.
  * @param widgets
  * @param widgetName
+ * @param nameFilter
  */
-function grabWidgets(widgets, widgetName) {
+function grabWidgets(widgets, widgetName, nameFilter) {
 
   return Promise.map(widgets, widget => {
 
+    // User may only want widgets whose names fit a pattern.
+    if (nameFilter && !nameFilter(widget.displayName)) {
+      return
+    }
+
     // See if the user is after a specific widget.
     if (widgetName) {
 
@@ -252,12 +260,9 @@ function writeWidgetBaseSnippets(widgetDir, localeName, widget, results) {
   const localeDir = `${widgetDir}/locales/${localeName}`
   makeTrackedDirectory(localeDir)
 
-  // Write out the text strings as a JSON file.
-  const localeStringsFile = `${localeDir}/ns.${widget.i18nresources}.json`
-  writeFile(localeStringsFile, JSON.stringify(results.data.localeData, null, 2))
-
-  // Write out the etag.
-  writeEtag(localeStringsFile, results.response.headers.etag)
+  // Write out the text strings as a JSON file along with the etag.
+  writeFileAndETag(`${localeDir}/ns.${widget.i18nresources}.json`,
+    JSON.stringify(results.data.localeData, null, 2), results.response.headers.etag)
 }
 
 /**
@@ -394,11 +399,11 @@ function grabConfigContent(widget, widgetDir) {
     const configDir = `${widgetDir}/config`
     makeTrackedDirectory(configDir)
 
-    // Get the config file.
+    // Get the config file, keeping any secrets off the disk.
     promises.push(endPointTransceiver.getConfigMetadataForWidgetDescriptor([widget.id]).then(results => {
 
       writeFileAndETag(`${configDir}/${constants.userConfigMetadataJson}`,
-        JSON.stringify(results.data.metadata, null, 2), results.response.headers.etag)
+        JSON.stringify(hideSecrets(results.data.metadata), null, 2), results.response.headers.etag)
     }))
 
     // Make the locales directories first.
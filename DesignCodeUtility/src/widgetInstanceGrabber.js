@@ -7,15 +7,15 @@ const exists = require("./utils").exists
 const getGrabbingConcurrency = require("./concurrencySettings").getGrabbingConcurrency
 const getInitialMatchName = require("./localeUtils").getInitialMatchName
 const hasFallBack = require("./localeUtils").hasFallBack
+const hideSecrets = require("./secrets").hideSecrets
 const info = require("./logger").info
 const makeTrackedDirectory = require("./utils").makeTrackedDirectory
+const markAsGrabbed = require("./grabberUtils").markAsGrabbed
 const makeTrackedTree = require("./utils").makeTrackedTree
 const readMetadataFromDisk = require("./metadata").readMetadataFromDisk
 const request = require("./requestBuilder").request
 const sanitizeName = require("./utils").sanitizeName
 const warn = require("./logger").warn
-const writeEtag = require("./etags").writeEtag
-const writeFile = require("./utils").writeFile
 const writeFileAndETag = require("./grabberUtils").writeFileAndETag
 const writeMetadata = require("./metadata").writeMetadata
 
@@ -66,8 +66,9 @@ function grabWidgetInstance(widgetInstance) {
       // Get the version from the instance we currently have on disk.
       const versionOnDisk = readMetadataFromDisk(widgetInstanceDir, constants.widgetInstanceMetadataJson).version
 
-      // If the one on disk is more up to date, don't go any further.
+      // If the one on disk is more up to date, don't go any further. The instance is still on the server though.
       if (versionOnDisk > widgetInstance.descriptor.version) {
+        markAsGrabbed(widgetInstanceDir)
         return null
       }
     }
@@ -279,12 +280,9 @@ function writeWidgetSnippets(widgetInstanceDir, localeName, results, widgetInsta
     resources: results.data.localeData.resources
   }
 
-  // Write out the text strings as a JSON file.
-  const localeStringsFile = `${widgetInstanceLocaleDir}/ns.${widgetInstance.descriptor.i18nresources}.json`
-  writeFile(localeStringsFile, JSON.stringify(fileContents, null, 2))
-
-  // Write out the etag.
-  writeEtag(localeStringsFile, results.response.headers.etag)
+  // Write out the text strings as a JSON file along with the etag.
+  writeFileAndETag(`${widgetInstanceLocaleDir}/ns.${widgetInstance.descriptor.i18nresources}.json`,
+    JSON.stringify(fileContents, null, 2), results.response.headers.etag)
 }
 
 /**
@@ -301,9 +299,9 @@ function getInstanceMetadata(widgetInstance, widgetInstanceDir) {
     // Call the custom metadata endpoint created specially for this purpose.
     return endPointTransceiver.getWidgetMetadata([widgetInstance.repositoryId]).then(results => {
 
-      // Write out the massaged data.
+      // Write out the massaged data, keeping any secrets off the disk.
       writeFileAndETag(`${widgetInstanceDir}/${constants.userWidgetInstanceMetadata}`,
-        JSON.stringify(results.data.metadata, null, 2), results.response.headers.etag)
+        JSON.stringify(hideSecrets(results.data.metadata), null, 2), results.response.headers.etag)
     })
 
   } else {
@@ -24,11 +24,13 @@ const logError = require("./logger").logError
 const makeTrackingDirTree = require("./utils").makeTrackingDirTree
 const processPutResultAndEtag = require("./putterUtils").processPutResultAndEtag
 const readFile = require("./utils").readFile
+const readInstanceMetadata = require("./instanceOverrides").readInstanceMetadata
 const readJsonFile = require("./utils").readJsonFile
 const readMetadata = require("./metadata").readMetadata
 const readMetadataFromDisk = require("./metadata").readMetadataFromDisk
 const request = require("./requestBuilder").request
 const resetEtag = require("./etags").resetEtag
+const resolveSecrets = require("./secrets").resolveSecrets
 const shouldSuppressThemeCompile = require("./putterUtils").shouldSuppressThemeCompile
 const splitFromBaseDir = require("./utils").splitFromBaseDir
 const splitPath = require("./utils").splitPath
@@ -345,9 +347,12 @@ function putWidgetInstanceModifiableMetadata(path) {
 
     return getWidgetAndWidgetInstanceMetadata(path).then(metadata => {
 
-      if (metadata) {
+      // Fill in any secrets - there is no point sending anything if one is missing.
+      const instanceMetadata = metadata && resolveSecrets(readInstanceMetadata(path), path)
+
+      if (instanceMetadata) {
         return endPointTransceiver.updateWidgetMetadata([metadata.instance.repositoryId],
-          request().fromPathAsJSON(path, "metadata").withEtag(metadata.instance.etag)).tap(
+          request().withBody({metadata: instanceMetadata}).withEtag(metadata.instance.etag)).tap(
           results => processPutResultAndEtag(path, results, syncWidgetInstanceMetadata))
       }
     })
@@ -415,9 +420,12 @@ function putMetadata(path, metadataType, endpoint, successCallback) {
 
   return readMetadata(path, metadataType).then(metadata => {
 
-    if (metadata) {
+    // Fill in any secrets - there is no point sending anything if one is missing.
+    const fileMetadata = metadata && resolveSecrets(readJsonFile(path), path)
+
+    if (fileMetadata) {
       return endPointTransceiver[endpoint]([metadata.repositoryId],
-        request().fromPathAsJSON(path, "metadata").withEtag(metadata.etag)).tap(
+        request().withBody({metadata: fileMetadata}).withEtag(metadata.etag)).tap(
         results => processPutResultAndEtag(path, results, successCallback))
     }
   })
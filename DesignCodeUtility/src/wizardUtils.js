@@ -4,6 +4,7 @@ const chalk = require("chalk")
 const clear = require("clear")
 const figlet = require("figlet")
 const inquirer = require("inquirer")
+const Promise = require("bluebird")
 
 const logInfo = require("./logger").logInfo
 const t = require("./i18n").t
@@ -42,6 +43,28 @@ exports.pose = function (banner, questions) {
   return inquirer.prompt(questions)
 }
 
+/**
+ * See if there is anyone at a terminal to answer questions.
+ * @returns {boolean}
+ */
+exports.canAsk = function () {
+  return !!process.stdin.isTTY
+}
+
+/**
+ * Ask the user a single yes or no question. Unlike pose(), this leaves the screen alone so the user can still see
+ * whatever we just told them.
+ * @param message - text of the question.
+ * @returns a Bluebird promise that resolves to true if the user said yes.
+ */
+exports.confirm = function (message) {
+
+  inquirer.registerPrompt("i18nConfirm", getI18nConfirmPrompt())
+
+  return Promise.resolve(inquirer.prompt([{name: "confirmed", type: "i18nConfirm", message, default: false}]))
+    .then(responses => responses.confirmed)
+}
+
 /**
  * Return a constructor for an i18n-savvy version of the confirmation prompt.
  */